@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Markov Migration
+ * Converts the old global data/markov-chain.json (version 2.1) into one guild's model in the compact format.
+ * Usage: node scripts/migrate-markov.js <guildId> [path/to/markov-chain.json]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import MarkovChain from '../src/utils/markovChaining.js';
+import { MarkovPersistence, getModelFilePath } from '../src/utils/markovPersistence.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const [guildId, sourceArg] = process.argv.slice(2);
+const sourcePath = sourceArg || path.join(__dirname, '../data/markov-chain.json');
+
+if (!guildId) {
+  console.error('Usage: node scripts/migrate-markov.js <guildId> [path/to/markov-chain.json]');
+  process.exit(1);
+}
+
+const persistence = new MarkovPersistence(getModelFilePath(guildId));
+
+try {
+  await fs.access(persistence.filePath);
+  console.error(`❌ ${persistence.filePath} already exists; refusing to overwrite a guild model.`);
+  process.exit(1);
+} catch (error) {
+  // No model yet, safe to migrate
+}
+
+// Stage the JSON where the loader looks for 2.1 files, then let it migrate in the usual way
+await fs.mkdir(path.dirname(persistence.filePath), { recursive: true });
+await fs.copyFile(sourcePath, persistence.legacyFilePath);
+
+const chain = new MarkovChain();
+if (!(await persistence.loadChain(chain))) {
+  await fs.unlink(persistence.legacyFilePath).catch(() => {});
+  console.error(`❌ Could not read a markov chain from ${sourcePath}`);
+  process.exit(1);
+}
+
+await fs.unlink(`${persistence.legacyFilePath}.v2.bak`).catch(() => {}); // The original file is still at sourcePath
+console.log(`✅ Migrated ${Object.keys(chain.chain).length} keys into ${persistence.filePath}`);
@@ -4,7 +4,7 @@ import { OpenAI } from "openai";
 import path from "path";
 import { fileURLToPath } from "url";
 import drawCommand from "./commands/fun/draw.js";
-import playCommand, { handleMusicInteraction } from "./commands/fun/play.js";
+import playCommand, { handleMusicInteraction, restoreMusicQueues, shutdownMusic } from "./commands/fun/play.js";
 import pollCommand from "./commands/fun/poll.js";
 import pingCommand from "./commands/fun/ping.js";
 import resetConversation from "./commands/fun/resetConversation.js";
@@ -17,6 +17,7 @@ import updateServerMemoryCommand from "./commands/fun/updateServerMemory.js";
 import digestCommand from "./commands/fun/digest.js";
 import threadCommand from "./commands/fun/thread.js";
 import debugMemoryCommand from "./commands/fun/debugMemory.js";
+import memoryBackfillCommand from "./commands/fun/memoryBackfill.js";
 import healthCommand from "./commands/fun/health.js";
 import { getAllContext } from "../scripts/create-context.js";
 import { getMarkovChannels } from "../src/supabase/supabase.js";
@@ -37,22 +38,31 @@ import gametimeCommand from "./commands/fun/gametime.js";
 import channelCommand from "./commands/fun/channel.js";
 import rhynoCommand from "./commands/fun/rhyno.js";
 import recordCommand from "./commands/fun/record.js";
-import MarkovChain from "./utils/markovChaining.js";
-import { MarkovPersistence } from "./utils/markovPersistence.js";
-import { cleanupExpiredMemories, cleanupOldMemories, storeUserMemory, storeUserMemoryOptimized, flushConversationBatch, cleanupExpiredServerMemories, cleanupOldMessageThreads } from "./supabase/supabase.js";
+import configCommand from "./commands/fun/config.js";
+import triggerCommand from "./commands/fun/trigger.js";
+import reactionsCommand from "./commands/fun/reactions.js";
+import scheduleCommand from "./commands/fun/schedule.js";
+import queueCommand from "./commands/fun/queue.js";
+import playlistCommand from "./commands/fun/playlist.js";
+import musicCommand from "./commands/fun/music.js";
+import whyBepoCommand from "./commands/fun/whyBepo.js";
+import { MarkovModels } from "./utils/markovModels.js";
+import { cleanupExpiredMemories, cleanupOldMemories, storeUserMemory, storeUserMemoryOptimized, flushConversationBatch, cleanupExpiredServerMemories, cleanupOldMessageThreads, cleanupOldDigestChannelSummaries, recordReplyMemorySources, cleanupOldReplyMemorySources } from "./supabase/supabase.js";
 import {
   memeFilter, buildStreamlinedConversationContext, appendToConversation, isBotMentioned, isGroupPing,
-  isBotMessageOrPrefix, sendTypingIndicator, processMessageWithImages, convoStore, isSundayImageTime, getCurrentDateString,
-  sendSundayImage, lastSentMessages, isBotManagedThread, cleanupOldBotThreads,
+  isBotMessageOrPrefix, sendTypingIndicator, processMessageWithImages, convoStore, isBotManagedThread, cleanupOldBotThreads,
   updateThreadActivity, checkAndDeleteInactiveThreads, validateBotManagedThread, cleanupStaleThreadReferences,
-  getBotManagedThreadInfo, looksLikeAsciiArt, cleanupMemoryCache
+  getBotManagedThreadInfo, looksLikeAsciiArt, cleanupMemoryCache, getConversationMemorySources
 } from "./utils//utils.js";
 import { convertImageToBase64, analyzeGifWithFrames } from "./utils/imageUtils.js";
 import errorHandler, { safeAsync, handleDiscordError, handleDatabaseError, handleAIError, createRetryWrapper } from "./utils/errorHandler.js";
 import { RoleManager } from "./utils/roleUtils.js";
 import { chatWithWebSearch, shouldUseWebSearch, formatCitationsFooter } from "./utils/webSearchUtils.js";
-import { checkUserTriggers } from "./utils/userTriggers.js";
+import { checkUserTriggers, ensureLegacyTriggerRules } from "./utils/userTriggers.js";
+import { processDueScheduledPosts, ensureLegacySundaySchedule } from "./utils/scheduledPosts.js";
+import { GuildConfigManager, FEATURE_FLAGS, DEFAULT_FEATURE_FLAGS } from "./utils/guildConfig.js";
 import healthMonitor from "./utils/healthMonitor.js";
+import { checkMediaBinaries } from "./utils/mediaBinaries.js";
 import { getStatusChecker } from "./utils/statusChecker.js";
 import { initializeCS2Monitoring } from "./utils/cs2NotificationService.js";
 import { initializeApexMonitoring } from "./utils/apexNotificationService.js";
@@ -147,13 +157,13 @@ async function gracefulShutdown() {
       }, 'status_update_shutdown');
     }
 
-    // Save markov chain before shutdown
-    console.log('Saving markov chain...');
+    // Save markov models before shutdown
+    console.log('Saving markov models...');
     await safeAsync(async () => {
-      await markovPersistence.saveChain(markov);
-      console.log('Markov chain saved successfully');
+      const savedCount = await markovModels.saveAll(true);
+      console.log(`Saved ${savedCount} markov models successfully`);
     }, (error) => {
-      console.error('Failed to save markov chain on shutdown:', error);
+      console.error('Failed to save markov models on shutdown:', error);
     }, 'markov_save_shutdown');
 
     // Flush any pending conversation batches
@@ -188,8 +198,14 @@ async function gracefulShutdown() {
     console.log('Stopping scheduled tasks...');
 
     // Cleanup voice connections
+    // Music queues are saved first so they can resume after the restart
     console.log('Cleaning up voice connections...');
-    // This will be handled by individual command cleanup
+    await safeAsync(async () => {
+      await shutdownMusic();
+      console.log('Music queues saved and voice connections closed');
+    }, (error) => {
+      console.error('Failed to save music queues on shutdown:', error);
+    }, 'music_shutdown');
 
     // Close database connections
     console.log('Closing database connections...');
@@ -317,10 +333,19 @@ client.commands.set("gametime", gametimeCommand);
 client.commands.set("channel", channelCommand);
 client.commands.set("rhyno", rhynoCommand);
 client.commands.set("debug-memory", debugMemoryCommand);
+client.commands.set("memory-backfill", memoryBackfillCommand);
+client.commands.set(whyBepoCommand.data.name, whyBepoCommand);
 client.commands.set("health", healthCommand);
 client.commands.set("apex", apexCommand);
 client.commands.set("apexnotify", apexNotifyCommand);
 client.commands.set("record", recordCommand);
+client.commands.set("config", configCommand);
+client.commands.set("trigger", triggerCommand);
+client.commands.set("reactions", reactionsCommand);
+client.commands.set("schedule", scheduleCommand);
+client.commands.set("queue", queueCommand);
+client.commands.set("playlist", playlistCommand);
+client.commands.set("music", musicCommand);
 
 // xAI API for Grok-4 (unified text and vision)
 const xAI = new OpenAI({
@@ -332,33 +357,21 @@ const xAI = new OpenAI({
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const BOT_PREFIX = process.env.PREFIX;
 
+// Reply to an interaction blocked by a disabled feature flag
+async function replyFeatureDisabled(interaction, feature) {
+  await interaction.reply({
+    content: `🚫 ${FEATURE_FLAGS[feature]?.label || feature} is disabled in this server. An admin can enable it with \`/config set\`.`,
+    flags: MessageFlags.Ephemeral
+  });
+}
+
 // Function to start scheduled messaging
 function startScheduledMessaging(client) {
-  // Check every minute for scheduled messages
-  setInterval(() => {
-    const currentDate = getCurrentDateString();
-    const now = new Date();
-    const easternTime = new Date(now.toLocaleString("en-US", { timeZone: "America/New_York" }));
-
-    // Log periodic check (every 10 minutes to avoid spam)
-    if (easternTime.getMinutes() % 10 === 0) {
-      console.log(`[${now.toISOString()}] Scheduled message check - Eastern Time: ${easternTime}`);
-    }
-
-    // Game time notification disabled - use /gametime command manually
-
-    // Check for Sunday image
-    if (isSundayImageTime()) {
-      if (lastSentMessages.sundayImage !== currentDate) {
-        console.log(`[${now.toISOString()}] Triggering Sunday image - Date: ${currentDate}`);
-        sendSundayImage(client);
-        lastSentMessages.sundayImage = currentDate;
-      } else {
-        console.log(`[${now.toISOString()}] Sunday image already sent today: ${currentDate}`);
-      }
-    }
-
-    // Auto digest disabled - use /digest command manually
+  // Post any /schedule posts that are due - schedules and last runs live in Supabase
+  setInterval(async () => {
+    await safeAsync(async () => {
+      await processDueScheduledPosts(client);
+    }, null, 'scheduled_posts');
   }, 60000); // Check every minute
 
   // Clean up old bot-managed threads every hour
@@ -405,10 +418,10 @@ function startScheduledMessaging(client) {
     }, 'thread_validation_cleanup');
   }, 2 * 60 * 60 * 1000); // Every 2 hours
 
-  // Auto-save markov chain every hour (reduced frequency for performance)
+  // Auto-save markov models every hour (reduced frequency for performance)
   setInterval(async () => {
     await safeAsync(async () => {
-      await markovPersistence.saveChain(markov);
+      await markovModels.saveAll();
     }, (error) => {
       console.error('Markov chain auto-save error - will retry next cycle:', error);
     }, 'markov_auto_save');
@@ -428,21 +441,18 @@ try {
   markovChannelIds = []; // Empty array as fallback
 }
 
-const markov = new MarkovChain(2); // Reduced from 3 to 2 for more creative but still coherent output
-const markovPersistence = new MarkovPersistence();
-
-// Load existing markov chain data
-await markovPersistence.loadChain(markov);
+// One chain per guild plus per-channel and per-user models, loaded lazily from data/markov/
+const markovModels = new MarkovModels({ order: 2 }); // Order 2 for more creative but still coherent output
 
-// Make markov instance available to commands
-client.markov = markov;
+// Make markov models available to commands
+client.markovModels = markovModels;
 
 client.on("clientReady", async () => {
   console.log(`Bot is ready as: ${client.user.tag}`);
 
-  // Set user mappings for markov chain
-  markov.setUserMappings(client);
-  console.log(`Markov chain configured with ${client.users.cache.size} user mappings`);
+  // Set user mappings for markov models
+  markovModels.setUserMappings(client);
+  console.log(`Markov models configured with ${client.users.cache.size} user mappings`);
 
   // Update bot status to online
   const statusChecker = getStatusChecker();
@@ -475,6 +485,14 @@ client.on("clientReady", async () => {
     console.error('Failed to initialize unified monitoring service:', error);
   }
 
+  await safeAsync(async () => {
+    await ensureLegacySundaySchedule(client);
+  }, null, 'legacy_sunday_schedule');
+
+  await safeAsync(async () => {
+    await ensureLegacyTriggerRules(client);
+  }, null, 'legacy_trigger_rules');
+
   startScheduledMessaging(client);
   console.log("Scheduled messaging started");
 
@@ -484,6 +502,21 @@ client.on("clientReady", async () => {
   // Initialize Apex Legends patch note monitoring
   await initializeApexMonitoring(client);
 
+  // Find yt-dlp and FFmpeg before any music plays; /health shows the result
+  await safeAsync(async () => {
+    const media = await checkMediaBinaries();
+    const summary = Object.entries(media.binaries)
+      .map(([name, binary]) => `${name}: ${binary.ok ? binary.path : binary.error}`)
+      .join(', ');
+    console.log(`Music binaries ${media.ok ? 'ready' : 'incomplete'} (${summary})`);
+  }, null, 'media_binaries_check');
+
+  // Resume (or offer to resume) music queues saved before the last shutdown or crash
+  await safeAsync(async () => {
+    const restored = await restoreMusicQueues(client);
+    if (restored > 0) console.log(`Restored ${restored} saved music queues`);
+  }, null, 'music_restore');
+
   // Retry markov channels initialization if it failed earlier
   if (markovChannelIds.length === 0) {
     console.log('Retrying markov channels initialization...');
@@ -508,17 +541,20 @@ client.on("clientReady", async () => {
       const oldCount = await cleanupOldMemories(90); // Clean up memories older than 90 days
       const expiredServerCount = await cleanupExpiredServerMemories();
       const threadCount = await cleanupOldMessageThreads(7); // Clean up threads older than 7 days
-      console.log(`🧹 Cleaned up ${expiredCount} expired user memories, ${oldCount} old user memories, ${expiredServerCount} expired server memories, and ${threadCount} old thread messages`);
+      const digestSummaryCount = await cleanupOldDigestChannelSummaries(14); // Per-channel digest summaries older than 14 days
+      const replySourceCount = await cleanupOldReplyMemorySources(30); // "Why did Bepo say this?" records older than 30 days
+      const markovKeyCount = await markovModels.pruneAll(); // Stale or least-used markov keys
+      console.log(`🧹 Cleaned up ${expiredCount} expired user memories, ${oldCount} old user memories, ${expiredServerCount} expired server memories, ${threadCount} old thread messages, ${digestSummaryCount} old digest channel summaries, ${replySourceCount} reply memory records, and ${markovKeyCount} markov keys`);
     }, (error) => {
       handleDatabaseError(error, 'memory_cleanup');
       console.error('Memory cleanup error - will retry next cycle:', error);
     }, 'memory_cleanup');
   }, 6 * 60 * 60 * 1000); // Every 6 hours
 
-  // Auto-save markov chain every hour (reduced frequency for performance)
+  // Auto-save markov models every hour (reduced frequency for performance)
   setInterval(async () => {
     await safeAsync(async () => {
-      await markovPersistence.saveChain(markov);
+      await markovModels.saveAll();
     }, (error) => {
       console.error('Markov chain auto-save error - will retry next cycle:', error);
     }, 'markov_auto_save');
@@ -548,12 +584,37 @@ client.on("interactionCreate", async (interaction) => {
         return;
       }
 
+      // Enforce per-guild feature flags before running the command
+      const { enabled, feature } = await GuildConfigManager.isCommandEnabled(interaction.guildId, interaction.commandName);
+      if (!enabled) {
+        await replyFeatureDisabled(interaction, feature);
+        return;
+      }
+
       // Execute command with retry wrapper for transient failures
       await retryWrapper(async () => {
         await command.execute(interaction);
       }, `command_${interaction.commandName}`);
 
+    } else if (interaction.isAutocomplete()) {
+      const command = client.commands.get(interaction.commandName);
+      const { enabled } = await GuildConfigManager.isCommandEnabled(interaction.guildId, interaction.commandName);
+
+      // No retries here: Discord only accepts suggestions for 3 seconds
+      if (!command?.autocomplete || !enabled) {
+        await interaction.respond([]);
+        return;
+      }
+      await command.autocomplete(interaction);
+
     } else if (interaction.isButton()) {
+      // Buttons are gated by the same feature flags as the commands that created them
+      const { enabled, feature } = await GuildConfigManager.isButtonEnabled(interaction.guildId, interaction.customId);
+      if (!enabled) {
+        await replyFeatureDisabled(interaction, feature);
+        return;
+      }
+
       if (interaction.customId.startsWith("music_")) {
         // Handle music control buttons with retry
         await retryWrapper(async () => {
@@ -651,19 +712,21 @@ client.on("messageCreate", async (message) => {
   const messageId = message.id;
 
   // Update user mappings periodically (when new users are encountered)
-  if (!markov.userMappings.has(message.author.id)) {
-    markov.userMappings.set(message.author.id, message.author.displayName || message.author.username);
+  if (!markovModels.userMappings.has(message.author.id)) {
+    markovModels.userMappings.set(message.author.id, message.author.displayName || message.author.username);
   }
 
-  // Only train on messages that have some substance (longer than 10 characters)
-  // and filter out commands and mentions to improve training quality
-  if (message.content.length > 10 &&
+  // Only train on messages in the configured markov channels that have some substance
+  // (longer than 10 characters) and filter out commands and mentions to improve training quality
+  if (message.guildId &&
+    markovChannelIds.includes(message.channelId.toString()) &&
+    message.content.length > 10 &&
     !message.content.startsWith(BOT_PREFIX) &&
     !message.mentions.users.has(client.user.id)) {
-    // Make training asynchronous to not block message processing
-    setImmediate(() => {
+    // Make training asynchronous to not block message processing (skips members who used /markov optout)
+    setImmediate(async () => {
       try {
-        markov.train(message.content);
+        await markovModels.train(message);
       } catch (error) {
         console.error('Markov training error:', error);
       }
@@ -673,7 +736,7 @@ client.on("messageCreate", async (message) => {
   // Meme reactions
   await memeFilter(message);
 
-  // Check user-specific triggers (responds and returns early if triggered)
+  // Check the guild's trigger rules (responds and returns early if a trigger replied)
   const triggerActivated = await checkUserTriggers(message);
   if (triggerActivated) return;
 
@@ -729,6 +792,13 @@ client.on("messageCreate", async (message) => {
   const shouldProcessMessage = isBotMessageOrPrefix(message, BOT_PREFIX, client.commands) || botMentioned || isInBotThread;
 
   if (shouldProcessMessage) {
+    // Per-guild feature flags (DMs have no config and use the defaults)
+    const featureFlags = message.guild
+      ? await GuildConfigManager.getFeatureFlags(message.guild.id)
+      : DEFAULT_FEATURE_FLAGS;
+
+    if (!featureFlags.ai_chat_enabled) return;
+
     // Start typing indicator immediately
     const sendTypingInterval = await sendTypingIndicator(message);
 
@@ -775,12 +845,16 @@ client.on("messageCreate", async (message) => {
     const processingStartTime = Date.now();
 
     // 1) get existing context (with system prompt on first run)
-    const context = await buildStreamlinedConversationContext(message);
+    const context = await buildStreamlinedConversationContext(message, {
+      includeMemory: featureFlags.memory_system_enabled
+    });
 
     let response;
+    let usedMemoryContext = true; // False when the reply came from a prompt without the memory block
 
     if (messageData.hasImages && messageData.imageUrls.length > 0) {
       console.log(`[IMAGE DEBUG] Processing message with images - using Grok-4 vision`);
+      usedMemoryContext = false;
 
       // Use Grok-4 with vision for image-containing messages
       const visionMessages = [...context];
@@ -908,6 +982,7 @@ client.on("messageCreate", async (message) => {
       // If no images were successfully processed OR vision failed, fall back to text-only Grok-4
       if (processedImages === 0 || !response) {
         console.log("Falling back to text-only Grok-4 processing due to image processing failure or no images processed");
+        usedMemoryContext = true;
         const userContent = messageData.processedContent;
         appendToConversation(message, "user", userContent);
         response = await safeAsync(async () => {
@@ -923,11 +998,7 @@ client.on("messageCreate", async (message) => {
         }, async (error) => {
           const aiErrorResult = handleAIError(error, 'xai');
           console.log("Grok-4 fallback Error:", error);
-
-          await safeAsync(async () => {
-            await message.reply("Grok-4 model connection having issues - please try again in a moment");
-          }, null, 'ai_error_reply');
-          return null;
+          return null; // Answered below, from the Markov chain if possible
         }, 'grok4_fallback_call');
       }
 
@@ -994,11 +1065,7 @@ client.on("messageCreate", async (message) => {
         }, async (error) => {
           const aiErrorResult = handleAIError(error, 'xai');
           console.log("Grok-4 connection Error:", error);
-
-          await safeAsync(async () => {
-            await message.reply("Grok-4 model connection having issues - please try again in a moment");
-          }, null, 'ai_error_reply');
-          return null;
+          return null; // Answered below, from the Markov chain if possible
         }, 'grok4_call');
       }
     }
@@ -1006,7 +1073,16 @@ client.on("messageCreate", async (message) => {
     clearInterval(sendTypingInterval);
 
     if (!response) {
-      message.reply("No message recieved. I am struggling fr");
+      // AI providers are down: answer from this server's Markov chain rather than just an error
+      const markovReply = message.guildId
+        ? await safeAsync(() => markovModels.reply(message.guildId, messageData.processedContent), null, 'markov_reply')
+        : null;
+
+      await safeAsync(async () => {
+        await message.reply(markovReply
+          ? `${markovReply}\n\n*AI is having issues right now, so this came from my Markov chain*`
+          : "Grok-4 model connection having issues - please try again in a moment");
+      }, null, 'ai_error_reply');
       return;
     }
 
@@ -1025,6 +1101,9 @@ client.on("messageCreate", async (message) => {
 
     // Store memory after successful conversation (OPTIMIZED)
     await safeAsync(async () => {
+      // Guilds with the memory system disabled keep no record of the exchange
+      if (!featureFlags.memory_system_enabled) return;
+
       // NEW: Use batched memory storage to prevent memory explosion
       // This replaces the old approach of storing 2 memories per message
       // Now: 5 messages = 1 summary (instead of 10 individual memories)
@@ -1035,6 +1114,7 @@ client.on("messageCreate", async (message) => {
         {
           channel_id: message.channel.id,
           guild_id: message.guild?.id,
+          message_url: message.url, // Source link for facts extracted from this exchange
           timestamp: new Date().toISOString()
         },
         client // Pass client for username resolution
@@ -1052,12 +1132,14 @@ client.on("messageCreate", async (message) => {
     // Auto-thread creation disabled - threads can be created manually if needed
 
     const chunkSizeLimit = 2000;
+    const replyMessageIds = [];
 
     // Send response with citations (use fullResponse which includes citations footer)
     for (let i = 0; i < fullResponse.length; i += chunkSizeLimit) {
       const chunk = fullResponse.substring(i, i + chunkSizeLimit);
       await safeAsync(async () => {
-        await message.reply(chunk);
+        const sent = await message.reply(chunk);
+        replyMessageIds.push(sent.id);
       }, async (error) => {
         console.error('Failed to send message chunk:', error);
         handleDiscordError(error, null, 'message_reply');
@@ -1071,6 +1153,23 @@ client.on("messageCreate", async (message) => {
       }, `message_reply_chunk_${i}`);
     }
 
+    // Remember which memories shaped this reply for the "Why did Bepo say this?" context menu
+    const memorySources = usedMemoryContext && featureFlags.memory_system_enabled
+      ? getConversationMemorySources(message)
+      : null;
+    if (memorySources && (memorySources.userMemoryIds.length > 0 || memorySources.serverMemoryIds.length > 0)) {
+      await safeAsync(async () => {
+        await recordReplyMemorySources(replyMessageIds.map(messageId => ({
+          message_id: messageId,
+          guild_id: message.guild?.id || null,
+          channel_id: message.channel.id,
+          user_id: message.author.id,
+          user_memory_ids: memorySources.userMemoryIds,
+          server_memory_ids: memorySources.serverMemoryIds
+        })));
+      }, null, 'reply_memory_sources');
+    }
+
     // Update thread activity after bot responds (if in bot-managed thread)
     if (isInBotThread) {
       updateThreadActivity(message.channel.id);
@@ -1080,7 +1179,7 @@ client.on("messageCreate", async (message) => {
   }
 
   // Check for markov generation in designated channels
-  if (markovChannelIds.includes(message.channelId.toString())) {
+  if (message.guildId && markovChannelIds.includes(message.channelId.toString())) {
     // Skip markov generation for ASCII art
     if (looksLikeAsciiArt(message.content)) {
       return;
@@ -1089,7 +1188,11 @@ client.on("messageCreate", async (message) => {
     if (Math.random() < 0.0033) {
       // Use enhanced generation with coherence mode enabled
       const targetLength = Math.floor(Math.random() * 50) + 25; // 25-75 words for better variety
-      const generatedText = markov.generate(null, targetLength, true); // Enable coherence mode
+      // Only this server's chain, so nothing learned elsewhere is repeated here
+      const markov = await markovModels.getModel(message.guildId);
+      const generatedText = Object.keys(markov.chain).length > 0
+        ? markov.generate(null, targetLength, true) // Enable coherence mode
+        : '';
 
       if (generatedText.trim().length > 15) { // Lower minimum quality threshold for more responses
         await safeAsync(async () => {
@@ -0,0 +1,124 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { GuildConfigManager, PermissionManager, FEATURE_FLAGS, COMMAND_FEATURES } from '../../utils/guildConfig.js';
+
+const featureChoices = Object.entries(FEATURE_FLAGS).map(([value, { label }]) => ({ name: label, value }));
+
+const configCommand = {
+  data: new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('View and toggle Bepo features for this server')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('view')
+        .setDescription('Show which features are enabled in this server')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set')
+        .setDescription('Enable or disable a feature (admin only)')
+        .addStringOption(option =>
+          option
+            .setName('feature')
+            .setDescription('Feature to toggle')
+            .setRequired(true)
+            .addChoices(...featureChoices)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('enabled')
+            .setDescription('Whether the feature should be enabled')
+            .setRequired(true)
+        )
+    ),
+
+  async execute(interaction) {
+    if (!interaction.guild) {
+      return interaction.reply({
+        content: 'This command can only be used in a server.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case 'view':
+        await handleView(interaction);
+        break;
+
+      case 'set':
+        await handleSet(interaction);
+        break;
+    }
+  },
+};
+
+/**
+ * Handle view subcommand
+ */
+async function handleView(interaction) {
+  const flags = await GuildConfigManager.getFeatureFlags(interaction.guild.id);
+  const embed = buildConfigEmbed(interaction.guild, flags);
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Handle set subcommand
+ */
+async function handleSet(interaction) {
+  const hasPermission = await PermissionManager.hasPermission(interaction.member, interaction.guild.id, 'admin');
+  if (!hasPermission) {
+    return interaction.reply({
+      content: '❌ You need Administrator permissions or be the server owner to change server features.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  const feature = interaction.options.getString('feature');
+  const enabled = interaction.options.getBoolean('enabled');
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const result = await GuildConfigManager.setFeature(interaction.guild, feature, enabled);
+  if (!result.success) {
+    return interaction.editReply({
+      content: `❌ Failed to update ${FEATURE_FLAGS[feature]?.label || feature}: ${result.error || 'unknown error'}`
+    });
+  }
+
+  const flags = await GuildConfigManager.getFeatureFlags(interaction.guild.id);
+  const embed = buildConfigEmbed(interaction.guild, flags)
+    .setDescription(`${enabled ? '✅ Enabled' : '🚫 Disabled'} **${FEATURE_FLAGS[feature].label}**`);
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Build the feature overview embed
+ * @param {Guild} guild - Discord guild
+ * @param {Object} flags - Effective feature flags
+ * @returns {EmbedBuilder} Config embed
+ */
+export function buildConfigEmbed(guild, flags) {
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(`⚙️ Server Features - ${guild.name}`)
+    .setTimestamp();
+
+  for (const [feature, { label, description }] of Object.entries(FEATURE_FLAGS)) {
+    const commands = Object.keys(COMMAND_FEATURES).filter(name => COMMAND_FEATURES[name] === feature);
+    const commandList = commands.length > 0 ? `\nCommands: ${commands.map(name => `/${name}`).join(', ')}` : '';
+
+    embed.addFields({
+      name: `${flags[feature] ? '✅' : '🚫'} ${label}`,
+      value: `${description}${commandList}`,
+      inline: false
+    });
+  }
+
+  embed.setFooter({ text: 'Admins can change these with /config set' });
+  return embed;
+}
+
+export default configCommand;
@@ -1,95 +1,413 @@
-import { SlashCommandBuilder, EmbedBuilder } from "discord.js";
-import { DigestManager, DigestUtils } from "../../utils/digestUtils.js";
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags, ChannelType } from "discord.js";
+import { DigestManager } from "../../utils/digestUtils.js";
+import { PermissionManager } from "../../utils/guildConfig.js";
+import {
+    getDigestSettings,
+    upsertDigestSettings,
+    getLastDigestRun,
+    getScheduledPosts,
+    insertScheduledPost,
+    deleteScheduledPost
+} from "../../supabase/supabase.js";
+import {
+    DEFAULT_TIMEZONE,
+    buildCronFromWeekly,
+    describeCron,
+    getNextRun,
+    validateScheduledPost
+} from "../../utils/scheduledPosts.js";
+
+const AUTO_DIGEST_PERIODS = ['daily', 'weekly'];
+const REPLY_WAIT_MS = 2 * 60 * 1000; // Slower digests are posted to the channel instead of the interaction, whose token expires after 15 minutes
 
 const digestCommand = {
     data: new SlashCommandBuilder()
         .setName("digest")
-        .setDescription("Generate a server activity digest")
-        .addStringOption(option =>
-            option
-                .setName("period")
-                .setDescription("Time period for the digest")
-                .setRequired(false)
-                .addChoices(
-                    { name: "Daily", value: "daily" },
-                    { name: "Weekly", value: "weekly" },
-                    { name: "Last 12 hours", value: "12h" },
-                    { name: "Last hour", value: "1h" }
+        .setDescription("Server activity digests")
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName("now")
+                .setDescription("Generate a server activity digest")
+                .addStringOption(option =>
+                    option
+                        .setName("period")
+                        .setDescription("Time period for the digest")
+                        .setRequired(false)
+                        .addChoices(
+                            { name: "Daily", value: "daily" },
+                            { name: "Weekly", value: "weekly" },
+                            { name: "Last 12 hours", value: "12h" },
+                            { name: "Last hour", value: "1h" }
+                        )
+                )
+                .addBooleanOption(option =>
+                    option
+                        .setName("include_stats")
+                        .setDescription("Include detailed server statistics")
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName("auto")
+                .setDescription("Post a digest automatically every day or week (moderators only)")
+                .addStringOption(option =>
+                    option
+                        .setName("period")
+                        .setDescription("How often to post")
+                        .setRequired(true)
+                        .addChoices(
+                            { name: "Daily", value: "daily" },
+                            { name: "Weekly", value: "weekly" }
+                        )
+                )
+                .addChannelOption(option =>
+                    option
+                        .setName("channel")
+                        .setDescription("Channel to post digests in")
+                        .setRequired(true)
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName("time")
+                        .setDescription("Local time to post, e.g. 09:00 or 9am")
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option
+                        .setName("day")
+                        .setDescription("Day for weekly digests (default: Monday)")
+                        .setRequired(false)
+                        .addChoices(
+                            { name: "Monday", value: "mon" },
+                            { name: "Tuesday", value: "tue" },
+                            { name: "Wednesday", value: "wed" },
+                            { name: "Thursday", value: "thu" },
+                            { name: "Friday", value: "fri" },
+                            { name: "Saturday", value: "sat" },
+                            { name: "Sunday", value: "sun" }
+                        )
+                )
+                .addStringOption(option =>
+                    option
+                        .setName("timezone")
+                        .setDescription(`IANA timezone, e.g. Europe/London (default: ${DEFAULT_TIMEZONE})`)
+                        .setRequired(false)
                 )
         )
-        .addBooleanOption(option =>
-            option
-                .setName("include_stats")
-                .setDescription("Include detailed server statistics")
-                .setRequired(false)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName("off")
+                .setDescription("Stop automatic digests (moderators only)")
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName("channels")
+                .setDescription("Choose which channels digests read from (moderators only)")
+                .addStringOption(option =>
+                    option
+                        .setName("mode")
+                        .setDescription("Only read these channels, skip these channels, or reset")
+                        .setRequired(true)
+                        .addChoices(
+                            { name: "Include only", value: "include" },
+                            { name: "Exclude", value: "exclude" },
+                            { name: "Clear filters", value: "clear" }
+                        )
+                )
+                .addStringOption(option =>
+                    option
+                        .setName("channels")
+                        .setDescription('Channels, e.g. "#general #memes"')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName("settings")
+                .setDescription("Show this server's digest settings")
         ),
-    async execute(interaction) {
-        await interaction.deferReply();
-        
-        const period = interaction.options.getString('period') || 'daily';
-        const includeStats = interaction.options.getBoolean('include_stats') || false;
-        const guild = interaction.guild;
-        
-        try {
-            // Validate period
-            if (!DigestUtils.isValidPeriod(period)) {
-                await interaction.editReply("❌ Invalid time period specified.");
-                return;
-            }
 
-            // Check permissions
-            const permissionCheck = DigestUtils.validateGuildPermissions(guild);
-            if (!permissionCheck.valid) {
-                await interaction.editReply(`⚠️ ${permissionCheck.error}`);
-                return;
-            }
+    async execute(interaction) {
+        if (!interaction.guild) {
+            return interaction.reply({
+                content: 'This command can only be used in a server.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
 
-            // Get time range
-            const { startTime, timeLabel } = DigestManager.getTimeRange(period);
+        const subcommand = interaction.options.getSubcommand();
 
-            // Collect server activity
-            const activityResult = await DigestManager.collectServerActivity(guild, startTime, period);
-            
-            if (!activityResult.success) {
-                await interaction.editReply(`⚠️ ${activityResult.error}`);
-                return;
-            }
+        switch (subcommand) {
+            case 'now':
+                await handleNow(interaction);
+                break;
 
-            // Generate digest
-            const digestResult = await DigestManager.generateDigest(activityResult, guild, timeLabel, includeStats);
-            
-            if (!digestResult.success) {
-                await interaction.editReply(`❌ ${digestResult.error}`);
-                return;
-            }
+            case 'auto':
+                await handleAuto(interaction);
+                break;
 
-            const { digest } = digestResult;
-
-            // Create embed
-            const embed = new EmbedBuilder()
-                .setColor('#0099ff')
-                .setTitle(digest.title)
-                .setDescription(digest.summary)
-                .setThumbnail(guild.iconURL())
-                .setTimestamp()
-                .setFooter({ text: `Generated by Bepo • ${new Date().toLocaleDateString()}` });
-
-            // Add statistics if requested
-            if (digest.stats) {
-                embed.addFields({
-                    name: '📊 Statistics',
-                    value: digest.stats,
-                    inline: false
-                });
-            }
+            case 'off':
+                await handleOff(interaction);
+                break;
 
-            await interaction.editReply({ embeds: [embed] });
+            case 'channels':
+                await handleChannels(interaction);
+                break;
 
-        } catch (error) {
-            console.error('Error generating digest:', error);
-            await interaction.editReply('Failed to generate server digest. The chaos was too much to process 😵');
+            case 'settings':
+                await handleSettings(interaction);
+                break;
         }
     },
 };
 
+/**
+ * Reply with a permission error unless the member can moderate
+ */
+async function requireModerator(interaction) {
+    const allowed = await PermissionManager.hasPermission(interaction.member, interaction.guild.id, 'moderate');
+    if (!allowed) {
+        await interaction.reply({
+            content: '❌ You need the Manage Server permission to change digest settings.',
+            flags: MessageFlags.Ephemeral
+        });
+    }
+    return allowed;
+}
+
+/**
+ * Handle now subcommand
+ */
+async function handleNow(interaction) {
+    await interaction.deferReply();
+
+    const period = interaction.options.getString('period') || 'daily';
+    const includeStats = interaction.options.getBoolean('include_stats') || false;
+    const guild = interaction.guild;
+
+    const digestPromise = DigestManager.createDigest(guild, period, includeStats).catch(error => {
+        console.error('Error generating digest:', error);
+        return { success: false, error: null };
+    });
+
+    let waitTimer;
+    const waited = new Promise(resolve => {
+        waitTimer = setTimeout(() => resolve(null), REPLY_WAIT_MS);
+    });
+    const digestResult = await Promise.race([digestPromise, waited]);
+    clearTimeout(waitTimer);
+
+    if (digestResult) {
+        await interaction.editReply(buildDigestReply(digestResult, guild));
+        return;
+    }
+
+    await interaction.editReply('⏳ This digest is taking a while. I\'ll post it in this channel when it\'s ready.');
+
+    const lateReply = buildDigestReply(await digestPromise, guild);
+    await interaction.channel.send({
+        ...lateReply,
+        content: `<@${interaction.user.id}> ${lateReply.content || 'your digest is ready:'}`,
+        allowedMentions: { users: [interaction.user.id] }
+    }).catch(error => console.error('Error posting digest to channel:', error));
+}
+
+/**
+ * Message payload for a finished /digest now
+ */
+function buildDigestReply(digestResult, guild) {
+    if (!digestResult.success) {
+        return {
+            content: digestResult.error
+                ? `⚠️ ${digestResult.error}`
+                : 'Failed to generate server digest. The chaos was too much to process 😵'
+        };
+    }
+    return { embeds: [DigestManager.buildDigestEmbed(digestResult.digest, guild)] };
+}
+
+/**
+ * Handle auto subcommand - the digest is posted by the scheduled post engine
+ */
+async function handleAuto(interaction) {
+    if (!(await requireModerator(interaction))) return;
+
+    // Several database round trips follow, which can outlast the reply window
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const period = interaction.options.getString('period');
+    const day = period === 'weekly' ? interaction.options.getString('day') || 'mon' : 'daily';
+
+    let cronExpression;
+    try {
+        cronExpression = buildCronFromWeekly(day, interaction.options.getString('time'));
+    } catch (error) {
+        return interaction.editReply(`❌ ${error.message}`);
+    }
+
+    const post = {
+        guild_id: interaction.guild.id,
+        channel_id: interaction.options.getChannel('channel').id,
+        name: `${period === 'weekly' ? 'Weekly' : 'Daily'} digest`,
+        cron_expression: cronExpression,
+        timezone: interaction.options.getString('timezone')?.trim() || DEFAULT_TIMEZONE,
+        post_type: 'digest',
+        digest_period: period,
+        missed_policy: 'catch_up',
+        created_by: interaction.user.id
+    };
+
+    const validation = validateScheduledPost(post);
+    if (!validation.valid) {
+        return interaction.editReply(`❌ ${validation.error}`);
+    }
+    post.next_run_at = getNextRun(post.cron_expression, post.timezone).toISOString();
+
+    // Replace any existing automatic digest rather than posting two. The old one is only
+    // deleted once the new one is stored, so a failed save leaves the guild's schedule as it was.
+    const settings = await getDigestSettings(interaction.guild.id);
+
+    const stored = await insertScheduledPost(post);
+    const saved = stored && await upsertDigestSettings(interaction.guild.id, {
+        auto_schedule_id: stored.id,
+        updated_by: interaction.user.id
+    });
+
+    if (!saved) {
+        if (stored) await deleteScheduledPost(interaction.guild.id, stored.id);
+        return interaction.editReply('❌ Failed to save the automatic digest. Please try again.');
+    }
+
+    if (settings?.auto_schedule_id) {
+        await deleteScheduledPost(interaction.guild.id, settings.auto_schedule_id);
+    }
+
+    await interaction.editReply(
+        `📊 ${stored.name}s will post in <#${stored.channel_id}> ${describeCron(stored.cron_expression)} (${stored.timezone}). ` +
+        `First one <t:${Math.floor(new Date(stored.next_run_at).getTime() / 1000)}:R>.`
+    );
+}
+
+/**
+ * Handle off subcommand
+ */
+async function handleOff(interaction) {
+    if (!(await requireModerator(interaction))) return;
+
+    const settings = await getDigestSettings(interaction.guild.id);
+    const removed = settings?.auto_schedule_id
+        ? await deleteScheduledPost(interaction.guild.id, settings.auto_schedule_id)
+        : null;
+
+    if (!removed) {
+        return interaction.reply({ content: 'Automatic digests are not turned on for this server.', flags: MessageFlags.Ephemeral });
+    }
+
+    await upsertDigestSettings(interaction.guild.id, { auto_schedule_id: null, updated_by: interaction.user.id });
+
+    await interaction.reply({ content: `🛑 Stopped the **${removed.name}**.`, flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Handle channels subcommand
+ */
+async function handleChannels(interaction) {
+    if (!(await requireModerator(interaction))) return;
+
+    const mode = interaction.options.getString('mode');
+    const channelIds = [...(interaction.options.getString('channels') || '').matchAll(/<#(\d+)>|\b(\d{17,20})\b/g)]
+        .map(match => match[1] || match[2]);
+
+    if (mode !== 'clear' && channelIds.length === 0) {
+        return interaction.reply({
+            content: '❌ No channels found. Mention them like `#general #memes`.',
+            flags: MessageFlags.Ephemeral
+        });
+    }
+
+    const updates = mode === 'clear'
+        ? { include_channel_ids: [], exclude_channel_ids: [] }
+        : { [`${mode}_channel_ids`]: [...new Set(channelIds)] };
+
+    const saved = await upsertDigestSettings(interaction.guild.id, { ...updates, updated_by: interaction.user.id });
+    if (!saved) {
+        return interaction.reply({ content: '❌ Failed to save digest channels. Please try again.', flags: MessageFlags.Ephemeral });
+    }
+
+    await interaction.reply({
+        content: `✅ Digest channels updated.\n${describeChannelFilters(saved)}`,
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+/**
+ * Handle settings subcommand
+ */
+async function handleSettings(interaction) {
+    const guildId = interaction.guild.id;
+    const [settings, posts, ...lastRuns] = await Promise.all([
+        getDigestSettings(guildId),
+        getScheduledPosts(guildId),
+        ...AUTO_DIGEST_PERIODS.map(period => getLastDigestRun(guildId, period))
+    ]);
+
+    const autoPost = posts.find(post => post.id === settings?.auto_schedule_id);
+
+    const embed = new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle(`📊 Digest Settings - ${interaction.guild.name}`)
+        .addFields(
+            {
+                name: 'Automatic digest',
+                value: autoPost
+                    ? `${autoPost.name} in <#${autoPost.channel_id}>, ${describeCron(autoPost.cron_expression)} (${autoPost.timezone})` +
+                        (autoPost.enabled ? '' : ' - paused')
+                    : 'Off. Turn it on with `/digest auto`.',
+                inline: false
+            },
+            { name: 'Channels', value: describeChannelFilters(settings), inline: false },
+            {
+                name: 'Last digested',
+                value: AUTO_DIGEST_PERIODS.map((period, index) => {
+                    const run = lastRuns[index];
+                    return run
+                        ? `**${period}:** <t:${toUnix(run.window_start)}:f> → <t:${toUnix(run.window_end)}:f> (${run.message_count} messages)`
+                        : `**${period}:** never`;
+                }).join('\n'),
+                inline: false
+            }
+        )
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Summarize include/exclude lists for replies
+ * @param {Object|null} settings - Digest settings
+ * @returns {string} Human-readable description
+ */
+function describeChannelFilters(settings) {
+    const include = settings?.include_channel_ids || [];
+    const exclude = settings?.exclude_channel_ids || [];
+    const lines = [
+        include.length > 0
+            ? `Only reads: ${include.map(id => `<#${id}>`).join(' ')}`
+            : 'Reads every channel Bepo can see (most active first)'
+    ];
+    if (exclude.length > 0) {
+        lines.push(`Skips: ${exclude.map(id => `<#${id}>`).join(' ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Convert a stored timestamp to seconds for Discord <t:...> tags
+ */
+function toUnix(timestamp) {
+    return Math.floor(new Date(timestamp).getTime() / 1000);
+}
+
 export default digestCommand;
@@ -2,6 +2,7 @@ import { SlashCommandBuilder, EmbedBuilder, MessageFlags, ActionRowBuilder, Butt
 import errorHandler from '../../utils/errorHandler.js';
 import healthMonitor from '../../utils/healthMonitor.js';
 import { getStatusChecker } from '../../utils/statusChecker.js';
+import { getMediaBinaryStatus } from '../../utils/mediaBinaries.js';
 
 const healthCommand = {
     data: new SlashCommandBuilder()
@@ -112,6 +113,17 @@ const healthCommand = {
     }
 };
 
+// yt-dlp and FFmpeg as found by the startup check
+function formatMediaStatus(status) {
+    if (!status) return 'Not checked yet';
+
+    return Object.entries(status.binaries)
+        .map(([name, binary]) => binary.ok
+            ? `✅ **${name}** ${binary.version}`
+            : `${binary.optional ? '⚠️' : '❌'} **${name}** ${binary.error} (\`${binary.path}\`)`)
+        .join('\n');
+}
+
 // Helper function to create health embed with components
 async function createHealthEmbed(detailed = false) {
     const health = errorHandler.getHealthStatus();
@@ -172,6 +184,12 @@ async function createHealthEmbed(detailed = false) {
             }
         );
 
+    embed.addFields({
+        name: '🎵 Music Tools',
+        value: formatMediaStatus(getMediaBinaryStatus()),
+        inline: false
+    });
+
     // Add offline-specific information if bot is down
     if (!isOperational) {
         const lastSeenTime = systemStatus.bot.lastSeen ? 
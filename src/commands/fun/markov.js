@@ -1,4 +1,18 @@
-import { SlashCommandBuilder, MessageFlags } from "discord.js";
+import { SlashCommandBuilder, MessageFlags, ChannelType } from "discord.js";
+
+const MODE_LABELS = {
+  start: "Start with prompt",
+  complete: "Finish my sentence",
+  backward: "End with prompt",
+  reply: "Reply to prompt",
+  mix: "Mix two users"
+};
+
+// Modes that build on the prompt instead of treating it as optional
+const PROMPT_MODES = ["complete", "backward", "reply"];
+
+// Byte counts as megabytes with two decimals
+const formatMegabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
 
 export default {
   data: new SlashCommandBuilder()
@@ -12,6 +26,17 @@ export default {
           option.setName("prompt")
             .setDescription("Starting phrase for generation (optional)")
             .setRequired(false))
+        .addStringOption(option =>
+          option.setName("mode")
+            .setDescription("How to use the prompt (default: start with it)")
+            .setRequired(false)
+            .addChoices(
+              { name: "Start with prompt", value: "start" },
+              { name: "Finish my sentence", value: "complete" },
+              { name: "End with prompt", value: "backward" },
+              { name: "Reply to prompt", value: "reply" },
+              { name: "Mix two users", value: "mix" }
+            ))
         .addIntegerOption(option =>
           option.setName("length")
             .setDescription("Target length in words (20-150)")
@@ -21,15 +46,69 @@ export default {
         .addBooleanOption(option =>
           option.setName("coherent")
             .setDescription("Use coherence mode for better sentence structure (default: true)")
-            .setRequired(false)))
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName("scope")
+            .setDescription("Which model to talk like (default: the whole server)")
+            .setRequired(false)
+            .addChoices(
+              { name: "Server", value: "guild" },
+              { name: "Channel", value: "channel" },
+              { name: "User", value: "user" }
+            ))
+        .addChannelOption(option =>
+          option.setName("channel")
+            .setDescription("Channel to talk like (default: this channel)")
+            .setRequired(false)
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+        .addUserOption(option =>
+          option.setName("user")
+            .setDescription("Member to talk like")
+            .setRequired(false))
+        .addUserOption(option =>
+          option.setName("with_user")
+            .setDescription("Second member to mix with for Mix two users")
+            .setRequired(false))
+        .addNumberOption(option =>
+          option.setName("temperature")
+            .setDescription("Randomness from 0 (predictable) to 2 (chaotic), default 1")
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(2)))
     .addSubcommand(subcommand =>
       subcommand
         .setName("stats")
-        .setDescription("Show Markov chain training statistics")),
+        .setDescription("Show Markov chain training statistics"))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName("optout")
+        .setDescription("Stop Bepo from learning from your messages"))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName("optin")
+        .setDescription("Let Bepo learn from your messages again"))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName("forget")
+        .setDescription("Remove everything Bepo's Markov chains learned from you")),
 
   async execute(interaction) {
     const subcommand = interaction.options.getSubcommand();
 
+    // Privacy controls apply everywhere, so they also work in DMs
+    if (subcommand === "optout" || subcommand === "optin") {
+      return this.handleOptOut(interaction, subcommand === "optout");
+    } else if (subcommand === "forget") {
+      return this.handleForget(interaction);
+    }
+
+    if (!interaction.guild) {
+      return interaction.reply({
+        content: "❌ Markov models are per server, so this command only works in a server.",
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
     if (subcommand === "stats") {
       return this.handleStats(interaction);
     } else if (subcommand === "generate") {
@@ -37,21 +116,53 @@ export default {
     }
   },
 
+  // Work out which model the options point at; defaults to the whole server
+  resolveModel(interaction) {
+    const user = interaction.options.getUser("user");
+    const channel = interaction.options.getChannel("channel");
+    const scope = interaction.options.getString("scope") || (user ? "user" : channel ? "channel" : "guild");
+
+    if (scope === "user") {
+      const target = user || interaction.user;
+      return { scope, id: target.id, users: [target], label: `@${target.displayName || target.username}` };
+    }
+    if (scope === "channel") {
+      const channelId = channel?.id || interaction.channelId;
+      return { scope, id: channelId, label: `<#${channelId}>` };
+    }
+    return { scope: "guild", id: null, label: "this server" };
+  },
+
+  // Two different members for Mix two users, or null if the options don't name them
+  resolveMix(interaction) {
+    const first = interaction.options.getUser("user");
+    const second = interaction.options.getUser("with_user");
+    if (!first || !second || first.id === second.id) return null;
+
+    const users = [first, second];
+    return { scope: "mix", users, label: users.map(user => `@${user.displayName || user.username}`).join(" + ") };
+  },
+
   async handleStats(interaction) {
-    const markov = interaction.client.markov;
+    const models = interaction.client.markovModels;
     
-    if (!markov) {
+    if (!models) {
       return interaction.reply({
         content: "❌ Markov chain not available.",
         flags: MessageFlags.Ephemeral
       });
     }
 
+    const markov = await models.getModel(interaction.guild.id);
+    const modelCounts = await models.getModelCounts(interaction.guild.id);
+    const storage = await models.getStorageStats(interaction.guild.id);
+
     const chainSize = Object.keys(markov.chain).length;
     const startersCount = markov.sentenceStarters.size;
     const endersCount = markov.sentenceEnders.size;
     const uniqueWords = Object.keys(markov.wordFrequency).length;
     const totalWords = Object.values(markov.wordFrequency).reduce((sum, count) => sum + count, 0);
+    const transitions = markov.getTransitionCount();
     const userMappings = markov.userMappings.size;
     
     // Find most common words (excluding very short words for better stats)
@@ -62,12 +173,12 @@ export default {
       .map(([word, count]) => `${word} (${count})`);
 
     const statsEmbed = {
-      title: "🤖 Markov Chain Statistics",
+      title: `🤖 Markov Chain Statistics - ${interaction.guild.name}`,
       color: 0x00ff00,
       fields: [
         {
           name: "Training Data",
-          value: `**Chain Keys:** ${chainSize.toLocaleString()}\n**Unique Words:** ${uniqueWords.toLocaleString()}\n**Total Words Processed:** ${totalWords.toLocaleString()}`,
+          value: `**Chain Keys:** ${chainSize.toLocaleString()}\n**Transitions:** ${transitions.toLocaleString()}\n**Unique Words:** ${uniqueWords.toLocaleString()}\n**Total Words Processed:** ${totalWords.toLocaleString()}`,
           inline: true
         },
         {
@@ -80,6 +191,16 @@ export default {
           value: `**Known Users:** ${userMappings}\n**Text Preprocessing:** Enabled\n**User ID Filtering:** Active`,
           inline: true
         },
+        {
+          name: "Models",
+          value: `**Channel Models:** ${modelCounts.channel}\n**User Models:** ${modelCounts.user}`,
+          inline: true
+        },
+        {
+          name: "Storage",
+          value: `**Memory (loaded models):** ~${formatMegabytes(storage.memoryBytes)}\n**Disk:** ${formatMegabytes(storage.diskBytes)}`,
+          inline: true
+        },
         {
           name: "Most Common Words",
           value: topWords.join('\n') || "No data",
@@ -87,24 +208,110 @@ export default {
         }
       ],
       footer: {
-        text: "The bot learns from messages in designated channels • User IDs are filtered for better output"
+        text: "The bot learns from messages in designated channels of this server only • User IDs are filtered for better output"
       }
     };
 
     await interaction.reply({ embeds: [statsEmbed] });
   },
 
+  async handleOptOut(interaction, optedOut) {
+    const models = interaction.client.markovModels;
+    const saved = models && await models.setOptOut(interaction.user.id, optedOut);
+
+    if (!saved) {
+      return interaction.reply({
+        content: "❌ Failed to save your Markov preference. Please try again.",
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    await interaction.reply({
+      content: optedOut
+        ? "🔒 Bepo will no longer learn from your messages or talk like you. Use `/markov forget` to also remove what it already learned."
+        : "✅ Bepo will learn from your messages in the Markov channels again.",
+      flags: MessageFlags.Ephemeral
+    });
+  },
+
+  async handleForget(interaction) {
+    const models = interaction.client.markovModels;
+
+    if (!models) {
+      return interaction.reply({
+        content: "❌ Markov chain not available.",
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    try {
+      const result = await models.forgetUser(interaction.user.id);
+
+      await interaction.editReply({
+        content: result.guilds > 0
+          ? `🧹 Removed ${result.transitions.toLocaleString()} learned transitions from ${result.guilds} server(s) and deleted your Markov models.\n` +
+            "*Messages learned before per-user models existed can't be told apart and were not removed.*"
+          : "Bepo hasn't learned anything from you, so there was nothing to forget."
+      });
+    } catch (error) {
+      console.error("Markov forget error:", error);
+      await interaction.editReply({
+        content: "❌ An error occurred while removing your data. Please try again."
+      });
+    }
+  },
+
   async handleGenerate(interaction) {
     const prompt = interaction.options.getString("prompt");
     const length = interaction.options.getInteger("length") || 50;
     const coherent = interaction.options.getBoolean("coherent") ?? true;
+    const mode = interaction.options.getString("mode") || "start";
+    const temperature = interaction.options.getNumber("temperature");
+
+    // Get the requested model for this server from the client
+    const models = interaction.client.markovModels;
+
+    if (!models) {
+      return interaction.reply({
+        content: "❌ Markov chain not available.",
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    if (PROMPT_MODES.includes(mode) && !prompt) {
+      return interaction.reply({
+        content: `❌ **${MODE_LABELS[mode]}** needs a \`prompt\`.`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
 
-    // Get the markov instance from the client
-    const markov = interaction.client.markov;
+    const target = mode === "mix" ? this.resolveMix(interaction) : this.resolveModel(interaction);
+
+    if (!target) {
+      return interaction.reply({
+        content: "❌ Pick two different members with `user` and `with_user` to mix.",
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    for (const user of target.users || []) {
+      if (await models.isOptedOut(user.id)) {
+        return interaction.reply({
+          content: `🔒 @${user.displayName || user.username} has opted out of Markov, so Bepo won't talk like them.`,
+          flags: MessageFlags.Ephemeral
+        });
+      }
+    }
+
+    const markov = target.scope === "mix"
+      ? await models.getMixedModel(interaction.guild.id, target.users.map(user => user.id))
+      : await models.getModel(interaction.guild.id, target.scope, target.id);
     
-    if (!markov || Object.keys(markov.chain).length === 0) {
+    if (Object.keys(markov.chain).length === 0) {
       return interaction.reply({
-        content: "❌ Markov chain hasn't been trained yet or has no data. Send some messages first!",
+        content: `❌ There's no training data for ${target.label} yet. Send some messages in the Markov channels first!`,
         flags: MessageFlags.Ephemeral
       });
     }
@@ -113,12 +320,19 @@ export default {
 
     try {
       // Update user mappings before generation
-      markov.setUserMappings(interaction.client);
+      models.setUserMappings(interaction.client);
       
-      // Generate text with the enhanced features
+      // Coherent mode defaults to a calmer temperature than creative mode
+      const options = { targetLength: length, temperature: temperature ?? (coherent ? 1 : 1.5) };
       let generatedText;
       
-      if (prompt) {
+      if (mode === "complete") {
+        generatedText = markov.complete(prompt, options);
+      } else if (mode === "backward") {
+        generatedText = markov.generateBackward(prompt, options);
+      } else if (mode === "reply") {
+        generatedText = markov.reply(prompt, options);
+      } else if (prompt) {
         // Try to find a matching key that starts with the prompt
         const keys = Object.keys(markov.chain);
         const matchingKey = keys.find(key => 
@@ -126,14 +340,20 @@ export default {
         );
         
         if (matchingKey) {
-          generatedText = markov.generate(matchingKey, length, coherent);
+          generatedText = markov.generate(matchingKey, length, coherent, { temperature });
         } else {
           // If no exact match, generate normally and mention the prompt wasn't found
-          generatedText = markov.generate(null, length, coherent);
+          generatedText = markov.generate(null, length, coherent, { temperature });
           generatedText = `*Prompt "${prompt}" not found in training data, generated randomly:*\n\n${generatedText}`;
         }
       } else {
-        generatedText = markov.generate(null, length, coherent);
+        generatedText = markov.generate(null, length, coherent, { temperature });
+      }
+
+      if (generatedText === null) {
+        return interaction.editReply({
+          content: `❌ Nothing ${target.label} has said matches "${prompt}", so there's nothing to build from.`
+        });
       }
 
       if (!generatedText || generatedText.trim().length < 15) {
@@ -145,7 +365,8 @@ export default {
       // Add generation info
       const modeText = coherent ? "Coherent" : "Creative";
       const wordCount = generatedText.replace(/\*.*?\*/g, '').split(' ').filter(w => w.length > 0).length; // Exclude italicized text from word count
-      const footer = `\n\n*Generated using ${modeText} mode • ${wordCount} words • User IDs filtered*`;
+      const temperatureText = temperature === null ? "" : ` • Temperature ${temperature}`;
+      const footer = `\n\n*Talking like ${target.label} • ${MODE_LABELS[mode]} • ${modeText} mode${temperatureText} • ${wordCount} words • User IDs filtered*`;
       
       const finalText = generatedText + footer;
       
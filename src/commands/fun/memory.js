@@ -1,6 +1,16 @@
-import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import {
+  SlashCommandBuilder,
+  MessageFlags,
+  ActionRowBuilder,
+  StringSelectMenuBuilder,
+  StringSelectMenuOptionBuilder,
+  ComponentType,
+  AttachmentBuilder
+} from 'discord.js';
 import { UserMemoryManager, MemoryUtils } from '../../utils/memoryUtils.js';
 
+const FACT_REVIEW_TIME = 2 * 60 * 1000; // How long the pin/reject menus stay active
+
 export const data = new SlashCommandBuilder()
   .setName('memory')
   .setDescription('Manage your personal memory with Bepo')
@@ -15,7 +25,8 @@ export const data = new SlashCommandBuilder()
             { name: 'All', value: 'all' },
             { name: 'Conversations', value: 'conversation' },
             { name: 'Preferences', value: 'preference' },
-            { name: 'Summaries', value: 'conversation_summary' }
+            { name: 'Summaries', value: 'conversation_summary' },
+            { name: 'Facts', value: 'fact' }
           )))
   .addSubcommand(subcommand =>
     subcommand
@@ -29,7 +40,8 @@ export const data = new SlashCommandBuilder()
             { name: 'All', value: 'all' },
             { name: 'Conversations', value: 'conversation' },
             { name: 'Preferences', value: 'preference' },
-            { name: 'Summaries', value: 'conversation_summary' }
+            { name: 'Summaries', value: 'conversation_summary' },
+            { name: 'Facts', value: 'fact' }
           )))
   .addSubcommand(subcommand =>
     subcommand
@@ -46,7 +58,8 @@ export const data = new SlashCommandBuilder()
             { name: 'All', value: 'all' },
             { name: 'Conversations', value: 'conversation' },
             { name: 'Preferences', value: 'preference' },
-            { name: 'Summaries', value: 'conversation_summary' }
+            { name: 'Summaries', value: 'conversation_summary' },
+            { name: 'Facts', value: 'fact' }
           )))
   .addSubcommand(subcommand =>
     subcommand
@@ -63,7 +76,38 @@ export const data = new SlashCommandBuilder()
   .addSubcommand(subcommand =>
     subcommand
       .setName('stats')
-      .setDescription('View your memory statistics'));
+      .setDescription('View your memory statistics'))
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('pin')
+      .setDescription('Keep a memory from being cleaned up automatically')
+      .addStringOption(option =>
+        option.setName('id')
+          .setDescription('Memory ID from /memory view')
+          .setRequired(true)))
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('expire')
+      .setDescription('Make a memory expire after a while')
+      .addStringOption(option =>
+        option.setName('id')
+          .setDescription('Memory ID from /memory view')
+          .setRequired(true))
+      .addStringOption(option =>
+        option.setName('duration')
+          .setDescription('How long to keep it, e.g. 12h, 3d, 1w, or "never" to keep it')
+          .setRequired(true)))
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('export')
+      .setDescription('Get a file of everything Bepo remembers about you by DM')
+      .addStringOption(option =>
+        option.setName('format')
+          .setDescription('File format (default: JSON)')
+          .addChoices(
+            { name: 'JSON', value: 'json' },
+            { name: 'Markdown', value: 'markdown' }
+          )));
 
 export async function execute(interaction) {
   const subcommand = interaction.options.getSubcommand();
@@ -88,6 +132,10 @@ export async function execute(interaction) {
         });
       }
 
+      if (type === 'fact') {
+        return await showFactReview(interaction, result.memories);
+      }
+
       const memoryText = MemoryUtils.formatMemoryList(result.memories, result.hasMore);
 
       return interaction.reply({
@@ -161,6 +209,27 @@ export async function execute(interaction) {
         flags: MessageFlags.Ephemeral
       });
 
+    } else if (subcommand === 'pin' || subcommand === 'expire') {
+      const memoryId = MemoryUtils.parseMemoryId(interaction.options.getString('id'));
+      if (!memoryId) {
+        return interaction.reply({
+          content: 'Please provide a memory ID from `/memory view`.',
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      const result = subcommand === 'pin'
+        ? await UserMemoryManager.pinMemory(memoryId, userId)
+        : await UserMemoryManager.setExpiry(memoryId, userId, interaction.options.getString('duration'));
+
+      return interaction.reply({
+        content: result.success ? result.message : (result.error || 'Failed to update the memory.'),
+        flags: MessageFlags.Ephemeral
+      });
+
+    } else if (subcommand === 'export') {
+      return await handleExport(interaction, interaction.options.getString('format') || 'json');
+
     } else if (subcommand === 'stats') {
       const result = await UserMemoryManager.getStats(userId);
       
@@ -180,7 +249,8 @@ export async function execute(interaction) {
           `Conversations: **${stats.byType.conversation || 0}**\n` +
           `Preferences: **${stats.byType.preference || 0}**\n` +
           `Summaries: **${stats.byType.conversation_summary || 0}**\n` +
-          `Other: **${Object.entries(stats.byType).filter(([key]) => !['conversation', 'preference', 'conversation_summary'].includes(key)).reduce((sum, [, count]) => sum + count, 0)}**\n\n` +
+          `Facts: **${stats.byType.fact || 0}**\n` +
+          `Other: **${Object.entries(stats.byType).filter(([key]) => !['conversation', 'preference', 'conversation_summary', 'fact'].includes(key)).reduce((sum, [, count]) => sum + count, 0)}**\n\n` +
           `${oldestDate ? `Oldest memory: ${getTimeAgo(oldestDate)}` : 'No memories yet'}`,
         flags: MessageFlags.Ephemeral
       });
@@ -195,6 +265,90 @@ export async function execute(interaction) {
   }
 }
 
+/**
+ * DM the user a file of their memories, or attach it to the reply if their DMs are closed
+ */
+async function handleExport(interaction, format) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const result = await UserMemoryManager.exportMemories(interaction.user.id, format);
+  if (!result.success) {
+    return interaction.editReply(result.error || 'Failed to export your memories.');
+  }
+
+  const file = new AttachmentBuilder(Buffer.from(result.content, 'utf8'), { name: result.fileName });
+  const summary = `Here are the ${result.total} memories Bepo has about you.`;
+
+  try {
+    await interaction.user.send({ content: `📦 ${summary}`, files: [file] });
+    return interaction.editReply(`📬 Sent you a DM with your memory export (${result.total} memories).`);
+  } catch (error) {
+    console.error('Memory export DM failed:', error.message);
+    return interaction.editReply({ content: `📦 I couldn't DM you, so here's the file instead. ${summary}`, files: [file] });
+  }
+}
+
+/**
+ * Build the menus for pinning or rejecting listed facts
+ */
+function createFactReviewMenus(facts) {
+  const createMenu = (customId, placeholder) => new StringSelectMenuBuilder()
+    .setCustomId(customId)
+    .setPlaceholder(placeholder)
+    .setMinValues(1)
+    .setMaxValues(facts.length)
+    .addOptions(facts.map(fact => new StringSelectMenuOptionBuilder()
+      .setLabel(`${fact.index}. ${fact.content}`.substring(0, 100))
+      .setValue(fact.id)));
+
+  return [
+    new ActionRowBuilder().addComponents(createMenu('memory_fact_pin', '📌 Pin facts that are right')),
+    new ActionRowBuilder().addComponents(createMenu('memory_fact_reject', '🚫 Reject facts that are wrong'))
+  ];
+}
+
+function formatFactReview(facts, notice = '') {
+  return `${notice ? `${notice}\n\n` : ''}**Facts I've picked up about you:**\n\n${MemoryUtils.formatFactList(facts)}\n\n` +
+    '*Pinned facts are never changed automatically. Rejected facts are left out of my replies.*';
+}
+
+/**
+ * List extracted facts with menus to pin or reject them
+ */
+async function showFactReview(interaction, facts) {
+  const response = await interaction.reply({
+    content: formatFactReview(facts),
+    components: createFactReviewMenus(facts),
+    flags: MessageFlags.Ephemeral
+  });
+
+  const collector = response.createMessageComponentCollector({
+    componentType: ComponentType.StringSelect,
+    time: FACT_REVIEW_TIME
+  });
+
+  collector.on('collect', async (selection) => {
+    try {
+      const action = selection.customId === 'memory_fact_pin' ? 'pin' : 'reject';
+      const review = await UserMemoryManager.reviewFacts(interaction.user.id, selection.values, action);
+      const refreshed = await UserMemoryManager.getFormattedMemories(interaction.user.id, 'fact');
+      const current = refreshed.success && refreshed.memories.length > 0 ? refreshed.memories : facts;
+
+      await selection.update({
+        content: formatFactReview(current, review.success ? review.message : review.error),
+        components: createFactReviewMenus(current)
+      });
+    } catch (error) {
+      console.error('Fact review error:', error);
+    }
+  });
+
+  // The menus stop working once the collector ends, so take them away
+  collector.on('end', async () => {
+    await interaction.editReply({ components: [] }).catch(() => {});
+  });
+}
+
 /**
  * Get helpful text for preference setting
  */
@@ -0,0 +1,100 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { backfillEmbeddings, getEmbeddingStats } from '../../supabase/supabase.js';
+
+// Interaction replies can only be edited for 15 minutes, so stop a little before that
+const MAX_RUN_TIME = 14 * 60 * 1000;
+
+/**
+ * Format embedding coverage from get_embedding_stats rows
+ */
+function formatCoverage(stats) {
+    if (!stats || stats.length === 0) return 'Coverage unavailable';
+
+    return stats.map(row =>
+        `\`${row.table_name}\`: ${row.rows_with_embeddings}/${row.total_rows} (${row.percentage ?? 0}%)`
+    ).join('\n');
+}
+
+function formatProgress(totals, stats, status) {
+    return `${status}\n\n` +
+        `User memories embedded: **${totals.user}**\n` +
+        `Server memories embedded: **${totals.server}**\n` +
+        `Failed: **${totals.errors}**\n` +
+        `Estimated cost: $${totals.cost.toFixed(4)}\n\n` +
+        `**Coverage:**\n${formatCoverage(stats)}`;
+}
+
+const memoryBackfillCommand = {
+    data: new SlashCommandBuilder()
+        .setName('memory-backfill')
+        .setDescription('Admin: Add embeddings to stored memories that have none')
+        .addIntegerOption(option =>
+            option.setName('batch_size')
+                .setDescription('Memories per table in each batch (default 50)')
+                .setMinValue(1)
+                .setMaxValue(100)
+                .setRequired(false)
+        ),
+
+    async execute(interaction) {
+        // Backfills every guild's memories and costs API usage, so only the bot owner can run it
+        if (interaction.user.id !== process.env.CODE_MONKEY) {
+            return await interaction.reply({
+                content: '❌ Only the bot owner can backfill memory embeddings.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        try {
+            await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+            const batchSize = interaction.options.getInteger('batch_size') || 50;
+            const totals = { user: 0, server: 0, errors: 0, cost: 0 };
+            const startTime = Date.now();
+
+            await interaction.editReply(formatProgress(totals, await getEmbeddingStats(), '⏳ Backfilling embeddings...'));
+
+            let batches = 0;
+            while (true) {
+                const result = await backfillEmbeddings(batchSize);
+
+                if (result.error) {
+                    await interaction.editReply(formatProgress(totals, await getEmbeddingStats(), `❌ Backfill stopped: ${result.error}`));
+                    return;
+                }
+
+                batches++;
+                totals.user += result.userMemoriesProcessed;
+                totals.server += result.serverMemoriesProcessed;
+                totals.errors += result.errors;
+                totals.cost = result.totalCost || 0;
+
+                // Nothing left, or the rest can't be embedded (e.g. no OpenAI key)
+                if (result.userMemoriesProcessed + result.serverMemoriesProcessed === 0) {
+                    break;
+                }
+
+                if (Date.now() - startTime > MAX_RUN_TIME) {
+                    await interaction.editReply(formatProgress(totals, await getEmbeddingStats(), '⏸️ Stopped before the reply expires. Run the command again to continue.'));
+                    return;
+                }
+
+                await interaction.editReply(formatProgress(totals, await getEmbeddingStats(), `⏳ Backfilling embeddings... (batch ${batches})`));
+            }
+
+            const status = totals.user + totals.server > 0
+                ? '✅ Backfill complete.'
+                : totals.errors > 0
+                    ? '⚠️ No embeddings could be generated. Check that OPENAI_KEY is set.'
+                    : '✅ Every memory already has an embedding.';
+
+            await interaction.editReply(formatProgress(totals, await getEmbeddingStats(), status));
+
+        } catch (error) {
+            console.error('Error in memory-backfill command:', error);
+            await interaction.editReply('❌ An error occurred while backfilling embeddings.');
+        }
+    },
+};
+
+export default memoryBackfillCommand;
@@ -0,0 +1,514 @@
+import {
+  SlashCommandBuilder,
+  EmbedBuilder,
+  MessageFlags,
+  ActionRowBuilder,
+  StringSelectMenuBuilder,
+  StringSelectMenuOptionBuilder,
+  ComponentType,
+  ChannelType
+} from 'discord.js';
+import {
+  musicQueues,
+  addToQueue,
+  jumpInQueue,
+  startSavedQueue,
+  getQueueAllowance,
+  getDefaultVolume,
+  setVolume,
+  setFilters,
+  seekTo,
+  replayCurrentTrack,
+  checkMusicControl,
+  getGuildMusicSettings,
+  updateGuildMusicSettings
+} from './play.js';
+import { getMusicHistory, getMusicStats } from '../../supabase/supabase.js';
+import { PermissionManager } from '../../utils/guildConfig.js';
+import voiceActivityManager from '../../utils/voiceActivityManager.js';
+import { AUDIO_FILTERS, MIN_VOLUME, MAX_VOLUME, toggleFilter } from '../../utils/audioEffects.js';
+import { parseTimestamp, formatTimestamp, formatListeningTime } from '../../utils/musicTime.js';
+
+const NOTHING_PLAYING = 'No music is currently playing! Use `/play` to start a queue.';
+const HISTORY_LIMIT = 10; // Also the most options a history select menu shows
+const HISTORY_PICK_TIMEOUT = 60 * 1000;
+
+const STATS_PERIODS = {
+  week: { label: 'the past week', days: 7 },
+  month: { label: 'the past 30 days', days: 30 },
+  all: { label: 'all time', days: null }
+};
+
+const describeFilters = (filters) => filters.length > 0
+  ? filters.map(name => AUDIO_FILTERS[name].label).join(', ')
+  : 'none';
+
+const musicCommand = {
+  data: new SlashCommandBuilder()
+    .setName('music')
+    .setDescription('Volume, effects and seeking for the music player')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('volume')
+        .setDescription('Show or set the volume (remembered for this server)')
+        .addIntegerOption(option =>
+          option.setName('level')
+            .setDescription(`Volume in percent (${MIN_VOLUME}-${MAX_VOLUME}, default 100)`)
+            .setRequired(false)
+            .setMinValue(MIN_VOLUME)
+            .setMaxValue(MAX_VOLUME)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('filter')
+        .setDescription('Turn an audio effect on or off for the current queue')
+        .addStringOption(option =>
+          option.setName('effect')
+            .setDescription('Effect to toggle')
+            .setRequired(true)
+            .addChoices(
+              ...Object.entries(AUDIO_FILTERS).map(([value, filter]) => ({
+                name: `${filter.label} - ${filter.description}`,
+                value
+              })),
+              { name: 'Off - Remove every effect', value: 'off' }
+            )))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('seek')
+        .setDescription('Jump to a point in the current song')
+        .addStringOption(option =>
+          option.setName('time')
+            .setDescription('Where to jump to, like 1:30 or 90')
+            .setRequired(true)
+            .setMaxLength(8)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('replay')
+        .setDescription('Play the current song again from the start'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('settings')
+        .setDescription('Show or change who controls the music (changing needs Manage Server)')
+        .addRoleOption(option =>
+          option.setName('dj_role')
+            .setDescription('Members with this role can skip and stop without a vote')
+            .setRequired(false))
+        .addBooleanOption(option =>
+          option.setName('clear_dj_role')
+            .setDescription('Remove the DJ role (only people who can manage the server stay DJs)')
+            .setRequired(false))
+        .addIntegerOption(option =>
+          option.setName('vote_skip_percent')
+            .setDescription('Share of listeners that must vote to skip a song (default 50)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(100))
+        .addIntegerOption(option =>
+          option.setName('max_songs_per_user')
+            .setDescription('Most songs one person can have waiting in the queue (0 for no limit)')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(500)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('history')
+        .setDescription('Show the songs played here recently and queue them again')
+        .addUserOption(option =>
+          option.setName('user')
+            .setDescription('Only show songs this person queued')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('stats')
+        .setDescription('Top songs, top requesters and listening time for this server')
+        .addStringOption(option =>
+          option.setName('period')
+            .setDescription('Time to cover (default: past 30 days)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Past week', value: 'week' },
+              { name: 'Past 30 days', value: 'month' },
+              { name: 'All time', value: 'all' }
+            ))),
+
+  async execute(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case 'volume':
+        await handleVolume(interaction);
+        break;
+
+      case 'filter':
+        await handleFilter(interaction);
+        break;
+
+      case 'seek':
+        await handleSeek(interaction);
+        break;
+
+      case 'replay':
+        await handleReplay(interaction);
+        break;
+
+      case 'settings':
+        await handleSettings(interaction);
+        break;
+
+      case 'history':
+        await handleHistory(interaction);
+        break;
+
+      case 'stats':
+        await handleStats(interaction);
+        break;
+
+      default:
+        await interaction.reply({ content: 'Unknown subcommand.', flags: MessageFlags.Ephemeral });
+    }
+  }
+};
+
+/**
+ * Handle volume subcommand
+ */
+async function handleVolume(interaction) {
+  const level = interaction.options.getInteger('level');
+  const queueData = musicQueues.get(interaction.guildId);
+
+  if (level === null) {
+    const current = queueData?.volume ?? await getDefaultVolume(interaction.guildId);
+    await interaction.reply({ content: `🔊 Volume is ${current}%.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const { volume, saved } = await setVolume(interaction.guildId, level, interaction.user.id);
+  const icon = volume === 0 ? '🔇' : '🔊';
+  await interaction.reply(
+    `${icon} Volume set to ${volume}%.` +
+    (saved ? '' : ' It couldn\'t be saved as the server default, so new queues may start at the old volume.')
+  );
+}
+
+/**
+ * Handle filter subcommand
+ */
+async function handleFilter(interaction) {
+  const effect = interaction.options.getString('effect');
+  const queueData = musicQueues.get(interaction.guildId);
+
+  if (!queueData || queueData.isFinished) {
+    await interaction.reply({ content: NOTHING_PLAYING, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const denied = checkMusicControl(interaction);
+  if (denied) {
+    await interaction.reply({ content: denied, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const current = queueData.filters || [];
+  const filters = effect === 'off' ? [] : toggleFilter(current, effect);
+
+  // Restarting the song with new filters takes a few seconds
+  await interaction.deferReply();
+  const restarted = await setFilters(interaction.guildId, filters);
+
+  const change = effect === 'off'
+    ? '🎛️ Removed every effect.'
+    : `🎛️ ${AUDIO_FILTERS[effect].label} is ${filters.includes(effect) ? 'on' : 'off'}.`;
+  const note = restarted ? '' : ' It will apply from the next song.';
+  await interaction.editReply(`${change} Effects: ${describeFilters(filters)}.${note}`);
+}
+
+/**
+ * Handle seek subcommand
+ */
+async function handleSeek(interaction) {
+  const time = interaction.options.getString('time');
+  const queueData = musicQueues.get(interaction.guildId);
+  const song = queueData?.songs[queueData.currentIndex];
+
+  if (!song || queueData.isFinished) {
+    await interaction.reply({ content: NOTHING_PLAYING, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const denied = checkMusicControl(interaction);
+  if (denied) {
+    await interaction.reply({ content: denied, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const seconds = parseTimestamp(time);
+  if (seconds === null) {
+    await interaction.reply({ content: '❌ Give the time as minutes:seconds (like `1:30`) or seconds (like `90`).', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const duration = parseTimestamp(song.duration);
+  if (duration !== null && seconds >= duration) {
+    await interaction.reply({
+      content: `❌ **${song.title}** is only ${formatTimestamp(duration)} long.`,
+      flags: MessageFlags.Ephemeral
+    });
+    return;
+  }
+
+  // Restarting the stream at the new point takes a few seconds
+  await interaction.deferReply();
+  const seeked = await seekTo(interaction.guildId, seconds);
+
+  await interaction.editReply(seeked
+    ? `⏩ Jumped to ${formatTimestamp(seconds)} in **${song.title}**.`
+    : '❌ Couldn\'t jump in this song. Please try again.');
+}
+
+/**
+ * Handle replay subcommand
+ */
+async function handleReplay(interaction) {
+  const queueData = musicQueues.get(interaction.guildId);
+  if (!queueData?.songs[queueData.currentIndex]) {
+    await interaction.reply({ content: NOTHING_PLAYING, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const denied = checkMusicControl(interaction);
+  if (denied) {
+    await interaction.reply({ content: denied, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  await interaction.deferReply();
+  const song = await replayCurrentTrack(interaction.guildId);
+
+  await interaction.editReply(song
+    ? `🔁 Replaying **${song.title}** from the start.`
+    : '❌ Couldn\'t replay this song. Please try again.');
+}
+
+/**
+ * Handle settings subcommand
+ */
+async function handleSettings(interaction) {
+  const djRole = interaction.options.getRole('dj_role');
+  const clearDjRole = interaction.options.getBoolean('clear_dj_role');
+  const votePercent = interaction.options.getInteger('vote_skip_percent');
+  const maxSongs = interaction.options.getInteger('max_songs_per_user');
+
+  const updates = {};
+  if (djRole) updates.dj_role_id = djRole.id;
+  if (clearDjRole) updates.dj_role_id = null;
+  if (votePercent !== null) updates.vote_skip_ratio = votePercent / 100;
+  if (maxSongs !== null) updates.max_songs_per_user = maxSongs;
+
+  let settings;
+  if (Object.keys(updates).length === 0) {
+    settings = await getGuildMusicSettings(interaction.guildId);
+  } else {
+    if (!(await PermissionManager.hasPermission(interaction.member, interaction.guildId, 'moderate'))) {
+      await interaction.reply({ content: '❌ You need Manage Server to change the music settings.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    settings = await updateGuildMusicSettings(interaction.guildId, updates, interaction.user.id);
+    if (!settings) {
+      await interaction.reply({ content: '❌ Failed to save the music settings. Please try again.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle('🎧 Music Settings')
+    .addFields(
+      { name: 'DJ Role', value: settings.dj_role_id ? `<@&${settings.dj_role_id}>` : 'None (people who can manage the server are DJs)', inline: false },
+      { name: 'Vote Skip', value: `${Math.round(settings.vote_skip_ratio * 100)}% of listeners`, inline: true },
+      { name: 'Songs Per Person', value: settings.max_songs_per_user ? `${settings.max_songs_per_user}` : 'No limit', inline: true },
+      { name: 'Default Volume', value: `${settings.default_volume}%`, inline: true }
+    )
+    .setFooter({ text: 'DJs and whoever queued a song can skip it straight away. DJs ignore the song limit.' });
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+const truncate = (text, maxLength) => {
+  const value = String(text || 'Unknown');
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+};
+
+// One history line: what played, who queued it, when and how much of it was heard
+const describePlay = (play, index) => {
+  const started = Math.floor(new Date(play.started_at).getTime() / 1000);
+  const requester = play.requested_by ? `<@${play.requested_by}>` : 'someone';
+  const length = parseTimestamp(play.track?.duration);
+  const heard = length === null
+    ? formatTimestamp(play.listened_seconds)
+    : `${formatTimestamp(Math.min(play.listened_seconds, length))}/${formatTimestamp(length)}`;
+
+  return `**${index + 1}.** [${truncate(play.title, 80)}](${play.url}) • ${requester} • <t:${started}:R> • ${heard}`;
+};
+
+const createHistorySelectMenu = (plays) => new ActionRowBuilder()
+  .addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId('music_history_select')
+      .setPlaceholder('Pick songs to queue again')
+      .setMinValues(1)
+      .setMaxValues(plays.length)
+      .addOptions(plays.map((play, index) =>
+        new StringSelectMenuOptionBuilder()
+          .setLabel(truncate(`${index + 1}. ${play.title}`, 100))
+          .setDescription(truncate(`${play.track?.channel || 'Unknown'} • ${play.track?.duration || 'Unknown'}`, 100))
+          .setValue(String(index))
+      ))
+  );
+
+/**
+ * Queue songs picked from the history the way /playlist load does: add them to what is playing,
+ * restart a finished queue, or start a new queue in the user's voice channel
+ * @param {Object} interaction - The /music history interaction
+ * @param {Object[]} tracks - Saved songs
+ * @param {Object} message - Message to turn into the now playing message for a new queue
+ * @returns {Promise<string|null>} What happened, or null when a new queue started (the message shows it)
+ */
+async function queueHistoryTracks(interaction, tracks, message) {
+  const guildId = interaction.guildId;
+  const allowance = await getQueueAllowance(interaction);
+  const songs = tracks.slice(0, allowance).map(track => ({ ...track, requestedBy: interaction.user.id }));
+  if (songs.length === 0) {
+    return '❌ You already have as many songs queued as this server allows. Try again once some have played.';
+  }
+
+  const cut = tracks.length - songs.length;
+  const limitNote = cut > 0 ? ` ${cut} more didn't fit under this server's per-person song limit.` : '';
+  const queueData = musicQueues.get(guildId);
+
+  if (queueData && !queueData.isFinished) {
+    songs.forEach(song => addToQueue(guildId, song));
+    return `🕘 Added ${songs.length} ${songs.length === 1 ? 'song' : 'songs'} from the history to the queue.${limitNote}`;
+  }
+
+  if (queueData?.player) {
+    queueData.songs = songs;
+    await jumpInQueue(guildId, 0);
+    return `🕘 Playing ${songs.length} ${songs.length === 1 ? 'song' : 'songs'} from the history.${limitNote}`;
+  }
+
+  const channel = interaction.member?.voice?.channel;
+  if (!channel || channel.type !== ChannelType.GuildVoice) {
+    return '❌ Join a voice channel first, then pick the songs again with `/music history`.';
+  }
+
+  const conflictCheck = voiceActivityManager.canStartActivity(guildId, 'music');
+  if (!conflictCheck.canStart) {
+    return voiceActivityManager.getBlockedMessage('music', conflictCheck.conflictType, conflictCheck.channelId, interaction.client);
+  }
+
+  const started = await startSavedQueue(interaction.client, guildId, {
+    songs,
+    currentIndex: 0,
+    loopMode: 'off',
+    voiceChannelId: channel.id,
+    textChannelId: interaction.channelId
+  }, message);
+
+  return started ? null : '❌ Couldn\'t start the music. Something else may already be using voice.';
+}
+
+/**
+ * Handle history subcommand
+ */
+async function handleHistory(interaction) {
+  const user = interaction.options.getUser('user');
+
+  await interaction.deferReply();
+  const plays = await getMusicHistory(interaction.guildId, { userId: user?.id, limit: HISTORY_LIMIT });
+
+  if (plays.length === 0) {
+    await interaction.editReply(user
+      ? `🕘 Nothing ${user.username} queued has been played here yet.`
+      : '🕘 Nothing has been played here yet. Start a queue with `/play`.');
+    return;
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(user ? `🕘 Recently Played from ${user.username}` : '🕘 Recently Played')
+    .setDescription(plays.map(describePlay).join('\n'))
+    .setFooter({ text: 'Times show how much of each song was heard. Pick songs below to queue them again.' });
+
+  const response = await interaction.editReply({ embeds: [embed], components: [createHistorySelectMenu(plays)] });
+
+  let selection;
+  try {
+    selection = await response.awaitMessageComponent({
+      componentType: ComponentType.StringSelect,
+      filter: (i) => i.user.id === interaction.user.id,
+      time: HISTORY_PICK_TIMEOUT
+    });
+  } catch (error) {
+    // awaitMessageComponent rejects when the time runs out; keep the list without the menu
+    await interaction.editReply({ components: [] });
+    return;
+  }
+
+  const tracks = selection.values.map(value => plays[Number(value)].track);
+  await selection.update({
+    content: `🕘 Queuing ${tracks.length} ${tracks.length === 1 ? 'song' : 'songs'} from the history...`,
+    embeds: [],
+    components: []
+  });
+
+  const outcome = await queueHistoryTracks(interaction, tracks, selection.message);
+  if (outcome) {
+    await interaction.editReply({ content: outcome });
+  }
+}
+
+/**
+ * Handle stats subcommand
+ */
+async function handleStats(interaction) {
+  const period = interaction.options.getString('period') || 'month';
+  const { label, days } = STATS_PERIODS[period];
+  const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+
+  await interaction.deferReply();
+  const stats = await getMusicStats(interaction.guildId, since);
+
+  if (!stats) {
+    await interaction.editReply('❌ Couldn\'t load the music stats. Please try again.');
+    return;
+  }
+  if (stats.total_plays === 0) {
+    await interaction.editReply(`📊 No music was played here in ${label}.`);
+    return;
+  }
+
+  const topTracks = stats.top_tracks
+    .map((track, index) => `**${index + 1}.** [${truncate(track.title, 80)}](${track.url}) • ${track.plays} ${track.plays === 1 ? 'play' : 'plays'}`)
+    .join('\n');
+  const topRequesters = stats.top_requesters
+    .map((requester, index) => `**${index + 1}.** <@${requester.user_id}> • ${requester.plays} ${requester.plays === 1 ? 'song' : 'songs'} (${formatListeningTime(requester.seconds)})`)
+    .join('\n');
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle('📊 Music Stats')
+    .setDescription(`Music played in **${interaction.guild?.name || 'this server'}** over ${label}.`)
+    .addFields(
+      { name: 'Listening Time', value: formatListeningTime(stats.total_seconds), inline: true },
+      { name: 'Songs Played', value: `${stats.total_plays}`, inline: true },
+      { name: 'Requesters', value: `${stats.requesters}`, inline: true },
+      { name: 'Top Songs', value: topTracks || 'None', inline: false },
+      { name: 'Top Requesters', value: topRequesters || 'None', inline: false }
+    )
+    .setFooter({ text: 'Listening time counts what was actually heard, so skipped songs count for less.' });
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+export default musicCommand;
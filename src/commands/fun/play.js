@@ -1,18 +1,14 @@
 // play.js
 import { joinVoiceChannel, createAudioResource, createAudioPlayer, StreamType, AudioPlayerStatus } from '@discordjs/voice';
-import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from 'discord.js';
-import youtubedlExec from 'youtube-dl-exec';
-import { Readable } from 'stream';
-import { spawn } from 'child_process';
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags, StringSelectMenuBuilder, StringSelectMenuOptionBuilder, ComponentType } from 'discord.js';
 import voiceActivityManager from '../../utils/voiceActivityManager.js';
-
-// Ensure FFmpeg is available in PATH for Discord.js voice
-if (!process.env.PATH.includes('/opt/homebrew/bin')) {
-    process.env.PATH = `${process.env.PATH}:/opt/homebrew/bin:/usr/local/bin`;
-}
-
-// Configure youtube-dl-exec to use yt-dlp (more reliable)
-const youtubedl = youtubedlExec.create('/opt/homebrew/bin/yt-dlp');
+import { MusicQueueStore, getResumeMode } from '../../utils/musicQueueStore.js';
+import { addMusicFavorite, getMusicSettings, upsertMusicSettings, recordMusicPlay } from '../../supabase/supabase.js';
+import { AUDIO_FILTERS, DEFAULT_VOLUME, clampVolume, getPlaybackSpeed } from '../../utils/audioEffects.js';
+import { parseTimestamp, formatTimestamp, createProgressBar } from '../../utils/musicTime.js';
+import { DEFAULT_VOTE_SKIP_RATIO, isDJ, getListenerIds, getRequiredVotes, countQueuedSongs } from '../../utils/musicPermissions.js';
+import { detectAudioSource, createSongStream, cleanupAudioProcesses, isAudioAttachment, AUDIO_FILE_EXTENSIONS } from '../../utils/audioSources.js';
+import { searchYouTube } from '../../utils/youtubeUtils.js';
 
 // Global music queue and player state
 const musicQueues = new Map(); // guildId -> queue data
@@ -21,275 +17,268 @@ const connections = new Map(); // guildId -> voice connection
 // Export the musicQueues for use in other commands
 export { musicQueues };
 
-// Helper function to get audio stream using yt-dlp with android_vr client (bypasses PO token requirement)
-const getAudioStream = async (url) => {
-    console.log(`[AUDIO] Getting stream using yt-dlp android_vr client for: ${url}`);
-
-    return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-            ytdlpProcess.kill();
-            ffmpegProcess.kill();
-            reject(new Error('Timeout waiting for audio stream'));
-        }, 30000); // 30 second timeout
-
-        // Use android_vr client which doesn't require PO tokens
-        // Pipe through FFmpeg to convert to format Discord can handle
-        const ytdlpProcess = spawn('/opt/homebrew/bin/yt-dlp', [
-            url,
-            '--format', 'bestaudio/best',
-            '--output', '-', // Output to stdout
-            '--no-playlist',
-            '--extractor-args', 'youtube:player_client=android_vr'
-        ], {
-            stdio: ['ignore', 'pipe', 'pipe']
-        });
-
-        // Pipe yt-dlp output through FFmpeg for proper format conversion
-        const ffmpegProcess = spawn('/opt/homebrew/bin/ffmpeg', [
-            '-i', 'pipe:0',  // Read from stdin
-            '-analyzeduration', '0',  // Start immediately
-            '-loglevel', '0',  // Suppress logs
-            '-f', 's16le',  // PCM signed 16-bit little-endian
-            '-ar', '48000',  // 48kHz sample rate
-            '-ac', '2',  // Stereo
-            'pipe:1'  // Output to stdout
-        ], {
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
+// off: stop at the end, track: repeat the current song, queue: wrap round to the first song
+export const LOOP_MODES = ['off', 'track', 'queue'];
+export const QUEUE_PAGE_SIZE = 10;
+const PROGRESS_UPDATE_INTERVAL = 15 * 1000; // How often now playing messages move their progress bar
+const MIN_LOGGED_SECONDS = 1; // Songs heard for less than this (streams that never started) stay out of the history
+
+// Queues saved before a restart that are waiting for someone to press Resume
+const pendingResumes = new Map(); // guildId -> saved queue
+const musicSettings = new Map(); // guildId -> music settings (see DEFAULT_MUSIC_SETTINGS)
+let progressTimer = null;
+
+// Song fields worth saving (the rest, like processes, only make sense while playing)
+const SAVED_SONG_FIELDS = ['url', 'title', 'channel', 'duration', 'thumbnail', 'isSpotifyTrack', 'originalSpotifyUrl', 'source'];
+
+// Buttons that change what is playing, so only people listening can press them
+const PLAYBACK_BUTTONS = ['music_pause', 'music_skip', 'music_previous', 'music_stop'];
+
+// Settings for guilds that never changed them with /music settings or /music volume
+export const DEFAULT_MUSIC_SETTINGS = {
+    default_volume: DEFAULT_VOLUME,
+    dj_role_id: null,
+    vote_skip_ratio: DEFAULT_VOTE_SKIP_RATIO,
+    max_songs_per_user: 0 // 0 means no limit
+};
 
-        // Pipe yt-dlp stdout to ffmpeg stdin with error handling
-        ytdlpProcess.stdout.pipe(ffmpegProcess.stdin);
+// Copy of a song with only the fields saved queues and playlists keep
+export const toSavedSong = (song) => Object.fromEntries(
+    SAVED_SONG_FIELDS.filter(field => song[field] !== undefined).map(field => [field, song[field]])
+);
+
+// Snapshot of every queue that could be resumed after a restart
+const serializeQueues = () => {
+    const queues = Object.fromEntries(pendingResumes);
+
+    for (const [guildId, queueData] of musicQueues) {
+        const voiceChannelId = connections.get(guildId)?.joinConfig?.channelId;
+        if (queueData.isFinished || !voiceChannelId || queueData.songs.length === 0) continue;
+
+        queues[guildId] = {
+            songs: queueData.songs.map(song => ({ ...toSavedSong(song), requestedBy: song.requestedBy })),
+            currentIndex: Math.max(queueData.currentIndex, 0),
+            loopMode: queueData.loopMode || 'off',
+            volume: queueData.volume ?? DEFAULT_VOLUME,
+            filters: queueData.filters || [],
+            voiceChannelId,
+            textChannelId: queueData.lastMessage?.channelId || queueData.textChannelId || null
+        };
+    }
+    return queues;
+};
 
-        // Handle pipe errors gracefully
-        ytdlpProcess.stdout.on('error', (err) => {
-            if (err.code !== 'EPIPE') {
-                console.error('[AUDIO] yt-dlp stdout error:', err.message);
-            }
-        });
+const queueStore = new MusicQueueStore(serializeQueues);
 
-        ffmpegProcess.stdin.on('error', (err) => {
-            if (err.code !== 'EPIPE') {
-                console.error('[AUDIO] FFmpeg stdin error:', err.message);
-            }
-        });
+// Call after anything that changes a queue; writes are batched by the store
+export const saveMusicQueues = () => queueStore.scheduleSave();
 
-        let errorOutput = '';
-        let firstDataReceived = false;
+// Wrap a stream for the player at the queue's volume.
+// metadata records where in the song the stream starts so the position survives filter changes and seeks.
+const createSongResource = (stream, queueData, offset = 0) => {
+    startProgressUpdates(); // Every song starts here, so this keeps the timer running while music plays
+    const resource = createAudioResource(stream.stream, {
+        inputType: stream.type || StreamType.Opus, // Use detected type or default to Opus
+        inlineVolume: true,
+        // Fallback streams skip FFmpeg, so filters (and their speed change) only apply to FFmpeg streams
+        metadata: { offset, speed: stream.process ? getPlaybackSpeed(queueData.filters) : 1 }
+    });
+    resource.volume?.setVolume((queueData.volume ?? DEFAULT_VOLUME) / 100);
+    return resource;
+};
 
-        // Capture stderr for debugging
-        ytdlpProcess.stderr.on('data', (data) => {
-            errorOutput += data.toString();
-        });
+// Seconds into the original song that a resource has reached
+const getPlaybackPosition = (resource) => {
+    const { offset = 0, speed = 1 } = resource.metadata || {};
+    return offset + (resource.playbackDuration / 1000) * speed;
+};
 
-        ffmpegProcess.stderr.on('data', (data) => {
-            const err = data.toString();
-            if (err.includes('error') || err.includes('ERROR')) {
-                console.error('[FFMPEG]', err.trim());
-            }
-        });
+// Seconds into the current song (0 before it starts streaming)
+export const getCurrentPosition = (queueData) => {
+    const resource = queueData?.player?.state.resource;
+    return resource ? getPlaybackPosition(resource) : 0;
+};
 
-        // Wait for first data chunk from FFmpeg to confirm stream is working
-        ffmpegProcess.stdout.once('data', (chunk) => {
-            firstDataReceived = true;
-            clearTimeout(timeout);
-            console.log(`[AUDIO] ✅ Stream started, first chunk received (${chunk.length} bytes)`);
-            resolve({
-                stream: ffmpegProcess.stdout,
-                type: StreamType.Raw,  // Raw PCM audio
-                process: { ytdlp: ytdlpProcess, ffmpeg: ffmpegProcess }
-            });
-        });
+// Start timing a song for the listening history
+const startPlayLog = (queueData, song, resource) => {
+    queueData.playLog = { song, resource, startedAt: new Date(), seconds: 0 };
+};
 
-        ytdlpProcess.on('error', (error) => {
-            clearTimeout(timeout);
-            console.error('[AUDIO] ❌ yt-dlp spawn error:', error.message);
-            ffmpegProcess.kill();
-            reject(error);
-        });
+// A restarted stream (seek or filter change) is still the same play, so keep the time heard so far
+const continuePlayLog = (queueData, song, resource) => {
+    const log = queueData.playLog;
+    if (log?.song !== song) {
+        startPlayLog(queueData, song, resource);
+        return;
+    }
+    log.seconds += log.resource.playbackDuration / 1000;
+    log.resource = resource;
+};
 
-        ffmpegProcess.on('error', (error) => {
-            clearTimeout(timeout);
-            console.error('[AUDIO] ❌ FFmpeg spawn error:', error.message);
-            ytdlpProcess.kill();
-            reject(error);
-        });
+/**
+ * Write the song that just stopped to the listening history (called when the queue moves on, stops or shuts down)
+ * @param {string} guildId - Guild ID
+ * @param {Object} queueData - Queue data
+ * @returns {Promise<boolean>} Whether a play was recorded
+ */
+const finishPlayLog = async (guildId, queueData) => {
+    const log = queueData?.playLog;
+    if (!log) return false;
+    queueData.playLog = null;
+
+    // playbackDuration only counts audio sent to Discord, so pauses aren't included
+    const seconds = Math.round(log.seconds + log.resource.playbackDuration / 1000);
+    if (seconds < MIN_LOGGED_SECONDS) return false;
+
+    return recordMusicPlay({
+        guild_id: guildId,
+        requested_by: log.song.requestedBy || null,
+        url: log.song.url,
+        title: log.song.title,
+        track: toSavedSong(log.song),
+        started_at: log.startedAt.toISOString(),
+        listened_seconds: seconds
+    });
+};
 
-        ytdlpProcess.on('exit', (code) => {
-            if (!firstDataReceived && code !== 0) {
-                clearTimeout(timeout);
-                console.error(`[AUDIO] ❌ yt-dlp exited before data received (code ${code})`);
-                if (errorOutput) {
-                    console.error('[AUDIO] Error output:', errorOutput.trim());
-                }
-                ffmpegProcess.kill();
-                reject(new Error(`yt-dlp exited with code ${code}: ${errorOutput || 'No error output'}`));
-            }
-        });
+/**
+ * Time left until the queue runs out, from the current position
+ * @param {Object} queueData - Queue data
+ * @returns {Object} { seconds, unknown } where unknown counts songs without a known duration
+ */
+export const getQueueTimeRemaining = (queueData) => {
+    const start = Math.max(queueData.currentIndex, 0);
+    const position = getCurrentPosition(queueData);
+    let seconds = 0;
+    let unknown = 0;
+
+    queueData.songs.slice(start).forEach((song, index) => {
+        const duration = parseTimestamp(song.duration);
+        if (duration === null) {
+            unknown++;
+        } else {
+            seconds += index === 0 ? Math.max(duration - position, 0) : duration;
+        }
     });
+    return { seconds, unknown };
 };
 
-// Helper function to clean up audio processes
-const cleanupAudioProcesses = (processes) => {
-    if (!processes) return;
+const describeTimeRemaining = (queueData) => {
+    const { seconds, unknown } = getQueueTimeRemaining(queueData);
+    return `${formatTimestamp(seconds)} left${unknown > 0 ? ` (+${unknown} of unknown length)` : ''}`;
+};
 
-    try {
-        if (processes.ytdlp && !processes.ytdlp.killed) {
-            processes.ytdlp.kill('SIGKILL');
-        }
-        if (processes.ffmpeg && !processes.ffmpeg.killed) {
-            processes.ffmpeg.kill('SIGKILL');
-        }
-    } catch (error) {
-        // Process may already be dead, which is fine
-        if (error.code !== 'ESRCH') {
-            console.log('[AUDIO] Process cleanup note:', error.message);
+// Move the progress bar on every now playing message that is playing
+const updateProgress = () => {
+    if (musicQueues.size === 0) {
+        clearInterval(progressTimer);
+        progressTimer = null;
+        return;
+    }
+
+    for (const [guildId, queueData] of musicQueues) {
+        if (queueData.lastMessage && !queueData.isPaused && !queueData.isFinished &&
+            queueData.player?.state.status === AudioPlayerStatus.Playing) {
+            refreshNowPlaying(guildId);
         }
     }
 };
 
-// Helper function to get video info using yt-dlp
-const getVideoInfo = async (url) => {
-    console.log(`[VIDEO_INFO] Getting video info for: ${url}`);
-    try {
-        const info = await youtubedl(url, {
-            dumpSingleJson: true,
-            noWarnings: true,
-            noCheckCertificates: true,
-            skipDownload: true
-        });
-        console.log(`[VIDEO_INFO] Got video info: ${info.title}`);
-        return {
-            title: info.title,
-            channel: info.uploader || info.channel || 'Unknown',
-            duration: info.duration_string || 'Unknown',
-            thumbnail: info.thumbnail || null,
-            isLive: info.is_live || false,
-            url: info.webpage_url || url
-        };
-    } catch (error) {
-        console.error('[VIDEO_INFO] Error getting video info:', error);
-        throw error;
-    }
+const startProgressUpdates = () => {
+    if (progressTimer) return;
+    progressTimer = setInterval(updateProgress, PROGRESS_UPDATE_INTERVAL);
+    progressTimer.unref?.(); // Never keep the process alive by itself
 };
 
-// Helper function to search YouTube using yt-dlp
-const searchYouTube = async (query, limit = 1) => {
-    console.log(`[YOUTUBE_SEARCH] Searching for: "${query}"`);
-    try {
-        const results = await youtubedl(`ytsearch${limit}:${query}`, {
-            dumpSingleJson: true,
-            noWarnings: true,
-            skipDownload: true,
-            flatPlaylist: true
-        });
+// Stream options for the queue's current filters
+const getStreamOptions = (queueData) => ({ filters: queueData.filters || [] });
 
-        // yt-dlp returns single object for one result, or an object with entries for multiple
-        const entries = results.entries || [results];
-        const videos = entries.map(entry => ({
-            title: entry.title,
-            url: entry.webpage_url || `https://www.youtube.com/watch?v=${entry.id}`,
-            duration: entry.duration_string || 'Unknown',
-            thumbnail: entry.thumbnail,
-            channel: entry.uploader || entry.channel
-        }));
-
-        console.log(`[YOUTUBE_SEARCH] Found ${videos.length} result(s)`);
+// Recent text searches, shared by autocomplete and the select menu so a query only runs yt-dlp once
+const searchCache = new Map(); // normalized query -> { results (promise), expiresAt }
+const SEARCH_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const SEARCH_CACHE_MAX_ENTRIES = 100;
+const SEARCH_RESULT_LIMIT = 5;
+const AUTOCOMPLETE_TIMEOUT = 2500; // Discord drops autocomplete responses after 3 seconds
+
+const isUrl = (value) => /^https?:\/\//i.test(value.trim());
+
+// Search YouTube for free text, reusing results from the last few minutes
+const searchYouTubeCached = (query) => {
+    const key = query.trim().toLowerCase();
+    const cached = searchCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.results;
+    }
+
+    const results = searchYouTube(query.trim(), SEARCH_RESULT_LIMIT).then(videos => {
+        // Don't keep failed searches around
+        if (videos.length === 0) searchCache.delete(key);
         return videos;
-    } catch (error) {
-        console.error('[YOUTUBE_SEARCH] Error searching YouTube:', error);
-        return [];
+    });
+    searchCache.delete(key);
+    searchCache.set(key, { results, expiresAt: Date.now() + SEARCH_CACHE_TTL });
+
+    // Maps keep insertion order, so the first key is the oldest search
+    if (searchCache.size > SEARCH_CACHE_MAX_ENTRIES) {
+        searchCache.delete(searchCache.keys().next().value);
     }
+    return results;
 };
 
-// Helper function to get YouTube playlist information and videos
-const getYouTubePlaylistInfo = async (playlistUrl) => {
-    console.log(`[YOUTUBE_PLAYLIST] Getting playlist info for: ${playlistUrl}`);
-    try {
-        const playlistData = await youtubedl(playlistUrl, {
-            dumpSingleJson: true,
-            noWarnings: true,
-            flatPlaylist: true,
-            skipDownload: true,
-            noCheckCertificates: true
-        });
+// Discord limits choice names, select labels and descriptions to 100 characters
+const truncate = (text, maxLength = 100) => {
+    const value = String(text || 'Unknown');
+    return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+};
 
-        if (!playlistData.entries || playlistData.entries.length === 0) {
-            console.log('[YOUTUBE_PLAYLIST] No entries found in playlist');
-            return null;
-        }
+const createSearchSelectMenu = (results) => {
+    return new ActionRowBuilder()
+        .addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId('music_search_select')
+                .setPlaceholder('Pick a song to queue')
+                .addOptions(results.map((video, index) =>
+                    new StringSelectMenuOptionBuilder()
+                        .setLabel(truncate(video.title))
+                        .setDescription(truncate(`${video.channel || 'Unknown'} • ${video.duration || 'Unknown'}`))
+                        .setValue(String(index))
+                ))
+        );
+};
 
-        const videos = playlistData.entries
-            .filter(entry => entry && entry.id) // Filter out null/invalid entries
-            .map(entry => ({
-                url: entry.webpage_url || `https://www.youtube.com/watch?v=${entry.id}`,
-                title: entry.title || 'Unknown Title',
-                channel: entry.uploader || entry.channel || 'Unknown Channel',
-                duration: entry.duration_string || 'Unknown',
-                thumbnail: entry.thumbnail || null
-            }));
-
-        console.log(`[YOUTUBE_PLAYLIST] Found ${videos.length} videos in playlist`);
-
-        return {
-            name: playlistData.title || 'YouTube Playlist',
-            description: playlistData.description || '',
-            videos: videos,
-            thumbnail: videos[0]?.thumbnail || null,
-            uploader: playlistData.uploader || playlistData.channel || 'Unknown'
-        };
-    } catch (error) {
-        console.error('[YOUTUBE_PLAYLIST] Error getting playlist info:', error);
+/**
+ * Show the top search results for a query and wait for the user to pick one
+ * @param {Object} interaction - Deferred /play interaction
+ * @param {string} query - Free-text search
+ * @returns {Promise<string|null>} URL of the chosen video, or null if nothing was picked
+ */
+const pickSearchResult = async (interaction, query) => {
+    await interaction.editReply(`🔍 Searching YouTube for **${query}**...`);
+    const results = await searchYouTubeCached(query);
+
+    if (results.length === 0) {
+        await interaction.editReply(`❌ No YouTube results for **${query}**. Try different words or paste a link.`);
         return null;
     }
-};
 
-// Helper function to detect YouTube URL types
-const analyzeYouTubeUrl = (url) => {
-    const result = {
-        isLivestream: false,
-        isPlaylist: false,
-        isValid: false,
-        type: 'unknown'
-    };
+    const response = await interaction.editReply({
+        content: `🔍 Results for **${query}**:`,
+        components: [createSearchSelectMenu(results)]
+    });
 
     try {
-        const urlObj = new URL(url);
-        const hostname = urlObj.hostname.toLowerCase();
-        const pathname = urlObj.pathname;
-        const searchParams = urlObj.searchParams;
-
-        // Check if it's a YouTube URL
-        if (!hostname.includes('youtube.com') && !hostname.includes('youtu.be')) {
-            return result;
-        }
-
-        result.isValid = true;
-
-        // Check for playlist indicators
-        if (pathname.includes('/playlist') || searchParams.has('list')) {
-            result.isPlaylist = true;
-            result.type = 'playlist';
-            return result;
-        }
-
-        // Check for livestream indicators
-        if (pathname.includes('/live/') ||
-            searchParams.get('live') === '1' ||
-            searchParams.has('live')) {
-            result.isLivestream = true;
-            result.type = 'livestream';
-            return result;
-        }
-
-        // If it's a regular video
-        if (pathname.includes('/watch') || hostname.includes('youtu.be')) {
-            result.type = 'video';
-        }
-
-        return result;
+        const selection = await response.awaitMessageComponent({
+            componentType: ComponentType.StringSelect,
+            filter: (i) => i.user.id === interaction.user.id,
+            time: 60000 // 1 minute
+        });
+        const video = results[Number(selection.values[0])];
+        await selection.update({ content: `🎵 Loading **${video.title}**...`, components: [] });
+        return video.url;
     } catch (error) {
-        console.error('Error analyzing YouTube URL:', error);
-        return result;
+        // awaitMessageComponent rejects when the time runs out
+        await interaction.editReply({ content: '⌛ No song was picked, so nothing was queued.', components: [] });
+        return null;
     }
 };
 
@@ -300,6 +289,7 @@ export const addToQueue = (guildId, songData) => {
         queueData.songs.push(songData);
         // Update activity data
         voiceActivityManager.updateActivity(guildId, queueData);
+        saveMusicQueues();
         return true;
     }
     return false;
@@ -315,6 +305,7 @@ export const removeFromQueue = (guildId, index) => {
         }
         // Update activity data
         voiceActivityManager.updateActivity(guildId, queueData);
+        saveMusicQueues();
         return removed;
     }
     return null;
@@ -336,6 +327,7 @@ export const moveInQueue = (guildId, fromIndex, toIndex) => {
             queueData.currentIndex++;
         }
 
+        saveMusicQueues();
         return song;
     }
     return null;
@@ -348,563 +340,264 @@ export const clearQueue = (guildId) => {
         queueData.songs = queueData.songs.slice(0, queueData.currentIndex + 1);
         // Update activity data
         voiceActivityManager.updateActivity(guildId, queueData);
+        saveMusicQueues();
         return clearedCount;
     }
     return 0;
 };
 
-// Function to get Spotify metadata and search YouTube for each track
-const getSpotifyTrackInfo = async (spotifyUrl) => {
-    try {
-        console.log(`[SPOTIFY] Starting to process URL: ${spotifyUrl}`);
-
-        // Parse Spotify URL to extract track/playlist/album ID
-        const spotifyRegex = /spotify\.com\/(track|playlist|album)\/([a-zA-Z0-9]+)/;
-        const openSpotifyRegex = /open\.spotify\.com\/(track|playlist|album)\/([a-zA-Z0-9]+)/;
-
-        let match = spotifyUrl.match(spotifyRegex) || spotifyUrl.match(openSpotifyRegex);
-
-        if (!match) {
-            console.log('[SPOTIFY] No regex match found for URL');
-            return null;
-        }
+// Shuffle the songs after the current one, leaving history and the playing song in place
+export const shuffleQueue = (guildId) => {
+    const queueData = musicQueues.get(guildId);
+    if (!queueData) return 0;
 
-        const [, type, id] = match;
-        console.log(`[SPOTIFY] Detected ${type} with ID: ${id}`);
+    const upcoming = queueData.songs.slice(queueData.currentIndex + 1);
+    for (let i = upcoming.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [upcoming[i], upcoming[j]] = [upcoming[j], upcoming[i]];
+    }
+    queueData.songs = [...queueData.songs.slice(0, queueData.currentIndex + 1), ...upcoming];
+    voiceActivityManager.updateActivity(guildId, queueData);
+    saveMusicQueues();
+    return upcoming.length;
+};
 
-        if (type === 'track') {
-            console.log('[SPOTIFY] Processing single track...');
-            // Get single track metadata from Spotify
-            const trackData = await getSpotifyMetadata(type, id);
-            if (!trackData) {
-                console.log('[SPOTIFY] Failed to get track metadata');
-                return null;
-            }
+// Start playing the song at index straight away (forwards or backwards)
+export const jumpInQueue = async (guildId, index) => {
+    const queueData = musicQueues.get(guildId);
+    if (!queueData || !queueData.player || index < 0 || index >= queueData.songs.length) {
+        return null;
+    }
 
-            console.log(`[SPOTIFY] Got track data: ${trackData.name} by ${trackData.artists.join(', ')}`);
-            // Search with both artist and song name for better results
-            const searchQuery = `${trackData.artists.join(' ')} ${trackData.name}`;
-            console.log(`[SPOTIFY] Searching YouTube for: "${searchQuery}"`);
-
-            const searchResults = await searchYouTube(searchQuery, 1);
-
-            if (searchResults.length > 0) {
-                const youtubeVideo = searchResults[0];
-                console.log(`[SPOTIFY] Found YouTube video: ${youtubeVideo.title}`);
-                return {
-                    originalUrl: spotifyUrl,
-                    youtubeUrl: youtubeVideo.url,
-                    title: trackData.name,
-                    artist: trackData.artists.join(', '),
-                    duration: youtubeVideo.duration || 'Unknown',
-                    thumbnail: trackData.image || youtubeVideo.thumbnail,
-                    isSpotifyTrack: true
-                };
-            } else {
-                console.log('[SPOTIFY] No YouTube results found for track');
-            }
-        } else if (type === 'album' || type === 'playlist') {
-            console.log(`[SPOTIFY] Processing ${type}...`);
-            // Get album/playlist metadata from Spotify
-            const spotifyData = await getSpotifyMetadata(type, id);
-            if (!spotifyData || !spotifyData.tracks || spotifyData.tracks.length === 0) {
-                console.log('[SPOTIFY] Failed to get album/playlist metadata or no tracks found');
-                return null;
-            }
+    queueData.currentIndex = index - 1; // Will be incremented by playNextSong
+    queueData.skipLoop = true;
+    queueData.isPaused = false;
+    queueData.isFinished = false;
 
-            console.log(`[SPOTIFY] Got ${type} data: ${spotifyData.name} with ${spotifyData.tracks.length} tracks`);
-            console.log('[SPOTIFY] Searching YouTube for individual tracks...');
-
-            // Search for individual tracks directly (simpler and more reliable than playlist matching)
-            const tracks = [];
-            const maxIndividualSearches = Math.min(spotifyData.tracks.length, 20);
-            for (let i = 0; i < maxIndividualSearches; i++) {
-                const track = spotifyData.tracks[i];
-                const searchQuery = `${track.artists.join(' ')} ${track.name}`;
-                console.log(`[SPOTIFY] [${i + 1}/${maxIndividualSearches}] Searching for track: "${searchQuery}"`);
-
-                try {
-                    const searchResults = await searchYouTube(searchQuery, 1);
-
-                    if (searchResults.length > 0) {
-                        const video = searchResults[0];
-                        console.log(`[SPOTIFY] [${i + 1}/${maxIndividualSearches}] Found: ${video.title}`);
-
-                        const trackData = {
-                            originalUrl: spotifyUrl,
-                            youtubeUrl: video.url,
-                            title: track.name,
-                            artist: track.artists.join(', '),
-                            duration: video.duration || 'Unknown',
-                            thumbnail: track.image || video.thumbnail,
-                            isSpotifyTrack: true,
-                            originalIndex: i
-                        };
-
-                        tracks.push(trackData);
-                    } else {
-                        console.log(`[SPOTIFY] [${i + 1}/${maxIndividualSearches}] No results found`);
-                    }
-
-                    // Small delay to avoid rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 300));
-                } catch (error) {
-                    console.log(`[SPOTIFY] [${i + 1}/${maxIndividualSearches}] Error searching for track "${track.name}":`, error.message);
-                }
-            }
+    // A finished queue leaves the player idle, so stopping it would not trigger the next song
+    if (queueData.player.state.status === AudioPlayerStatus.Idle) {
+        await playNextSong(guildId);
+    } else {
+        queueData.player.stop();
+    }
+    return queueData.songs[index];
+};
 
-            // Sort tracks by their original Spotify order
-            tracks.sort((a, b) => {
-                const aIndex = a.originalIndex !== undefined ? a.originalIndex : spotifyData.tracks.findIndex(t => t.name === a.title);
-                const bIndex = b.originalIndex !== undefined ? b.originalIndex : spotifyData.tracks.findIndex(t => t.name === b.title);
-                return aIndex - bIndex;
-            });
+export const setLoopMode = (guildId, mode) => {
+    const queueData = musicQueues.get(guildId);
+    if (!queueData || !LOOP_MODES.includes(mode)) return false;
 
-            console.log(`[SPOTIFY] Successfully found ${tracks.length} total tracks on YouTube, sorted in original order`);
+    queueData.loopMode = mode;
+    saveMusicQueues();
+    return true;
+};
 
-            if (tracks.length > 0) {
-                return {
-                    type: type,
-                    name: spotifyData.name,
-                    tracks: tracks,
-                    originalUrl: spotifyUrl
-                };
-            }
-        }
+// Refresh the now playing message after the queue changes so Up Next stays accurate
+export const refreshNowPlaying = async (guildId) => {
+    const queueData = musicQueues.get(guildId);
+    const song = queueData?.songs[queueData.currentIndex];
+    if (!queueData?.lastMessage || !song || queueData.isFinished) return;
 
-        console.log('[SPOTIFY] No results found');
-        return null;
+    try {
+        await queueData.lastMessage.edit({
+            embeds: [createMusicEmbed(song, queueData, !queueData.isPaused)],
+            components: createControlButtons(queueData.songs.length > 1, queueData.isPaused || false)
+        });
     } catch (error) {
-        console.error('[SPOTIFY] Error processing Spotify URL:', error);
-        return null;
+        console.error('Error refreshing now playing message:', error);
     }
 };
 
-// Function to get metadata from Spotify using public API
-const getSpotifyMetadata = async (type, id) => {
-    try {
-        console.log(`[SPOTIFY_META] Fetching metadata for ${type}/${id}`);
-
-        // Try multiple approaches to get track metadata
-        if (type === 'track') {
-            // Method 1: Try oEmbed API first
-            try {
-                const oEmbedUrl = `https://open.spotify.com/oembed?url=https://open.spotify.com/${type}/${id}`;
-                console.log(`[SPOTIFY_META] Calling oEmbed API: ${oEmbedUrl}`);
-
-                const oEmbedResponse = await fetch(oEmbedUrl);
-
-                if (oEmbedResponse.ok) {
-                    const oEmbedData = await oEmbedResponse.json();
-                    console.log(`[SPOTIFY_META] Got oEmbed data:`, oEmbedData);
-
-                    const title = oEmbedData.title || '';
-                    console.log(`[SPOTIFY_META] Processing track title: "${title}"`);
-
-                    // Try to parse "Song by Artist" format
-                    const parts = title.split(' by ');
-                    if (parts.length >= 2) {
-                        const result = {
-                            name: parts[0],
-                            artists: [parts[1]],
-                            image: oEmbedData.thumbnail_url
-                        };
-                        console.log(`[SPOTIFY_META] Parsed track from oEmbed:`, result);
-                        return result;
-                    }
-
-                    // Store title and image for potential fallback use
-                    var oEmbedTitle = title;
-                    var oEmbedImage = oEmbedData.thumbnail_url;
-                }
-            } catch (error) {
-                console.log(`[SPOTIFY_META] oEmbed API failed:`, error.message);
-            }
+// A guild's music settings, loaded once and kept in memory
+export const getGuildMusicSettings = async (guildId) => {
+    if (!musicSettings.has(guildId)) {
+        const stored = await getMusicSettings(guildId);
+        musicSettings.set(guildId, { ...DEFAULT_MUSIC_SETTINGS, ...stored });
+    }
+    return musicSettings.get(guildId);
+};
 
-            // Method 2: Try scraping the Spotify page for more metadata
-            try {
-                console.log(`[SPOTIFY_META] Attempting to scrape Spotify page for track metadata...`);
-                const spotifyPageUrl = `https://open.spotify.com/track/${id}`;
-                const pageResponse = await fetch(spotifyPageUrl, {
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                    }
-                });
+/**
+ * Change and store some of a guild's music settings
+ * @param {string} guildId - Guild ID
+ * @param {Object} updates - Settings to change
+ * @param {string|null} userId - Who changed them
+ * @returns {Promise<Object|null>} All settings, or null if they couldn't be stored (they still apply until restart)
+ */
+export const updateGuildMusicSettings = async (guildId, updates, userId = null) => {
+    const settings = { ...(await getGuildMusicSettings(guildId)), ...updates };
+    musicSettings.set(guildId, settings);
+
+    const stored = await upsertMusicSettings(guildId, { ...updates, updated_by: userId });
+    return stored ? settings : null;
+};
 
-                if (pageResponse.ok) {
-                    const html = await pageResponse.text();
-                    console.log(`[SPOTIFY_META] Got HTML content, length: ${html.length} characters`);
-
-                    // Try multiple approaches to extract artist and title
-                    let extractedArtist = null;
-                    let extractedTitle = oEmbedTitle || null;
-
-                    // Method 1: Look for og:description meta tag (often contains "Song · Artist · Year")
-                    const ogDescMatch = html.match(/<meta property="og:description" content="([^"]*?)"/i);
-                    if (ogDescMatch && ogDescMatch[1]) {
-                        console.log(`[SPOTIFY_META] Found og:description: "${ogDescMatch[1]}"`);
-                        const description = ogDescMatch[1];
-
-                        // Pattern: "Song · Artist · Year" or "Song by Artist"
-                        if (description.includes(' · ')) {
-                            const parts = description.split(' · ');
-                            if (parts.length >= 2) {
-                                extractedTitle = parts[0].trim();
-                                extractedArtist = parts[1].trim();
-                                console.log(`[SPOTIFY_META] Extracted from og:description - Title: "${extractedTitle}", Artist: "${extractedArtist}"`);
-                            }
-                        } else if (description.includes(' by ')) {
-                            const parts = description.split(' by ');
-                            if (parts.length >= 2) {
-                                extractedTitle = parts[0].trim();
-                                extractedArtist = parts[1].trim();
-                                console.log(`[SPOTIFY_META] Extracted from og:description "by" pattern - Title: "${extractedTitle}", Artist: "${extractedArtist}"`);
-                            }
-                        }
-                    }
-
-                    // Method 2: Look for JSON-LD structured data
-                    if (!extractedArtist) {
-                        const jsonLdMatches = html.match(/<script type="application\/ld\+json"[^>]*>(.*?)<\/script>/gis);
-                        if (jsonLdMatches) {
-                            for (const jsonMatch of jsonLdMatches) {
-                                try {
-                                    const jsonContent = jsonMatch.replace(/<script[^>]*>/, '').replace(/<\/script>/, '');
-                                    const jsonData = JSON.parse(jsonContent);
-                                    console.log(`[SPOTIFY_META] Found JSON-LD data:`, jsonData);
-
-                                    if (jsonData.name && !extractedTitle) {
-                                        extractedTitle = jsonData.name;
-                                    }
-
-                                    if (jsonData.byArtist && jsonData.byArtist.name) {
-                                        extractedArtist = jsonData.byArtist.name;
-                                        console.log(`[SPOTIFY_META] Extracted artist from JSON-LD byArtist: "${extractedArtist}"`);
-                                        break;
-                                    } else if (jsonData.author && jsonData.author.name) {
-                                        extractedArtist = jsonData.author.name;
-                                        console.log(`[SPOTIFY_META] Extracted artist from JSON-LD author: "${extractedArtist}"`);
-                                        break;
-                                    }
-                                } catch (e) {
-                                    console.log(`[SPOTIFY_META] Failed to parse JSON-LD:`, e.message);
-                                }
-                            }
-                        }
-                    }
-
-                    // Method 3: Look for specific meta tags
-                    if (!extractedArtist) {
-                        const artistMatches = [
-                            html.match(/<meta property="music:musician" content="([^"]+)"/i),
-                            html.match(/<meta name="twitter:audio:artist_name" content="([^"]+)"/i),
-                            html.match(/<meta property="twitter:audio:artist_name" content="([^"]+)"/i),
-                            html.match(/<meta name="music:musician" content="([^"]+)"/i)
-                        ];
-
-                        for (const match of artistMatches) {
-                            if (match && match[1] && match[1].trim() !== '' && !match[1].toLowerCase().includes('spotify')) {
-                                extractedArtist = match[1].trim();
-                                console.log(`[SPOTIFY_META] Extracted artist from meta tag: "${extractedArtist}"`);
-                                break;
-                            }
-                        }
-                    }
-
-                    // Method 4: Look for title patterns in the page title
-                    if (!extractedArtist || !extractedTitle) {
-                        const titleMatches = [
-                            html.match(/<title>([^|]+) \| ([^<]+)<\/title>/i),
-                            html.match(/<title>([^-]+) - ([^|<]+)/i),
-                            html.match(/<title>([^<]*?) by ([^|<]+)/i)
-                        ];
-
-                        for (const match of titleMatches) {
-                            if (match && match[1] && match[2]) {
-                                if (!extractedTitle) extractedTitle = match[1].trim();
-                                if (!extractedArtist && !match[2].toLowerCase().includes('spotify')) {
-                                    extractedArtist = match[2].trim();
-                                    console.log(`[SPOTIFY_META] Extracted from title tag - Title: "${extractedTitle}", Artist: "${extractedArtist}"`);
-                                }
-                                break;
-                            }
-                        }
-                    }
-
-                    // Method 5: Look for inline JavaScript data
-                    if (!extractedArtist) {
-                        const scriptMatches = [
-                            html.match(/"artists":\s*\[\s*{\s*"name":\s*"([^"]+)"/i),
-                            html.match(/"artist":\s*{\s*"name":\s*"([^"]+)"/i),
-                            html.match(/"creator":\s*{\s*"name":\s*"([^"]+)"/i)
-                        ];
-
-                        for (const match of scriptMatches) {
-                            if (match && match[1] && match[1].trim() !== '') {
-                                extractedArtist = match[1].trim();
-                                console.log(`[SPOTIFY_META] Extracted artist from script data: "${extractedArtist}"`);
-                                break;
-                            }
-                        }
-                    }
-
-                    // If we found artist info, use it
-                    if (extractedArtist && extractedTitle) {
-                        const result = {
-                            name: extractedTitle,
-                            artists: [extractedArtist],
-                            image: oEmbedImage
-                        };
-                        console.log(`[SPOTIFY_META] Successfully scraped track metadata:`, result);
-                        return result;
-                    } else {
-                        console.log(`[SPOTIFY_META] Scraping partially successful - Title: "${extractedTitle}", Artist: "${extractedArtist}"`);
-                    }
-                } else {
-                    console.log(`[SPOTIFY_META] Failed to fetch Spotify page: ${pageResponse.status}`);
-                }
-            } catch (error) {
-                console.log(`[SPOTIFY_META] Scraping failed:`, error.message);
-            }
+// Volume a new queue starts at (the last one set with /music volume in the server)
+export const getDefaultVolume = async (guildId) => (await getGuildMusicSettings(guildId)).default_volume;
+
+/**
+ * How many more songs a user may queue under the server's per-user limit
+ * @param {Object} interaction - Interaction from the user adding songs
+ * @returns {Promise<number>} Songs left, Infinity for DJs or when there is no limit
+ */
+export const getQueueAllowance = async (interaction) => {
+    const settings = await getGuildMusicSettings(interaction.guild.id);
+    if (!settings.max_songs_per_user || await isDJ(interaction.member, settings)) {
+        return Infinity;
+    }
 
-            // Method 3: Enhanced fallback - try to extract artist from YouTube search
-            if (oEmbedTitle) {
-                console.log(`[SPOTIFY_META] Attempting enhanced fallback - searching YouTube to find artist...`);
-                try {
-                    // Search YouTube with just the song title to see if we can find the artist
-                    const searchResults = await searchYouTube(oEmbedTitle, 3);
-
-                    let extractedArtist = 'Unknown Artist';
-
-                    if (searchResults.length > 0) {
-                        for (const video of searchResults) {
-                            const videoTitle = video.title.toLowerCase();
-                            const songTitle = oEmbedTitle.toLowerCase();
-
-                            // Check if this video looks like it matches our song
-                            if (videoTitle.includes(songTitle) || songTitle.includes(videoTitle.split('-')[0]?.trim() || '')) {
-                                console.log(`[SPOTIFY_META] Analyzing YouTube video: "${video.title}"`);
-
-                                // Try to extract artist from video title patterns
-                                const titlePatterns = [
-                                    video.title.match(/^([^-]+) - /), // "Artist - Song"
-                                    video.title.match(/ - ([^-]+)$/), // "Song - Artist" 
-                                    video.title.match(/^([^|]+) \|/), // "Artist | Song"
-                                    video.title.match(/\| ([^|]+)$/), // "Song | Artist"
-                                    video.title.match(/by ([^(]+)/i), // "Song by Artist"
-                                    video.title.match(/^([^(]+) \(/), // "Artist (Song)"
-                                ];
-
-                                for (const pattern of titlePatterns) {
-                                    if (pattern && pattern[1]) {
-                                        const candidate = pattern[1].trim();
-                                        // Avoid common non-artist terms
-                                        if (!candidate.toLowerCase().match(/(official|video|lyrics|audio|music|hd|4k|remix|cover|live|ft\.|feat\.)/)) {
-                                            extractedArtist = candidate;
-                                            console.log(`[SPOTIFY_META] Extracted artist from YouTube title: "${extractedArtist}"`);
-                                            break;
-                                        }
-                                    }
-                                }
-
-                                // Also try the channel name if title parsing didn't work
-                                if (extractedArtist === 'Unknown Artist' && video.channel && video.channel.name) {
-                                    const channelName = video.channel.name;
-                                    // Use channel name if it doesn't look like a generic music channel
-                                    if (!channelName.toLowerCase().match(/(records|music|entertainment|official|vevo|channel|tv)/)) {
-                                        extractedArtist = channelName;
-                                        console.log(`[SPOTIFY_META] Using YouTube channel name as artist: "${extractedArtist}"`);
-                                    }
-                                }
-
-                                if (extractedArtist !== 'Unknown Artist') break;
-                            }
-                        }
-                    }
-
-                    const result = {
-                        name: oEmbedTitle,
-                        artists: [extractedArtist],
-                        image: oEmbedImage
-                    };
-                    console.log(`[SPOTIFY_META] Enhanced fallback result:`, result);
-                    return result;
-
-                } catch (searchError) {
-                    console.log(`[SPOTIFY_META] YouTube search fallback failed:`, searchError.message);
-
-                    // Final fallback
-                    const result = {
-                        name: oEmbedTitle,
-                        artists: ['Unknown Artist'],
-                        image: oEmbedImage
-                    };
-                    console.log(`[SPOTIFY_META] Using final fallback with oEmbed title:`, result);
-                    return result;
-                }
-            } else {
-                console.log(`[SPOTIFY_META] All methods failed to get track metadata`);
-                return null;
-            }
-        } else {
-            // For albums/playlists, we'll try to extract basic info and use a fallback approach
-            const title = oEmbedData.title || '';
-            console.log(`[SPOTIFY_META] Processing ${type} title: "${title}"`);
-
-            // Since we can't get track listings from oEmbed, we'll use a different approach
-            // Try to extract some common album track names for known albums
-            let tracks = [];
-
-            if (id === '41GuZcammIkupMPKH2OJ6I' || title.toLowerCase().includes('astroworld')) {
-                console.log(`[SPOTIFY_META] Detected Astroworld album`);
-                // Astroworld album tracks
-                tracks = [
-                    { name: 'STARGAZING', artists: ['Travis Scott'] },
-                    { name: 'CAROUSEL', artists: ['Travis Scott'] },
-                    { name: 'SICKO MODE', artists: ['Travis Scott'] },
-                    { name: 'R.I.P. SCREW', artists: ['Travis Scott'] },
-                    { name: 'STOP TRYING TO BE GOD', artists: ['Travis Scott'] },
-                    { name: 'NO BYSTANDERS', artists: ['Travis Scott'] },
-                    { name: 'SKELETONS', artists: ['Travis Scott'] },
-                    { name: 'WAKE UP', artists: ['Travis Scott'] },
-                    { name: 'ASTROTHUNDER', artists: ['Travis Scott'] },
-                    { name: 'YOSEMITE', artists: ['Travis Scott'] },
-                    { name: 'CANT SAY', artists: ['Travis Scott'] },
-                    { name: 'WHO WHAT', artists: ['Travis Scott'] },
-                    { name: 'BUTTERFLY EFFECT', artists: ['Travis Scott'] },
-                    { name: 'HOUSTONFORNICATION', artists: ['Travis Scott'] },
-                    { name: 'COFFEE BEAN', artists: ['Travis Scott'] }
-                ];
-            } else {
-                console.log(`[SPOTIFY_META] Unknown ${type}, using fallback tracks`);
-                // For unknown albums, create a generic set based on the title
-                const artistMatch = title.match(/by (.+)$/);
-                const artist = artistMatch ? artistMatch[1] : 'Unknown Artist';
-                console.log(`[SPOTIFY_META] Extracted artist: "${artist}"`);
-
-                tracks = [
-                    { name: `${artist} - Popular Song 1`, artists: [artist] },
-                    { name: `${artist} - Popular Song 2`, artists: [artist] },
-                    { name: `${artist} - Popular Song 3`, artists: [artist] },
-                    { name: `${artist} - Popular Song 4`, artists: [artist] },
-                    { name: `${artist} - Popular Song 5`, artists: [artist] }
-                ];
-            }
+    const queued = countQueuedSongs(musicQueues.get(interaction.guild.id), interaction.user.id);
+    return Math.max(settings.max_songs_per_user - queued, 0);
+};
 
-            const result = {
-                name: title,
-                tracks: tracks.map(track => ({
-                    ...track,
-                    image: oEmbedData.thumbnail_url
-                }))
-            };
+// People in Bepo's voice channel, or null when it isn't connected
+const getMusicListeners = (guild, guildId) => {
+    const channelId = connections.get(guildId)?.joinConfig?.channelId;
+    if (!channelId) return null;
+    return { channelId, listeners: getListenerIds(guild?.channels.cache.get(channelId)) };
+};
 
-            console.log(`[SPOTIFY_META] Final ${type} result:`, result);
-            return result;
-        }
-    } catch (error) {
-        console.error(`[SPOTIFY_META] Error fetching Spotify metadata:`, error);
+/**
+ * Check that the user is listening before they change playback.
+ * Anyone may control the music once the voice channel is empty.
+ * @param {Object} interaction - Command or button interaction
+ * @returns {string|null} Message explaining why not, or null if they may
+ */
+export const checkMusicControl = (interaction) => {
+    const voice = getMusicListeners(interaction.guild, interaction.guild?.id ?? interaction.guildId);
+    if (!voice || voice.listeners.length === 0 || voice.listeners.includes(interaction.user.id)) {
         return null;
     }
+    return `🎧 Join <#${voice.channelId}> to control the music.`;
 };
 
-// Helper function to extract track info from Spotify URL
-const extractTrackInfoFromUrl = async (spotifyUrl) => {
-    try {
-        // This is a fallback - try to extract the track name from the URL
-        // Most Spotify URLs don't contain the track name, so this will often fail
-        // In that case, we'll just search generically
-        return "popular song"; // Generic fallback search
-    } catch (error) {
-        return "popular song";
-    }
+/**
+ * Whether the user may change songs other people queued: DJs, the song's requester,
+ * and anyone when nobody else is listening
+ * @param {Object} interaction - Command or button interaction
+ * @param {Object|null} song - Song being changed (null for the whole queue)
+ * @returns {Promise<boolean>} Whether they may
+ */
+export const canManageQueue = async (interaction, song = null) => {
+    if (song?.requestedBy === interaction.user.id) return true;
+
+    const guildId = interaction.guild?.id ?? interaction.guildId;
+    const voice = getMusicListeners(interaction.guild, guildId);
+    if (!voice || voice.listeners.every(id => id === interaction.user.id)) return true;
+
+    return isDJ(interaction.member, await getGuildMusicSettings(guildId));
 };
 
-// Helper function to match YouTube playlist tracks to Spotify tracks
-const matchPlaylistToSpotifyTracks = (youtubeVideos, spotifyTracks) => {
-    console.log(`[SPOTIFY_MATCH] Matching ${youtubeVideos.length} YouTube videos to ${spotifyTracks.length} Spotify tracks`);
-
-    const matchedTracks = [];
-    const usedVideoIndices = new Set();
-
-    // Try to match each Spotify track to a YouTube video
-    for (let i = 0; i < spotifyTracks.length; i++) {
-        const spotifyTrack = spotifyTracks[i];
-        const spotifyTitle = spotifyTrack.name.toLowerCase();
-        const spotifyArtists = spotifyTrack.artists.map(a => a.toLowerCase());
-
-        console.log(`[SPOTIFY_MATCH] Looking for: "${spotifyTrack.name}" by ${spotifyTrack.artists.join(', ')}`);
-
-        let bestMatch = null;
-        let bestScore = 0;
-        let bestVideoIndex = -1;
+/**
+ * Change the volume of the queue playing now and remember it as the server's default
+ * @param {string} guildId - Guild ID
+ * @param {number} volume - Volume in percent
+ * @param {string|null} userId - Who changed it
+ * @returns {Promise<Object>} { volume, saved } where saved is false if the default couldn't be stored
+ */
+export const setVolume = async (guildId, volume, userId = null) => {
+    const level = clampVolume(volume);
+    const queueData = musicQueues.get(guildId);
 
-        // Check each YouTube video for a match
-        for (let j = 0; j < youtubeVideos.length; j++) {
-            if (usedVideoIndices.has(j)) continue; // Skip already matched videos
+    if (queueData) {
+        queueData.volume = level;
+        // Inline volume applies to the song playing now without restarting it
+        queueData.player?.state.resource?.volume?.setVolume(level / 100);
+        saveMusicQueues();
+        refreshNowPlaying(guildId);
+    }
 
-            const video = youtubeVideos[j];
-            const videoTitle = video.title.toLowerCase();
+    const saved = await updateGuildMusicSettings(guildId, { default_volume: level }, userId);
+    return { volume: level, saved: Boolean(saved) };
+};
 
-            // Calculate match score
-            let score = 0;
+/**
+ * Restart the current song's stream, so new filters are heard straight away or to seek
+ * @param {string} guildId - Guild ID
+ * @param {number|null} seekSeconds - Where to restart in the song (default: where it is now)
+ * @returns {Promise<boolean>} False if nothing is playing or the new stream failed
+ */
+export const restartCurrentTrack = async (guildId, seekSeconds = null) => {
+    const queueData = musicQueues.get(guildId);
+    const song = queueData?.songs[queueData.currentIndex];
+    const resource = queueData?.player?.state.resource;
+    if (!song || !resource || queueData.isFinished) return false;
 
-            // Check if video title contains the track name
-            if (videoTitle.includes(spotifyTitle)) {
-                score += 50;
-            }
+    const position = seekSeconds ?? getPlaybackPosition(resource);
+    let stream;
+    try {
+        console.log(`[AUDIO] Restarting ${song.title} at ${Math.round(position)}s with filters: ${(queueData.filters || []).join(', ') || 'none'}`);
+        stream = await createSongStream(song, { ...getStreamOptions(queueData), seekSeconds: position, fallback: false });
+    } catch (error) {
+        console.error('[AUDIO] Failed to restart track:', error);
+        return false;
+    }
 
-            // Check if video title contains any artist name
-            for (const artist of spotifyArtists) {
-                if (videoTitle.includes(artist)) {
-                    score += 30;
-                }
-            }
+    // The song may have been skipped or stopped while the new stream started
+    if (musicQueues.get(guildId) !== queueData || queueData.songs[queueData.currentIndex] !== song || !queueData.player) {
+        cleanupAudioProcesses(stream.process);
+        return false;
+    }
 
-            // Bonus for exact position match (track order)
-            if (Math.abs(j - i) <= 2) { // Within 2 positions
-                score += 20;
-            }
+    const previousProcesses = queueData.currentProcesses;
+    queueData.currentProcesses = stream.process || null;
+    // Replacing the resource doesn't make the player idle, so the queue doesn't move on
+    const newResource = createSongResource(stream, queueData, position);
+    queueData.player.play(newResource);
+    continuePlayLog(queueData, song, newResource);
+    cleanupAudioProcesses(previousProcesses);
+
+    queueData.isPaused = false; // Playing the new stream resumes the player
+    await refreshNowPlaying(guildId);
+    return true;
+};
 
-            // Penalty for very different lengths
-            const titleLengthDiff = Math.abs(videoTitle.length - spotifyTitle.length);
-            if (titleLengthDiff > 20) {
-                score -= 10;
-            }
+/**
+ * Set the queue's filters and restart the current song with them
+ * @param {string} guildId - Guild ID
+ * @param {string[]} filters - Filter names from AUDIO_FILTERS
+ * @returns {Promise<boolean|null>} null if there is no queue, otherwise whether the song restarted
+ */
+export const setFilters = async (guildId, filters) => {
+    const queueData = musicQueues.get(guildId);
+    if (!queueData) return null;
 
-            console.log(`[SPOTIFY_MATCH] Video "${video.title}" scored ${score}`);
+    queueData.filters = filters;
+    saveMusicQueues();
+    const restarted = await restartCurrentTrack(guildId);
+    if (!restarted) await refreshNowPlaying(guildId);
+    return restarted;
+};
 
-            if (score > bestScore && score >= 30) { // Minimum score threshold
-                bestMatch = video;
-                bestScore = score;
-                bestVideoIndex = j;
-            }
-        }
+/**
+ * Play the current song from a point in it
+ * @param {string} guildId - Guild ID
+ * @param {number} seconds - Position in the song
+ * @returns {Promise<boolean>} False if nothing is playing or the new stream failed
+ */
+export const seekTo = (guildId, seconds) => restartCurrentTrack(guildId, Math.max(0, seconds));
+
+/**
+ * Play the current song again from the start (a finished queue replays its last song)
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object|null>} The song, or null if there was nothing to replay
+ */
+export const replayCurrentTrack = async (guildId) => {
+    const queueData = musicQueues.get(guildId);
+    const song = queueData?.songs[queueData.currentIndex];
+    if (!song) return null;
 
-        if (bestMatch) {
-            console.log(`[SPOTIFY_MATCH] Matched "${spotifyTrack.name}" to "${bestMatch.title}" (score: ${bestScore})`);
-            usedVideoIndices.add(bestVideoIndex);
-
-            matchedTracks.push({
-                originalUrl: `https://open.spotify.com/track/${spotifyTrack.id || 'unknown'}`,
-                youtubeUrl: bestMatch.url,
-                title: spotifyTrack.name,
-                artist: spotifyTrack.artists.join(', '),
-                duration: bestMatch.durationRaw || 'Unknown',
-                thumbnail: spotifyTrack.image || bestMatch.thumbnails?.[0]?.url,
-                isSpotifyTrack: true,
-                originalSpotifyUrl: `https://open.spotify.com/track/${spotifyTrack.id || 'unknown'}`,
-                originalIndex: i  // Add original index for sorting
-            });
-        } else {
-            console.log(`[SPOTIFY_MATCH] No good match found for "${spotifyTrack.name}"`);
-        }
+    if (queueData.isFinished) {
+        return jumpInQueue(guildId, queueData.currentIndex);
     }
-
-    console.log(`[SPOTIFY_MATCH] Successfully matched ${matchedTracks.length}/${spotifyTracks.length} tracks`);
-    return matchedTracks;
+    return (await seekTo(guildId, 0)) ? song : null;
 };
 
+export const getQueuePageCount = (queueData) => Math.max(1, Math.ceil(queueData.songs.length / QUEUE_PAGE_SIZE));
+
+// Page that holds the current song, so the queue view opens where playback is
+export const getCurrentQueuePage = (queueData) => Math.floor(Math.max(queueData.currentIndex, 0) / QUEUE_PAGE_SIZE);
+
 // Create music control embed
 const createMusicEmbed = (song, queue, isPlaying = true) => {
     const isSpotify = song.isSpotifyTrack;
@@ -920,11 +613,19 @@ const createMusicEmbed = (song, queue, isPlaying = true) => {
         .addFields(
             { name: '👤 Artist/Channel', value: song.channel || 'Unknown', inline: true },
             { name: '⏱️ Duration', value: song.duration || 'Unknown', inline: true },
-            { name: '📋 Queue', value: `${queue.currentIndex + 1}/${queue.songs.length}`, inline: true }
+            { name: '📋 Queue', value: `${queue.currentIndex + 1}/${queue.songs.length} • ${describeTimeRemaining(queue)}`, inline: true },
+            { name: '▶️ Progress', value: createProgressBar(getCurrentPosition(queue), parseTimestamp(song.duration)) }
         )
         .setThumbnail(song.thumbnail)
         .setTimestamp();
 
+    const volume = queue.volume ?? DEFAULT_VOLUME;
+    const filters = queue.filters || [];
+    if (volume !== DEFAULT_VOLUME || filters.length > 0) {
+        const effects = filters.map(name => AUDIO_FILTERS[name]?.label || name);
+        embed.addFields({ name: '🎛️ Sound', value: [`Volume ${volume}%`, ...effects].join(' • ') });
+    }
+
     if (isSpotify && song.originalSpotifyUrl) {
         embed.setFooter({ text: '🎵 Converted from Spotify • Playing via YouTube' });
     }
@@ -995,17 +696,17 @@ const createQueueAddedEmbed = (addedSong, queueData) => {
 };
 
 // Create enhanced Spotify album/playlist addition embed
-const createSpotifyAlbumAddedEmbed = (spotifyData, queueData, startPosition) => {
+const createSpotifyAlbumAddedEmbed = (collection, songs, queueData, startPosition) => {
     const embed = new EmbedBuilder()
         .setColor('#1DB954') // Spotify green
-        .setTitle(`🎵 Added Spotify ${spotifyData.type === 'album' ? 'Album' : 'Playlist'} to Queue`)
-        .setDescription(`**${spotifyData.name}**\n*Converted from Spotify and added to queue*`)
+        .setTitle(`🎵 Added Spotify ${collection.type === 'album' ? 'Album' : 'Playlist'} to Queue`)
+        .setDescription(`**${collection.name}**\n*Converted from Spotify and added to queue*`)
         .addFields(
-            { name: '📀 Tracks Added', value: `${spotifyData.tracks.length}`, inline: true },
+            { name: '📀 Tracks Added', value: `${songs.length}`, inline: true },
             { name: '📋 Total Queue', value: `${queueData.songs.length} songs`, inline: true },
             { name: '📍 Starting Position', value: `${startPosition}`, inline: true }
         )
-        .setThumbnail(spotifyData.tracks[0]?.thumbnail)
+        .setThumbnail(collection.thumbnail)
         .setTimestamp();
 
     // Show currently playing song
@@ -1019,14 +720,14 @@ const createSpotifyAlbumAddedEmbed = (spotifyData, queueData, startPosition) =>
     }
 
     // Show some of the newly added tracks
-    const newlyAddedTracks = spotifyData.tracks.slice(0, 4) // Show first 4 tracks from the album/playlist
+    const newlyAddedTracks = songs.slice(0, 4) // Show first 4 tracks from the album/playlist
         .map((track, index) => {
             const position = startPosition + index;
             return `${position}. ${track.title} 🎵`;
         })
         .join('\n');
 
-    const moreCount = spotifyData.tracks.length > 4 ? ` (+${spotifyData.tracks.length - 4} more tracks)` : '';
+    const moreCount = songs.length > 4 ? ` (+${songs.length - 4} more tracks)` : '';
     embed.addFields({
         name: '🎶 Added Tracks Preview',
         value: newlyAddedTracks + moreCount,
@@ -1038,18 +739,18 @@ const createSpotifyAlbumAddedEmbed = (spotifyData, queueData, startPosition) =>
     return embed;
 };
 
-// Create enhanced YouTube playlist addition embed
-const createYouTubePlaylistAddedEmbed = (playlistData, queueData, startPosition) => {
+// Create enhanced YouTube playlist addition embed (also used for playlists from other sources)
+const createYouTubePlaylistAddedEmbed = (collection, songs, queueData, startPosition) => {
     const embed = new EmbedBuilder()
         .setColor('#FF0000') // YouTube red
         .setTitle('📺 Added YouTube Playlist to Queue')
-        .setDescription(`**${playlistData.name}**\n*All videos added to queue*`)
+        .setDescription(`**${collection.name}**\n*All videos added to queue*`)
         .addFields(
-            { name: '🎬 Videos Added', value: `${playlistData.videos.length}`, inline: true },
+            { name: '🎬 Videos Added', value: `${songs.length}`, inline: true },
             { name: '📋 Total Queue', value: `${queueData.songs.length} songs`, inline: true },
             { name: '📍 Starting Position', value: `${startPosition}`, inline: true }
         )
-        .setThumbnail(playlistData.thumbnail)
+        .setThumbnail(collection.thumbnail)
         .setTimestamp();
 
     // Show currently playing song
@@ -1063,22 +764,22 @@ const createYouTubePlaylistAddedEmbed = (playlistData, queueData, startPosition)
     }
 
     // Show some of the newly added videos
-    const newlyAddedVideos = playlistData.videos.slice(0, 4) // Show first 4 videos from the playlist
+    const newlyAddedVideos = songs.slice(0, 4) // Show first 4 videos from the playlist
         .map((video, index) => {
             const position = startPosition + index;
             return `${position}. ${video.title}`;
         })
         .join('\n');
 
-    const moreCount = playlistData.videos.length > 4 ? ` (+${playlistData.videos.length - 4} more videos)` : '';
+    const moreCount = songs.length > 4 ? ` (+${songs.length - 4} more videos)` : '';
     embed.addFields({
         name: '🎬 Added Videos Preview',
         value: newlyAddedVideos + moreCount,
         inline: false
     });
 
-    if (playlistData.uploader && playlistData.uploader !== 'Unknown') {
-        embed.setFooter({ text: `📺 Playlist by ${playlistData.uploader} • All videos added to queue` });
+    if (collection.uploader && collection.uploader !== 'Unknown') {
+        embed.setFooter({ text: `📺 Playlist by ${collection.uploader} • All videos added to queue` });
     } else {
         embed.setFooter({ text: '📺 YouTube Playlist • All videos added to queue' });
     }
@@ -1086,6 +787,28 @@ const createYouTubePlaylistAddedEmbed = (playlistData, queueData, startPosition)
     return embed;
 };
 
+// Embed for an album or playlist added to the queue
+const createCollectionAddedEmbed = (collection, songs, queueData, startPosition) => collection.source === 'spotify'
+    ? createSpotifyAlbumAddedEmbed(collection, songs, queueData, startPosition)
+    : createYouTubePlaylistAddedEmbed(collection, songs, queueData, startPosition);
+
+// What to tell the user when the first song of a new queue won't stream
+const describeStreamError = (error, collection) => {
+    if (collection) {
+        return `❌ Failed to play the first song from **${collection.name}**. Please try a different ${collection.type}.`;
+    }
+
+    const errorMessage = error.message?.toLowerCase() || '';
+    if (errorMessage.includes('live') || errorMessage.includes('stream')) {
+        return '❌ This appears to be a livestream, which is not supported. Please provide a regular YouTube video URL.';
+    } else if (errorMessage.includes('playlist')) {
+        return '❌ This appears to be a playlist URL, which is not directly supported. Please provide individual video URLs.';
+    } else if (errorMessage.includes('private') || errorMessage.includes('unavailable')) {
+        return '❌ This video is private or unavailable. Please provide a different YouTube video URL.';
+    }
+    return '❌ Failed to process the link. This might be a livestream, playlist, or the audio might be unavailable. Please try a different URL.';
+};
+
 // Create control buttons for queue additions
 const createQueueAddedButtons = () => {
     return new ActionRowBuilder()
@@ -1104,6 +827,7 @@ const createQueueAddedButtons = () => {
                 .setStyle(ButtonStyle.Danger)
         );
 };
+// Create playback control rows for the now playing message
 const createControlButtons = (hasQueue = false, isPaused = false) => {
     const row = new ActionRowBuilder()
         .addComponents(
@@ -1134,7 +858,61 @@ const createControlButtons = (hasQueue = false, isPaused = false) => {
         );
     }
 
-    return row;
+    // A row holds at most 5 buttons, so extras go on a second row
+    const extraRow = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('music_favorite')
+                .setLabel('❤️ Favorite')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+    return [row, extraRow];
+};
+
+// Create one page of the full queue view
+export const createQueueEmbed = (queueData, page = 0) => {
+    const totalPages = getQueuePageCount(queueData);
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const start = currentPage * QUEUE_PAGE_SIZE;
+    const loopLabels = { off: '➡️ Off', track: '🔂 Track', queue: '🔁 Queue' };
+
+    const songList = queueData.songs.slice(start, start + QUEUE_PAGE_SIZE)
+        .map((song, index) => {
+            const position = start + index + 1;
+            const line = `${position}. ${song.title}${song.isSpotifyTrack ? ' 🎵' : ''}`;
+            return start + index === queueData.currentIndex ? `**▶️ ${line}**` : line;
+        })
+        .join('\n');
+
+    return new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle('📋 Current Queue')
+        .setDescription(songList || '*The queue is empty*')
+        .addFields(
+            { name: '📊 Queue Stats', value: `Total: ${queueData.songs.length} songs\nPosition: ${queueData.currentIndex + 1}/${queueData.songs.length}\n${queueData.isFinished ? 'Nothing left' : describeTimeRemaining(queueData)}`, inline: true },
+            { name: '⏱️ Status', value: queueData.isPaused ? '⏸️ Paused' : (queueData.isFinished ? '🔚 Finished' : '▶️ Playing'), inline: true },
+            { name: '🔁 Loop', value: loopLabels[queueData.loopMode || 'off'], inline: true }
+        )
+        .setFooter({ text: `Page ${currentPage + 1}/${totalPages} • 🎵 = Spotify Track • Use /queue to edit the queue` })
+        .setTimestamp();
+};
+
+// Create previous/next buttons for the queue view (the page number travels in the custom ID)
+export const createQueuePageButtons = (page, totalPages) => {
+    return new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`music_queue_page:${page - 1}`)
+                .setLabel('◀️ Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page <= 0),
+            new ButtonBuilder()
+                .setCustomId(`music_queue_page:${page + 1}`)
+                .setLabel('Next ▶️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page >= totalPages - 1)
+        );
 };
 
 // Play next song in queue
@@ -1144,6 +922,18 @@ const playNextSong = async (guildId, interaction = null) => {
 
     if (!queueData || !connection || !queueData.player) return;
 
+    // Whatever played last has stopped, whether it ended or was skipped
+    finishPlayLog(guildId, queueData);
+
+    // Skip, previous and jump set skipLoop so they move on even when the track is looping
+    const loopMode = queueData.loopMode || 'off';
+    if (loopMode === 'track' && !queueData.skipLoop && queueData.currentIndex >= 0) {
+        queueData.currentIndex--; // Replay the same song
+    } else if (loopMode === 'queue' && queueData.currentIndex >= queueData.songs.length - 1) {
+        queueData.currentIndex = -1; // Wrap round to the first song
+    }
+    queueData.skipLoop = false;
+
     if (queueData.currentIndex >= queueData.songs.length - 1) {
         // End of queue - keep connection alive but show finished status
         console.log('[PLAYER] Queue finished, keeping connection alive');
@@ -1182,12 +972,14 @@ const playNextSong = async (guildId, interaction = null) => {
         // Keep the connection alive but mark queue as finished
         // Don't delete the queue data or connection - let user manually stop or add more songs
         queueData.isFinished = true;
+        saveMusicQueues();
 
         return;
     }
 
     queueData.currentIndex++;
     const song = queueData.songs[queueData.currentIndex];
+    saveMusicQueues();
 
     try {
         // Clean up any lingering processes from the previous track
@@ -1196,54 +988,38 @@ const playNextSong = async (guildId, interaction = null) => {
             queueData.currentProcesses = null;
         }
 
-        // Get audio stream using yt-dlp helper (android_vr client)
         let stream;
         try {
             console.log(`[AUDIO] Getting stream for: ${song.url}`);
-            stream = await getAudioStream(song.url);
+            stream = await createSongStream(song, getStreamOptions(queueData));
         } catch (streamError) {
-            console.error('[AUDIO] getAudioStream error in playNextSong:', streamError);
-
-            // Fallback to youtube-dl-exec
-            try {
-                console.log('[AUDIO] Trying youtube-dl-exec fallback...');
-                const audioUrl = await youtubedl(song.url, {
-                    format: 'bestaudio[ext=webm]/bestaudio[ext=m4a]/bestaudio',
-                    getUrl: true,
-                    quiet: true
-                });
-                const response = await fetch(audioUrl);
-                stream = { stream: Readable.fromWeb(response.body), type: StreamType.Arbitrary };
-            } catch (youtubeDlError) {
-                console.error('YouTube-dl fallback error in playNextSong:', youtubeDlError);
-                // Skip this song and try the next one
-                if (queueData.currentIndex < queueData.songs.length - 1) {
-                    console.log('Skipping problematic song and trying next...');
-                    playNextSong(guildId, interaction);
-                    return;
-                } else {
-                    console.log('Last song failed, ending queue');
-                    // Clean up when queue is finished due to errors
-                    musicQueues.delete(guildId);
-                    const connection = connections.get(guildId);
-                    if (connection) {
-                        connection.destroy();
-                        connections.delete(guildId);
-                    }
-                    voiceActivityManager.stopActivity(guildId, 'music');
-                    return;
+            console.error('[AUDIO] Stream error in playNextSong:', streamError);
+            // Skip this song and try the next one
+            if (queueData.currentIndex < queueData.songs.length - 1) {
+                console.log('Skipping problematic song and trying next...');
+                queueData.skipLoop = true; // Don't retry a broken song forever on track loop
+                playNextSong(guildId, interaction);
+                return;
+            } else {
+                console.log('Last song failed, ending queue');
+                // Clean up when queue is finished due to errors
+                musicQueues.delete(guildId);
+                saveMusicQueues();
+                const connection = connections.get(guildId);
+                if (connection) {
+                    connection.destroy();
+                    connections.delete(guildId);
                 }
+                voiceActivityManager.stopActivity(guildId, 'music');
+                return;
             }
         }
 
-        // Track active processes for cleanup (if using yt-dlp helper)
+        // Track active processes for cleanup (fallback streams have none)
         queueData.currentProcesses = stream.process || null;
 
         // Create audio resource
-        const resource = createAudioResource(stream.stream, {
-            inputType: stream.type || StreamType.Opus, // Use detected type or default to Opus
-            inlineVolume: true
-        });
+        const resource = createSongResource(stream, queueData);
         console.log('[AUDIO] Audio resource created successfully');
         console.log(`[AUDIO] Resource readable: ${resource.readable}, volume: ${!!resource.volume}`);
 
@@ -1251,16 +1027,17 @@ const playNextSong = async (guildId, interaction = null) => {
         if (queueData.player) {
             console.log(`[AUDIO] Starting playback for: ${song.title}`);
             queueData.player.play(resource);
+            startPlayLog(queueData, song, resource);
             console.log(`[AUDIO] Player state: ${queueData.player.state.status}`);
 
             // Update embed
             const embed = createMusicEmbed(song, queueData);
-            const buttons = createControlButtons(queueData.songs.length > 1, queueData.isPaused || false);
+            const controls = createControlButtons(queueData.songs.length > 1, queueData.isPaused || false);
 
             if (queueData.lastMessage) {
                 await queueData.lastMessage.edit({
                     embeds: [embed],
-                    components: [buttons]
+                    components: controls
                 });
             }
         }
@@ -1269,28 +1046,235 @@ const playNextSong = async (guildId, interaction = null) => {
     }
 };
 
+/**
+ * Join a voice channel and play a list of songs as a new queue (used for restored queues and saved playlists)
+ * @param {Object} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {Object} saved - { songs, currentIndex, loopMode, volume, filters, voiceChannelId, textChannelId }
+ * @param {Object|null} message - Message to turn into the now playing message
+ * @returns {Promise<boolean>} False if the channel is gone or the guild is already using voice
+ */
+export const startSavedQueue = async (client, guildId, saved, message = null) => {
+    const guild = client.guilds.cache.get(guildId);
+    const channel = await guild?.channels.fetch(saved.voiceChannelId).catch(() => null);
+    if (!channel || channel.type !== 2) {
+        console.log(`[MUSIC] Voice channel ${saved.voiceChannelId} in guild ${guildId} is gone, not starting queue`);
+        return false;
+    }
+
+    const volume = saved.volume ?? await getDefaultVolume(guildId);
+    if (musicQueues.has(guildId) || !voiceActivityManager.canStartActivity(guildId, 'music').canStart) {
+        console.log(`[MUSIC] Guild ${guildId} is already using voice, not starting queue`);
+        return false;
+    }
+
+    const queueData = {
+        songs: saved.songs,
+        currentIndex: Math.min(saved.currentIndex, saved.songs.length - 1) - 1, // Will be incremented by playNextSong
+        loopMode: saved.loopMode || 'off',
+        player: createAudioPlayer(),
+        isPaused: false,
+        lastMessage: message,
+        isFinished: false,
+        currentProcesses: null,
+        volume,
+        filters: saved.filters || [],
+        textChannelId: saved.textChannelId,
+        skipLoop: true // Start on the saved song even when it is looping
+    };
+    musicQueues.set(guildId, queueData);
+
+    const connection = joinVoiceChannel({
+        channelId: channel.id,
+        guildId,
+        adapterCreator: channel.guild.voiceAdapterCreator,
+        selfDeaf: false,
+    });
+    connections.set(guildId, connection);
+    voiceActivityManager.startActivity(guildId, 'music', channel.id, queueData);
+
+    queueData.player.on(AudioPlayerStatus.Idle, () => {
+        playNextSong(guildId);
+    });
+    queueData.player.on('error', (error) => {
+        console.error('[PLAYER] ❌ Player error:', error);
+    });
+    connection.subscribe(queueData.player);
+
+    console.log(`[MUSIC] Starting ${saved.songs.length} saved songs in guild ${guildId} at position ${saved.currentIndex + 1}`);
+    await playNextSong(guildId);
+    return true;
+};
+
+// Tell the music channel why Bepo is rejoining by itself (becomes the now playing message)
+const sendRestartNotice = async (client, saved) => {
+    const textChannel = saved.textChannelId ? await client.channels.fetch(saved.textChannelId).catch(() => null) : null;
+    return await textChannel?.send('🔄 Bepo restarted, so the queue picks up where it left off.').catch(() => null) || null;
+};
+
+// Post a Resume/Discard prompt for a queue saved before the restart
+const offerResume = async (client, guildId, saved) => {
+    const textChannel = saved.textChannelId ? await client.channels.fetch(saved.textChannelId).catch(() => null) : null;
+    if (!textChannel) return false;
+
+    const song = saved.songs[Math.min(saved.currentIndex, saved.songs.length - 1)];
+    const embed = new EmbedBuilder()
+        .setColor('#0099ff')
+        .setTitle('🔄 Resume Music?')
+        .setDescription(`Bepo restarted while playing in <#${saved.voiceChannelId}>.`)
+        .addFields(
+            { name: '🎵 Up Next', value: `**${song.title}**`, inline: false },
+            { name: '📋 Queue', value: `${saved.currentIndex + 1}/${saved.songs.length}`, inline: true }
+        )
+        .setTimestamp();
+
+    const buttons = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId('music_resume')
+                .setLabel('▶️ Resume')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId('music_discard')
+                .setLabel('🗑️ Discard')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+    pendingResumes.set(guildId, saved);
+    await textChannel.send({ embeds: [embed], components: [buttons] });
+    return true;
+};
+
+/**
+ * Bring back the queues saved before the last shutdown or crash (called on clientReady)
+ * MUSIC_RESUME picks between asking with a button, resuming straight away, or dropping them.
+ * @param {Object} client - Discord client
+ * @returns {Promise<number>} Number of queues resumed or offered
+ */
+export const restoreMusicQueues = async (client) => {
+    const mode = getResumeMode();
+    const saved = await queueStore.load();
+    let restored = 0;
+
+    for (const [guildId, queue] of Object.entries(saved)) {
+        if (mode === 'off' || !Array.isArray(queue.songs) || queue.songs.length === 0) continue;
+        if (!client.guilds.cache.has(guildId)) continue;
+
+        try {
+            const ok = mode === 'auto'
+                ? await startSavedQueue(client, guildId, queue)
+                : await offerResume(client, guildId, queue);
+            if (ok) restored++;
+
+            // Only announce once the queue is really playing again
+            if (ok && mode === 'auto' && musicQueues.has(guildId)) {
+                musicQueues.get(guildId).lastMessage = await sendRestartNotice(client, queue);
+                await refreshNowPlaying(guildId);
+            }
+        } catch (error) {
+            console.error(`[MUSIC_RESUME] Failed to restore queue for guild ${guildId}:`, error);
+        }
+    }
+
+    // Rewrite the file so queues that were dropped don't come back on the next restart
+    await queueStore.flush();
+    return restored;
+};
+
+/**
+ * Save every queue, then leave voice without touching the saved state (called from gracefulShutdown)
+ */
+export const shutdownMusic = async () => {
+    await queueStore.close();
+    clearInterval(progressTimer);
+    progressTimer = null;
+
+    // The songs playing count towards the history up to now
+    await Promise.all(Array.from(musicQueues, ([guildId, queueData]) => finishPlayLog(guildId, queueData)));
+
+    for (const [guildId, queueData] of musicQueues) {
+        if (queueData.player) {
+            queueData.player.removeAllListeners(); // Stopping must not advance the queue
+            queueData.player.stop(true);
+        }
+        if (queueData.currentProcesses) {
+            cleanupAudioProcesses(queueData.currentProcesses);
+        }
+        voiceActivityManager.stopActivity(guildId, 'music');
+    }
+
+    for (const connection of connections.values()) {
+        connection.destroy();
+    }
+    musicQueues.clear();
+    connections.clear();
+};
+
 const playCommand = {
     data: new SlashCommandBuilder()
         .setName('play')
-        .setDescription('Plays audio from YouTube or Spotify links in a voice channel')
-        .addStringOption(option =>
-            option.setName('link')
-                .setDescription('YouTube or Spotify URL to play')
-                .setRequired(true)
-        )
+        .setDescription('Plays audio from YouTube, Spotify or audio file links, or searches YouTube, in a voice channel')
         .addChannelOption(option =>
             option.setName('channel')
                 .setDescription('The voice channel to play in')
                 .setRequired(true)
+        )
+        .addStringOption(option =>
+            option.setName('link')
+                .setDescription('YouTube, Spotify or audio file URL to play')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('query')
+                .setDescription('Song to search YouTube for')
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addAttachmentOption(option =>
+            option.setName('attachment')
+                .setDescription('Audio file to play (mp3, ogg, wav, flac, m4a...)')
+                .setRequired(false)
         ),
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+        const query = focused.value.trim();
+
+        if (focused.name !== 'query' || query.length < 3 || isUrl(query)) {
+            await interaction.respond([]);
+            return;
+        }
+
+        // A slow search keeps running and fills the cache for the next keystroke
+        let timer;
+        const results = await Promise.race([
+            searchYouTubeCached(query),
+            new Promise(resolve => { timer = setTimeout(() => resolve([]), AUTOCOMPLETE_TIMEOUT); })
+        ]);
+        clearTimeout(timer);
+
+        await interaction.respond(results.map(video => ({
+            name: truncate(`${video.title} • ${video.channel || 'Unknown'} (${video.duration || 'Unknown'})`),
+            value: video.url
+        })));
+    },
     async execute(interaction) {
-        const link = interaction.options.getString('link');
+        let link = interaction.options.getString('link');
+        const query = interaction.options.getString('query');
+        const attachment = interaction.options.getAttachment('attachment');
         const channel = interaction.options.getChannel('channel');
         const guildId = interaction.guild.id;
 
         // Validate inputs
-        if (!link) {
-            await interaction.reply('Please provide a valid URL.');
+        if (!link && !query && !attachment) {
+            await interaction.reply({ content: 'Please provide a link, a search query or an audio file.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        if (attachment && !isAudioAttachment(attachment)) {
+            await interaction.reply({
+                content: `❌ **${attachment.name}** isn't an audio file. Supported types: ${AUDIO_FILE_EXTENSIONS.join(', ')}.`,
+                flags: MessageFlags.Ephemeral
+            });
             return;
         }
 
@@ -1312,451 +1296,85 @@ const playCommand = {
             return;
         }
 
+        let songsOverLimit = 0;
         try {
             await interaction.deferReply();
 
-            // Check if it's a Spotify URL
-            const isSpotify = link.includes('spotify.com') || link.includes('open.spotify.com');
-            let songData;
-            let youtubeUrl = link; // Initialize with the original link
-
-            if (isSpotify) {
-                // Handle Spotify URL
-                await interaction.editReply('🎵 Processing Spotify link and finding YouTube equivalent...');
-
-                console.log('[MAIN] Starting Spotify processing...');
-                const spotifyData = await getSpotifyTrackInfo(link);
-                console.log('[MAIN] Got Spotify data:', spotifyData ? 'SUCCESS' : 'FAILED');
-
-                if (!spotifyData) {
-                    await interaction.editReply('❌ Failed to process Spotify link. Please try copying the song/artist name and searching for it directly on YouTube, or provide a YouTube link instead.');
-                    return;
-                }
-
-                if (spotifyData.type === 'album' || spotifyData.type === 'playlist') {
-                    console.log(`[MAIN] Processing ${spotifyData.type} with ${spotifyData.tracks.length} tracks`);
-                    await interaction.editReply(`🎵 Found ${spotifyData.type}: **${spotifyData.name}**\n🔍 Searching YouTube for ${spotifyData.tracks.length} tracks...`);
-
-                    // Handle Spotify album/playlist
-                    if (spotifyData.tracks.length === 0) {
-                        await interaction.editReply('❌ No tracks found. Please try a different Spotify link or search YouTube directly.');
-                        return;
-                    }
-
-                    console.log('[MAIN] Creating queue for album/playlist...');
-                    // Get or create queue
-                    let queueData = musicQueues.get(guildId);
-                    let connection = connections.get(guildId);
-
-                    if (!queueData) {
-                        console.log('[MAIN] Creating new queue...');
-                        // Create new queue with first track
-                        const firstTrack = spotifyData.tracks[0];
-                        console.log('[MAIN] First track:', firstTrack.title);
-
-                        songData = {
-                            url: firstTrack.youtubeUrl,
-                            title: firstTrack.title,
-                            channel: firstTrack.artist,
-                            duration: firstTrack.duration,
-                            thumbnail: firstTrack.thumbnail,
-                            isSpotifyTrack: true,
-                            originalSpotifyUrl: firstTrack.originalUrl
-                        };
-
-                        queueData = {
-                            songs: [songData],
-                            currentIndex: 0,
-                            player: createAudioPlayer(),
-                            isPaused: false,
-                            lastMessage: null,
-                            currentProcesses: null
-                        };
-                        musicQueues.set(guildId, queueData);
-
-                        console.log('[MAIN] Joining voice channel...');
-                        connection = joinVoiceChannel({
-                            channelId: channel.id,
-                            guildId: channel.guild.id,
-                            adapterCreator: channel.guild.voiceAdapterCreator,
-                            selfDeaf: false,
-                        });
-                        connections.set(guildId, connection);
-
-                        // Register music activity
-                        voiceActivityManager.startActivity(guildId, 'music', channel.id, queueData);
-
-                        queueData.player.on(AudioPlayerStatus.Idle, () => {
-                            playNextSong(guildId);
-                        });
-
-                        connection.subscribe(queueData.player);
-
-                        console.log('[MAIN] Adding remaining tracks to queue...');
-                        // Add remaining tracks to queue
-                        for (let i = 1; i < spotifyData.tracks.length; i++) {
-                            const track = spotifyData.tracks[i];
-                            queueData.songs.push({
-                                url: track.youtubeUrl,
-                                title: track.title,
-                                channel: track.artist,
-                                duration: track.duration,
-                                thumbnail: track.thumbnail,
-                                isSpotifyTrack: true,
-                                originalSpotifyUrl: track.originalUrl
-                            });
-                        }
-
-                        youtubeUrl = firstTrack.youtubeUrl;
-                        console.log('[MAIN] Will start playing:', youtubeUrl);
-
-                        // Now proceed to play the first track - don't fall through to general queue logic
-                        console.log('[MAIN] Starting playback for album first track:', youtubeUrl);
-
-                        if (queueData.currentProcesses) {
-                            cleanupAudioProcesses(queueData.currentProcesses);
-                            queueData.currentProcesses = null;
-                        }
-
-                        let stream;
-                        try {
-                            console.log(`[AUDIO] Getting stream for album track: ${youtubeUrl}`);
-                            stream = await getAudioStream(youtubeUrl);
-                        } catch (streamError) {
-                            console.error('[AUDIO] getAudioStream error for album track:', streamError);
-
-                            // Fallback to youtube-dl-exec
-                            try {
-                                console.log('[AUDIO] Trying youtube-dl-exec fallback for album track...');
-                                const audioUrl = await youtubedl(youtubeUrl, {
-                                    format: 'bestaudio[ext=webm]/bestaudio[ext=m4a]/bestaudio',
-                                    getUrl: true,
-                                    quiet: true
-                                });
-                                const response = await fetch(audioUrl);
-                                stream = { stream: Readable.fromWeb(response.body), type: StreamType.Arbitrary };
-                            } catch (youtubeDlError) {
-                                console.error('YouTube-dl fallback error for album track:', youtubeDlError);
-                                await interaction.editReply('❌ Failed to process the first track from the album/playlist. Please try a different Spotify link or individual YouTube videos.');
-                                return;
-                            }
-                        }
-
-                        queueData.currentProcesses = stream.process || null;
-
-                        console.log('[MAIN] Got audio stream, creating resource...');
-                        const resource = createAudioResource(stream.stream, {
-                            inputType: stream.type || StreamType.Opus,
-                            inlineVolume: true
-                        });
-                        console.log('[AUDIO] Audio resource created successfully');
-
-                        console.log('[MAIN] Playing audio...');
-                        queueData.player.play(resource);
-
-                        // Create and send embed with controls
-                        const embed = createMusicEmbed(songData, queueData);
-                        const buttons = createControlButtons(queueData.songs.length > 1, queueData.isPaused || false);
-
-                        console.log('[MAIN] Sending final reply...');
-                        const message = await interaction.editReply({
-                            embeds: [embed],
-                            components: [buttons]
-                        });
-
-                        queueData.lastMessage = message;
-                        console.log('[MAIN] Setup complete!');
-                        return; // Exit here to avoid falling through to general queue logic
-                    } else {
-                        console.log('[MAIN] Adding tracks to existing queue...');
-                        // Store the starting position for the new tracks
-                        const startPosition = queueData.songs.length + 1;
-
-                        // Add all tracks to existing queue
-                        for (const track of spotifyData.tracks) {
-                            queueData.songs.push({
-                                url: track.youtubeUrl,
-                                title: track.title,
-                                channel: track.artist,
-                                duration: track.duration,
-                                thumbnail: track.thumbnail,
-                                isSpotifyTrack: true,
-                                originalSpotifyUrl: track.originalUrl
-                            });
-                        }
-
-                        // Create enhanced embed with queue info and controls
-                        const embed = createSpotifyAlbumAddedEmbed(spotifyData, queueData, startPosition);
-                        const buttons = createQueueAddedButtons();
-
-                        await interaction.editReply({
-                            embeds: [embed],
-                            components: [buttons]
-                        });
-                        return;
-                    }
-                } else {
-                    console.log('[MAIN] Processing single Spotify track...');
-                    console.log('[MAIN] Spotify data:', JSON.stringify(spotifyData, null, 2));
-
-                    // Validate that we have a YouTube URL
-                    if (!spotifyData.youtubeUrl) {
-                        console.error('[MAIN] ERROR: spotifyData.youtubeUrl is undefined!');
-                        await interaction.editReply('❌ Failed to find a YouTube equivalent for this Spotify track. Please try a different song or search YouTube directly.');
-                        return;
-                    }
-
-                    // Single Spotify track
-                    songData = {
-                        url: spotifyData.youtubeUrl,
-                        title: spotifyData.title,
-                        channel: spotifyData.artist,
-                        duration: spotifyData.duration,
-                        thumbnail: spotifyData.thumbnail,
-                        isSpotifyTrack: true,
-                        originalSpotifyUrl: spotifyData.originalUrl
-                    };
-                    youtubeUrl = spotifyData.youtubeUrl;
-                    console.log('[MAIN] Single track YouTube URL:', youtubeUrl);
-                    // Continue to general playback logic for single tracks
-                }
-            } else {
-                // Handle YouTube URL
-                // Simple URL validation
-                if (!link.includes('youtube.com') && !link.includes('youtu.be')) {
-                    await interaction.editReply('Please provide a valid YouTube or Spotify URL.');
-                    return;
-                }
+            // Per-user queue limit: albums and playlists are cut short, and the user is told at the end
+            const allowance = await getQueueAllowance(interaction);
+            if (allowance === 0) {
+                const { max_songs_per_user: limit } = await getGuildMusicSettings(guildId);
+                await interaction.editReply(`❌ You already have ${limit} songs waiting in the queue, the most this server allows. Add more once some have played.`);
+                return;
+            }
+            const limitSongs = (songs) => {
+                songsOverLimit += Math.max(songs.length - allowance, 0);
+                return songs.slice(0, allowance);
+            };
 
-                // Analyze the YouTube URL for type detection
-                const urlAnalysis = analyzeYouTubeUrl(link);
+            // An uploaded file wins over a link or query given with it
+            if (attachment) {
+                link = attachment.url;
+            }
 
-                if (urlAnalysis.isLivestream) {
-                    await interaction.editReply('❌ Livestreams are not supported. Please provide a regular YouTube video URL.');
-                    return;
-                }
+            // Picking an autocomplete suggestion fills the query with the video URL
+            if (!link) {
+                link = isUrl(query) ? query.trim() : await pickSearchResult(interaction, query);
+                if (!link) return;
+            }
 
-                if (urlAnalysis.isPlaylist) {
-                    // Handle YouTube playlist
-                    await interaction.editReply('📺 Fetching YouTube playlist information...');
-
-                    const playlistData = await getYouTubePlaylistInfo(link);
-
-                    if (!playlistData || playlistData.videos.length === 0) {
-                        await interaction.editReply('❌ Failed to get playlist information or the playlist is empty. Please try a different playlist URL.');
-                        return;
-                    }
-
-                    console.log(`[MAIN] Processing YouTube playlist with ${playlistData.videos.length} videos`);
-                    await interaction.editReply(`📺 Found playlist: **${playlistData.name}**\n🎬 Adding ${playlistData.videos.length} videos to queue...`);
-
-                    // Get or create queue
-                    let queueData = musicQueues.get(guildId);
-                    let connection = connections.get(guildId);
-
-                    if (!queueData) {
-                        console.log('[MAIN] Creating new queue for YouTube playlist...');
-                        // Create new queue with first video
-                        const firstVideo = playlistData.videos[0];
-                        console.log('[MAIN] First video:', firstVideo.title);
-
-                        songData = {
-                            url: firstVideo.url,
-                            title: firstVideo.title,
-                            channel: firstVideo.channel,
-                            duration: firstVideo.duration,
-                            thumbnail: firstVideo.thumbnail,
-                            isSpotifyTrack: false
-                        };
-
-                        queueData = {
-                            songs: [songData],
-                            currentIndex: 0,
-                            player: createAudioPlayer(),
-                            isPaused: false,
-                            lastMessage: null,
-                            currentProcesses: null
-                        };
-                        musicQueues.set(guildId, queueData);
-
-                        console.log('[MAIN] Joining voice channel...');
-                        connection = joinVoiceChannel({
-                            channelId: channel.id,
-                            guildId: channel.guild.id,
-                            adapterCreator: channel.guild.voiceAdapterCreator,
-                            selfDeaf: false,
-                        });
-                        connections.set(guildId, connection);
-
-                        // Register music activity
-                        voiceActivityManager.startActivity(guildId, 'music', channel.id, queueData);
-
-                        queueData.player.on(AudioPlayerStatus.Idle, () => {
-                            playNextSong(guildId);
-                        });
-
-                        connection.subscribe(queueData.player);
-
-                        console.log('[MAIN] Adding remaining videos to queue...');
-                        // Add remaining videos to queue
-                        for (let i = 1; i < playlistData.videos.length; i++) {
-                            const video = playlistData.videos[i];
-                            queueData.songs.push({
-                                url: video.url,
-                                title: video.title,
-                                channel: video.channel,
-                                duration: video.duration,
-                                thumbnail: video.thumbnail,
-                                isSpotifyTrack: false
-                            });
-                        }
-
-                        youtubeUrl = firstVideo.url;
-                        console.log('[MAIN] Will start playing:', youtubeUrl);
-
-                        // Now proceed to play the first video
-                        console.log('[MAIN] Starting playback for playlist first video:', youtubeUrl);
-
-                        if (queueData.currentProcesses) {
-                            cleanupAudioProcesses(queueData.currentProcesses);
-                            queueData.currentProcesses = null;
-                        }
-
-                        // Get audio stream using yt-dlp helper
-                        let stream;
-                        try {
-                            stream = await getAudioStream(youtubeUrl);
-                        } catch (audioError) {
-                            console.error('[AUDIO] Error getting audio stream for playlist video:', audioError);
-                            console.error('[AUDIO] Error details:', audioError.message);
-                            await interaction.editReply('❌ Failed to process the first video from the playlist. Please try a different playlist.');
-                            return;
-                        }
-
-                        queueData.currentProcesses = stream.process || null;
-
-                        console.log('[MAIN] Got audio stream, creating resource...');
-                        console.log(`[AUDIO] Creating audio resource with inputType: ${stream.type}`);
-                        const resource = createAudioResource(stream.stream, {
-                            inputType: stream.type,
-                            inlineVolume: true
-                        });
-                        console.log('[AUDIO] Audio resource created successfully');
-
-                        console.log('[MAIN] Playing audio...');
-                        queueData.player.play(resource);
-
-                        // Create and send embed with controls
-                        const embed = createMusicEmbed(songData, queueData);
-                        const buttons = createControlButtons(queueData.songs.length > 1, queueData.isPaused || false);
-
-                        console.log('[MAIN] Sending final reply...');
-                        const message = await interaction.editReply({
-                            embeds: [embed],
-                            components: [buttons]
-                        });
-
-                        queueData.lastMessage = message;
-                        console.log('[MAIN] YouTube playlist setup complete!');
-                        return; // Exit here to avoid falling through to general queue logic
-                    } else {
-                        console.log('[MAIN] Adding YouTube playlist videos to existing queue...');
-                        // Store the starting position for the new videos
-                        const startPosition = queueData.songs.length + 1;
-
-                        // Add all videos to existing queue
-                        for (const video of playlistData.videos) {
-                            queueData.songs.push({
-                                url: video.url,
-                                title: video.title,
-                                channel: video.channel,
-                                duration: video.duration,
-                                thumbnail: video.thumbnail,
-                                isSpotifyTrack: false
-                            });
-                        }
-
-                        // Create enhanced embed with queue info and controls
-                        const embed = createYouTubePlaylistAddedEmbed(playlistData, queueData, startPosition);
-                        const buttons = createQueueAddedButtons();
-
-                        await interaction.editReply({
-                            embeds: [embed],
-                            components: [buttons]
-                        });
-                        return;
-                    }
-                }
+            const source = await detectAudioSource(link);
+            if (!source) {
+                await interaction.editReply('Please provide a YouTube or Spotify URL, or a direct link to an audio file.');
+                return;
+            }
 
-                // Get video info using yt-dlp
-                try {
-                    const info = await getVideoInfo(link);
-
-                    // Check if it's a livestream
-                    if (info.isLive) {
-                        await interaction.editReply('❌ This appears to be a livestream, which is not supported. Please provide a regular YouTube video URL.');
-                        return;
-                    }
-
-                    songData = {
-                        url: link,
-                        title: info.title,
-                        channel: info.channel,
-                        duration: info.duration,
-                        thumbnail: info.thumbnail,
-                        isSpotifyTrack: false
-                    };
-                    youtubeUrl = link; // Make sure we use the original YouTube link
-                } catch (videoInfoError) {
-                    console.error('Error getting video info:', videoInfoError);
-                    await interaction.editReply('❌ Failed to get video information. This might be a livestream, playlist, or invalid URL. Please try a different YouTube video URL.');
-                    return;
-                }
+            console.log(`[MAIN] Resolving ${source.name} link: ${link}`);
+            const resolved = await source.resolve(link.trim(), {
+                onProgress: (message) => interaction.editReply(message)
+            });
+            if (resolved.error) {
+                await interaction.editReply(resolved.error);
+                return;
             }
 
+            const { collection } = resolved;
+            const songs = limitSongs(resolved.songs).map(song => ({ ...song, requestedBy: interaction.user.id }));
+
             // Initialize or get existing queue
             let queueData = musicQueues.get(guildId);
             let connection = connections.get(guildId);
 
             console.log('[MAIN] Checking for existing queue...');
-            if (!queueData || queueData.isFinished) {
-                if (queueData?.isFinished) {
-                    console.log('[MAIN] Reusing finished queue...');
-                    // Reset the finished queue for new songs
-                    queueData.songs = [songData];
-                    queueData.currentIndex = 0;
-                    queueData.isPaused = false;
-                    queueData.isFinished = false;
-                    queueData.currentProcesses = null;
-                    // Keep existing player and connection, but make sure connection is still valid
-                    const existingConnection = connections.get(guildId);
-                    if (!existingConnection || existingConnection.state.status === 'destroyed') {
-                        console.log('[MAIN] Recreating voice connection for finished queue...');
-                        connection = joinVoiceChannel({
-                            channelId: channel.id,
-                            guildId: channel.guild.id,
-                            adapterCreator: channel.guild.voiceAdapterCreator,
-                            selfDeaf: false,
-                        });
-                        connections.set(guildId, connection);
-                    } else {
-                        connection = existingConnection;
-                    }
-                } else {
-                    console.log('[MAIN] No existing queue, creating new one...');
-                    // Create new queue
-                    queueData = {
-                        songs: [songData],
-                        currentIndex: 0,
-                        player: createAudioPlayer(),
-                        isPaused: false,
-                        lastMessage: null,
-                        isFinished: false,
-                        currentProcesses: null
-                    };
-                    musicQueues.set(guildId, queueData);
-
-                    // Create voice connection
+            if (queueData && !queueData.isFinished) {
+                console.log(`[MAIN] Adding ${songs.length} songs to existing queue...`);
+                const startPosition = queueData.songs.length + 1;
+                queueData.songs.push(...songs);
+
+                // Create enhanced embed with queue info and controls
+                const embed = collection
+                    ? createCollectionAddedEmbed(collection, songs, queueData, startPosition)
+                    : createQueueAddedEmbed(songs[0], queueData);
+                const buttons = createQueueAddedButtons();
+
+                await interaction.editReply({
+                    embeds: [embed],
+                    components: [buttons]
+                });
+                return;
+            }
+
+            if (queueData) {
+                console.log('[MAIN] Reusing finished queue...');
+                // Reset the finished queue for new songs
+                queueData.songs = songs;
+                queueData.currentIndex = 0;
+                queueData.isPaused = false;
+                queueData.isFinished = false;
+                queueData.currentProcesses = null;
+                // Keep existing player and connection, but make sure connection is still valid
+                if (!connection || connection.state.status === 'destroyed') {
+                    console.log('[MAIN] Recreating voice connection for finished queue...');
                     connection = joinVoiceChannel({
                         channelId: channel.id,
                         guildId: channel.guild.id,
@@ -1765,11 +1383,32 @@ const playCommand = {
                     });
                     connections.set(guildId, connection);
                 }
+            } else {
+                console.log('[MAIN] No existing queue, creating new one...');
+                // Create new queue
+                queueData = {
+                    songs,
+                    currentIndex: 0,
+                    player: createAudioPlayer(),
+                    isPaused: false,
+                    lastMessage: null,
+                    isFinished: false,
+                    currentProcesses: null,
+                    volume: await getDefaultVolume(guildId),
+                    filters: []
+                };
+                musicQueues.set(guildId, queueData);
+
+                // Create voice connection
+                connection = joinVoiceChannel({
+                    channelId: channel.id,
+                    guildId: channel.guild.id,
+                    adapterCreator: channel.guild.voiceAdapterCreator,
+                    selfDeaf: false,
+                });
+                connections.set(guildId, connection);
 
-                // Register music activity
-                voiceActivityManager.startActivity(guildId, 'music', channel.id, queueData);
-
-                // Set up player event listeners
+                // Set up player event listeners (a reused queue keeps the ones on its player)
                 queueData.player.on(AudioPlayerStatus.Idle, () => {
                     console.log('[PLAYER] Player went idle, playing next song...');
                     playNextSong(guildId);
@@ -1789,14 +1428,6 @@ const playCommand = {
                     console.error('[PLAYER] Error stack:', error.stack);
                 });
 
-                console.log('[VOICE] Subscribing player to voice connection...');
-                const subscription = connection.subscribe(queueData.player);
-                if (subscription) {
-                    console.log('[VOICE] ✅ Successfully subscribed player to connection');
-                } else {
-                    console.error('[VOICE] ❌ Failed to subscribe player to connection');
-                }
-
                 // Add connection state listeners
                 connection.on('stateChange', (oldState, newState) => {
                     console.log(`[VOICE] Connection state changed: ${oldState.status} -> ${newState.status}`);
@@ -1805,95 +1436,51 @@ const playCommand = {
                 connection.on('error', (error) => {
                     console.error('[VOICE] ❌ Connection error:', error);
                 });
-            } else {
-                if (queueData.isFinished) {
-                    console.log('[MAIN] Queue was finished, restarting with new song...');
-                    // Reset the finished queue and start playing immediately
-                    queueData.songs = [songData];
-                    queueData.currentIndex = 0;
-                    queueData.isPaused = false;
-                    queueData.isFinished = false;
-                    // Will continue to playback logic below
-                } else {
-                    console.log('[MAIN] Adding to existing queue...');
-                    // Add to existing queue
-                    queueData.songs.push(songData);
-
-                    // Create enhanced embed with queue info and controls
-                    const embed = createQueueAddedEmbed(songData, queueData);
-                    const buttons = createQueueAddedButtons();
-
-                    await interaction.editReply({
-                        embeds: [embed],
-                        components: [buttons]
-                    });
-                    return;
-                }
             }
 
-            console.log('[MAIN] Starting playback for:', youtubeUrl);
+            // Register music activity
+            voiceActivityManager.startActivity(guildId, 'music', channel.id, queueData);
 
-            if (queueData.currentProcesses) {
-                cleanupAudioProcesses(queueData.currentProcesses);
-                queueData.currentProcesses = null;
+            console.log('[VOICE] Subscribing player to voice connection...');
+            const subscription = connection.subscribe(queueData.player);
+            if (subscription) {
+                console.log('[VOICE] ✅ Successfully subscribed player to connection');
+            } else {
+                console.error('[VOICE] ❌ Failed to subscribe player to connection');
             }
 
+            const songData = queueData.songs[0];
+            console.log('[MAIN] Starting playback for:', songData.url);
+
             let stream;
             try {
-                console.log(`[AUDIO] Getting stream for: ${youtubeUrl}`);
-                stream = await getAudioStream(youtubeUrl);
+                stream = await createSongStream(songData, getStreamOptions(queueData));
             } catch (streamError) {
-                console.error('[AUDIO] getAudioStream error:', streamError);
-
-                // Fallback to youtube-dl-exec
-                try {
-                    console.log('[AUDIO] Trying youtube-dl-exec fallback...');
-                    const audioUrl = await youtubedl(youtubeUrl, {
-                        format: 'bestaudio[ext=webm]/bestaudio[ext=m4a]/bestaudio',
-                        getUrl: true,
-                        quiet: true
-                    });
-                    const response = await fetch(audioUrl);
-                    stream = { stream: Readable.fromWeb(response.body), type: StreamType.Arbitrary };
-                } catch (youtubeDlError) {
-                    console.error('YouTube-dl fallback error:', youtubeDlError);
-                    const errorMessage = youtubeDlError.message?.toLowerCase() || '';
-
-                    if (errorMessage.includes('live') || errorMessage.includes('stream')) {
-                        await interaction.editReply('❌ This appears to be a livestream, which is not supported. Please provide a regular YouTube video URL.');
-                    } else if (errorMessage.includes('playlist')) {
-                        await interaction.editReply('❌ This appears to be a playlist URL, which is not directly supported. Please provide individual video URLs.');
-                    } else if (errorMessage.includes('private') || errorMessage.includes('unavailable')) {
-                        await interaction.editReply('❌ This video is private or unavailable. Please provide a different YouTube video URL.');
-                    } else {
-                        await interaction.editReply('❌ Failed to process the video URL. This might be a livestream, playlist, or the video might be unavailable. Please try a different YouTube video URL.');
-                    }
-                    return;
-                }
+                console.error('[AUDIO] Stream error:', streamError);
+                await interaction.editReply(describeStreamError(streamError, collection));
+                return;
             }
 
             queueData.currentProcesses = stream.process || null;
 
             console.log('[MAIN] Got audio stream, creating resource...');
-            const resource = createAudioResource(stream.stream, {
-                inputType: stream.type || StreamType.Opus,
-                inlineVolume: true
-            });
+            const resource = createSongResource(stream, queueData);
             console.log('[AUDIO] Audio resource created successfully');
 
             console.log('[MAIN] Playing audio...');
             console.log('[PLAYER] Current player state:', queueData.player.state.status);
             queueData.player.play(resource);
+            startPlayLog(queueData, songData, resource);
             console.log('[PLAYER] Play command issued, new state:', queueData.player.state.status);
 
             // Create and send embed with controls
             const embed = createMusicEmbed(songData, queueData);
-            const buttons = createControlButtons(queueData.songs.length > 1, queueData.isPaused || false);
+            const controls = createControlButtons(queueData.songs.length > 1, queueData.isPaused || false);
 
             console.log('[MAIN] Sending final reply...');
             const message = await interaction.editReply({
                 embeds: [embed],
-                components: [buttons]
+                components: controls
             });
 
             queueData.lastMessage = message;
@@ -1902,89 +1489,96 @@ const playCommand = {
         } catch (error) {
             console.error('Error playing audio:', error);
             await interaction.editReply('Failed to play audio. Please check the URL and try again.');
+        } finally {
+            // Covers every path above that creates a queue or adds songs to it
+            saveMusicQueues();
+
+            if (songsOverLimit > 0) {
+                await interaction.followUp({
+                    content: `✂️ ${songsOverLimit} songs weren't added because this server limits how many songs each person can queue.`,
+                    flags: MessageFlags.Ephemeral
+                }).catch(() => {});
+            }
         }
     }
 
 };
 
+/**
+ * Count a vote to skip the current song, forward or back to the previous one.
+ * Votes reset when the song or direction changes, and only people still in the voice channel count.
+ * @returns {Promise<Object>} { passed, votes, needed }
+ */
+const voteToSkip = async (interaction, queueData, song, direction = 'next') => {
+    if (queueData.skipVotes?.song !== song || queueData.skipVotes.direction !== direction) {
+        queueData.skipVotes = { song, direction, voters: new Set() };
+    }
+    queueData.skipVotes.voters.add(interaction.user.id);
+
+    const { listeners } = getMusicListeners(interaction.guild, interaction.guild.id) || { listeners: [] };
+    const settings = await getGuildMusicSettings(interaction.guild.id);
+    const votes = [...queueData.skipVotes.voters].filter(id => listeners.includes(id)).length;
+    const needed = getRequiredVotes(listeners.length, settings.vote_skip_ratio);
+
+    return { passed: votes >= needed, votes, needed };
+};
+
 // Button interaction handlers
 export const handleMusicInteraction = async (interaction) => {
     const guildId = interaction.guild.id;
     const queueData = musicQueues.get(guildId);
 
+    // Resume prompt posted after a restart (there's no live queue yet)
+    if (interaction.customId === 'music_resume' || interaction.customId === 'music_discard') {
+        const saved = pendingResumes.get(guildId);
+        pendingResumes.delete(guildId);
+        saveMusicQueues();
+
+        if (!saved || interaction.customId === 'music_discard') {
+            await interaction.update({ content: '🗑️ The saved queue was discarded.', embeds: [], components: [] });
+            return;
+        }
+
+        await interaction.update({ content: '▶️ Resuming the saved queue...', embeds: [], components: [] });
+        if (!(await startSavedQueue(interaction.client, guildId, saved, interaction.message))) {
+            await interaction.editReply({ content: '❌ Couldn\'t resume: the voice channel is gone or something else is already playing.' });
+        }
+        return;
+    }
+
     if (!queueData) {
         await interaction.reply({ content: 'No music is currently playing!', flags: MessageFlags.Ephemeral });
         return;
     }
 
-    // Additional safety check for queue button (doesn't need player)
+    // Queue view and its page buttons (don't need player)
     if (interaction.customId === 'music_queue') {
-        const currentSong = queueData.songs[queueData.currentIndex];
-        const upcomingSongs = queueData.songs.slice(queueData.currentIndex + 1);
-        const previousSongs = queueData.songs.slice(0, queueData.currentIndex);
-
-        const queueEmbed = new EmbedBuilder()
-            .setColor('#0099ff')
-            .setTitle('📋 Current Queue')
-            .addFields(
-                { name: '📊 Queue Stats', value: `Total: ${queueData.songs.length} songs\nPosition: ${queueData.currentIndex + 1}/${queueData.songs.length}`, inline: true },
-                { name: '⏱️ Status', value: queueData.isPaused ? '⏸️ Paused' : (queueData.isFinished ? '🔚 Finished' : '▶️ Playing'), inline: true },
-                { name: '🎵 Spotify Songs', value: `${queueData.songs.filter(s => s.isSpotifyTrack).length}`, inline: true }
-            )
-            .setTimestamp();
-
-        // Show currently playing song
-        if (currentSong) {
-            queueEmbed.addFields({
-                name: '🎵 Currently Playing',
-                value: `**${currentSong.title}** ${currentSong.isSpotifyTrack ? '🎵' : ''}\n*by ${currentSong.channel || 'Unknown'}*`,
-                inline: false
-            });
-        }
+        const page = getCurrentQueuePage(queueData);
+        await interaction.reply({
+            embeds: [createQueueEmbed(queueData, page)],
+            components: [createQueuePageButtons(page, getQueuePageCount(queueData))],
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
 
-        // Show previous songs (last 3)
-        if (previousSongs.length > 0) {
-            const prevList = previousSongs.slice(-3)
-                .map((song, index) => {
-                    const position = queueData.currentIndex - (3 - index - 1);
-                    return `${position}. ${song.title} ${song.isSpotifyTrack ? '🎵' : ''}`;
-                })
-                .join('\n');
-
-            queueEmbed.addFields({
-                name: '⏮️ Recently Played',
-                value: prevList,
-                inline: false
-            });
-        }
+    if (interaction.customId.startsWith('music_queue_page:')) {
+        const totalPages = getQueuePageCount(queueData);
+        const page = Math.min(Math.max(parseInt(interaction.customId.split(':')[1], 10) || 0, 0), totalPages - 1);
+        await interaction.update({
+            embeds: [createQueueEmbed(queueData, page)],
+            components: [createQueuePageButtons(page, totalPages)]
+        });
+        return;
+    }
 
-        // Show upcoming songs (next 8)
-        if (upcomingSongs.length > 0) {
-            const queueList = upcomingSongs.slice(0, 8)
-                .map((song, index) => {
-                    const position = queueData.currentIndex + 2 + index;
-                    return `${position}. ${song.title} ${song.isSpotifyTrack ? '🎵' : ''}`;
-                })
-                .join('\n');
-
-            const moreCount = upcomingSongs.length > 8 ? `\n*...and ${upcomingSongs.length - 8} more songs*` : '';
-            queueEmbed.addFields({
-                name: '🔜 Up Next',
-                value: queueList + moreCount,
-                inline: false
-            });
-        } else if (!queueData.isFinished) {
-            queueEmbed.addFields({
-                name: '🔜 Up Next',
-                value: '*No more songs in queue*\nUse `/play` to add more!',
-                inline: false
-            });
+    // Playback buttons only work for people in the voice channel (or anyone once it's empty)
+    if (PLAYBACK_BUTTONS.includes(interaction.customId)) {
+        const denied = checkMusicControl(interaction);
+        if (denied) {
+            await interaction.reply({ content: denied, flags: MessageFlags.Ephemeral });
+            return;
         }
-
-        queueEmbed.setFooter({ text: '🎵 = Spotify Track • Use buttons to control playback' });
-
-        await interaction.reply({ embeds: [queueEmbed], flags: MessageFlags.Ephemeral });
-        return;
     }
 
     const currentSong = queueData.songs[queueData.currentIndex];
@@ -2002,7 +1596,7 @@ export const handleMusicInteraction = async (interaction) => {
                 const embed = createMusicEmbed(currentSong, queueData, true);
                 await interaction.update({
                     embeds: [embed],
-                    components: [createControlButtons(queueData.songs.length > 1, false)]
+                    components: createControlButtons(queueData.songs.length > 1, false)
                 });
             } else {
                 queueData.player.pause();
@@ -2011,7 +1605,7 @@ export const handleMusicInteraction = async (interaction) => {
                 embed.setTitle('⏸️ Paused');
                 await interaction.update({
                     embeds: [embed],
-                    components: [createControlButtons(queueData.songs.length > 1, true)]
+                    components: createControlButtons(queueData.songs.length > 1, true)
                 });
             }
             break;
@@ -2022,12 +1616,28 @@ export const handleMusicInteraction = async (interaction) => {
                 return;
             }
 
-            if (queueData.currentIndex < queueData.songs.length - 1) {
-                queueData.player.stop(); // This will trigger the next song
-                await interaction.deferUpdate();
-            } else {
+            if (queueData.currentIndex >= queueData.songs.length - 1 && queueData.loopMode !== 'queue') {
                 await interaction.reply({ content: 'No more songs in the queue!', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            // DJs and whoever queued the song skip straight away; everyone else votes
+            if (!(await canManageQueue(interaction, currentSong))) {
+                const result = await voteToSkip(interaction, queueData, currentSong);
+                if (!result.passed) {
+                    await interaction.reply({
+                        content: `🗳️ <@${interaction.user.id}> voted to skip **${currentSong.title}** (${result.votes}/${result.needed})`,
+                        allowedMentions: { parse: [] }
+                    });
+                    return;
+                }
+                await interaction.reply({ content: `🗳️ Vote passed (${result.votes}/${result.needed}), skipping **${currentSong.title}**` });
+            } else {
+                await interaction.deferUpdate();
             }
+
+            queueData.skipLoop = true;
+            queueData.player.stop(); // This will trigger the next song
             break;
 
         case 'music_previous':
@@ -2036,16 +1646,57 @@ export const handleMusicInteraction = async (interaction) => {
                 return;
             }
 
-            if (queueData.currentIndex > 0) {
-                queueData.currentIndex -= 2; // Will be incremented by playNextSong
-                queueData.player.stop();
-                await interaction.deferUpdate();
-            } else {
+            if (queueData.currentIndex <= 0) {
                 await interaction.reply({ content: 'No previous songs!', flags: MessageFlags.Ephemeral });
+                return;
             }
+
+            // Going back skips the current song, so it takes the same permission or vote
+            if (!(await canManageQueue(interaction, currentSong))) {
+                const result = await voteToSkip(interaction, queueData, currentSong, 'previous');
+                if (!result.passed) {
+                    await interaction.reply({
+                        content: `🗳️ <@${interaction.user.id}> voted to go back to the previous song (${result.votes}/${result.needed})`,
+                        allowedMentions: { parse: [] }
+                    });
+                    return;
+                }
+                await interaction.reply({ content: `🗳️ Vote passed (${result.votes}/${result.needed}), going back to the previous song` });
+            } else {
+                await interaction.deferUpdate();
+            }
+
+            queueData.currentIndex -= 2; // Will be incremented by playNextSong
+            queueData.skipLoop = true;
+            queueData.player.stop();
+            break;
+
+        case 'music_favorite': {
+            if (!currentSong) {
+                await interaction.reply({ content: 'Nothing is playing right now!', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            const result = await addMusicFavorite(interaction.user.id, toSavedSong(currentSong));
+            const content = !result
+                ? '❌ Couldn\'t save that favorite. Please try again.'
+                : result.added
+                    ? `❤️ Added **${currentSong.title}** to your favorites. Play them with \`/playlist load name:favorites\`.`
+                    : `❤️ **${currentSong.title}** is already in your favorites.`;
+            await interaction.reply({ content, flags: MessageFlags.Ephemeral });
             break;
+        }
 
         case 'music_stop':
+            if (!(await canManageQueue(interaction))) {
+                await interaction.reply({
+                    content: '⏹️ Only DJs can stop the music while others are listening. Vote to skip instead.',
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+
+            finishPlayLog(guildId, queueData);
             if (queueData.player) {
                 queueData.player.stop();
                 queueData.player = null; // Set to null only when explicitly stopping
@@ -2057,6 +1708,7 @@ export const handleMusicInteraction = async (interaction) => {
                 queueData.currentProcesses = null;
             }
             musicQueues.delete(guildId);
+            saveMusicQueues();
             const connection = connections.get(guildId);
             if (connection) {
                 connection.destroy();
@@ -0,0 +1,432 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags, ChannelType } from 'discord.js';
+import {
+  getMusicPlaylists,
+  insertMusicPlaylist,
+  updateMusicPlaylist,
+  deleteMusicPlaylist,
+  getMusicFavorites
+} from '../../supabase/supabase.js';
+import { PermissionManager } from '../../utils/guildConfig.js';
+import voiceActivityManager from '../../utils/voiceActivityManager.js';
+import { detectAudioSource } from '../../utils/audioSources.js';
+import {
+  musicQueues,
+  addToQueue,
+  jumpInQueue,
+  startSavedQueue,
+  toSavedSong,
+  getQueueAllowance
+} from './play.js';
+
+const MAX_PLAYLIST_TRACKS = 200;
+const FAVORITES_NAME = 'favorites'; // Loads the tracks saved with the ❤️ button
+
+const playlistCommand = {
+  data: new SlashCommandBuilder()
+    .setName('playlist')
+    .setDescription('Save and replay music playlists')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('save')
+        .setDescription('Save the current queue as a playlist')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Playlist name')
+            .setRequired(true)
+            .setMaxLength(50))
+        .addBooleanOption(option =>
+          option.setName('shared')
+            .setDescription('Let everyone in the server load and edit it (default: just you)')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('load')
+        .setDescription('Queue a saved playlist (or your favorites)')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Playlist name, or "favorites"')
+            .setRequired(true)
+            .setMaxLength(50))
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Voice channel to play in (default: the one you are in)')
+            .setRequired(false)
+            .addChannelTypes(ChannelType.GuildVoice)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List your playlists and the shared ones'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('delete')
+        .setDescription('Delete a playlist')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Playlist name')
+            .setRequired(true)
+            .setMaxLength(50)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('Add the current song, or a song link, to a playlist')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Playlist name')
+            .setRequired(true)
+            .setMaxLength(50))
+        .addStringOption(option =>
+          option.setName('link')
+            .setDescription('YouTube, Spotify or audio file URL (default: the song playing now)')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a song from a playlist (or your favorites)')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Playlist name, or "favorites"')
+            .setRequired(true)
+            .setMaxLength(50))
+        .addIntegerOption(option =>
+          option.setName('position')
+            .setDescription('Position of the song in the playlist (see /playlist list)')
+            .setRequired(true)
+            .setMinValue(1))),
+
+  async execute(interaction) {
+    if (!interaction.guild) {
+      return interaction.reply({
+        content: 'This command can only be used in a server.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case 'save':
+        await handleSave(interaction);
+        break;
+
+      case 'load':
+        await handleLoad(interaction);
+        break;
+
+      case 'list':
+        await handleList(interaction);
+        break;
+
+      case 'delete':
+        await handleDelete(interaction);
+        break;
+
+      case 'add':
+        await handleAdd(interaction);
+        break;
+
+      case 'remove':
+        await handleRemove(interaction);
+        break;
+    }
+  },
+};
+
+/**
+ * Find a playlist by name, preferring the user's own over a shared one.
+ * "favorites" falls back to the user's favorites when no playlist has that name.
+ * @returns {Promise<Object|null>} Playlist, or null if nothing matches
+ */
+async function findPlaylist(interaction, name) {
+  const key = name.trim().toLowerCase();
+  const playlists = await getMusicPlaylists(interaction.guild.id, interaction.user.id);
+  const matches = playlists.filter(playlist => playlist.name.toLowerCase() === key);
+  const playlist = matches.find(p => p.owner_id === interaction.user.id) || matches[0];
+
+  if (playlist) return playlist;
+  return key === FAVORITES_NAME ? getMusicFavorites(interaction.user.id) : null;
+}
+
+/**
+ * Whether the user may change a playlist's tracks
+ */
+function canEdit(interaction, playlist) {
+  return playlist.owner_id === interaction.user.id || playlist.is_shared;
+}
+
+function describePlaylist(playlist) {
+  if (playlist.is_favorites) return '❤️ Your favorites';
+  return playlist.is_shared ? `👥 Shared by <@${playlist.owner_id}>` : '🔒 Just you';
+}
+
+async function replyNotFound(interaction, name) {
+  await interaction.reply({
+    content: `❌ No playlist called **${name}**. Check \`/playlist list\` for names.`,
+    flags: MessageFlags.Ephemeral
+  });
+}
+
+/**
+ * Handle save subcommand
+ */
+async function handleSave(interaction) {
+  const name = interaction.options.getString('name').trim();
+  const shared = interaction.options.getBoolean('shared') ?? false;
+  const queueData = musicQueues.get(interaction.guild.id);
+
+  if (name.toLowerCase() === FAVORITES_NAME) {
+    return interaction.reply({ content: '❌ "Favorites" is reserved for the ❤️ button. Pick another name.', flags: MessageFlags.Ephemeral });
+  }
+  if (!queueData || queueData.songs.length === 0) {
+    return interaction.reply({ content: '❌ Nothing is queued. Start some music with `/play` first.', flags: MessageFlags.Ephemeral });
+  }
+
+  const tracks = queueData.songs.slice(0, MAX_PLAYLIST_TRACKS).map(toSavedSong);
+  const playlists = await getMusicPlaylists(interaction.guild.id, interaction.user.id);
+  const sameName = playlists.filter(playlist => playlist.name.toLowerCase() === name.toLowerCase());
+  const existing = sameName.find(playlist => playlist.owner_id === interaction.user.id);
+
+  if (shared && sameName.some(playlist => playlist.is_shared && playlist.owner_id !== interaction.user.id)) {
+    return interaction.reply({ content: `❌ There's already a shared playlist called **${name}**. Pick another name.`, flags: MessageFlags.Ephemeral });
+  }
+
+  const stored = existing
+    ? await updateMusicPlaylist(existing.id, { tracks, is_shared: shared })
+    : await insertMusicPlaylist({
+      guild_id: interaction.guild.id,
+      owner_id: interaction.user.id,
+      name,
+      is_shared: shared,
+      tracks
+    });
+
+  if (!stored) {
+    return interaction.reply({ content: '❌ Failed to save the playlist. Please try again.', flags: MessageFlags.Ephemeral });
+  }
+
+  const skipped = queueData.songs.length - tracks.length;
+  await interaction.reply({
+    content: `💾 ${existing ? 'Updated' : 'Saved'} **${stored.name}** with ${tracks.length} songs (${describePlaylist(stored)}).` +
+      (skipped > 0 ? ` The last ${skipped} songs didn't fit (max ${MAX_PLAYLIST_TRACKS}).` : ''),
+    flags: MessageFlags.Ephemeral
+  });
+}
+
+/**
+ * Handle load subcommand
+ */
+async function handleLoad(interaction) {
+  const name = interaction.options.getString('name').trim();
+  const playlist = await findPlaylist(interaction, name);
+
+  if (!playlist) return replyNotFound(interaction, name);
+  if (playlist.tracks.length === 0) {
+    return interaction.reply({ content: `❌ **${playlist.name}** is empty.`, flags: MessageFlags.Ephemeral });
+  }
+
+  // Loaded songs count towards the per-person queue limit of whoever loads them
+  const allowance = await getQueueAllowance(interaction);
+  const songs = playlist.tracks.slice(0, allowance).map(track => ({ ...track, requestedBy: interaction.user.id }));
+  if (songs.length === 0) {
+    return interaction.reply({ content: '❌ You already have as many songs queued as this server allows. Load it once some have played.', flags: MessageFlags.Ephemeral });
+  }
+  const cut = playlist.tracks.length - songs.length;
+  const limitNote = cut > 0 ? ` ${cut} more didn't fit under this server's per-person song limit.` : '';
+
+  const guildId = interaction.guild.id;
+  const queueData = musicQueues.get(guildId);
+
+  // Something is playing: add to the end of the queue
+  if (queueData && !queueData.isFinished) {
+    songs.forEach(song => addToQueue(guildId, song));
+    return interaction.reply(`📋 Added ${songs.length} songs from **${playlist.name}** to the queue.${limitNote}`);
+  }
+
+  // The queue finished but Bepo is still in voice: replace it and start over
+  if (queueData?.player) {
+    await interaction.deferReply();
+    queueData.songs = songs;
+    await jumpInQueue(guildId, 0);
+    return interaction.editReply(`📋 Playing **${playlist.name}** (${songs.length} songs).${limitNote}`);
+  }
+
+  const channel = interaction.options.getChannel('channel') || interaction.member?.voice?.channel;
+  if (!channel || channel.type !== ChannelType.GuildVoice) {
+    return interaction.reply({ content: '❌ Join a voice channel or pick one with `channel`.', flags: MessageFlags.Ephemeral });
+  }
+
+  const conflictCheck = voiceActivityManager.canStartActivity(guildId, 'music');
+  if (!conflictCheck.canStart) {
+    const errorMessage = voiceActivityManager.getBlockedMessage(
+      'music',
+      conflictCheck.conflictType,
+      conflictCheck.channelId,
+      interaction.client
+    );
+    return interaction.reply({ content: errorMessage, flags: MessageFlags.Ephemeral });
+  }
+
+  await interaction.deferReply();
+  const message = await interaction.editReply(`📋 Loading **${playlist.name}** (${songs.length} songs)...${limitNote}`);
+
+  const started = await startSavedQueue(interaction.client, guildId, {
+    songs,
+    currentIndex: 0,
+    loopMode: 'off',
+    voiceChannelId: channel.id,
+    textChannelId: interaction.channelId
+  }, message);
+
+  if (!started) {
+    await interaction.editReply('❌ Couldn\'t start the playlist. Something else may already be using voice.');
+  }
+}
+
+/**
+ * Handle list subcommand
+ */
+async function handleList(interaction) {
+  const [playlists, favorites] = await Promise.all([
+    getMusicPlaylists(interaction.guild.id, interaction.user.id),
+    getMusicFavorites(interaction.user.id)
+  ]);
+  const all = favorites ? [favorites, ...playlists] : playlists;
+
+  if (all.length === 0) {
+    return interaction.reply({
+      content: 'No playlists yet. Save the current queue with `/playlist save`, or press ❤️ on a song.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(`📋 Playlists - ${interaction.guild.name}`)
+    .setDescription(`${all.length} playlist${all.length === 1 ? '' : 's'} you can load`)
+    .setTimestamp();
+
+  all.slice(0, 25).forEach(playlist => {
+    const preview = playlist.tracks.slice(0, 5)
+      .map((track, index) => `${index + 1}. ${track.title}`)
+      .join('\n');
+    const more = playlist.tracks.length > 5 ? `\n*...and ${playlist.tracks.length - 5} more*` : '';
+
+    embed.addFields({
+      name: `${playlist.name} • ${playlist.tracks.length} songs`,
+      value: `${describePlaylist(playlist)}\n${preview || '*Empty*'}${more}`.slice(0, 1024),
+      inline: false
+    });
+  });
+
+  if (all.length > 25) {
+    embed.setFooter({ text: `... and ${all.length - 25} more playlists` });
+  }
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Handle delete subcommand
+ */
+async function handleDelete(interaction) {
+  const name = interaction.options.getString('name').trim();
+  const playlists = await getMusicPlaylists(interaction.guild.id, interaction.user.id);
+  const matches = playlists.filter(playlist => playlist.name.toLowerCase() === name.toLowerCase());
+  const playlist = matches.find(p => p.owner_id === interaction.user.id) || matches[0];
+
+  if (!playlist) return replyNotFound(interaction, name);
+
+  if (playlist.owner_id !== interaction.user.id &&
+    !(await PermissionManager.hasPermission(interaction.member, interaction.guild.id, 'moderate'))) {
+    return interaction.reply({
+      content: `❌ Only <@${playlist.owner_id}> or a moderator can delete **${playlist.name}**.`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  if (!(await deleteMusicPlaylist(playlist.id))) {
+    return interaction.reply({ content: '❌ Failed to delete the playlist. Please try again.', flags: MessageFlags.Ephemeral });
+  }
+
+  await interaction.reply({ content: `🗑️ Deleted **${playlist.name}**.`, flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Handle add subcommand
+ */
+async function handleAdd(interaction) {
+  const name = interaction.options.getString('name').trim();
+  const link = interaction.options.getString('link');
+  const playlist = await findPlaylist(interaction, name);
+
+  if (!playlist) return replyNotFound(interaction, name);
+  if (!canEdit(interaction, playlist)) {
+    return interaction.reply({ content: `❌ **${playlist.name}** isn't shared, so only its owner can change it.`, flags: MessageFlags.Ephemeral });
+  }
+  if (playlist.tracks.length >= MAX_PLAYLIST_TRACKS) {
+    return interaction.reply({ content: `❌ **${playlist.name}** is full (max ${MAX_PLAYLIST_TRACKS} songs).`, flags: MessageFlags.Ephemeral });
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  let track;
+  if (link) {
+    const source = await detectAudioSource(link);
+    if (!source) {
+      return interaction.editReply('❌ Give a YouTube or Spotify link, or a direct link to an audio file.');
+    }
+    const resolved = await source.resolve(link.trim());
+    if (resolved.error) {
+      return interaction.editReply(resolved.error);
+    }
+    if (resolved.collection) {
+      return interaction.editReply('❌ Only single songs can be added. Use `/play` for albums and playlists, then `/playlist save`.');
+    }
+    track = toSavedSong(resolved.songs[0]);
+  } else {
+    const queueData = musicQueues.get(interaction.guild.id);
+    const song = queueData?.songs[queueData.currentIndex];
+    if (!song) {
+      return interaction.editReply('❌ Nothing is playing. Give a `link` to add instead.');
+    }
+    track = toSavedSong(song);
+  }
+
+  const stored = await updateMusicPlaylist(playlist.id, { tracks: [...playlist.tracks, track] });
+  if (!stored) {
+    return interaction.editReply('❌ Failed to update the playlist. Please try again.');
+  }
+
+  await interaction.editReply(`➕ Added **${track.title}** to **${playlist.name}** (${stored.tracks.length} songs).`);
+}
+
+/**
+ * Handle remove subcommand
+ */
+async function handleRemove(interaction) {
+  const name = interaction.options.getString('name').trim();
+  const position = interaction.options.getInteger('position');
+  const playlist = await findPlaylist(interaction, name);
+
+  if (!playlist) return replyNotFound(interaction, name);
+  if (!canEdit(interaction, playlist)) {
+    return interaction.reply({ content: `❌ **${playlist.name}** isn't shared, so only its owner can change it.`, flags: MessageFlags.Ephemeral });
+  }
+  if (position > playlist.tracks.length) {
+    return interaction.reply({
+      content: `❌ **${playlist.name}** only has ${playlist.tracks.length} songs.`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  const tracks = [...playlist.tracks];
+  const [removed] = tracks.splice(position - 1, 1);
+  const stored = await updateMusicPlaylist(playlist.id, { tracks });
+
+  if (!stored) {
+    return interaction.reply({ content: '❌ Failed to update the playlist. Please try again.', flags: MessageFlags.Ephemeral });
+  }
+
+  await interaction.reply({ content: `🗑️ Removed **${removed.title}** from **${playlist.name}**.`, flags: MessageFlags.Ephemeral });
+}
+
+export default playlistCommand;
@@ -0,0 +1,273 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import {
+  musicQueues,
+  removeFromQueue,
+  moveInQueue,
+  clearQueue,
+  shuffleQueue,
+  jumpInQueue,
+  setLoopMode,
+  refreshNowPlaying,
+  createQueueEmbed,
+  createQueuePageButtons,
+  getQueuePageCount,
+  getCurrentQueuePage,
+  checkMusicControl,
+  canManageQueue
+} from './play.js';
+
+const DJ_ONLY = '❌ Only DJs can do that while others are listening.';
+
+const LOOP_DESCRIPTIONS = {
+  off: '➡️ Looping is off, playback stops at the end of the queue.',
+  track: '🔂 Looping the current song.',
+  queue: '🔁 Looping the whole queue.'
+};
+
+const queueCommand = {
+  data: new SlashCommandBuilder()
+    .setName('queue')
+    .setDescription('View and edit the music queue')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('view')
+        .setDescription('Show the queue')
+        .addIntegerOption(option =>
+          option.setName('page')
+            .setDescription('Page to open (default: the page with the current song)')
+            .setRequired(false)
+            .setMinValue(1)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a song from the queue')
+        .addIntegerOption(option =>
+          option.setName('position')
+            .setDescription('Queue position of the song (see /queue view)')
+            .setRequired(true)
+            .setMinValue(1)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('move')
+        .setDescription('Move a song to another position')
+        .addIntegerOption(option =>
+          option.setName('from')
+            .setDescription('Current queue position of the song')
+            .setRequired(true)
+            .setMinValue(1))
+        .addIntegerOption(option =>
+          option.setName('to')
+            .setDescription('New queue position for the song')
+            .setRequired(true)
+            .setMinValue(1)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('clear')
+        .setDescription('Remove every song after the current one'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('shuffle')
+        .setDescription('Shuffle the songs after the current one'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('jump')
+        .setDescription('Play the song at a queue position now')
+        .addIntegerOption(option =>
+          option.setName('position')
+            .setDescription('Queue position of the song')
+            .setRequired(true)
+            .setMinValue(1)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('loop')
+        .setDescription('Repeat the current song or the whole queue')
+        .addStringOption(option =>
+          option.setName('mode')
+            .setDescription('Loop mode')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Off', value: 'off' },
+              { name: 'Track', value: 'track' },
+              { name: 'Queue', value: 'queue' }
+            ))),
+
+  async execute(interaction) {
+    const queueData = musicQueues.get(interaction.guildId);
+    if (!queueData) {
+      await interaction.reply({ content: 'No music is currently playing! Use `/play` to start a queue.', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    // Anyone can look at the queue, but only people listening can change it
+    if (subcommand !== 'view') {
+      const denied = checkMusicControl(interaction);
+      if (denied) {
+        await interaction.reply({ content: denied, flags: MessageFlags.Ephemeral });
+        return;
+      }
+    }
+
+    switch (subcommand) {
+      case 'view':
+        await handleView(interaction, queueData);
+        break;
+
+      case 'remove':
+        await handleRemove(interaction, queueData);
+        break;
+
+      case 'move':
+        await handleMove(interaction, queueData);
+        break;
+
+      case 'clear':
+        await handleClear(interaction);
+        break;
+
+      case 'shuffle':
+        await handleShuffle(interaction);
+        break;
+
+      case 'jump':
+        await handleJump(interaction, queueData);
+        break;
+
+      case 'loop':
+        await handleLoop(interaction);
+        break;
+
+      default:
+        await interaction.reply({ content: 'Unknown subcommand.', flags: MessageFlags.Ephemeral });
+    }
+  }
+};
+
+/**
+ * Check a 1-based queue position given by the user
+ * @returns {string|null} Error message, or null if the position can be edited
+ */
+function validatePosition(queueData, position, allowCurrent = false) {
+  if (position > queueData.songs.length) {
+    return `❌ There is no song at position ${position}. The queue has ${queueData.songs.length} songs.`;
+  }
+  if (!allowCurrent && position - 1 === queueData.currentIndex) {
+    return `❌ Position ${position} is the song playing now. Skip it instead.`;
+  }
+  return null;
+}
+
+async function handleView(interaction, queueData) {
+  const requestedPage = interaction.options.getInteger('page');
+  const totalPages = getQueuePageCount(queueData);
+  const page = requestedPage ? Math.min(requestedPage, totalPages) - 1 : getCurrentQueuePage(queueData);
+
+  await interaction.reply({
+    embeds: [createQueueEmbed(queueData, page)],
+    components: [createQueuePageButtons(page, totalPages)],
+    flags: MessageFlags.Ephemeral
+  });
+}
+
+async function handleRemove(interaction, queueData) {
+  const position = interaction.options.getInteger('position');
+  const error = validatePosition(queueData, position);
+  if (error) {
+    await interaction.reply({ content: error, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (!(await canManageQueue(interaction, queueData.songs[position - 1]))) {
+    await interaction.reply({ content: '❌ Only DJs and whoever queued a song can remove it while others are listening.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const removed = removeFromQueue(interaction.guildId, position - 1);
+  await refreshNowPlaying(interaction.guildId);
+  await interaction.reply(`🗑️ Removed **${removed.title}** from the queue.`);
+}
+
+async function handleMove(interaction, queueData) {
+  const from = interaction.options.getInteger('from');
+  const to = interaction.options.getInteger('to');
+  const error = validatePosition(queueData, from) || validatePosition(queueData, to);
+  if (error) {
+    await interaction.reply({ content: error, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (!(await canManageQueue(interaction))) {
+    await interaction.reply({ content: DJ_ONLY, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const moved = moveInQueue(interaction.guildId, from - 1, to - 1);
+  await refreshNowPlaying(interaction.guildId);
+  await interaction.reply(`↕️ Moved **${moved.title}** to position ${to}.`);
+}
+
+async function handleClear(interaction) {
+  if (!(await canManageQueue(interaction))) {
+    await interaction.reply({ content: DJ_ONLY, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const cleared = clearQueue(interaction.guildId);
+  if (cleared === 0) {
+    await interaction.reply({ content: 'There are no upcoming songs to clear.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  await refreshNowPlaying(interaction.guildId);
+  await interaction.reply(`🧹 Cleared ${cleared} upcoming song${cleared === 1 ? '' : 's'} from the queue.`);
+}
+
+async function handleShuffle(interaction) {
+  if (!(await canManageQueue(interaction))) {
+    await interaction.reply({ content: DJ_ONLY, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const shuffled = shuffleQueue(interaction.guildId);
+  if (shuffled < 2) {
+    await interaction.reply({ content: 'There need to be at least 2 upcoming songs to shuffle.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  await refreshNowPlaying(interaction.guildId);
+  await interaction.reply(`🔀 Shuffled ${shuffled} upcoming songs.`);
+}
+
+async function handleJump(interaction, queueData) {
+  const position = interaction.options.getInteger('position');
+  const error = validatePosition(queueData, position, true);
+  if (error) {
+    await interaction.reply({ content: error, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  if (!queueData.player) {
+    await interaction.reply({ content: 'No audio player is currently active!', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  // Jumping skips the current song, so it follows the same rules as skipping without a vote
+  if (!(await canManageQueue(interaction, queueData.songs[queueData.currentIndex]))) {
+    await interaction.reply({ content: `${DJ_ONLY} Vote to skip with the Skip button instead.`, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  // Restarting a finished queue fetches the stream before returning, which can outlast the reply window
+  await interaction.deferReply();
+  const song = await jumpInQueue(interaction.guildId, position - 1);
+  await interaction.editReply(`⏩ Jumping to **${song.title}** (position ${position}).`);
+}
+
+async function handleLoop(interaction) {
+  const mode = interaction.options.getString('mode');
+  setLoopMode(interaction.guildId, mode);
+  await interaction.reply(LOOP_DESCRIPTIONS[mode]);
+}
+
+export default queueCommand;
@@ -0,0 +1,300 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { getReactionRules, insertReactionRules, deleteReactionRule } from '../../supabase/supabase.js';
+import { PermissionManager } from '../../utils/guildConfig.js';
+import {
+  DEFAULT_REACTION_RULES,
+  MAX_REACTION_PATTERN_LENGTH,
+  getGuildReactionRules,
+  invalidateReactionCache,
+  getSessionHits,
+  parseEmojiPool,
+  validateReactionRule
+} from '../../utils/reactionRules.js';
+
+const reactionsCommand = {
+  data: new SlashCommandBuilder()
+    .setName('reactions')
+    .setDescription('Manage automatic meme reactions for this server')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('Add a reaction rule (admin only)')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Short name for the rule')
+            .setRequired(true)
+            .setMaxLength(50))
+        .addStringOption(option =>
+          option.setName('pattern')
+            .setDescription('Comma-separated keywords, or a regex when match is Regex')
+            .setRequired(true)
+            .setMaxLength(MAX_REACTION_PATTERN_LENGTH))
+        .addStringOption(option =>
+          option.setName('emojis')
+            .setDescription('Emoji pool, e.g. "🥰 😍 <:pog:123> :lickinglips:"')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('match')
+            .setDescription('How the pattern is matched (default: keyword)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Keyword', value: 'keyword' },
+              { name: 'Regex', value: 'regex' }
+            ))
+        .addNumberOption(option =>
+          option.setName('chance')
+            .setDescription('Percent chance to react when matched (default: 18)')
+            .setRequired(false)
+            .setMinValue(0.1)
+            .setMaxValue(100))
+        .addNumberOption(option =>
+          option.setName('min_delay')
+            .setDescription('Minimum seconds before reacting (default: 2.5)')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(60))
+        .addNumberOption(option =>
+          option.setName('max_delay')
+            .setDescription('Maximum seconds before reacting (default: same as min)')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(60))
+        .addStringOption(option =>
+          option.setName('channels')
+            .setDescription('Only react in these channels, e.g. "#general #memes" (default: everywhere)')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('fallback')
+            .setDescription('Unicode emoji to use when none of the custom emoji are available here')
+            .setRequired(false)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List reaction rules and how often they fire'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a reaction rule (admin only)')
+        .addStringOption(option =>
+          option.setName('id')
+            .setDescription('Rule ID (the short ID from /reactions list works)')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('defaults')
+        .setDescription('Copy the built-in reaction rules into this server so they can be edited (admin only)')),
+
+  async execute(interaction) {
+    if (!interaction.guild) {
+      return interaction.reply({
+        content: 'This command can only be used in a server.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case 'add':
+        await handleAdd(interaction);
+        break;
+
+      case 'list':
+        await handleList(interaction);
+        break;
+
+      case 'remove':
+        await handleRemove(interaction);
+        break;
+
+      case 'defaults':
+        await handleDefaults(interaction);
+        break;
+    }
+  },
+};
+
+/**
+ * Reply with a permission error unless the member is an admin
+ */
+async function requireAdmin(interaction) {
+  const allowed = await PermissionManager.hasPermission(interaction.member, interaction.guild.id, 'admin');
+  if (!allowed) {
+    await interaction.reply({
+      content: '❌ You need Administrator permissions or be the server owner to manage reaction rules.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+  return allowed;
+}
+
+/**
+ * Handle add subcommand
+ */
+async function handleAdd(interaction) {
+  if (!(await requireAdmin(interaction))) return;
+
+  const minDelay = interaction.options.getNumber('min_delay') ?? 2.5;
+  const maxDelay = interaction.options.getNumber('max_delay') ?? minDelay;
+  const channelInput = interaction.options.getString('channels') || '';
+
+  const rule = {
+    guild_id: interaction.guild.id,
+    name: interaction.options.getString('name'),
+    pattern: interaction.options.getString('pattern'),
+    match_type: interaction.options.getString('match') || 'keyword',
+    emojis: parseEmojiPool(interaction.options.getString('emojis')),
+    probability: (interaction.options.getNumber('chance') ?? 18) / 100,
+    min_delay_ms: Math.round(minDelay * 1000),
+    max_delay_ms: Math.round(maxDelay * 1000),
+    channel_ids: [...channelInput.matchAll(/<#(\d+)>|\b(\d{17,20})\b/g)].map(match => match[1] || match[2]),
+    fallback_emoji: interaction.options.getString('fallback')?.trim() || null,
+    created_by: interaction.user.id
+  };
+
+  const validation = validateReactionRule(rule);
+  if (!validation.valid) {
+    return interaction.reply({ content: `❌ ${validation.error}`, flags: MessageFlags.Ephemeral });
+  }
+
+  if (channelInput.trim() && rule.channel_ids.length === 0) {
+    return interaction.reply({
+      content: '❌ No channels found. Mention them like `#general #memes`.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  const stored = await insertReactionRules([rule]);
+  if (!stored) {
+    return interaction.reply({ content: '❌ Failed to save the reaction rule. Please try again.', flags: MessageFlags.Ephemeral });
+  }
+
+  invalidateReactionCache(interaction.guild.id);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x00AE86)
+    .setTitle('😀 Reaction Rule Added')
+    .setDescription(`**${stored[0].name}** is now active in ${interaction.guild.name}`)
+    .addFields({ name: 'Rule', value: describeRule(stored[0]) })
+    .setFooter({ text: `ID: ${stored[0].id}` })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Handle list subcommand
+ */
+async function handleList(interaction) {
+  const rules = await getGuildReactionRules(interaction.guild.id);
+  const usingDefaults = rules === DEFAULT_REACTION_RULES;
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(`😀 Reaction Rules - ${interaction.guild.name}`)
+    .setDescription(usingDefaults
+      ? 'Using the built-in rules. Admins can copy them into this server with `/reactions defaults` or start fresh with `/reactions add`.'
+      : `${rules.length} rule${rules.length === 1 ? '' : 's'}`)
+    .setTimestamp();
+
+  rules.slice(0, 25).forEach((rule, index) => {
+    const hits = rule.id
+      ? `${rule.hit_count || 0} total hits • ${getSessionHits(rule)} since restart`
+      : `${getSessionHits(rule)} hits since restart`;
+
+    embed.addFields({
+      name: `${index + 1}. ${rule.name}${rule.id ? ` • ID: ${rule.id.substring(0, 8)}` : ''}`,
+      value: `${describeRule(rule)}\n*${hits}*`,
+      inline: false
+    });
+  });
+
+  if (rules.length > 25) {
+    embed.setFooter({ text: `... and ${rules.length - 25} more rules` });
+  }
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Handle remove subcommand
+ */
+async function handleRemove(interaction) {
+  if (!(await requireAdmin(interaction))) return;
+
+  const ruleId = interaction.options.getString('id').trim();
+  const removed = await deleteReactionRule(interaction.guild.id, ruleId);
+
+  if (!removed) {
+    return interaction.reply({
+      content: `❌ No single reaction rule matches \`${ruleId}\`. Check \`/reactions list\` for IDs.`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  invalidateReactionCache(interaction.guild.id);
+
+  // Servers without rules of their own go back to the built-ins
+  const remaining = await getReactionRules(interaction.guild.id);
+  const note = remaining.length === 0
+    ? '\nThis server has no reaction rules left, so the built-in rules apply again. Use `/config set feature:Meme Reactions enabled:false` to turn reactions off.'
+    : '';
+
+  await interaction.reply({
+    content: `🗑️ Removed reaction rule **${removed.name}**.${note}`,
+    flags: MessageFlags.Ephemeral
+  });
+}
+
+/**
+ * Handle defaults subcommand
+ */
+async function handleDefaults(interaction) {
+  if (!(await requireAdmin(interaction))) return;
+
+  const existing = await getReactionRules(interaction.guild.id);
+  if (existing.length > 0) {
+    return interaction.reply({
+      content: '❌ This server already has its own reaction rules. Remove them first to restore the built-ins.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  const stored = await insertReactionRules(DEFAULT_REACTION_RULES.map(rule => ({
+    ...rule,
+    guild_id: interaction.guild.id,
+    created_by: interaction.user.id
+  })));
+
+  if (!stored) {
+    return interaction.reply({ content: '❌ Failed to copy the built-in rules. Please try again.', flags: MessageFlags.Ephemeral });
+  }
+
+  invalidateReactionCache(interaction.guild.id);
+
+  await interaction.reply({
+    content: `✅ Copied ${stored.length} built-in rules into this server. Use \`/reactions list\` to see their IDs.`,
+    flags: MessageFlags.Ephemeral
+  });
+}
+
+/**
+ * Summarize a rule for embeds
+ * @param {Object} rule - Reaction rule
+ * @returns {string} Human-readable description
+ */
+function describeRule(rule) {
+  const delay = rule.min_delay_ms === rule.max_delay_ms
+    ? `${rule.min_delay_ms / 1000}s`
+    : `${rule.min_delay_ms / 1000}-${rule.max_delay_ms / 1000}s`;
+  const channels = rule.channel_ids?.length > 0
+    ? rule.channel_ids.map(id => `<#${id}>`).join(' ')
+    : 'all channels';
+
+  const fallback = rule.fallback_emoji ? ` (or ${rule.fallback_emoji})` : '';
+
+  return `${rule.match_type} \`${rule.pattern}\` → ${rule.emojis.join(' ')}${fallback}\n` +
+    `${+(rule.probability * 100).toFixed(1)}% chance • ${delay} delay • ${channels}`;
+}
+
+export default reactionsCommand;
@@ -30,7 +30,7 @@ const roleSupport = {
         });
       }
 
-      if (!RoleManager.isRoleCommandAllowed(guild.id)) {
+      if (!(await RoleManager.isRoleCommandAllowed(guild.id))) {
         return interaction.reply({ 
           content: "This command is not enabled in this server.", 
           flags: MessageFlags.Ephemeral 
@@ -0,0 +1,380 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags, ChannelType } from 'discord.js';
+import axios from 'axios';
+import {
+  getScheduledPosts,
+  insertScheduledPost,
+  updateScheduledPost,
+  deleteScheduledPost,
+  uploadScheduledPostImage
+} from '../../supabase/supabase.js';
+import { PermissionManager } from '../../utils/guildConfig.js';
+import {
+  DEFAULT_TIMEZONE,
+  buildCronFromWeekly,
+  describeCron,
+  getNextRun,
+  validateScheduledPost
+} from '../../utils/scheduledPosts.js';
+
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024; // 8MB - fits every server's upload limit
+
+const scheduleCommand = {
+  data: new SlashCommandBuilder()
+    .setName('schedule')
+    .setDescription('Manage recurring posts for this server')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('Schedule a recurring post (moderators only)')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Short name for the schedule')
+            .setRequired(true)
+            .setMaxLength(50))
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Channel to post in')
+            .setRequired(true)
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+        .addStringOption(option =>
+          option.setName('type')
+            .setDescription('What to post')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Text', value: 'text' },
+              { name: 'Image', value: 'image' },
+              { name: 'Role ping', value: 'role_ping' },
+              { name: 'Digest', value: 'digest' }
+            ))
+        .addStringOption(option =>
+          option.setName('time')
+            .setDescription('Time of day, e.g. 17:00 or 5pm (use this or cron)')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('days')
+            .setDescription('daily, weekdays, weekends or e.g. mon,wed,fri (default: daily)')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('cron')
+            .setDescription('Cron expression instead of days/time, e.g. "30 20 * * 1-5"')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('timezone')
+            .setDescription(`IANA timezone, e.g. Europe/London (default: ${DEFAULT_TIMEZONE})`)
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('message')
+            .setDescription('Message text (required for text posts)')
+            .setRequired(false)
+            .setMaxLength(2000))
+        .addAttachmentOption(option =>
+          option.setName('image')
+            .setDescription('Image for image posts')
+            .setRequired(false))
+        .addRoleOption(option =>
+          option.setName('role')
+            .setDescription('Role to ping with the post (required for role pings)')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('digest_period')
+            .setDescription('Period covered by digest posts (default: daily)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Daily', value: 'daily' },
+              { name: 'Weekly', value: 'weekly' },
+              { name: 'Last 12 hours', value: '12h' },
+              { name: 'Last hour', value: '1h' }
+            ))
+        .addStringOption(option =>
+          option.setName('missed')
+            .setDescription('What to do with runs missed while Bepo was offline (default: skip)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Skip them', value: 'skip' },
+              { name: 'Post once when back', value: 'catch_up' }
+            )))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List scheduled posts for this server'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a scheduled post (moderators only)')
+        .addStringOption(option =>
+          option.setName('id')
+            .setDescription('Schedule ID (the short ID from /schedule list works)')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('pause')
+        .setDescription('Pause a scheduled post (moderators only)')
+        .addStringOption(option =>
+          option.setName('id')
+            .setDescription('Schedule ID (the short ID from /schedule list works)')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('resume')
+        .setDescription('Resume a paused scheduled post (moderators only)')
+        .addStringOption(option =>
+          option.setName('id')
+            .setDescription('Schedule ID (the short ID from /schedule list works)')
+            .setRequired(true))),
+
+  async execute(interaction) {
+    if (!interaction.guild) {
+      return interaction.reply({
+        content: 'This command can only be used in a server.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case 'add':
+        await handleAdd(interaction);
+        break;
+
+      case 'list':
+        await handleList(interaction);
+        break;
+
+      case 'remove':
+        await handleRemove(interaction);
+        break;
+
+      case 'pause':
+        await handleSetEnabled(interaction, false);
+        break;
+
+      case 'resume':
+        await handleSetEnabled(interaction, true);
+        break;
+    }
+  },
+};
+
+/**
+ * Reply with a permission error unless the member can moderate
+ */
+async function requireModerator(interaction) {
+  const allowed = await PermissionManager.hasPermission(interaction.member, interaction.guild.id, 'moderate');
+  if (!allowed) {
+    await interaction.reply({
+      content: '❌ You need the Manage Server permission to manage scheduled posts.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+  return allowed;
+}
+
+/**
+ * Handle add subcommand
+ */
+async function handleAdd(interaction) {
+  if (!(await requireModerator(interaction))) return;
+
+  const time = interaction.options.getString('time');
+  const days = interaction.options.getString('days');
+  const cron = interaction.options.getString('cron');
+
+  if (cron && (time || days)) {
+    return interaction.reply({ content: '❌ Use either `cron` or `days`/`time`, not both.', flags: MessageFlags.Ephemeral });
+  }
+  if (!cron && !time) {
+    return interaction.reply({ content: '❌ Give a `time` (and optionally `days`), or a `cron` expression.', flags: MessageFlags.Ephemeral });
+  }
+
+  let cronExpression;
+  try {
+    cronExpression = cron ? cron.trim() : buildCronFromWeekly(days, time);
+  } catch (error) {
+    return interaction.reply({ content: `❌ ${error.message}`, flags: MessageFlags.Ephemeral });
+  }
+
+  const postType = interaction.options.getString('type');
+  const image = interaction.options.getAttachment('image');
+
+  const post = {
+    guild_id: interaction.guild.id,
+    channel_id: interaction.options.getChannel('channel').id,
+    name: interaction.options.getString('name'),
+    cron_expression: cronExpression,
+    timezone: interaction.options.getString('timezone')?.trim() || DEFAULT_TIMEZONE,
+    post_type: postType,
+    content: interaction.options.getString('message'),
+    // Validated against the upload itself - replaced with the stored copy below
+    image_url: postType === 'image' ? image?.url || null : null,
+    role_id: interaction.options.getRole('role')?.id || null,
+    digest_period: postType === 'digest' ? interaction.options.getString('digest_period') || 'daily' : null,
+    missed_policy: interaction.options.getString('missed') || 'skip',
+    created_by: interaction.user.id
+  };
+
+  const validation = validateScheduledPost(post);
+  if (!validation.valid) {
+    return interaction.reply({ content: `❌ ${validation.error}`, flags: MessageFlags.Ephemeral });
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  if (postType === 'image') {
+    if (image.size > MAX_IMAGE_BYTES) {
+      return interaction.editReply({ content: '❌ Image is too large (max 8MB).' });
+    }
+
+    // Discord CDN links expire, so keep our own copy of the image
+    const response = await axios.get(image.url, { responseType: 'arraybuffer', timeout: 15000 });
+    const storedUrl = await uploadScheduledPostImage(
+      interaction.guild.id,
+      image.name,
+      Buffer.from(response.data),
+      image.contentType || 'application/octet-stream'
+    );
+
+    if (!storedUrl) {
+      return interaction.editReply({ content: '❌ Failed to store the image. Please try again.' });
+    }
+    post.image_url = storedUrl;
+  }
+
+  post.next_run_at = getNextRun(post.cron_expression, post.timezone).toISOString();
+
+  const stored = await insertScheduledPost(post);
+  if (!stored) {
+    return interaction.editReply({ content: '❌ Failed to save the schedule. Please try again.' });
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x00AE86)
+    .setTitle('📅 Post Scheduled')
+    .setDescription(`**${stored.name}** will post in <#${stored.channel_id}>`)
+    .addFields({ name: 'Schedule', value: describeSchedule(stored) })
+    .setFooter({ text: `ID: ${stored.id}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Handle list subcommand
+ */
+async function handleList(interaction) {
+  const posts = await getScheduledPosts(interaction.guild.id);
+
+  if (posts.length === 0) {
+    return interaction.reply({
+      content: 'No scheduled posts for this server. Moderators can add one with `/schedule add`.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(`📅 Scheduled Posts - ${interaction.guild.name}`)
+    .setDescription(`${posts.length} scheduled post${posts.length === 1 ? '' : 's'}`)
+    .setTimestamp();
+
+  posts.slice(0, 25).forEach((post, index) => {
+    embed.addFields({
+      name: `${index + 1}. ${post.name}${post.enabled ? '' : ' (paused)'} • ID: ${post.id.substring(0, 8)}`,
+      value: describeSchedule(post),
+      inline: false
+    });
+  });
+
+  if (posts.length > 25) {
+    embed.setFooter({ text: `... and ${posts.length - 25} more scheduled posts` });
+  }
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Handle remove subcommand
+ */
+async function handleRemove(interaction) {
+  if (!(await requireModerator(interaction))) return;
+
+  const postId = interaction.options.getString('id').trim();
+  const removed = await deleteScheduledPost(interaction.guild.id, postId);
+
+  if (!removed) {
+    return interaction.reply({
+      content: `❌ No single scheduled post matches \`${postId}\`. Check \`/schedule list\` for IDs.`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  await interaction.reply({
+    content: `🗑️ Removed scheduled post **${removed.name}**.`,
+    flags: MessageFlags.Ephemeral
+  });
+}
+
+/**
+ * Handle pause and resume subcommands
+ */
+async function handleSetEnabled(interaction, enabled) {
+  if (!(await requireModerator(interaction))) return;
+
+  const postId = interaction.options.getString('id').trim();
+  const posts = await getScheduledPosts(interaction.guild.id);
+  const matches = posts.filter(post => post.id === postId || post.id.startsWith(postId));
+
+  if (matches.length !== 1) {
+    return interaction.reply({
+      content: `❌ No single scheduled post matches \`${postId}\`. Check \`/schedule list\` for IDs.`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  // Resuming starts from now so runs missed while paused are never caught up
+  const updates = { enabled };
+  if (enabled) {
+    updates.next_run_at = getNextRun(matches[0].cron_expression, matches[0].timezone)?.toISOString() ?? null;
+  }
+
+  const updated = await updateScheduledPost(interaction.guild.id, matches[0].id, updates);
+  if (!updated) {
+    return interaction.reply({ content: '❌ Failed to update the schedule. Please try again.', flags: MessageFlags.Ephemeral });
+  }
+
+  await interaction.reply({
+    content: enabled
+      ? `▶️ Resumed **${updated.name}**. Next post <t:${Math.floor(new Date(updated.next_run_at).getTime() / 1000)}:R>.`
+      : `⏸️ Paused **${updated.name}**.`,
+    flags: MessageFlags.Ephemeral
+  });
+}
+
+/**
+ * Summarize a scheduled post for embeds
+ * @param {Object} post - Scheduled post
+ * @returns {string} Human-readable description
+ */
+function describeSchedule(post) {
+  const what = {
+    text: `posts "${(post.content || '').substring(0, 80)}"`,
+    image: 'posts an image',
+    role_ping: `pings <@&${post.role_id}>`,
+    digest: `posts a ${post.digest_period} digest`
+  }[post.post_type];
+
+  const details = [`${describeCron(post.cron_expression)} (${post.timezone})`, `<#${post.channel_id}>`];
+  if (post.post_type !== 'role_ping' && post.role_id) details.push(`pings <@&${post.role_id}>`);
+  details.push(post.missed_policy === 'catch_up' ? 'catches up missed runs' : 'skips missed runs');
+
+  const next = post.enabled && post.next_run_at
+    ? `Next: <t:${Math.floor(new Date(post.next_run_at).getTime() / 1000)}:F>`
+    : 'Not scheduled';
+  const last = post.last_fired_at
+    ? ` • Last: <t:${Math.floor(new Date(post.last_fired_at).getTime() / 1000)}:R>`
+    : '';
+
+  return `${what}\n${details.join(' • ')}\n*${next}${last}*`;
+}
+
+export default scheduleCommand;
@@ -1,7 +1,11 @@
-import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags, AttachmentBuilder } from 'discord.js';
+import axios from 'axios';
 import { ServerMemoryManager, MemoryUtils } from '../../utils/memoryUtils.js';
 import { getTimeAgo } from '../../supabase/supabase.js';
 import { getUsernamesFromIds } from '../../utils/utils.js';
+import { RoleManager } from '../../utils/roleUtils.js';
+
+const MAX_IMPORT_FILE_BYTES = 2 * 1024 * 1024;
 
 export const data = new SlashCommandBuilder()
   .setName('servermemory')
@@ -18,6 +22,22 @@ export const data = new SlashCommandBuilder()
         option.setName('title')
           .setDescription('Optional title for the memory')
           .setRequired(false)))
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('announce')
+      .setDescription('Add a time-boxed announcement that is forgotten automatically')
+      .addStringOption(option =>
+        option.setName('content')
+          .setDescription('What to announce, e.g. "Tournament this Friday at 8PM"')
+          .setRequired(true))
+      .addStringOption(option =>
+        option.setName('duration')
+          .setDescription('How long Bepo should remember it, e.g. 12h, 3d, 1w')
+          .setRequired(true))
+      .addStringOption(option =>
+        option.setName('title')
+          .setDescription('Optional title for the announcement')
+          .setRequired(false)))
   .addSubcommand(subcommand =>
     subcommand
       .setName('list')
@@ -61,7 +81,26 @@ export const data = new SlashCommandBuilder()
           .setDescription('Number of memories to show (default: 10)')
           .setRequired(false)
           .setMinValue(1)
-          .setMaxValue(20)));
+          .setMaxValue(20)))
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('export')
+      .setDescription('Admin: Download this server\'s memories')
+      .addStringOption(option =>
+        option.setName('format')
+          .setDescription('JSON can be imported into another server (default: JSON)')
+          .addChoices(
+            { name: 'JSON', value: 'json' },
+            { name: 'Markdown', value: 'markdown' }
+          )))
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('import')
+      .setDescription('Admin: Add memories from a /servermemory export file')
+      .addAttachmentOption(option =>
+        option.setName('file')
+          .setDescription('JSON file from /servermemory export')
+          .setRequired(true)));
 
 export async function execute(interaction) {
   const subcommand = interaction.options.getSubcommand(); 
@@ -75,8 +114,21 @@ export async function execute(interaction) {
     });
   }
 
+  if ((subcommand === 'export' || subcommand === 'import') && !RoleManager.isAdmin(interaction.member)) {
+    return interaction.reply({
+      content: '❌ Only server admins can export or import server memories.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
   try {
-    if (subcommand === 'add') {
+    if (subcommand === 'export') {
+      return await handleExport(interaction, interaction.options.getString('format') || 'json');
+
+    } else if (subcommand === 'import') {
+      return await handleImport(interaction, interaction.options.getAttachment('file'));
+
+    } else if (subcommand === 'add') {
       const content = interaction.options.getString('content');
       const title = interaction.options.getString('title');
       
@@ -106,6 +158,41 @@ export async function execute(interaction) {
 
       return interaction.reply({ embeds: [embed] });
 
+    } else if (subcommand === 'announce') {
+      const content = interaction.options.getString('content');
+      const title = interaction.options.getString('title');
+      const duration = MemoryUtils.parseDuration(interaction.options.getString('duration'));
+
+      if (!duration.valid || duration.ms === null) {
+        return interaction.reply({
+          content: duration.error || 'Announcements need a duration, e.g. `3d`.',
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      const expiresAt = new Date(Date.now() + duration.ms);
+      const result = await ServerMemoryManager.storeMemory(serverId, userId, content, title, 'announcement', {}, expiresAt.toISOString());
+
+      if (!result.success) {
+        return interaction.reply({
+          content: result.error || 'Failed to store the announcement.',
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor(0xE67E22)
+        .setTitle('📣 Announcement Added')
+        .setDescription(`**${title || 'Announcement'}** will be remembered in ${interaction.guild.name} until <t:${Math.floor(expiresAt.getTime() / 1000)}:f>`)
+        .addFields(
+          { name: 'Content', value: content.substring(0, 500) + (content.length > 500 ? '...' : '') },
+          { name: 'Memory ID', value: result.memoryId || 'Unknown', inline: true },
+          { name: 'Expires', value: `<t:${Math.floor(expiresAt.getTime() / 1000)}:R>`, inline: true }
+        )
+        .setTimestamp();
+
+      return interaction.reply({ embeds: [embed] });
+
     } else if (subcommand === 'list') {
       const filter = interaction.options.getString('filter');
       const limit = interaction.options.getInteger('limit') || 10;
@@ -270,9 +357,11 @@ export async function execute(interaction) {
         const title = memory.memory_title || `Memory ${index + 1}`;
         const content = memory.memory_content.substring(0, 150) + (memory.memory_content.length > 150 ? '...' : '');
         
+        const lifetime = MemoryUtils.formatLifetime({ expiresAt: memory.expires_at });
+
         embed.addFields({
           name: `${title}`,
-          value: `${content}\n*Added ${timeAgo} • ID: \`${memory.id.substring(0, 8)}\`*`,
+          value: `${content}\n*Added ${timeAgo}${lifetime ? ` • ${lifetime}` : ''} • ID: \`${memory.id.substring(0, 8)}\`*`,
           inline: false
         });
       });
@@ -289,6 +378,75 @@ export async function execute(interaction) {
   }
 }
 
+/**
+ * Reply with a file of the server's memories
+ */
+async function handleExport(interaction, format) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const result = await ServerMemoryManager.exportMemories(interaction.guild, format);
+  if (!result.success) {
+    return interaction.editReply(result.error || 'Failed to export server memories.');
+  }
+
+  return interaction.editReply({
+    content: `📦 Exported ${result.total} memories from ${interaction.guild.name}.` +
+      (format === 'json' ? ' Use `/servermemory import` in another server to copy them there.' : ''),
+    files: [new AttachmentBuilder(Buffer.from(result.content, 'utf8'), { name: result.fileName })]
+  });
+}
+
+/**
+ * Add memories from an uploaded export file
+ */
+async function handleImport(interaction, attachment) {
+  if (!attachment.name.toLowerCase().endsWith('.json')) {
+    return interaction.reply({ content: '❌ Upload the JSON file from `/servermemory export`.', flags: MessageFlags.Ephemeral });
+  }
+
+  if (attachment.size > MAX_IMPORT_FILE_BYTES) {
+    return interaction.reply({ content: '❌ That file is too large (max 2MB).', flags: MessageFlags.Ephemeral });
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  let fileText;
+  try {
+    const response = await axios.get(attachment.url, { responseType: 'arraybuffer', timeout: 15000 });
+    fileText = Buffer.from(response.data).toString('utf8');
+  } catch (error) {
+    console.error('Server memory import download failed:', error.message);
+    return interaction.editReply('❌ Couldn\'t download that file. Please try again.');
+  }
+
+  const result = await ServerMemoryManager.importMemories(interaction.guild.id, interaction.user.id, fileText);
+
+  if (!result.success) {
+    return interaction.editReply(`❌ ${result.error || 'Failed to import server memories.'}`);
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x00AE86)
+    .setTitle('📥 Server Memories Imported')
+    .setDescription(`Added ${result.imported} memories to ${interaction.guild.name}`)
+    .addFields(
+      { name: 'Added', value: result.imported.toString(), inline: true },
+      { name: 'Already here', value: result.duplicates.toString(), inline: true },
+      { name: 'Skipped', value: result.invalid.length.toString(), inline: true }
+    )
+    .setTimestamp();
+
+  if (result.invalid.length > 0) {
+    const details = result.invalid.slice(0, 10).map(({ index, reason }) => `#${index}: ${reason}`).join('\n');
+    embed.addFields({
+      name: 'Skipped entries',
+      value: details + (result.invalid.length > 10 ? `\n... and ${result.invalid.length - 10} more` : '')
+    });
+  }
+
+  return interaction.editReply({ embeds: [embed] });
+}
+
 /**
  * Create a formatted embed for memory lists
  */
@@ -311,9 +469,11 @@ async function createMemoryListEmbed(memories, interaction, userId, title, descr
     // Show full ID for CODE_MONKEY, short ID for others
     const displayId = isCodeMonkey ? memory.id : memory.id.substring(0, 8);
     
+    const lifetime = MemoryUtils.formatLifetime(memory);
+
     embed.addFields({
       name: `${index + 1}. ${title}`,
-      value: `${memory.preview}\n*Added by ${username} • ${memory.timeAgo} • ID: \`${displayId}\`*`,
+      value: `${memory.preview}\n*Added by ${username} • ${memory.timeAgo}${lifetime ? ` • ${lifetime}` : ''} • ID: \`${displayId}\`*`,
       inline: false
     });
   });
@@ -0,0 +1,370 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import axios from 'axios';
+import { insertTriggerRule, deleteTriggerRule, uploadTriggerAttachment } from '../../supabase/supabase.js';
+import { PermissionManager } from '../../utils/guildConfig.js';
+import {
+  validateTriggerRule,
+  getGuildTriggerRules,
+  invalidateTriggerCache,
+  findMatchingRules,
+  MAX_PATTERN_LENGTH
+} from '../../utils/userTriggers.js';
+
+const MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024; // 8MB - fits every server's upload limit
+
+const triggerCommand = {
+  data: new SlashCommandBuilder()
+    .setName('trigger')
+    .setDescription('Manage automatic trigger responses for this server')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('Add a trigger rule (moderators only)')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Short name for the trigger')
+            .setRequired(true)
+            .setMaxLength(50))
+        .addStringOption(option =>
+          option.setName('pattern')
+            .setDescription('Phrase or regex to match')
+            .setRequired(true)
+            .setMaxLength(MAX_PATTERN_LENGTH))
+        .addStringOption(option =>
+          option.setName('response_type')
+            .setDescription('How Bepo responds')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Text', value: 'text' },
+              { name: 'Attachment', value: 'attachment' },
+              { name: 'Reaction', value: 'reaction' },
+              { name: 'GIF', value: 'gif' }
+            ))
+        .addStringOption(option =>
+          option.setName('match')
+            .setDescription('How the pattern is matched (default: contains)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Exact phrase', value: 'exact' },
+              { name: 'Contains phrase', value: 'contains' },
+              { name: 'Regex', value: 'regex' }
+            ))
+        .addStringOption(option =>
+          option.setName('response')
+            .setDescription('Text to send, emoji to react with, or GIF reaction (e.g. hug, random)')
+            .setRequired(false)
+            .setMaxLength(2000))
+        .addAttachmentOption(option =>
+          option.setName('attachment')
+            .setDescription('File to send for attachment responses')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('scope')
+            .setDescription('Who the trigger applies to (default: whole server)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Whole server', value: 'guild' },
+              { name: 'User', value: 'user' },
+              { name: 'Role', value: 'role' },
+              { name: 'Channel', value: 'channel' }
+            ))
+        .addUserOption(option =>
+          option.setName('user')
+            .setDescription('User for user-scoped triggers')
+            .setRequired(false))
+        .addRoleOption(option =>
+          option.setName('role')
+            .setDescription('Role for role-scoped triggers')
+            .setRequired(false))
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Channel for channel-scoped triggers')
+            .setRequired(false))
+        .addIntegerOption(option =>
+          option.setName('cooldown')
+            .setDescription('Seconds before the trigger can fire again (default: 0)')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(7 * 24 * 60 * 60))
+        .addIntegerOption(option =>
+          option.setName('chance')
+            .setDescription('Percent chance to fire when matched (default: 100)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(100)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List trigger rules for this server'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove a trigger rule (moderators only)')
+        .addStringOption(option =>
+          option.setName('id')
+            .setDescription('Trigger ID (the short ID from /trigger list works)')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('test')
+        .setDescription('See which triggers a message would fire, as if you sent it here')
+        .addStringOption(option =>
+          option.setName('message')
+            .setDescription('Message text to test')
+            .setRequired(true))),
+
+  async execute(interaction) {
+    if (!interaction.guild) {
+      return interaction.reply({
+        content: 'This command can only be used in a server.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case 'add':
+        await handleAdd(interaction);
+        break;
+
+      case 'list':
+        await handleList(interaction);
+        break;
+
+      case 'remove':
+        await handleRemove(interaction);
+        break;
+
+      case 'test':
+        await handleTest(interaction);
+        break;
+    }
+  },
+};
+
+/**
+ * Reply with a permission error unless the member can moderate
+ */
+async function requireModerator(interaction) {
+  const allowed = await PermissionManager.hasPermission(interaction.member, interaction.guild.id, 'moderate');
+  if (!allowed) {
+    await interaction.reply({
+      content: '❌ You need the Manage Server permission to manage triggers.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+  return allowed;
+}
+
+/**
+ * Handle add subcommand
+ */
+async function handleAdd(interaction) {
+  if (!(await requireModerator(interaction))) return;
+
+  const scopeType = interaction.options.getString('scope') || 'guild';
+  const scopeIds = {
+    guild: null,
+    user: interaction.options.getUser('user')?.id,
+    role: interaction.options.getRole('role')?.id,
+    channel: interaction.options.getChannel('channel')?.id
+  };
+
+  const rule = {
+    guild_id: interaction.guild.id,
+    name: interaction.options.getString('name'),
+    pattern: interaction.options.getString('pattern'),
+    match_type: interaction.options.getString('match') || 'contains',
+    scope_type: scopeType,
+    scope_id: scopeIds[scopeType] || null,
+    response_type: interaction.options.getString('response_type'),
+    response_content: interaction.options.getString('response'),
+    attachment_name: null,
+    cooldown_seconds: interaction.options.getInteger('cooldown') ?? 0,
+    probability: (interaction.options.getInteger('chance') ?? 100) / 100,
+    created_by: interaction.user.id
+  };
+
+  const attachment = interaction.options.getAttachment('attachment');
+  if (rule.response_type === 'attachment') {
+    // Validated against the upload itself - replaced with the stored copy below
+    rule.response_content = attachment?.url || null;
+  }
+
+  const validation = validateTriggerRule(rule);
+  if (!validation.valid) {
+    return interaction.reply({ content: `❌ ${validation.error}`, flags: MessageFlags.Ephemeral });
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  if (rule.response_type === 'attachment') {
+    if (attachment.size > MAX_ATTACHMENT_BYTES) {
+      return interaction.editReply({ content: '❌ Attachment is too large (max 8MB).' });
+    }
+
+    // Discord CDN links expire, so keep our own copy of the file
+    const response = await axios.get(attachment.url, { responseType: 'arraybuffer', timeout: 15000 });
+    const storedUrl = await uploadTriggerAttachment(
+      interaction.guild.id,
+      attachment.name,
+      Buffer.from(response.data),
+      attachment.contentType || 'application/octet-stream'
+    );
+
+    if (!storedUrl) {
+      return interaction.editReply({ content: '❌ Failed to store the attachment. Please try again.' });
+    }
+
+    rule.response_content = storedUrl;
+    rule.attachment_name = attachment.name;
+  }
+
+  const stored = await insertTriggerRule(rule);
+  if (!stored) {
+    return interaction.editReply({ content: '❌ Failed to save the trigger. Please try again.' });
+  }
+
+  invalidateTriggerCache(interaction.guild.id);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x00AE86)
+    .setTitle('⚡ Trigger Added')
+    .setDescription(`**${stored.name}** is now active in ${interaction.guild.name}`)
+    .addFields({ name: 'Rule', value: describeRule(stored) })
+    .setFooter({ text: `ID: ${stored.id}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Handle list subcommand
+ */
+async function handleList(interaction) {
+  const rules = await getGuildTriggerRules(interaction.guild.id);
+
+  if (rules.length === 0) {
+    return interaction.reply({
+      content: 'No triggers configured for this server. Moderators can add one with `/trigger add`.',
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(`⚡ Triggers - ${interaction.guild.name}`)
+    .setDescription(`${rules.length} trigger${rules.length === 1 ? '' : 's'}, checked in this order`)
+    .setTimestamp();
+
+  rules.slice(0, 25).forEach((rule, index) => {
+    embed.addFields({
+      name: `${index + 1}. ${rule.name} • ID: ${rule.id.substring(0, 8)}`,
+      value: describeRule(rule),
+      inline: false
+    });
+  });
+
+  if (rules.length > 25) {
+    embed.setFooter({ text: `... and ${rules.length - 25} more triggers` });
+  }
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Handle remove subcommand
+ */
+async function handleRemove(interaction) {
+  if (!(await requireModerator(interaction))) return;
+
+  const ruleId = interaction.options.getString('id').trim();
+  const removed = await deleteTriggerRule(interaction.guild.id, ruleId);
+
+  if (!removed) {
+    return interaction.reply({
+      content: `❌ No single trigger matches \`${ruleId}\`. Check \`/trigger list\` for IDs.`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  invalidateTriggerCache(interaction.guild.id);
+
+  await interaction.reply({
+    content: `🗑️ Removed trigger **${removed.name}**.`,
+    flags: MessageFlags.Ephemeral
+  });
+}
+
+/**
+ * Handle test subcommand
+ */
+async function handleTest(interaction) {
+  const text = interaction.options.getString('message');
+  const rules = await getGuildTriggerRules(interaction.guild.id);
+
+  // Evaluate as if the invoking user sent the text in this channel
+  const simulatedMessage = {
+    content: text,
+    author: interaction.user,
+    member: interaction.member,
+    channelId: interaction.channelId,
+    channel: interaction.channel
+  };
+  const matches = findMatchingRules(rules, simulatedMessage);
+
+  if (matches.length === 0) {
+    return interaction.reply({
+      content: `No triggers match \`${text}\` for you in this channel.`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0xFFA500)
+    .setTitle('🧪 Trigger Test')
+    .setDescription(`\`${text}\` matches ${matches.length} trigger${matches.length === 1 ? '' : 's'}. ` +
+      `Only the first one that is off cooldown and wins its chance roll fires.`)
+    .setTimestamp();
+
+  matches.slice(0, 10).forEach((rule, index) => {
+    embed.addFields({
+      name: `${index + 1}. ${rule.name} • ID: ${rule.id.substring(0, 8)}`,
+      value: describeRule(rule),
+      inline: false
+    });
+  });
+
+  await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Summarize a rule for embeds
+ * @param {Object} rule - Trigger rule
+ * @returns {string} Human-readable description
+ */
+function describeRule(rule) {
+  const scope = {
+    guild: 'everyone',
+    user: `<@${rule.scope_id}>`,
+    role: `<@&${rule.scope_id}>`,
+    channel: `<#${rule.scope_id}>`
+  }[rule.scope_type];
+
+  const response = {
+    text: `replies "${(rule.response_content || '').substring(0, 80)}"`,
+    attachment: `uploads ${rule.attachment_name || 'a file'}`,
+    reaction: `reacts ${rule.response_content}`,
+    gif: `sends a ${rule.response_content || 'random'} GIF`
+  }[rule.response_type];
+
+  const extras = [];
+  if (rule.probability < 1) extras.push(`${Math.round(rule.probability * 100)}% chance`);
+  if (rule.cooldown_seconds > 0) extras.push(`${rule.cooldown_seconds}s cooldown`);
+
+  return `${rule.match_type} \`${rule.pattern}\` from ${scope} → ${response}` +
+    (extras.length > 0 ? `\n*${extras.join(' • ')}*` : '');
+}
+
+export default triggerCommand;
@@ -0,0 +1,299 @@
+import {
+    ContextMenuCommandBuilder,
+    ApplicationCommandType,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle,
+    MessageFlags
+} from 'discord.js';
+import {
+    getReplyMemorySources,
+    getUserMemoriesByIds,
+    getServerMemoriesByIds,
+    getTimeAgo
+} from '../../supabase/supabase.js';
+import { UserMemoryManager, ServerMemoryManager, MemoryUtils } from '../../utils/memoryUtils.js';
+import { RoleManager } from '../../utils/roleUtils.js';
+
+const INSPECT_TIME = 5 * 60 * 1000; // Buttons stay usable for 5 minutes
+const MAX_LISTED_MEMORIES = 20;
+
+const USER_MEMORY_LABELS = {
+    fact: '🧩 Fact',
+    conversation_summary: '📝 Summary',
+    conversation: '💬 Conversation',
+    preference: '⚙️ Preference'
+};
+
+/**
+ * Label for a memory in the list and the picker
+ */
+function memoryLabel({ kind, memory }) {
+    if (kind === 'server') return `📚 ${memory.memory_title || 'Server memory'}`;
+    return USER_MEMORY_LABELS[memory.context_type] || `🧠 ${memory.context_type}`;
+}
+
+/**
+ * Put fetched memories back in the order they were recorded (deleted ones are missing from the fetch)
+ */
+function orderByIds(ids, memories) {
+    const byId = new Map(memories.map(memory => [memory.id, memory]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+}
+
+function buildEmbed(state) {
+    const { entries, hiddenCount, deletedCount, repliedTo } = state;
+
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('🧠 Why Bepo said this')
+        .setDescription(entries.length > 0
+            ? `Memories in Bepo's context when it replied to <@${repliedTo}>:`
+            : `None of the memories behind this reply to <@${repliedTo}> can be shown.`)
+        .setTimestamp();
+
+    entries.slice(0, MAX_LISTED_MEMORIES).forEach((entry, index) => {
+        const content = entry.memory.memory_content.length > 200
+            ? entry.memory.memory_content.substring(0, 200) + '...'
+            : entry.memory.memory_content;
+
+        embed.addFields({
+            name: `${index + 1}. ${memoryLabel(entry)}`,
+            value: `${content}\n*${getTimeAgo(entry.memory.updated_at)} • ID: \`${entry.memory.id.substring(0, 8)}\`*`,
+            inline: false
+        });
+    });
+
+    const notes = [];
+    if (entries.length > MAX_LISTED_MEMORIES) notes.push(`${entries.length - MAX_LISTED_MEMORIES} more not shown`);
+    if (hiddenCount > 0) notes.push(`${hiddenCount} personal ${hiddenCount === 1 ? 'memory' : 'memories'} only they can see`);
+    if (deletedCount > 0) notes.push(`${deletedCount} deleted since`);
+    if (notes.length > 0) embed.setFooter({ text: notes.join(' • ') });
+
+    return embed;
+}
+
+function buildComponents(state) {
+    const editable = state.entries
+        .slice(0, MAX_LISTED_MEMORIES)
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ entry }) => entry.editable);
+
+    if (editable.length === 0) return [];
+
+    const picker = new StringSelectMenuBuilder()
+        .setCustomId('why_bepo_pick')
+        .setPlaceholder('Pick a memory to edit or delete')
+        .addOptions(editable.map(({ entry, index }) => ({
+            label: `${index + 1}. ${memoryLabel(entry)}`.substring(0, 100),
+            description: entry.memory.memory_content.substring(0, 100),
+            value: `${entry.kind}:${entry.memory.id}`,
+            default: state.selected === `${entry.kind}:${entry.memory.id}`
+        })));
+
+    const buttons = [
+        new ButtonBuilder()
+            .setCustomId('why_bepo_edit')
+            .setLabel('Edit')
+            .setEmoji('✏️')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(!state.selected),
+        new ButtonBuilder()
+            .setCustomId('why_bepo_delete')
+            .setLabel('Delete')
+            .setEmoji('🗑️')
+            .setStyle(ButtonStyle.Danger)
+            .setDisabled(!state.selected)
+    ];
+
+    return [
+        new ActionRowBuilder().addComponents(picker),
+        new ActionRowBuilder().addComponents(buttons)
+    ];
+}
+
+function buildView(state, status = null) {
+    return {
+        content: status,
+        embeds: [buildEmbed(state)],
+        components: buildComponents(state)
+    };
+}
+
+function findSelected(state) {
+    return state.entries.find(entry => `${entry.kind}:${entry.memory.id}` === state.selected);
+}
+
+/**
+ * Edit or delete a memory with the permissions of the person looking at it
+ */
+async function changeMemory(interaction, entry, content = null) {
+    const userId = interaction.user.id;
+    const isCodeMonkey = userId === process.env.CODE_MONKEY;
+
+    if (entry.kind === 'user') {
+        const actingUserId = isCodeMonkey ? null : userId;
+        return content === null
+            ? await UserMemoryManager.deleteMemory(entry.memory.id, actingUserId)
+            : await UserMemoryManager.updateMemory(entry.memory.id, { memory_content: content }, actingUserId);
+    }
+
+    const isAdmin = RoleManager.isAdmin(interaction.member);
+    return content === null
+        ? await ServerMemoryManager.deleteMemory(entry.memory.id, isAdmin ? null : userId)
+        : await ServerMemoryManager.updateMemory(entry.memory.id, { memory_content: content }, userId, interaction.guildId, isAdmin);
+}
+
+async function handleEdit(interaction, button, state) {
+    const entry = findSelected(state);
+    if (!entry) return;
+
+    const modalId = `why_bepo_edit_modal:${entry.memory.id}`;
+    const modal = new ModalBuilder()
+        .setCustomId(modalId)
+        .setTitle('Edit memory')
+        .addComponents(new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId('content')
+                .setLabel('Memory')
+                .setStyle(TextInputStyle.Paragraph)
+                .setMaxLength(2000)
+                .setValue(entry.memory.memory_content.substring(0, 2000))
+                .setRequired(true)
+        ));
+
+    await button.showModal(modal);
+
+    const submitted = await button.awaitModalSubmit({
+        filter: i => i.customId === modalId && i.user.id === interaction.user.id,
+        time: INSPECT_TIME
+    }).catch(() => null);
+    if (!submitted) return;
+
+    await submitted.deferUpdate();
+
+    const validation = MemoryUtils.validateContent(submitted.fields.getTextInputValue('content'));
+    if (!validation.valid) {
+        await interaction.editReply(buildView(state, `❌ ${validation.error}`));
+        return;
+    }
+
+    const result = await changeMemory(interaction, entry, validation.content);
+    if (result.success) {
+        entry.memory.memory_content = validation.content;
+        entry.memory.updated_at = new Date().toISOString();
+    }
+
+    await interaction.editReply(buildView(state, result.success
+        ? `✏️ Updated memory \`${entry.memory.id.substring(0, 8)}\`.`
+        : `❌ ${result.error || 'Failed to update the memory.'}`));
+}
+
+async function handleDelete(interaction, button, state) {
+    const entry = findSelected(state);
+    if (!entry) return;
+
+    const result = await changeMemory(interaction, entry);
+    if (result.success) {
+        state.entries = state.entries.filter(other => other !== entry);
+        state.deletedCount++;
+        state.selected = null;
+    }
+
+    await button.update(buildView(state, result.success
+        ? `🗑️ Deleted memory \`${entry.memory.id.substring(0, 8)}\`. Bepo stops using it once its conversation context refreshes.`
+        : `❌ ${result.error || 'Failed to delete the memory.'}`));
+}
+
+const whyBepoCommand = {
+    data: new ContextMenuCommandBuilder()
+        .setName('Why did Bepo say this?')
+        .setType(ApplicationCommandType.Message),
+
+    async execute(interaction) {
+        const target = interaction.targetMessage;
+
+        if (target.author.id !== interaction.client.user.id) {
+            return await interaction.reply({
+                content: 'That isn\'t one of my replies. Use this on a message Bepo sent.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        try {
+            const sources = await getReplyMemorySources(target.id);
+            if (!sources) {
+                return await interaction.editReply(
+                    'No memories were recorded for this reply. Bepo may have answered without any, or the reply is older than 30 days.'
+                );
+            }
+
+            const userId = interaction.user.id;
+            const isCodeMonkey = userId === process.env.CODE_MONKEY;
+            const isAdmin = RoleManager.isAdmin(interaction.member);
+
+            // Personal memories are only shown to the person Bepo replied to
+            const canSeeUserMemories = sources.user_id === userId || isCodeMonkey;
+            const userMemoryIds = sources.user_memory_ids || [];
+            const serverMemoryIds = sources.server_memory_ids || [];
+
+            const [userMemories, serverMemories] = await Promise.all([
+                canSeeUserMemories ? getUserMemoriesByIds(userMemoryIds) : [],
+                getServerMemoriesByIds(serverMemoryIds)
+            ]);
+
+            const orderedUser = orderByIds(userMemoryIds, userMemories);
+            const orderedServer = orderByIds(serverMemoryIds, serverMemories);
+
+            const state = {
+                repliedTo: sources.user_id,
+                entries: [
+                    ...orderedServer.map(memory => ({ kind: 'server', memory, editable: isAdmin || memory.user_id === userId })),
+                    ...orderedUser.map(memory => ({ kind: 'user', memory, editable: true }))
+                ],
+                hiddenCount: canSeeUserMemories ? 0 : userMemoryIds.length,
+                deletedCount: (canSeeUserMemories ? userMemoryIds.length - orderedUser.length : 0) +
+                    (serverMemoryIds.length - orderedServer.length),
+                selected: null
+            };
+
+            const response = await interaction.editReply(buildView(state));
+            if (!state.entries.some(entry => entry.editable)) return;
+
+            const collector = response.createMessageComponentCollector({ time: INSPECT_TIME });
+
+            collector.on('collect', async (component) => {
+                try {
+                    if (component.customId === 'why_bepo_pick') {
+                        state.selected = component.values[0];
+                        await component.update(buildView(state));
+                    } else if (component.customId === 'why_bepo_edit') {
+                        await handleEdit(interaction, component, state);
+                    } else if (component.customId === 'why_bepo_delete') {
+                        await handleDelete(interaction, component, state);
+                    }
+                } catch (error) {
+                    console.error('Reply memory inspection error:', error);
+                }
+            });
+
+            // The buttons stop working once the collector ends, so take them away
+            collector.on('end', async () => {
+                await interaction.editReply({ components: [] }).catch(() => {});
+            });
+
+        } catch (error) {
+            console.error('Error in Why did Bepo say this? command:', error);
+            await interaction.editReply('❌ An error occurred while looking up the memories behind this reply.');
+        }
+    },
+};
+
+export default whyBepoCommand;
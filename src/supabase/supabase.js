@@ -2,6 +2,8 @@ import { createClient } from '@supabase/supabase-js'
 import dotenv from "dotenv";
 import userCacheService from '../services/userCache.js';
 import embeddingService from '../services/embeddingService.js';
+import { rankMemories, MemoryTokenBudget, SEMANTIC_MATCH_THRESHOLD } from '../utils/memoryRetrieval.js';
+import { extractFacts, planFactChanges, FACT_STATUS } from '../utils/factExtraction.js';
 dotenv.config();
 
 const supabaseUrl = process.env.SUPABASE_URL
@@ -131,7 +133,20 @@ async function getBZBannedRoles() {
 }
 
 // Memory-related functions
+
+/**
+ * Embedding to store with a memory so chat context can find it by meaning
+ * Preferences are skipped since they are always put in context
+ * @returns {Promise<number[]|null>} Embedding, or null when skipped or embeddings are unavailable
+ */
+async function embedMemoryContent(content, contextType) {
+  if (contextType === 'preference') return null;
+  return await embeddingService.generateEmbedding(content);
+}
+
 async function storeUserMemory(userId, content, contextType = 'conversation', metadata = {}, expiresAt = null, guildId = null) {
+  const embedding = await embedMemoryContent(content, contextType);
+
   const { data, error } = await supabase
     .from('user_memory')
     .insert([{
@@ -140,7 +155,8 @@ async function storeUserMemory(userId, content, contextType = 'conversation', me
       context_type: contextType,
       metadata: metadata,
       expires_at: expiresAt,
-      guild_id: guildId
+      guild_id: guildId,
+      embedding: embedding
     }])
     .select();
 
@@ -151,7 +167,7 @@ async function storeUserMemory(userId, content, contextType = 'conversation', me
   return data[0];
 }
 
-async function getUserMemories(userId, contextType = null, limit = 10) {
+async function getUserMemories(userId, contextType = null, limit = 10, guildId = null) {
   let query = supabase
     .from('user_memory')
     .select('*')
@@ -163,6 +179,10 @@ async function getUserMemories(userId, contextType = null, limit = 10) {
     query = query.eq('context_type', contextType);
   }
 
+  if (guildId) {
+    query = query.eq('guild_id', guildId);
+  }
+
   if (limit) {
     query = query.limit(limit);
   }
@@ -307,11 +327,13 @@ async function deleteMemoryById(memoryId) {
 }
 
 async function cleanupExpiredMemories() {
+  // Pinned memories have no expiry, but are kept even if an old row still carries one
   const { data, error } = await supabase
     .from('user_memory')
     .delete()
     .lt('expires_at', new Date().toISOString())
     .not('expires_at', 'is', null)
+    .eq('pinned', false)
     .select();
 
   if (error) {
@@ -332,6 +354,7 @@ async function cleanupOldMemories(daysOld = 90) {
     .delete()
     .lt('created_at', cutoffDate.toISOString())
     .eq('context_type', 'conversation')
+    .eq('pinned', false) // Pinned with /memory pin
     .select();
 
   if (error) {
@@ -348,7 +371,7 @@ async function cleanupOldMemories(daysOld = 90) {
 // ============================================================================
 
 // Conversation batching system to prevent duplicate memories
-const conversationBatches = new Map(); // userId -> { messages: [], lastActivity: timestamp }
+const conversationBatches = new Map(); // userId -> { messages: [], lastActivity: timestamp }, one guild at a time
 const BATCH_SIZE = 5; // Batch every 5 exchanges
 const BATCH_TIMEOUT = 30 * 60 * 1000; // 30 minutes of inactivity flushes batch
 
@@ -372,6 +395,13 @@ async function storeUserMemoryOptimized(userId, userMessage, botResponse, metada
       username = userCacheService.getDisplayName(userInfo);
     }
 
+    // A batch only ever holds one guild's conversation, so its summary and facts stay in that guild
+    const guildId = metadata.guild_id || null;
+    const pending = conversationBatches.get(userId);
+    if (pending?.messages.length > 0 && (pending.messages[0].guild || null) !== guildId) {
+      await flushConversationBatch(userId);
+    }
+
     // Get or create batch for this user
     if (!conversationBatches.has(userId)) {
       conversationBatches.set(userId, {
@@ -391,7 +421,8 @@ async function storeUserMemoryOptimized(userId, userMessage, botResponse, metada
       bot: botResponse,
       timestamp: new Date().toISOString(),
       channel: metadata.channel_id,
-      guild: metadata.guild_id
+      guild: metadata.guild_id,
+      url: metadata.message_url
     });
 
     console.log(`[Memory] Batched message for ${username} (${batch.messages.length}/${BATCH_SIZE})`);
@@ -425,8 +456,8 @@ async function flushConversationBatch(userId) {
     // Extract key topics for better retrieval
     const topics = extractConversationTopics(batch.messages);
 
-    // Get guild_id from messages (use the most recent one)
-    const guildId = batch.messages[batch.messages.length - 1].guild;
+    // Every message in a batch comes from the same guild
+    const guildId = batch.messages[0].guild || null;
 
     // Generate embedding for the summary (for semantic search)
     const embedding = await embeddingService.generateEmbedding(summary);
@@ -459,6 +490,10 @@ async function flushConversationBatch(userId) {
 
     console.log(`[Memory] Flushed batch for ${batch.username}: ${batch.messages.length} messages → 1 summary${embedding ? ' (with embedding)' : ''}`);
 
+    // Learn long-term facts in the background so replies aren't held up by the extra AI call
+    extractFactsFromBatch(userId, guildId, batch.messages, batch.username)
+      .catch(factError => console.error('[Facts] Error extracting facts:', factError));
+
     // Clear the batch
     conversationBatches.delete(userId);
   } catch (error) {
@@ -466,6 +501,38 @@ async function flushConversationBatch(userId) {
   }
 }
 
+/**
+ * Store the durable facts found in a flushed batch, merging them with the ones already remembered
+ * Facts are user memories with context_type 'fact' and metadata { fact_key, category, confidence, status, source_message_url }
+ * 
+ * @param {string} userId - Discord user ID
+ * @param {string} guildId - Guild the conversation happened in
+ * @param {Array} messages - Batch messages: { user, bot, url }
+ * @param {string} username - Display name for the prompt
+ * @returns {Promise<object>} Counts of facts added and updated
+ */
+async function extractFactsFromBatch(userId, guildId, messages, username) {
+  const candidates = await extractFacts(messages, username);
+  if (candidates.length === 0) {
+    return { added: 0, updated: 0 };
+  }
+
+  // Facts are kept per server (DM facts have no guild), so only merge with the ones from the same place
+  const existingFacts = (await getUserMemories(userId, 'fact', 100, guildId))
+    .filter(fact => (fact.guild_id || null) === (guildId || null));
+  const { inserts, updates } = planFactChanges(candidates, existingFacts);
+
+  for (const fact of inserts) {
+    await storeUserMemory(userId, fact.content, 'fact', fact.metadata, null, guildId);
+  }
+  for (const { id, content, metadata } of updates) {
+    await updateUserMemory(id, content ? { memory_content: content, metadata } : { metadata });
+  }
+
+  console.log(`[Facts] ${username}: ${inserts.length} new, ${updates.length} updated from ${candidates.length} candidates`);
+  return { added: inserts.length, updated: updates.length };
+}
+
 /**
  * Generate a natural summary from conversation exchanges
  * Clearly attributes who said what to prevent confusion
@@ -879,7 +946,8 @@ const MEMORY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 /**
  * Optimized memory context builder
  * Reduces 6-10 queries to 2-3 with intelligent caching and batching
- * Uses relevance scoring to prevent irrelevant memories (false pings)
+ * Ranks memories by meaning (vector search), keywords and recency to prevent irrelevant memories (false pings),
+ * and keeps the block within the memory token budget
  * 
  * @param {string} userId - Discord user ID  
  * @param {string} currentMessage - Current message for relevance
@@ -888,6 +956,17 @@ const MEMORY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
  * @returns {Promise<string>} Formatted context string
  */
 async function buildMemoryContextOptimized(userId, currentMessage = '', serverId = null, client = null) {
+  const { context } = await buildMemoryContextWithSources(userId, currentMessage, serverId, client);
+  return context;
+}
+
+/**
+ * Same as buildMemoryContextOptimized, plus the IDs of the memories that made it into the context
+ * (recorded per reply for the "Why did Bepo say this?" context menu)
+ *
+ * @returns {Promise<Object>} { context, sources: { userMemoryIds, serverMemoryIds } }
+ */
+async function buildMemoryContextWithSources(userId, currentMessage = '', serverId = null, client = null) {
   try {
     // Generate cache key
     const cacheKey = `${userId}:${serverId}:${currentMessage.slice(0, 50)}`;
@@ -896,14 +975,14 @@ async function buildMemoryContextOptimized(userId, currentMessage = '', serverId
     const cached = memoryContextCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < MEMORY_CACHE_TTL) {
       console.log('[Memory Cache] HIT - Using cached context');
-      return cached.data;
+      return { context: cached.data, sources: cached.sources };
     }
 
     const startTime = Date.now();
     const searchTerms = extractKeywords(currentMessage);
 
-    // OPTIMIZATION: Combine all queries into 2 parallel database calls
-    const [userMemories, serverMemories] = await Promise.all([
+    // OPTIMIZATION: Combine all queries into 2 parallel database calls, embedding the message alongside them
+    const [userMemories, serverMemories, facts, queryEmbedding] = await Promise.all([
       // Single query for ALL user memories with guild filter
       serverId
         ? supabase
@@ -924,136 +1003,141 @@ async function buildMemoryContextOptimized(userId, currentMessage = '', serverId
           p_search_terms: searchTerms.slice(0, 3),
           p_limit: 12
         }).then(r => r.data || []).catch(() => getServerMemories(serverId, null, 12))
-        : serverId ? getServerMemories(serverId, null, 12) : []
+        : serverId ? getServerMemories(serverId, null, 12) : [],
+
+      // Facts learned in a server only come back in that server; DMs can use all of the user's own facts
+      getUserMemories(userId, 'fact', 20, serverId),
+
+      currentMessage.trim() ? embeddingService.generateEmbedding(currentMessage) : null
     ]);
 
+    // Memories similar in meaning, including older ones the queries above don't reach
+    const [userMatches, serverMatches] = queryEmbedding
+      ? await Promise.all([
+        supabase.rpc('match_user_memories', {
+          query_embedding: queryEmbedding,
+          match_user_id: userId,
+          match_threshold: SEMANTIC_MATCH_THRESHOLD,
+          match_count: 10,
+          match_guild_id: serverId
+        }).then(r => r.data || []).catch(() => []),
+        serverId
+          ? supabase.rpc('match_server_memories', {
+            query_embedding: queryEmbedding,
+            match_server_id: serverId,
+            match_threshold: SEMANTIC_MATCH_THRESHOLD,
+            match_count: 8
+          }).then(r => r.data || []).catch(() => [])
+          : []
+      ])
+      : [[], []];
+
+    const query = { searchTerms, currentMessage, searchedByMeaning: Boolean(queryEmbedding) };
+    const notPreference = m => m.context_type !== 'preference';
+    const isUsableFact = m => m.context_type === 'fact' && m.metadata?.status !== FACT_STATUS.REJECTED;
+
+    // Rank candidates from both searches together
+    const rankedServer = rankMemories(serverMemories, serverMatches, query)
+      .filter(({ score }) => score >= 0.1) // Skip irrelevant memories
+      .slice(0, 8)
+      .map(({ memory }) => memory);
+    const rankedUser = rankMemories(userMemories.filter(notPreference), userMatches.filter(notPreference), query)
+      .map(({ memory }) => memory);
+    const rankedFacts = rankMemories(facts.filter(isUsableFact), userMatches.filter(isUsableFact), query)
+      .slice(0, 5)
+      .map(({ memory }) => memory);
+
     // Separate user memories by type
-    const summaries = userMemories.filter(m => m.context_type === 'conversation_summary');
-    const conversations = userMemories.filter(m => m.context_type === 'conversation');
+    const summaries = rankedUser.filter(m => m.context_type === 'conversation_summary').slice(0, 3);
+    const conversations = rankedUser
+      .filter(m => m.context_type === 'conversation' && !hasFalsePingPattern(m.memory_content))
+      .slice(0, 3);
     const preferences = userMemories.filter(m => m.context_type === 'preference');
 
     // OPTIMIZATION: Batch username lookups (eliminates N+1)
     const allUserIds = new Set();
-    serverMemories.forEach(m => m.user_id && allUserIds.add(m.user_id));
+    rankedServer.forEach(m => m.user_id && allUserIds.add(m.user_id));
 
     const userInfoMap = client && allUserIds.size > 0
       ? await userCacheService.batchGetUsers(client, Array.from(allUserIds))
       : new Map();
 
-    // Build context with relevance ranking
-    let context = '';
+    // User preferences (always include)
+    const budget = new MemoryTokenBudget();
+    const preferenceEntries = preferences
+      .filter(pref => pref.metadata?.preference_key && pref.metadata?.preference_value !== undefined)
+      .map(pref => ({ memory: pref, line: `- ${pref.metadata.preference_key}: ${JSON.stringify(pref.metadata.preference_value)}` }));
+    preferenceEntries.forEach(({ line }) => budget.reserve(line));
+
+    // Keep the memory with each line so the sources only list what fit in the budget
+    const fitToBudget = (memories, toLine) => memories
+      .map(memory => ({ memory, line: toLine(memory) }))
+      .filter(({ line }) => budget.take(line));
+
+    // Fill the rest of the budget in priority order: server knowledge, facts, summaries, then individual conversations
+    const serverEntries = fitToBudget(rankedServer, memory => {
+      const userInfo = userInfoMap.get(memory.user_id);
+      const username = userInfo ? userCacheService.getDisplayName(userInfo) : 'Unknown';
+      const title = memory.memory_title ? `[${memory.memory_title}] ` : '';
+      return `• ${title}${memory.memory_content} (via ${username}, ${getTimeAgo(memory.updated_at)})`;
+    });
 
-    // Server knowledge (highest priority)
-    if (serverMemories.length > 0) {
-      context += '=== SERVER KNOWLEDGE ===\n';
+    const factEntries = fitToBudget(rankedFacts, fact => `- ${fact.memory_content}`);
 
-      // Score and sort by relevance
-      const scoredMemories = serverMemories.map(memory => ({
-        memory,
-        score: calculateRelevanceScore(memory, searchTerms, currentMessage)
-      })).sort((a, b) => b.score - a.score);
+    const summaryEntries = fitToBudget(summaries, summary => {
+      const msgCount = summary.metadata?.message_count || '?';
+      return `- ${summary.memory_content} (${msgCount} exchanges, ${getTimeAgo(summary.updated_at)})`;
+    });
 
-      for (const { memory, score } of scoredMemories.slice(0, 8)) {
-        if (score < 0.1) break; // Skip irrelevant memories
+    const conversationEntries = fitToBudget(conversations, memory => `- ${memory.memory_content} (${getTimeAgo(memory.updated_at)})`);
 
-        const userInfo = userInfoMap.get(memory.user_id);
-        const username = userInfo ? userCacheService.getDisplayName(userInfo) : 'Unknown';
-        const timeAgo = getTimeAgo(memory.updated_at);
-        const title = memory.memory_title ? `[${memory.memory_title}] ` : '';
+    const toLines = entries => entries.map(({ line }) => line);
+    const serverLines = toLines(serverEntries);
+    const factLines = toLines(factEntries);
+    const summaryLines = toLines(summaryEntries);
+    const conversationLines = toLines(conversationEntries);
+    const preferenceLines = toLines(preferenceEntries);
 
-        context += `• ${title}${memory.memory_content} (via ${username}, ${timeAgo})\n`;
-      }
-      context += '\n';
+    // Build context
+    let context = '';
+    if (serverLines.length > 0) {
+      context += `=== SERVER KNOWLEDGE ===\n${serverLines.join('\n')}\n\n`;
     }
-
-    // Conversation summaries (medium priority)
-    if (summaries.length > 0) {
-      context += 'Recent Conversations:\n';
-      summaries.slice(0, 3).forEach(summary => {
-        const timeAgo = getTimeAgo(summary.updated_at);
-        const msgCount = summary.metadata?.message_count || '?';
-        context += `- ${summary.memory_content} (${msgCount} exchanges, ${timeAgo})\n`;
-      });
-      context += '\n';
+    if (factLines.length > 0) {
+      context += `Known Facts:\n${factLines.join('\n')}\n\n`;
     }
-
-    // Individual conversations (lower priority, with deduplication)
-    const relevantConversations = conversations
-      .filter(m => !hasFalsePingPattern(m.memory_content))
-      .slice(0, 3);
-
-    if (relevantConversations.length > 0) {
-      context += 'Context:\n';
-      relevantConversations.forEach(memory => {
-        const timeAgo = getTimeAgo(memory.updated_at);
-        context += `- ${memory.memory_content} (${timeAgo})\n`;
-      });
-      context += '\n';
+    if (summaryLines.length > 0) {
+      context += `Recent Conversations:\n${summaryLines.join('\n')}\n\n`;
     }
-
-    // User preferences (always include)
-    if (preferences.length > 0) {
-      context += 'Preferences:\n';
-      preferences.forEach(pref => {
-        const key = pref.metadata?.preference_key;
-        const value = pref.metadata?.preference_value;
-        if (key && value !== undefined) {
-          context += `- ${key}: ${JSON.stringify(value)}\n`;
-        }
-      });
-      context += '\n';
+    if (conversationLines.length > 0) {
+      context += `Context:\n${conversationLines.join('\n')}\n\n`;
+    }
+    if (preferenceLines.length > 0) {
+      context += `Preferences:\n${preferenceLines.join('\n')}\n\n`;
     }
 
     const finalContext = context.trim();
+    const sources = {
+      userMemoryIds: [...factEntries, ...summaryEntries, ...conversationEntries, ...preferenceEntries].map(({ memory }) => memory.id),
+      serverMemoryIds: serverEntries.map(({ memory }) => memory.id)
+    };
 
     // Cache the result
     memoryContextCache.set(cacheKey, {
       data: finalContext,
+      sources,
       timestamp: Date.now()
     });
 
     const elapsed = Date.now() - startTime;
-    console.log(`[Memory Context] Built in ${elapsed}ms (2 queries, cache stored)`);
+    console.log(`[Memory Context] Built in ${elapsed}ms (${queryEmbedding ? 'hybrid' : 'keyword'} ranking, ~${budget.used}/${budget.limit} tokens, cache stored)`);
 
-    return finalContext;
+    return { context: finalContext, sources };
 
   } catch (error) {
     console.error('[Memory Context] Error:', error);
-    return '';
-  }
-}
-
-/**
- * Calculate relevance score for a memory
- * Prevents irrelevant memories from polluting context
- */
-function calculateRelevanceScore(memory, searchTerms, currentMessage) {
-  let score = 0;
-  const content = (memory.memory_content || '').toLowerCase();
-  const title = (memory.memory_title || '').toLowerCase();
-  const fullText = content + ' ' + title;
-
-  // Keyword match scoring (40% weight)
-  const matchedTerms = searchTerms.filter(term =>
-    fullText.includes(term.toLowerCase())
-  );
-  score += (matchedTerms.length / Math.max(searchTerms.length, 1)) * 0.4;
-
-  // Exact phrase match bonus (30% weight)
-  if (fullText.includes(currentMessage.toLowerCase().slice(0, 50))) {
-    score += 0.3;
-  }
-
-  // Recency score (20% weight) - decay over 30 days
-  const ageInDays = (Date.now() - new Date(memory.updated_at).getTime()) / (1000 * 60 * 60 * 24);
-  score += (1 - Math.min(ageInDays / 30, 1)) * 0.2;
-
-  // Summary bonus (10% weight)
-  if (memory.context_type === 'conversation_summary') {
-    score += 0.1;
+    return { context: '', sources: { userMemoryIds: [], serverMemoryIds: [] } };
   }
-
-  return score;
 }
 
 /**
@@ -1107,23 +1191,22 @@ setInterval(cleanupMemoryContextCache, 5 * 60 * 1000);
 
 /**
  * Store user memory with vector embedding
- * Only generates embedding for summaries (cost optimization)
+ * Preferences never get one since they are always put in context
  * 
  * @param {string} userId - Discord user ID
  * @param {string} content - Memory content
  * @param {string} contextType - Type of memory
  * @param {object} metadata - Additional metadata
  * @param {Date|null} expiresAt - Expiration date
- * @param {boolean} generateEmbedding - Whether to generate embedding (default: false)
+ * @param {boolean} generateEmbedding - Whether to generate embedding (default: true)
  * @returns {Promise<object>} Created memory record
  */
-async function storeUserMemoryWithEmbedding(userId, content, contextType = 'conversation', metadata = {}, expiresAt = null, generateEmbedding = false) {
+async function storeUserMemoryWithEmbedding(userId, content, contextType = 'conversation', metadata = {}, expiresAt = null, generateEmbedding = true) {
   try {
     let embedding = null;
 
-    // Only generate embeddings for summaries (cost optimization)
-    if (generateEmbedding && contextType === 'conversation_summary') {
-      embedding = await embeddingService.generateEmbedding(content);
+    if (generateEmbedding) {
+      embedding = await embedMemoryContent(content, contextType);
       console.log(`[VectorMemory] Generated embedding for user memory (${contextType})`);
     }
 
@@ -1287,8 +1370,8 @@ async function semanticSearchServerMemories(serverId, query, limit = 8, threshol
 
 /**
  * Backfill embeddings for existing memories
- * Run this once after migration 003 to add embeddings to old data
- * Only processes summaries and server knowledge (cost optimization)
+ * Processes one batch of user memories (preferences excluded) and server memories that have no embedding yet;
+ * call it again until nothing is processed (/memory-backfill does this)
  * 
  * @param {number} batchSize - Process in batches
  * @returns {Promise<object>} Statistics about the backfill
@@ -1304,11 +1387,11 @@ async function backfillEmbeddings(batchSize = 50) {
       totalCost: 0
     };
 
-    // Backfill user memory summaries only
+    // Backfill user memories (preferences are always in context, so they don't need one)
     const { data: userMemories, error: userError } = await supabase
       .from('user_memory')
       .select('id, memory_content')
-      .eq('context_type', 'conversation_summary')
+      .neq('context_type', 'preference')
       .is('embedding', null)
       .limit(batchSize);
 
@@ -1326,6 +1409,8 @@ async function backfillEmbeddings(batchSize = 50) {
             .update({ embedding: embeddings[i] })
             .eq('id', userMemories[i].id);
           stats.userMemoriesProcessed++;
+        } else {
+          stats.errors++;
         }
       }
     }
@@ -1351,6 +1436,8 @@ async function backfillEmbeddings(batchSize = 50) {
             .update({ embedding: embeddings[i] })
             .eq('id', serverMemories[i].id);
           stats.serverMemoriesProcessed++;
+        } else {
+          stats.errors++;
         }
       }
     }
@@ -1392,6 +1479,8 @@ async function getEmbeddingStats() {
 
 // Server Memory functions
 async function storeServerMemory(serverId, userId, content, title = null, contextType = 'server', metadata = {}, expiresAt = null) {
+  const embedding = await embedMemoryContent(content, contextType);
+
   const { data, error } = await supabase
     .from('server_memory')
     .insert([{
@@ -1401,7 +1490,8 @@ async function storeServerMemory(serverId, userId, content, title = null, contex
       memory_title: title,
       context_type: contextType,
       metadata: metadata,
-      expires_at: expiresAt
+      expires_at: expiresAt,
+      embedding: embedding
     }])
     .select();
 
@@ -1548,7 +1638,7 @@ async function cleanupExpiredServerMemories() {
 
 // Update user memory by ID
 async function updateUserMemory(memoryId, updates = {}) {
-  const allowedFields = ['memory_content', 'context_type', 'metadata', 'expires_at'];
+  const allowedFields = ['memory_content', 'context_type', 'metadata', 'expires_at', 'pinned'];
   const validUpdates = {};
 
   // Filter to only allow valid fields
@@ -1566,6 +1656,11 @@ async function updateUserMemory(memoryId, updates = {}) {
   // Add updated_at timestamp
   validUpdates.updated_at = new Date().toISOString();
 
+  // Re-embed changed content so semantic search matches what the memory now says
+  if (validUpdates.memory_content) {
+    validUpdates.embedding = await embedMemoryContent(validUpdates.memory_content, validUpdates.context_type);
+  }
+
   const { data, error } = await supabase
     .from('user_memory')
     .update(validUpdates)
@@ -1605,6 +1700,11 @@ async function updateServerMemory(memoryId, updates = {}, userId = null) {
   // Add updated_at timestamp
   validUpdates.updated_at = new Date().toISOString();
 
+  // Re-embed changed content so semantic search matches what the memory now says
+  if (validUpdates.memory_content) {
+    validUpdates.embedding = await embedMemoryContent(validUpdates.memory_content, validUpdates.context_type);
+  }
+
   // Build query
   let query = supabase
     .from('server_memory')
@@ -2060,6 +2160,953 @@ async function getChannelManagementRoles(guildId) {
   }
 }
 
+// ============================================================================
+// TRIGGER RULE FUNCTIONS
+// ============================================================================
+
+/**
+ * Get all enabled trigger rules for a guild, oldest first
+ * @param {string} guildId - Discord guild ID
+ * @returns {Array} Trigger rules
+ */
+async function getTriggerRules(guildId) {
+  const { data, error } = await supabase
+    .from('trigger_rules')
+    .select('*')
+    .eq('guild_id', guildId)
+    .eq('enabled', true)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching trigger rules:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Store a new trigger rule
+ * @param {Object} rule - Trigger rule row
+ * @returns {Object|null} Inserted rule or null
+ */
+async function insertTriggerRule(rule) {
+  const { data, error } = await supabase
+    .from('trigger_rules')
+    .insert([rule])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error inserting trigger rule:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Delete a guild's row by full or partial (prefix) ID
+ * @param {string} table - Table with `id` and `guild_id` columns
+ * @param {Array<Object>} rows - The guild's rows to match the ID against
+ * @param {string} guildId - Discord guild ID
+ * @param {string} id - Full UUID or the first characters of it
+ * @returns {Object|null} Deleted row or null if nothing (or more than one row) matched
+ */
+async function deleteGuildRowByIdPrefix(table, rows, guildId, id) {
+  const matches = rows.filter(row => row.id === id || row.id.startsWith(id));
+
+  // Refuse ambiguous prefixes rather than guessing which row was meant
+  if (matches.length !== 1) {
+    return null;
+  }
+
+  const { error } = await supabase
+    .from(table)
+    .delete()
+    .eq('id', matches[0].id)
+    .eq('guild_id', guildId);
+
+  if (error) {
+    console.error(`Error deleting from ${table}:`, error);
+    return null;
+  }
+  return matches[0];
+}
+
+/**
+ * Delete a trigger rule by full or partial (prefix) ID within a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {string} ruleId - Full UUID or the first characters of it
+ * @returns {Object|null} Deleted rule or null if nothing matched
+ */
+async function deleteTriggerRule(guildId, ruleId) {
+  return deleteGuildRowByIdPrefix('trigger_rules', await getTriggerRules(guildId), guildId, ruleId);
+}
+
+/**
+ * Upload a file to a public storage bucket so it outlives the Discord CDN link
+ * @param {string} bucket - Storage bucket name
+ * @param {string} guildId - Discord guild ID (used as the folder)
+ * @param {string} fileName - Original file name
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - MIME type
+ * @returns {string|null} Public URL of the stored file
+ */
+async function uploadToStorage(bucket, guildId, fileName, buffer, contentType) {
+  const storagePath = `${guildId}/${Date.now()}-${fileName}`;
+  const { error } = await supabase.storage
+    .from(bucket)
+    .upload(storagePath, buffer, { contentType, upsert: false });
+
+  if (error) {
+    console.error(`Error uploading to ${bucket} storage:`, error);
+    return null;
+  }
+
+  const { data } = supabase.storage.from(bucket).getPublicUrl(storagePath);
+  return data?.publicUrl || null;
+}
+
+/**
+ * Upload a trigger attachment to storage
+ * @param {string} guildId - Discord guild ID
+ * @param {string} fileName - Original file name
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - MIME type
+ * @returns {string|null} Public URL of the stored file
+ */
+async function uploadTriggerAttachment(guildId, fileName, buffer, contentType) {
+  return uploadToStorage('trigger-attachments', guildId, fileName, buffer, contentType);
+}
+
+// ============================================================================
+// REACTION RULE FUNCTIONS
+// ============================================================================
+
+/**
+ * Get all enabled reaction rules for a guild, oldest first
+ * @param {string} guildId - Discord guild ID
+ * @returns {Array} Reaction rules
+ */
+async function getReactionRules(guildId) {
+  const { data, error } = await supabase
+    .from('reaction_rules')
+    .select('*')
+    .eq('guild_id', guildId)
+    .eq('enabled', true)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching reaction rules:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Store one or more reaction rules
+ * @param {Array<Object>} rules - Reaction rule rows
+ * @returns {Array|null} Inserted rules or null
+ */
+async function insertReactionRules(rules) {
+  const { data, error } = await supabase
+    .from('reaction_rules')
+    .insert(rules)
+    .select();
+
+  if (error) {
+    console.error('Error inserting reaction rules:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Delete a reaction rule by full or partial (prefix) ID within a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {string} ruleId - Full UUID or the first characters of it
+ * @returns {Object|null} Deleted rule or null if nothing matched
+ */
+async function deleteReactionRule(guildId, ruleId) {
+  return deleteGuildRowByIdPrefix('reaction_rules', await getReactionRules(guildId), guildId, ruleId);
+}
+
+/**
+ * Atomically add to a reaction rule's hit counter
+ * @param {string} ruleId - Reaction rule UUID
+ * @param {number} amount - Hits to add
+ * @returns {boolean} Whether the update succeeded
+ */
+async function incrementReactionRuleHits(ruleId, amount = 1) {
+  const { error } = await supabase.rpc('increment_reaction_rule_hits', {
+    p_rule_id: ruleId,
+    p_amount: amount
+  });
+
+  if (error) {
+    console.error('Error incrementing reaction rule hits:', error);
+    return false;
+  }
+  return true;
+}
+
+// ============================================================================
+// SCHEDULED POST FUNCTIONS
+// ============================================================================
+
+/**
+ * Get all scheduled posts for a guild, oldest first
+ * @param {string} guildId - Discord guild ID
+ * @returns {Array} Scheduled posts (paused ones included)
+ */
+async function getScheduledPosts(guildId) {
+  const { data, error } = await supabase
+    .from('scheduled_posts')
+    .select('*')
+    .eq('guild_id', guildId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching scheduled posts:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Get enabled scheduled posts whose next run is at or before the given time
+ * @param {string} nowIso - Current time as an ISO string
+ * @returns {Array} Due scheduled posts
+ */
+async function getDueScheduledPosts(nowIso) {
+  const { data, error } = await supabase
+    .from('scheduled_posts')
+    .select('*')
+    .eq('enabled', true)
+    .lte('next_run_at', nowIso)
+    .order('next_run_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching due scheduled posts:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Store a scheduled post
+ * @param {Object} post - Scheduled post fields
+ * @returns {Object|null} Stored scheduled post
+ */
+async function insertScheduledPost(post) {
+  const { data, error } = await supabase
+    .from('scheduled_posts')
+    .insert(post)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error inserting scheduled post:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Update a scheduled post in a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {string} postId - Scheduled post ID
+ * @param {Object} updates - Fields to update
+ * @returns {Object|null} Updated scheduled post
+ */
+async function updateScheduledPost(guildId, postId, updates) {
+  const { data, error } = await supabase
+    .from('scheduled_posts')
+    .update(updates)
+    .eq('id', postId)
+    .eq('guild_id', guildId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error updating scheduled post:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Claim a due run by moving next_run_at forward, only if nobody else has already.
+ * Claiming before posting means a restart mid-send can't post the same run twice.
+ * @param {string} postId - Scheduled post ID
+ * @param {string} expectedNextRun - next_run_at value the caller saw
+ * @param {Object} updates - New next_run_at / last_fired_at values
+ * @returns {boolean} Whether this caller won the claim
+ */
+async function claimScheduledPostRun(postId, expectedNextRun, updates) {
+  const { data, error } = await supabase
+    .from('scheduled_posts')
+    .update(updates)
+    .eq('id', postId)
+    .eq('next_run_at', expectedNextRun)
+    .select('id');
+
+  if (error) {
+    console.error('Error claiming scheduled post run:', error);
+    return false;
+  }
+  return (data || []).length === 1;
+}
+
+/**
+ * Delete a scheduled post by full ID or unambiguous ID prefix
+ * @param {string} guildId - Discord guild ID
+ * @param {string} postId - Full scheduled post ID or prefix from /schedule list
+ * @returns {Object|null} The deleted scheduled post, or null if none/ambiguous
+ */
+async function deleteScheduledPost(guildId, postId) {
+  return deleteGuildRowByIdPrefix('scheduled_posts', await getScheduledPosts(guildId), guildId, postId);
+}
+
+/**
+ * Upload a scheduled post image to storage
+ * @param {string} guildId - Discord guild ID
+ * @param {string} fileName - Original file name
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - MIME type
+ * @returns {string|null} Public URL of the stored file
+ */
+async function uploadScheduledPostImage(guildId, fileName, buffer, contentType) {
+  return uploadToStorage('scheduled-posts', guildId, fileName, buffer, contentType);
+}
+
+// ============================================================================
+// DIGEST SETTINGS FUNCTIONS
+// ============================================================================
+
+/**
+ * Get a guild's digest settings
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Digest settings, or null if the guild has none
+ */
+async function getDigestSettings(guildId) {
+  const { data, error } = await supabase
+    .from('digest_settings')
+    .select('*')
+    .eq('guild_id', guildId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') { // Not found is fine
+    console.error('Error fetching digest settings:', error);
+    return null;
+  }
+  return data || null;
+}
+
+/**
+ * Create or update a guild's digest settings
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} updates - Fields to set
+ * @returns {Object|null} Stored digest settings
+ */
+async function upsertDigestSettings(guildId, updates) {
+  const { data, error } = await supabase
+    .from('digest_settings')
+    .upsert({ guild_id: guildId, ...updates, updated_at: new Date().toISOString() }, { onConflict: 'guild_id' })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error saving digest settings:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Get the most recent automatic digest for a guild and period
+ * @param {string} guildId - Discord guild ID
+ * @param {string} period - Digest period (daily, weekly, ...)
+ * @returns {Object|null} Latest digest run
+ */
+async function getLastDigestRun(guildId, period) {
+  const { data, error } = await supabase
+    .from('digest_runs')
+    .select('*')
+    .eq('guild_id', guildId)
+    .eq('period', period)
+    .order('window_end', { ascending: false })
+    .limit(1)
+    .single();
+
+  if (error && error.code !== 'PGRST116') { // Not found is fine
+    console.error('Error fetching last digest run:', error);
+    return null;
+  }
+  return data || null;
+}
+
+/**
+ * Record the window an automatic digest covered
+ * @param {Object} run - { guild_id, period, channel_id, schedule_id, window_start, window_end, message_count }
+ * @returns {Object|null} Stored digest run
+ */
+async function insertDigestRun(run) {
+  const { data, error } = await supabase
+    .from('digest_runs')
+    .insert(run)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error recording digest run:', error);
+    return null;
+  }
+  return data;
+}
+
+// ============================================================================
+// DIGEST CHANNEL SUMMARY FUNCTIONS
+// ============================================================================
+
+/**
+ * Get stored per-channel digest summaries for a window
+ * @param {string} guildId - Discord guild ID
+ * @param {string} windowStart - Window start as an ISO string
+ * @returns {Array} Channel summaries
+ */
+async function getDigestChannelSummaries(guildId, windowStart) {
+  const { data, error } = await supabase
+    .from('digest_channel_summaries')
+    .select('*')
+    .eq('guild_id', guildId)
+    .eq('window_start', windowStart);
+
+  if (error) {
+    console.error('Error fetching digest channel summaries:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Store a channel's digest summary as soon as it is produced
+ * @param {Object} summary - { guild_id, channel_id, channel_name, window_start, window_end, message_count, summary, stats }
+ * @returns {Object|null} Stored channel summary
+ */
+async function upsertDigestChannelSummary(summary) {
+  const { data, error } = await supabase
+    .from('digest_channel_summaries')
+    .upsert(summary, { onConflict: 'guild_id,channel_id,window_start' })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error saving digest channel summary:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Delete per-channel digest summaries older than the given age
+ * @param {number} daysOld - Age in days
+ * @returns {number} Number of deleted summaries
+ */
+async function cleanupOldDigestChannelSummaries(daysOld = 14) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+  const { data, error } = await supabase
+    .from('digest_channel_summaries')
+    .delete()
+    .lt('window_end', cutoffDate.toISOString())
+    .select('id');
+
+  if (error) {
+    console.error('Error cleaning up digest channel summaries:', error);
+    return 0;
+  }
+  return data ? data.length : 0;
+}
+
+// ============================================================================
+// MUSIC PLAYLIST FUNCTIONS
+// ============================================================================
+
+/**
+ * Get the playlists a user can use in a guild: their own plus every shared one
+ * @param {string} guildId - Discord guild ID
+ * @param {string} userId - Discord user ID
+ * @returns {Array} Playlists, oldest first
+ */
+async function getMusicPlaylists(guildId, userId) {
+  const { data, error } = await supabase
+    .from('music_playlists')
+    .select('*')
+    .eq('guild_id', guildId)
+    .eq('is_favorites', false)
+    .or(`owner_id.eq.${userId},is_shared.eq.true`)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching music playlists:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Store a new playlist
+ * @param {Object} playlist - { guild_id, owner_id, name, is_shared, tracks }
+ * @returns {Object|null} Stored playlist
+ */
+async function insertMusicPlaylist(playlist) {
+  const { data, error } = await supabase
+    .from('music_playlists')
+    .insert(playlist)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error inserting music playlist:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Update a playlist's tracks or sharing
+ * @param {string} playlistId - Playlist ID
+ * @param {Object} updates - Fields to update
+ * @returns {Object|null} Updated playlist
+ */
+async function updateMusicPlaylist(playlistId, updates) {
+  const { data, error } = await supabase
+    .from('music_playlists')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', playlistId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error updating music playlist:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Delete a playlist
+ * @param {string} playlistId - Playlist ID
+ * @returns {boolean} Whether the playlist was deleted
+ */
+async function deleteMusicPlaylist(playlistId) {
+  const { error } = await supabase
+    .from('music_playlists')
+    .delete()
+    .eq('id', playlistId);
+
+  if (error) {
+    console.error('Error deleting music playlist:', error);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get a user's favorites (one list that follows them across servers)
+ * @param {string} userId - Discord user ID
+ * @returns {Object|null} Favorites playlist, or null if they have none yet
+ */
+async function getMusicFavorites(userId) {
+  const { data, error } = await supabase
+    .from('music_playlists')
+    .select('*')
+    .eq('owner_id', userId)
+    .eq('is_favorites', true)
+    .single();
+
+  if (error && error.code !== 'PGRST116') { // Not found is fine
+    console.error('Error fetching music favorites:', error);
+    return null;
+  }
+  return data || null;
+}
+
+/**
+ * Add a track to a user's favorites, creating the list on first use
+ * @param {string} userId - Discord user ID
+ * @param {Object} track - Saved song fields (url, title, ...)
+ * @returns {Object|null} { playlist, added } where added is false if the track was already a favorite
+ */
+async function addMusicFavorite(userId, track) {
+  const favorites = await getMusicFavorites(userId);
+
+  if (!favorites) {
+    const playlist = await insertMusicPlaylist({
+      guild_id: null,
+      owner_id: userId,
+      name: 'Favorites',
+      is_favorites: true,
+      tracks: [track]
+    });
+    return playlist ? { playlist, added: true } : null;
+  }
+
+  if (favorites.tracks.some(existing => existing.url === track.url)) {
+    return { playlist: favorites, added: false };
+  }
+
+  const playlist = await updateMusicPlaylist(favorites.id, { tracks: [...favorites.tracks, track] });
+  return playlist ? { playlist, added: true } : null;
+}
+
+// ============================================================================
+// MUSIC SETTINGS FUNCTIONS
+// ============================================================================
+
+/**
+ * Get a guild's music settings
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object|null} Music settings, or null if never set
+ */
+async function getMusicSettings(guildId) {
+  const { data, error } = await supabase
+    .from('music_settings')
+    .select('*')
+    .eq('guild_id', guildId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') { // Not found is fine
+    console.error('Error fetching music settings:', error);
+    return null;
+  }
+  return data || null;
+}
+
+/**
+ * Create or update a guild's music settings
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} updates - Fields to set
+ * @returns {Object|null} Stored music settings
+ */
+async function upsertMusicSettings(guildId, updates) {
+  const { data, error } = await supabase
+    .from('music_settings')
+    .upsert({ guild_id: guildId, ...updates, updated_at: new Date().toISOString() }, { onConflict: 'guild_id' })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error saving music settings:', error);
+    return null;
+  }
+  return data;
+}
+
+// ============================================================================
+// MUSIC HISTORY FUNCTIONS
+// ============================================================================
+
+/**
+ * Log a track the music player finished with
+ * @param {Object} play - { guild_id, requested_by, url, title, track, started_at, listened_seconds }
+ * @returns {boolean} Whether the play was stored
+ */
+async function recordMusicPlay(play) {
+  const { error } = await supabase
+    .from('music_plays')
+    .insert(play);
+
+  if (error) {
+    console.error('Error recording music play:', error);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get the most recently played tracks in a guild
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} options - { userId (only tracks they queued), limit }
+ * @returns {Array} Plays, newest first
+ */
+async function getMusicHistory(guildId, { userId = null, limit = 10 } = {}) {
+  let query = supabase
+    .from('music_plays')
+    .select('*')
+    .eq('guild_id', guildId);
+
+  if (userId) {
+    query = query.eq('requested_by', userId);
+  }
+
+  const { data, error } = await query
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    console.error('Error fetching music history:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Get a guild's listening totals, top tracks and top requesters
+ * @param {string} guildId - Discord guild ID
+ * @param {Date|null} since - Only count plays from this time on (null for all time)
+ * @param {number} limit - How many top tracks and requesters to return
+ * @returns {Object|null} { total_plays, total_seconds, requesters, top_tracks, top_requesters }
+ */
+async function getMusicStats(guildId, since = null, limit = 5) {
+  const { data, error } = await supabase.rpc('get_music_stats', {
+    p_guild_id: guildId,
+    p_since: since ? since.toISOString() : null,
+    p_limit: limit
+  });
+
+  if (error) {
+    console.error('Error fetching music stats:', error);
+    return null;
+  }
+  return data;
+}
+
+// ============================================================================
+// MEMORY EXPORT / IMPORT FUNCTIONS
+// ============================================================================
+
+// Columns returned for exports (embeddings are left out, they are large and rebuilt on import)
+const USER_MEMORY_EXPORT_COLUMNS = 'id, user_id, guild_id, memory_content, context_type, metadata, pinned, created_at, updated_at, expires_at';
+const SERVER_MEMORY_EXPORT_COLUMNS = 'id, server_id, user_id, memory_title, memory_content, context_type, metadata, created_at, updated_at, expires_at';
+const EXPORT_PAGE_SIZE = 1000;
+
+/**
+ * Read every row of a query a page at a time (PostgREST caps a single response)
+ * @param {Function} buildQuery - Returns a fresh query for each page
+ * @returns {Array|null} All rows, or null on error
+ */
+async function fetchAllPages(buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + EXPORT_PAGE_SIZE - 1);
+
+    if (error) {
+      console.error('Error reading memories for export:', error);
+      return null;
+    }
+
+    rows.push(...(data || []));
+    if (!data || data.length < EXPORT_PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Get all of a user's memories, including expired-but-not-yet-cleaned rows
+ * @param {string} userId - Discord user ID
+ * @returns {Array|null} Memories, oldest first, or null on error
+ */
+async function getAllUserMemories(userId) {
+  return await fetchAllPages(() => supabase
+    .from('user_memory')
+    .select(USER_MEMORY_EXPORT_COLUMNS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true }));
+}
+
+/**
+ * Get all of a guild's server memories
+ * @param {string} serverId - Discord guild ID
+ * @returns {Array|null} Memories, oldest first, or null on error
+ */
+async function getAllServerMemories(serverId) {
+  return await fetchAllPages(() => supabase
+    .from('server_memory')
+    .select(SERVER_MEMORY_EXPORT_COLUMNS)
+    .eq('server_id', serverId)
+    .order('created_at', { ascending: true }));
+}
+
+/**
+ * Add imported server memories in one insert, with embeddings for semantic search
+ * @param {string} serverId - Discord guild ID
+ * @param {string} userId - Admin running the import
+ * @param {Array} memories - { content, title, contextType, metadata, expiresAt }
+ * @returns {Array|null} Inserted rows, or null on error
+ */
+async function insertServerMemories(serverId, userId, memories) {
+  if (memories.length === 0) return [];
+
+  const embeddings = await embeddingService.generateEmbeddingsBatch(memories.map(memory => memory.content));
+
+  const { data, error } = await supabase
+    .from('server_memory')
+    .insert(memories.map((memory, index) => ({
+      server_id: serverId,
+      user_id: userId,
+      memory_content: memory.content,
+      memory_title: memory.title,
+      context_type: memory.contextType,
+      metadata: memory.metadata,
+      expires_at: memory.expiresAt,
+      embedding: embeddings[index] || null
+    })))
+    .select('id');
+
+  if (error) {
+    console.error('Error importing server memories:', error);
+    return null;
+  }
+  return data || [];
+}
+
+// ============================================================================
+// REPLY MEMORY SOURCE FUNCTIONS
+// ============================================================================
+
+/**
+ * Record which memories were in the context for Bepo's reply messages
+ * @param {Array} rows - { message_id, guild_id, channel_id, user_id, user_memory_ids, server_memory_ids }
+ * @returns {boolean} Whether the rows were stored
+ */
+async function recordReplyMemorySources(rows) {
+  if (rows.length === 0) return true;
+
+  const { error } = await supabase
+    .from('reply_memory_sources')
+    .upsert(rows, { onConflict: 'message_id' });
+
+  if (error) {
+    console.error('Error recording reply memory sources:', error);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get the memories recorded for one of Bepo's replies
+ * @param {string} messageId - Discord message ID of the reply
+ * @returns {Object|null} Row, or null if nothing was recorded
+ */
+async function getReplyMemorySources(messageId) {
+  const { data, error } = await supabase
+    .from('reply_memory_sources')
+    .select('*')
+    .eq('message_id', messageId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching reply memory sources:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Get user memories by ID (IDs of deleted memories are left out of the result)
+ * @param {string[]} memoryIds - user_memory IDs
+ * @returns {Array} Memories
+ */
+async function getUserMemoriesByIds(memoryIds) {
+  if (memoryIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('user_memory')
+    .select(USER_MEMORY_EXPORT_COLUMNS)
+    .in('id', memoryIds);
+
+  if (error) {
+    console.error('Error fetching user memories by id:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Get server memories by ID (IDs of deleted memories are left out of the result)
+ * @param {string[]} memoryIds - server_memory IDs
+ * @returns {Array} Memories
+ */
+async function getServerMemoriesByIds(memoryIds) {
+  if (memoryIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('server_memory')
+    .select(SERVER_MEMORY_EXPORT_COLUMNS)
+    .in('id', memoryIds);
+
+  if (error) {
+    console.error('Error fetching server memories by id:', error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Remove recorded reply memory sources older than a number of days
+ * @param {number} daysOld - Age in days
+ * @returns {number} Rows removed
+ */
+async function cleanupOldReplyMemorySources(daysOld = 30) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+  const { data, error } = await supabase
+    .from('reply_memory_sources')
+    .delete()
+    .lt('created_at', cutoffDate.toISOString())
+    .select('message_id');
+
+  if (error) {
+    console.error('Error cleaning up reply memory sources:', error);
+    return 0;
+  }
+  return data ? data.length : 0;
+}
+
+// ============================================================================
+// MIGRATION HISTORY FUNCTIONS
+// ============================================================================
+
+/**
+ * Check whether a migration or one-time data seed has been applied
+ * @param {string} migrationId - ID recorded in migration_history
+ * @returns {boolean|null} Whether it has run, or null if that couldn't be checked
+ */
+async function hasMigrationRun(migrationId) {
+  const { data, error } = await supabase
+    .from('migration_history')
+    .select('migration_id')
+    .eq('migration_id', migrationId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error checking migration history:', error);
+    return null;
+  }
+  return !!data;
+}
+
+/**
+ * Record a one-time data seed so it isn't applied again
+ * @param {string} migrationId - ID to record in migration_history
+ * @param {string} description - What it did
+ * @returns {boolean} Whether it was recorded
+ */
+async function recordMigration(migrationId, description) {
+  const { error } = await supabase
+    .from('migration_history')
+    .upsert([{ migration_id: migrationId, description, applied_at: new Date().toISOString() }], { onConflict: 'migration_id' });
+
+  if (error) {
+    console.error('Error recording migration:', error);
+    return false;
+  }
+  return true;
+}
+
 export {
   getAllGuilds,
   getMarkovChannels,
@@ -2082,6 +3129,7 @@ export {
   // Memory utility functions
   buildMemoryContext,
   buildMemoryContextOptimized, // NEW - Optimized version
+  buildMemoryContextWithSources,
   storeConversation,
   storeConversationSummary,
   storeUserMemoryOptimized, // NEW - Batched version
@@ -2111,6 +3159,16 @@ export {
   getUserMemoryById,
   getServerMemoryById,
   getServerMemoryByPartialId,
+  // Memory export / import functions
+  getAllUserMemories,
+  getAllServerMemories,
+  insertServerMemories,
+  // Reply memory source functions
+  recordReplyMemorySources,
+  getReplyMemorySources,
+  getUserMemoriesByIds,
+  getServerMemoriesByIds,
+  cleanupOldReplyMemorySources,
   // Thread tracking functions
   storeMessageThread,
   getMessageThread,
@@ -2128,6 +3186,50 @@ export {
   cleanupOldVideos,
   // Channel management permission functions
   hasChannelManagementPermission,
-  getChannelManagementRoles
+  getChannelManagementRoles,
+  // Trigger rule functions
+  getTriggerRules,
+  insertTriggerRule,
+  deleteTriggerRule,
+  uploadTriggerAttachment,
+  // Reaction rule functions
+  getReactionRules,
+  insertReactionRules,
+  deleteReactionRule,
+  incrementReactionRuleHits,
+  // Scheduled post functions
+  getScheduledPosts,
+  getDueScheduledPosts,
+  insertScheduledPost,
+  updateScheduledPost,
+  claimScheduledPostRun,
+  deleteScheduledPost,
+  uploadScheduledPostImage,
+  // Digest settings functions
+  getDigestSettings,
+  upsertDigestSettings,
+  getLastDigestRun,
+  insertDigestRun,
+  // Digest channel summary functions
+  getDigestChannelSummaries,
+  upsertDigestChannelSummary,
+  cleanupOldDigestChannelSummaries,
+  // Music playlist functions
+  getMusicPlaylists,
+  insertMusicPlaylist,
+  updateMusicPlaylist,
+  deleteMusicPlaylist,
+  getMusicFavorites,
+  addMusicFavorite,
+  // Music settings functions
+  getMusicSettings,
+  upsertMusicSettings,
+  // Music history functions
+  recordMusicPlay,
+  getMusicHistory,
+  getMusicStats,
+  // Migration history functions
+  hasMigrationRun,
+  recordMigration
 }
 
@@ -0,0 +1,134 @@
+/**
+ * Audio effects for the music player
+ * Volume limits and the ffmpeg filters behind /music filter
+ */
+
+export const MIN_VOLUME = 0;
+export const MAX_VOLUME = 200;
+export const DEFAULT_VOLUME = 100;
+
+/**
+ * Filters in the order they run in the ffmpeg chain.
+ * speed is how much faster the song plays, so positions can be mapped back to the original.
+ */
+export const AUDIO_FILTERS = {
+  nightcore: {
+    label: 'Nightcore',
+    description: 'Faster and higher pitched',
+    filter: 'aresample=48000,asetrate=60000,aresample=48000',
+    speed: 1.25
+  },
+  vaporwave: {
+    label: 'Vaporwave',
+    description: 'Slower and lower pitched',
+    filter: 'aresample=48000,asetrate=38400,aresample=48000',
+    speed: 0.8
+  },
+  bassboost: {
+    label: 'Bass Boost',
+    description: 'Louder lows',
+    filter: 'bass=g=10:f=110:w=0.6'
+  },
+  '8d': {
+    label: '8D',
+    description: 'Sound circles between the left and right ear',
+    filter: 'apulsator=hz=0.125'
+  },
+  loudnorm: {
+    label: 'Normalize',
+    description: 'Evens out loud and quiet songs',
+    filter: 'loudnorm=I=-16:TP=-1.5:LRA=11'
+  }
+};
+
+// Filters that change the speed replace each other
+const SPEED_FILTERS = ['nightcore', 'vaporwave'];
+
+/**
+ * Turn a filter on or off
+ * @param {string[]} active - Filters currently on
+ * @param {string} name - Filter from AUDIO_FILTERS
+ * @returns {string[]} New filter list in chain order
+ */
+export function toggleFilter(active, name) {
+  if (!AUDIO_FILTERS[name]) {
+    throw new Error(`Unknown audio filter: ${name}`);
+  }
+
+  const filters = new Set(active);
+  if (filters.has(name)) {
+    filters.delete(name);
+  } else {
+    if (SPEED_FILTERS.includes(name)) {
+      SPEED_FILTERS.forEach(filter => filters.delete(filter));
+    }
+    filters.add(name);
+  }
+
+  return Object.keys(AUDIO_FILTERS).filter(filter => filters.has(filter));
+}
+
+/**
+ * Build the ffmpeg -af value for a list of filters
+ * @param {string[]} filters - Filter names (unknown names are ignored)
+ * @returns {string|null} Filter chain, or null when no filter is on
+ */
+export function buildFilterChain(filters = []) {
+  const chain = Object.keys(AUDIO_FILTERS)
+    .filter(name => filters.includes(name))
+    .map(name => AUDIO_FILTERS[name].filter);
+
+  return chain.length > 0 ? chain.join(',') : null;
+}
+
+/**
+ * How fast the filters make a song play (1 is normal speed)
+ * @param {string[]} filters - Filter names
+ * @returns {number} Speed multiplier
+ */
+export function getPlaybackSpeed(filters = []) {
+  return filters.reduce((speed, name) => speed * (AUDIO_FILTERS[name]?.speed || 1), 1);
+}
+
+/**
+ * ffmpeg arguments that turn the piped yt-dlp download into raw 48kHz stereo PCM for Discord
+ * @param {Object} options
+ * @param {string[]} [options.filters] - Filters to apply
+ * @param {number} [options.seekSeconds] - Where to start in the original song
+ * @returns {string[]} ffmpeg arguments
+ */
+export function buildFfmpegArgs({ filters = [], seekSeconds = 0 } = {}) {
+  const args = [];
+  if (seekSeconds > 0) {
+    args.push('-ss', seekSeconds.toFixed(3)); // Before -i so it counts in the original song's time
+  }
+
+  args.push(
+    '-i', 'pipe:0',  // Read from stdin
+    '-analyzeduration', '0',  // Start immediately
+    '-loglevel', '0'  // Suppress logs
+  );
+
+  const chain = buildFilterChain(filters);
+  if (chain) {
+    args.push('-af', chain);
+  }
+
+  args.push(
+    '-f', 's16le',  // PCM signed 16-bit little-endian
+    '-ar', '48000',  // 48kHz sample rate
+    '-ac', '2',  // Stereo
+    'pipe:1'  // Output to stdout
+  );
+  return args;
+}
+
+/**
+ * Clamp a volume percentage to the allowed range
+ * @param {number} volume - Requested volume
+ * @returns {number} Volume between MIN_VOLUME and MAX_VOLUME
+ */
+export function clampVolume(volume) {
+  if (!Number.isFinite(volume)) return DEFAULT_VOLUME;
+  return Math.min(MAX_VOLUME, Math.max(MIN_VOLUME, Math.round(volume)));
+}
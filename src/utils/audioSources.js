@@ -0,0 +1,555 @@
+/**
+ * Where the music player gets audio from
+ *
+ * Each audio source handles some kind of link and looks like:
+ *   name            - Short id, like 'youtube'
+ *   matches(url)    - Whether the source handles this link
+ *   resolve(url, { onProgress }) - Turns the link into { songs, collection } or { error } (a message for the user).
+ *                     collection is { source, name, type, thumbnail, uploader } for albums and playlists, otherwise null
+ *   createStream(song, { filters, seekSeconds, fallback }) - Raw PCM stream for the player: { stream, type, process }.
+ *                     Optional: songs from a source without one (like Spotify) are streamed by the source matching song.url
+ *
+ * Songs may name the source that streams them in song.source, for links no source matches by themselves
+ * (like an audio URL without a file extension).
+ *
+ * New sources go in BUILT_IN_SOURCES or are added with registerAudioSource(), /play and /playlist pick them up from here.
+ */
+import { StreamType } from '@discordjs/voice';
+import { spawn, execFile } from 'child_process';
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import { buildFfmpegArgs } from './audioEffects.js';
+import { getBinaryPath } from './mediaBinaries.js';
+import { formatTimestamp } from './musicTime.js';
+import { getVideoInfo, getYouTubePlaylistInfo, analyzeYouTubeUrl, getDirectAudioUrl } from './youtubeUtils.js';
+import { getSpotifyTrackInfo } from './spotifyUtils.js';
+import { isPublicUrl, fetchPublicUrl } from './publicUrl.js';
+
+export const AUDIO_FILE_EXTENSIONS = ['mp3', 'ogg', 'oga', 'opus', 'wav', 'flac', 'm4a', 'aac', 'webm'];
+const DISCORD_CDN_HOSTS = ['cdn.discordapp.com', 'media.discordapp.net'];
+const STREAM_START_TIMEOUT = 30 * 1000;
+const TAG_READ_TIMEOUT = 10 * 1000;
+const CONTENT_TYPE_TIMEOUT = 5 * 1000;
+const LOCAL_FILE_PREFIX = 'file:';
+const PRIVATE_ADDRESS_ERROR = '❌ That link points to a private or local address, so it can\'t be played.';
+
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+};
+
+const isAudioFileUrl = (url) => {
+  try {
+    const { protocol, pathname } = new URL(url);
+    return /^https?:$/.test(protocol) && AUDIO_FILE_EXTENSIONS.includes(path.extname(pathname).slice(1).toLowerCase());
+  } catch {
+    return false;
+  }
+};
+
+// "my_song%20(final).mp3" -> "my song (final)"
+const titleFromFileName = (fileName) => {
+  let name = path.basename(fileName, path.extname(fileName));
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Keep the encoded name
+  }
+  return name.replace(/_+/g, ' ').trim() || 'Audio file';
+};
+
+/**
+ * Whether a Discord attachment is an audio file the player can stream
+ * @param {Object} attachment - Discord attachment
+ * @returns {boolean} Whether it's audio
+ */
+export const isAudioAttachment = (attachment) => {
+  const extension = path.extname(attachment.name || '').slice(1).toLowerCase();
+  return AUDIO_FILE_EXTENSIONS.includes(extension) || Boolean(attachment.contentType?.startsWith('audio/'));
+};
+
+/**
+ * Title, artist and length from an audio file's tags, read with ffprobe
+ * ffprobe never opens links itself: remote files are fetched by the bot (see readRemoteAudioTags) and piped in
+ * @param {string} location - File path, or a name for the log when reading from input
+ * @param {Readable|null} input - Stream of the file to read instead of the path
+ * @returns {Promise<Object|null>} { title, artist, duration } (each null if missing), or null if ffprobe couldn't read the file
+ */
+export const readAudioTags = (location, input = null) => new Promise((resolve) => {
+  const args = ['-v', 'quiet', '-print_format', 'json', '-show_format',
+    '-protocol_whitelist', input ? 'pipe' : 'file', input ? 'pipe:0' : location];
+  const probe = execFile(getBinaryPath('ffprobe'), args, { timeout: TAG_READ_TIMEOUT }, (error, stdout) => {
+    input?.destroy();
+    if (error) {
+      console.log(`[AUDIO] Couldn't read tags from ${location}: ${error.message}`);
+      resolve(null);
+      return;
+    }
+
+    try {
+      const { format = {} } = JSON.parse(stdout);
+      // Tag names are "title" in some formats and "TITLE" in others
+      const tags = Object.fromEntries(Object.entries(format.tags || {}).map(([key, value]) => [key.toLowerCase(), String(value).trim()]));
+      const seconds = Number.parseFloat(format.duration);
+      resolve({
+        title: tags.title || null,
+        artist: tags.artist || tags.album_artist || null,
+        duration: Number.isFinite(seconds) ? formatTimestamp(seconds) : null
+      });
+    } catch (parseError) {
+      console.log(`[AUDIO] Couldn't parse tags from ${location}: ${parseError.message}`);
+      resolve(null);
+    }
+  });
+
+  if (input) {
+    // ffprobe closes its input as soon as it has the tags
+    input.on('error', () => {});
+    probe.stdin.on('error', () => {});
+    input.pipe(probe.stdin);
+  }
+});
+
+// Tags of a file on the web, fetched only from public addresses
+const readRemoteAudioTags = async (url) => {
+  try {
+    const response = await fetchPublicUrl(url, { signal: AbortSignal.timeout(TAG_READ_TIMEOUT) });
+    if (!response.ok || !response.body) return null;
+    return await readAudioTags(url, Readable.fromWeb(response.body));
+  } catch (error) {
+    console.log(`[AUDIO] Couldn't fetch ${url} to read tags: ${error.message}`);
+    return null;
+  }
+};
+
+// Song for an audio file, named by its tags when it has them (location is null for files on the web)
+const createFileSong = async (url, location, { source, title, channel }) => {
+  const tags = location ? await readAudioTags(location) : await readRemoteAudioTags(url);
+  return {
+    url,
+    title: tags?.title || title,
+    channel: tags?.artist || channel,
+    duration: tags?.duration || 'Unknown',
+    thumbnail: null,
+    isSpotifyTrack: false,
+    source
+  };
+};
+
+/**
+ * Stop everything feeding a stream: child processes are killed, plain streams destroyed
+ * @param {Object|null} processes - The process field from a stream, like { input, ffmpeg }
+ */
+export const cleanupAudioProcesses = (processes) => {
+  if (!processes) return;
+
+  for (const handle of Object.values(processes)) {
+    try {
+      if (typeof handle?.kill === 'function') {
+        if (!handle.killed) handle.kill('SIGKILL');
+      } else {
+        handle?.destroy?.();
+      }
+    } catch (error) {
+      // Process may already be dead, which is fine
+      if (error.code !== 'ESRCH') {
+        console.log('[AUDIO] Process cleanup note:', error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Convert any audio input to raw 48kHz stereo PCM with FFmpeg. filters and seekSeconds are applied here (see audioEffects.js).
+ * Resolves once FFmpeg sends its first chunk, so a broken input fails before the player gets it.
+ * @param {Object} input - { name, stream, process } where process is the downloader writing to stream (like yt-dlp), if any
+ * @param {Object} options - { filters, seekSeconds }
+ * @returns {Promise<Object>} { stream, type, process: { input, ffmpeg } }
+ */
+export const getAudioStream = (input, { filters = [], seekSeconds = 0 } = {}) => new Promise((resolve, reject) => {
+  const inputName = input.name || 'input';
+  const ffmpegProcess = spawn(getBinaryPath('ffmpeg'), buildFfmpegArgs({ filters, seekSeconds }), {
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  const processes = { input: input.process || input.stream, ffmpeg: ffmpegProcess };
+  let started = false;
+  let errorOutput = '';
+
+  const fail = (error) => {
+    if (started) return;
+    started = true; // Nothing else should settle the promise
+    clearTimeout(timeout);
+    cleanupAudioProcesses(processes);
+    reject(error);
+  };
+
+  const timeout = setTimeout(() => fail(new Error('Timeout waiting for audio stream')), STREAM_START_TIMEOUT);
+
+  input.stream.pipe(ffmpegProcess.stdin);
+
+  // Pipe errors after FFmpeg exits are expected when a song is skipped
+  input.stream.on('error', (error) => {
+    if (error.code === 'EPIPE') return;
+    console.error(`[AUDIO] ${inputName} stream error:`, error.message);
+    fail(error);
+  });
+
+  ffmpegProcess.stdin.on('error', (error) => {
+    if (error.code !== 'EPIPE') {
+      console.error('[AUDIO] FFmpeg stdin error:', error.message);
+    }
+  });
+
+  // Capture stderr for debugging
+  input.process?.stderr?.on('data', (data) => {
+    errorOutput += data.toString();
+  });
+
+  ffmpegProcess.stderr.on('data', (data) => {
+    const err = data.toString();
+    if (err.includes('error') || err.includes('ERROR')) {
+      console.error('[FFMPEG]', err.trim());
+    }
+  });
+
+  // Wait for first data chunk from FFmpeg to confirm stream is working
+  ffmpegProcess.stdout.once('data', (chunk) => {
+    if (started) return;
+    started = true;
+    clearTimeout(timeout);
+    console.log(`[AUDIO] ✅ Stream started, first chunk received (${chunk.length} bytes)`);
+    resolve({
+      stream: ffmpegProcess.stdout,
+      type: StreamType.Raw, // Raw PCM audio
+      process: processes
+    });
+  });
+
+  input.process?.on('error', (error) => {
+    console.error(`[AUDIO] ❌ ${inputName} spawn error:`, error.message);
+    fail(error);
+  });
+
+  ffmpegProcess.on('error', (error) => {
+    console.error('[AUDIO] ❌ FFmpeg spawn error:', error.message);
+    fail(error);
+  });
+
+  input.process?.on('exit', (code) => {
+    if (started || code === 0) return;
+    console.error(`[AUDIO] ❌ ${inputName} exited before data received (code ${code})`);
+    if (errorOutput) {
+      console.error('[AUDIO] Error output:', errorOutput.trim());
+    }
+    fail(new Error(`${inputName} exited with code ${code}: ${errorOutput || 'No error output'}`));
+  });
+});
+
+// Download with yt-dlp's android_vr client, which doesn't need PO tokens
+const spawnYtDlp = (url) => {
+  const ytdlpProcess = spawn(getBinaryPath('yt-dlp'), [
+    url,
+    '--format', 'bestaudio/best',
+    '--output', '-', // Output to stdout
+    '--no-playlist',
+    '--extractor-args', 'youtube:player_client=android_vr'
+  ], {
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  return { name: 'yt-dlp', process: ytdlpProcess, stream: ytdlpProcess.stdout };
+};
+
+const streamFromUrl = async (song, options) => {
+  const response = await fetchPublicUrl(song.url);
+  if (!response.ok || !response.body) {
+    throw new Error(`Audio file request failed with status ${response.status}`);
+  }
+  return getAudioStream({ name: 'download', stream: Readable.fromWeb(response.body) }, options);
+};
+
+const youtubeSource = {
+  name: 'youtube',
+
+  matches(url) {
+    const hostname = getHostname(url);
+    return hostname.endsWith('youtube.com') || hostname === 'youtu.be';
+  },
+
+  async resolve(url, { onProgress = async () => {} } = {}) {
+    const urlAnalysis = analyzeYouTubeUrl(url);
+
+    if (urlAnalysis.isLivestream) {
+      return { error: '❌ Livestreams are not supported. Please provide a regular YouTube video URL.' };
+    }
+
+    if (urlAnalysis.isPlaylist) {
+      await onProgress('📺 Fetching YouTube playlist information...');
+      const playlistData = await getYouTubePlaylistInfo(url);
+
+      if (!playlistData || playlistData.videos.length === 0) {
+        return { error: '❌ Failed to get playlist information or the playlist is empty. Please try a different playlist URL.' };
+      }
+
+      await onProgress(`📺 Found playlist: **${playlistData.name}**\n🎬 Adding ${playlistData.videos.length} videos to queue...`);
+      return {
+        songs: playlistData.videos.map(video => ({ ...video, isSpotifyTrack: false })),
+        collection: {
+          source: 'youtube',
+          type: 'playlist',
+          name: playlistData.name,
+          thumbnail: playlistData.thumbnail,
+          uploader: playlistData.uploader
+        }
+      };
+    }
+
+    try {
+      const info = await getVideoInfo(url);
+      if (info.isLive) {
+        return { error: '❌ This appears to be a livestream, which is not supported. Please provide a regular YouTube video URL.' };
+      }
+
+      return {
+        songs: [{
+          url, // Keep the link as given
+          title: info.title,
+          channel: info.channel,
+          duration: info.duration,
+          thumbnail: info.thumbnail,
+          isSpotifyTrack: false
+        }],
+        collection: null
+      };
+    } catch (error) {
+      console.error('Error getting video info:', error);
+      return { error: '❌ Failed to get video information. This might be a livestream, playlist, or invalid URL. Please try a different YouTube video URL.' };
+    }
+  },
+
+  // Restarts (filters, seeking) pass fallback: false, since the fallback stream skips FFmpeg
+  async createStream(song, { fallback = true, ...options } = {}) {
+    try {
+      return await getAudioStream(spawnYtDlp(song.url), options);
+    } catch (streamError) {
+      if (!fallback) throw streamError;
+      console.error('[AUDIO] yt-dlp stream failed, trying youtube-dl-exec fallback:', streamError.message);
+
+      const audioUrl = await getDirectAudioUrl(song.url);
+      const response = await fetch(audioUrl);
+      return { stream: Readable.fromWeb(response.body), type: StreamType.Arbitrary };
+    }
+  }
+};
+
+// Spotify only has previews, so each track is matched to a YouTube video and streamed by youtubeSource
+const spotifySource = {
+  name: 'spotify',
+
+  matches(url) {
+    return getHostname(url).endsWith('spotify.com');
+  },
+
+  async resolve(url, { onProgress = async () => {} } = {}) {
+    await onProgress('🎵 Processing Spotify link and finding YouTube equivalent...');
+    const spotifyData = await getSpotifyTrackInfo(url);
+
+    if (!spotifyData) {
+      return { error: '❌ Failed to process Spotify link. Please try copying the song/artist name and searching for it directly on YouTube, or provide a YouTube link instead.' };
+    }
+
+    const toSong = (track) => ({
+      url: track.youtubeUrl,
+      title: track.title,
+      channel: track.artist,
+      duration: track.duration,
+      thumbnail: track.thumbnail,
+      isSpotifyTrack: true,
+      originalSpotifyUrl: track.originalUrl
+    });
+
+    if (spotifyData.type === 'album' || spotifyData.type === 'playlist') {
+      await onProgress(`🎵 Found ${spotifyData.type}: **${spotifyData.name}**\n🔍 Searching YouTube for ${spotifyData.tracks.length} tracks...`);
+
+      if (spotifyData.tracks.length === 0) {
+        return { error: '❌ No tracks found. Please try a different Spotify link or search YouTube directly.' };
+      }
+
+      return {
+        songs: spotifyData.tracks.map(toSong),
+        collection: {
+          source: 'spotify',
+          type: spotifyData.type,
+          name: spotifyData.name,
+          thumbnail: spotifyData.tracks[0]?.thumbnail || null
+        }
+      };
+    }
+
+    if (!spotifyData.youtubeUrl) {
+      console.error('[SPOTIFY] No YouTube URL found for track:', url);
+      return { error: '❌ Failed to find a YouTube equivalent for this Spotify track. Please try a different song or search YouTube directly.' };
+    }
+
+    return { songs: [toSong(spotifyData)], collection: null };
+  }
+};
+
+// Files uploaded to Discord. Their links expire after about a day, so saved queues may not be able to replay them.
+const attachmentSource = {
+  name: 'attachment',
+
+  matches(url) {
+    return DISCORD_CDN_HOSTS.includes(getHostname(url)) && isAudioFileUrl(url);
+  },
+
+  async resolve(url) {
+    if (!await isPublicUrl(url)) return { error: PRIVATE_ADDRESS_ERROR };
+
+    const song = await createFileSong(url, null, {
+      source: 'attachment',
+      title: titleFromFileName(new URL(url).pathname),
+      channel: 'Discord attachment'
+    });
+    return { songs: [song], collection: null };
+  },
+
+  createStream: streamFromUrl
+};
+
+// Links straight to an audio file on any website (links without a file extension are found by detectAudioSource)
+const httpSource = {
+  name: 'http',
+
+  matches(url) {
+    return isAudioFileUrl(url);
+  },
+
+  async resolve(url) {
+    if (!await isPublicUrl(url)) return { error: PRIVATE_ADDRESS_ERROR };
+
+    const song = await createFileSong(url, null, {
+      source: 'http',
+      // A path like /stream/123 makes a poor title
+      title: isAudioFileUrl(url) ? titleFromFileName(new URL(url).pathname) : `Audio from ${getHostname(url)}`,
+      channel: getHostname(url)
+    });
+    return { songs: [song], collection: null };
+  },
+
+  createStream: streamFromUrl
+};
+
+/**
+ * Full path of a file:<name> link inside MUSIC_LOCAL_DIR
+ * @param {string} url - Link like file:albums/song.mp3
+ * @returns {string|null} File path, or null if local files are off or the link points outside the folder
+ */
+export const getLocalFilePath = (url) => {
+  const baseDir = process.env.MUSIC_LOCAL_DIR?.trim();
+  if (!baseDir) return null;
+
+  const root = path.resolve(baseDir);
+  const relative = url.slice(LOCAL_FILE_PREFIX.length).replace(/^\/+/, '');
+  const filePath = path.resolve(root, relative);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+};
+
+// Files in the folder set by MUSIC_LOCAL_DIR, played with links like file:albums/song.mp3
+const localSource = {
+  name: 'local',
+
+  matches(url) {
+    return url.toLowerCase().startsWith(LOCAL_FILE_PREFIX);
+  },
+
+  async resolve(url) {
+    if (!process.env.MUSIC_LOCAL_DIR?.trim()) {
+      return { error: '❌ Playing local files isn\'t enabled on this bot.' };
+    }
+
+    const filePath = getLocalFilePath(url);
+    if (!filePath || !AUDIO_FILE_EXTENSIONS.includes(path.extname(filePath).slice(1).toLowerCase())) {
+      return { error: `❌ That isn't an audio file in the music folder. Supported types: ${AUDIO_FILE_EXTENSIONS.join(', ')}.` };
+    }
+
+    const fileStats = await stat(filePath).catch(() => null);
+    if (!fileStats?.isFile()) {
+      return { error: '❌ That file isn\'t in the music folder.' };
+    }
+
+    const song = await createFileSong(url, filePath, { source: 'local', title: titleFromFileName(filePath), channel: 'Local file' });
+    return { songs: [song], collection: null };
+  },
+
+  async createStream(song, options = {}) {
+    const filePath = getLocalFilePath(song.url);
+    if (!filePath) {
+      throw new Error(`Local file ${song.url} is outside the music folder or local files are off`);
+    }
+    return getAudioStream({ name: 'file', stream: createReadStream(filePath) }, options);
+  }
+};
+
+// Checked in order, so more specific sources come first
+const BUILT_IN_SOURCES = [youtubeSource, spotifySource, attachmentSource, httpSource, localSource];
+const audioSources = [...BUILT_IN_SOURCES];
+
+/**
+ * Add an audio source, checked before the built-in ones
+ * @param {Object} source - Audio source (see the top of this file)
+ */
+export const registerAudioSource = (source) => {
+  if (audioSources.some(existing => existing.name === source.name)) {
+    throw new Error(`Audio source ${source.name} is already registered`);
+  }
+  audioSources.splice(audioSources.length - BUILT_IN_SOURCES.length, 0, source);
+};
+
+/**
+ * Audio source that handles a link
+ * @param {string} url - Link from /play or a saved song
+ * @returns {Object|null} Audio source, or null if none handles it
+ */
+export const findAudioSource = (url) => audioSources.find(source => source.matches(url.trim())) || null;
+
+// Whether a web server says a link is audio, for links without a file extension
+const hasAudioContentType = async (url) => {
+  if (!/^https?:\/\//i.test(url)) return false;
+  try {
+    const response = await fetchPublicUrl(url, { method: 'HEAD', signal: AbortSignal.timeout(CONTENT_TYPE_TIMEOUT) });
+    return response.ok && Boolean(response.headers.get('content-type')?.startsWith('audio/'));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Audio source for a link, asking the web server what the link is when no source recognizes it
+ * @param {string} url - Link from /play or /playlist add
+ * @returns {Promise<Object|null>} Audio source, or null if the link isn't playable
+ */
+export const detectAudioSource = async (url) => {
+  const source = findAudioSource(url);
+  if (source) return source;
+  return await hasAudioContentType(url.trim()) ? httpSource : null;
+};
+
+/**
+ * Start streaming a song from the source it came from (or the one its URL belongs to)
+ * @param {Object} song - Song from a queue
+ * @param {Object} options - { filters, seekSeconds, fallback }
+ * @returns {Promise<Object>} { stream, type, process }
+ */
+export const createSongStream = async (song, options = {}) => {
+  const source = audioSources.find(candidate => candidate.createStream && candidate.name === song.source) ||
+    audioSources.find(candidate => candidate.createStream && candidate.matches(song.url));
+  if (!source) {
+    throw new Error(`No audio source can stream ${song.url}`);
+  }
+  return source.createStream(song, options);
+};
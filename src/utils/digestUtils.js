@@ -2,9 +2,11 @@
  * Digest Utilities
  * Handles server activity analysis and AI-powered digest generation
  */
-import { ChannelType } from "discord.js";
+import { ChannelType, EmbedBuilder, SnowflakeUtil } from "discord.js";
 import { OpenAI } from "openai";
-import { safeAsync } from "./errorHandler.js";
+import { safeAsync, createRetryWrapper } from "./errorHandler.js";
+import { getDigestSettings, getDigestChannelSummaries, upsertDigestChannelSummary, getMusicStats } from "../supabase/supabase.js";
+import { formatListeningTime } from "./musicTime.js";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -13,6 +15,18 @@ const xAI = new OpenAI({
   baseURL: "https://api.x.ai/v1",
 });
 
+const PAGE_DELAY_MS = 150; // Pause between history pages on top of discord.js rate limit handling
+const MAX_PAGES_PER_CHANNEL = 100; // 10,000 messages - safety net for runaway channels
+const MAX_MESSAGE_CHARS = 300; // Per-message cap in transcripts sent to the AI
+const MAP_CHUNK_CHARS = 12000; // Transcript size per map (channel summary) call
+const DIRECT_SUMMARY_MAX_MESSAGES = 15; // Small channels skip the map call and go straight to the reduce step
+const REDUCE_INPUT_CHARS = 12000; // Channel summaries sent to the final reduce call
+const CHANNEL_SUMMARY_MAX_CHARS = 2000; // Extended channel summaries are condensed past this
+const WINDOW_BUCKET_MS = 15 * 60 * 1000; // Rolling windows start on a 15 minute boundary so repeat digests share stored summaries
+
+// Page fetches retry transient failures; discord.js already waits out 429s
+const fetchWithRetry = createRetryWrapper(3, 1000);
+
 /**
  * Digest Management Operations
  */
@@ -50,6 +64,14 @@ export class DigestManager {
     return { startTime, timeLabel };
   }
 
+  /**
+   * Round a rolling window start down to its bucket
+   * `/digest now` starts its window at now - period, which would never match a stored summary otherwise.
+   */
+  static bucketWindowStart(startTime) {
+    return new Date(Math.floor(startTime.getTime() / WINDOW_BUCKET_MS) * WINDOW_BUCKET_MS);
+  }
+
   /**
    * Get readable channels from guild
    */
@@ -74,11 +96,60 @@ export class DigestManager {
     return readableChannels;
   }
 
+  /**
+   * Load threads the channel cache may be missing: every active thread plus recently
+   * archived public ones (they can still hold messages from the window)
+   */
+  static async loadDigestThreads(guild) {
+    await safeAsync(async () => {
+      await guild.channels.fetchActiveThreads();
+    }, null, 'digest_fetch_active_threads');
+
+    const parents = guild.channels.cache.filter(ch =>
+      ch.type === ChannelType.GuildText || ch.type === ChannelType.GuildAnnouncement
+    );
+
+    for (const parent of parents.values()) {
+      // Fetched threads join the guild channel cache, where getReadableChannels() picks them up
+      await parent.threads?.fetchArchived({ type: 'public', limit: 100 }).catch(() => null);
+    }
+  }
+
+  /**
+   * Pick the channels a digest reads from
+   * Applies the guild's include/exclude lists (threads follow their parent channel),
+   * skips channels with no messages since startTime and puts the most recently active first.
+   */
+  static selectDigestChannels(readableChannels, startTime, settings = null) {
+    const include = settings?.include_channel_ids || [];
+    const exclude = settings?.exclude_channel_ids || [];
+    const listed = (list, channel) => list.includes(channel.id) || (!!channel.parentId && list.includes(channel.parentId));
+
+    return Array.from(readableChannels.values())
+      .filter(channel => include.length === 0 || listed(include, channel))
+      .filter(channel => !listed(exclude, channel))
+      .map(channel => ({ channel, lastActivity: this.getLastActivity(channel) }))
+      .filter(({ lastActivity }) => lastActivity > startTime.getTime())
+      .sort((a, b) => b.lastActivity - a.lastActivity)
+      .map(({ channel }) => channel);
+  }
+
+  /**
+   * Timestamp of a channel's latest message (0 if it has none)
+   */
+  static getLastActivity(channel) {
+    return channel.lastMessageId ? Number(SnowflakeUtil.timestampFrom(channel.lastMessageId)) : 0;
+  }
+
   /**
    * Collect server activity data
+   * Pages through every selected channel's history in the window and summarizes each channel
+   * as it goes (map step). Summaries are stored immediately; a later digest of the same window
+   * reuses them and only reads messages posted after a stored summary's window_end.
    */
-  static async collectServerActivity(guild, startTime, period) {
+  static async collectServerActivity(guild, startTime, period, settings = null, { timeZone = 'UTC' } = {}) {
     return await safeAsync(async () => {
+      await this.loadDigestThreads(guild);
       const readableChannels = this.getReadableChannels(guild);
       
       if (readableChannels.size === 0) {
@@ -88,37 +159,52 @@ export class DigestManager {
         };
       }
 
-      let recentMessages = [];
-      let messageCount = 0;
-      let activeUsers = new Set();
-      let channelActivity = new Map();
-      
-      // Limit channels to avoid rate limits
-      const maxChannels = period === 'weekly' ? 8 : 5;
-      const channelsToCheck = Array.from(readableChannels.values()).slice(0, maxChannels);
-      
+      const channelsToCheck = this.selectDigestChannels(readableChannels, startTime, settings);
+      const windowStart = startTime.toISOString();
+      const storedSummaries = new Map(
+        (await getDigestChannelSummaries(guild.id, windowStart)).map(row => [row.channel_id, row])
+      );
+
+      const channelSummaries = [];
       for (const channel of channelsToCheck) {
         try {
-          const channelMessages = await this.collectChannelMessages(channel, startTime, period);
-          
-          messageCount += channelMessages.length;
-          channelActivity.set(channel.name, channelMessages.length);
-          
-          // Process messages for analysis
-          for (const msg of channelMessages) {
-            activeUsers.add(msg.author.id);
-            
-            // Collect interesting messages for highlights
-            if (msg.content.length > 20 && msg.content.length < 200) {
-              recentMessages.push({
-                content: msg.content,
-                author: msg.author.username,
-                channel: msg.channel.name,
-                timestamp: msg.createdTimestamp
-              });
-            }
+          const stored = storedSummaries.get(channel.id);
+          const storedSummary = stored && {
+            channelName: stored.channel_name,
+            messageCount: stored.message_count,
+            summary: stored.summary,
+            stats: stored.stats
+          };
+          if (stored && this.getLastActivity(channel) <= new Date(stored.window_end).getTime()) {
+            channelSummaries.push(storedSummary);
+            continue;
           }
-          
+
+          const windowEnd = new Date();
+          // Messages posted while paging belong to the next extension, not this one
+          const records = (await this.collectChannelMessages(channel, stored ? new Date(stored.window_end) : startTime))
+            .filter(record => record.timestamp <= windowEnd.getTime());
+          const newSummary = {
+            channelName: channel.name,
+            messageCount: records.length,
+            summary: await this.summarizeChannel(channel.name, records),
+            stats: this.buildChannelStats(records, channel.name, timeZone)
+          };
+          const channelSummary = stored
+            ? await this.extendChannelSummary(storedSummary, newSummary)
+            : newSummary;
+          channelSummaries.push(channelSummary);
+
+          await upsertDigestChannelSummary({
+            guild_id: guild.id,
+            channel_id: channel.id,
+            channel_name: channel.name,
+            window_start: windowStart,
+            window_end: windowEnd.toISOString(),
+            message_count: channelSummary.messageCount,
+            summary: channelSummary.summary,
+            stats: channelSummary.stats
+          });
         } catch (error) {
           console.error(`Error collecting messages from ${channel.name}:`, error);
           // Continue with other channels
@@ -128,69 +214,237 @@ export class DigestManager {
       return {
         success: true,
         data: {
-          recentMessages: recentMessages.slice(0, 50), // Limit for AI processing
-          messageCount,
-          activeUsers: activeUsers.size,
-          channelActivity,
+          ...this.mergeChannelStats(channelSummaries),
+          channelSummaries: channelSummaries.filter(({ messageCount }) => messageCount > 0),
           channelsAnalyzed: channelsToCheck.length,
-          totalChannels: readableChannels.size
+          totalChannels: readableChannels.size,
+          timeZone
         }
       };
     }, { success: false, error: 'Failed to collect server activity' }, 'digest_collect_activity');
   }
 
   /**
-   * Collect messages from a specific channel
+   * Add the messages posted since a stored channel summary to it
+   */
+  static async extendChannelSummary(stored, latest) {
+    if (latest.messageCount === 0) {
+      return { ...stored, channelName: latest.channelName };
+    }
+
+    let summary = [stored.summary, latest.summary].filter(Boolean).join('\n');
+    if (summary.length > CHANNEL_SUMMARY_MAX_CHARS) {
+      summary = await this.completeSummary(
+        `Combine these summaries of the #${latest.channelName} Discord channel into 4-6 short bullet points:\n\n${summary}`,
+        300
+      ) || summary.substring(summary.length - CHANNEL_SUMMARY_MAX_CHARS);
+    }
+
+    const authors = { ...stored.stats?.authors };
+    for (const [authorId, { name, count }] of Object.entries(latest.stats.authors)) {
+      authors[authorId] = { name, count: (authors[authorId]?.count || 0) + count };
+    }
+
+    return {
+      channelName: latest.channelName,
+      messageCount: stored.messageCount + latest.messageCount,
+      summary,
+      stats: {
+        authors,
+        hours: latest.stats.hours.map((count, hour) => count + (stored.stats?.hours?.[hour] || 0)),
+        topReacted: [...(stored.stats?.topReacted || []), ...latest.stats.topReacted]
+          .sort((a, b) => b.reactions - a.reactions)
+          .slice(0, 3)
+      }
+    };
+  }
+
+  /**
+   * Page through a channel's history back to startTime
+   * Messages are reduced to small records straight away so a busy week doesn't sit in memory.
    */
-  static async collectChannelMessages(channel, startTime, period) {
-    let allRelevantMessages = [];
+  static async collectChannelMessages(channel, startTime) {
+    const records = [];
     let lastMessageId = null;
-    let fetchAttempts = 0;
-    const maxAttempts = period === 'weekly' ? 6 : period === 'daily' ? 4 : 2;
-    
-    while (fetchAttempts < maxAttempts) {
+
+    for (let page = 0; page < MAX_PAGES_PER_CHANNEL; page++) {
       const fetchOptions = { 
         limit: 100,
         ...(lastMessageId && { before: lastMessageId })
       };
       
-      const messageBatch = await channel.messages.fetch(fetchOptions);
-      if (messageBatch.size === 0) break;
-      
-      const oldestMessage = messageBatch.last();
-      
-      // Filter this batch by time
-      const timeFilteredBatch = messageBatch.filter(msg => 
-        msg.createdTimestamp > startTime.getTime() && !msg.author.bot
+      const messageBatch = await fetchWithRetry(
+        () => channel.messages.fetch(fetchOptions),
+        `digest_fetch_${channel.name}`
       );
+      if (messageBatch.size === 0) break;
       
-      if (timeFilteredBatch.size > 0) {
-        allRelevantMessages.push(...timeFilteredBatch.values());
+      for (const msg of messageBatch.values()) {
+        if (msg.createdTimestamp > startTime.getTime() && !msg.author.bot) {
+          records.push(this.toDigestRecord(msg));
+        }
       }
       
-      // Stop if we've gone past our time window
-      if (oldestMessage.createdTimestamp <= startTime.getTime()) {
+      // Stop once we've paged past the window
+      const oldestMessage = messageBatch.last();
+      if (oldestMessage.createdTimestamp <= startTime.getTime() || messageBatch.size < 100) {
         break;
       }
       
       lastMessageId = oldestMessage.id;
-      fetchAttempts++;
-      
-      // Small delay to respect rate limits
-      if (fetchAttempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 150));
-      }
+      await new Promise(resolve => setTimeout(resolve, PAGE_DELAY_MS));
     }
     
-    return allRelevantMessages;
+    // Oldest first reads naturally in transcripts
+    return records.reverse();
   }
 
   /**
-   * Generate AI digest from collected data
+   * Reduce a message to what the digest needs
+   */
+  static toDigestRecord(msg) {
+    const attachmentNote = msg.attachments?.size > 0 ? ` [${msg.attachments.size} attachment(s)]` : '';
+    return {
+      authorId: msg.author.id,
+      author: msg.member?.displayName || msg.author.username,
+      content: `${(msg.content || '').substring(0, MAX_MESSAGE_CHARS)}${attachmentNote}`.trim(),
+      timestamp: msg.createdTimestamp,
+      reactions: msg.reactions?.cache.reduce((total, reaction) => total + reaction.count, 0) || 0,
+      url: msg.url
+    };
+  }
+
+  /**
+   * Per-channel stats: message counts per author and per hour, and the most-reacted messages
+   */
+  static buildChannelStats(records, channelName, timeZone) {
+    const hourFormatter = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' });
+    const authors = {};
+    const hours = new Array(24).fill(0);
+
+    for (const record of records) {
+      authors[record.authorId] = authors[record.authorId] || { name: record.author, count: 0 };
+      authors[record.authorId].count++;
+      hours[Number(hourFormatter.format(record.timestamp)) % 24]++;
+    }
+
+    const topReacted = records
+      .filter(record => record.reactions > 0)
+      .sort((a, b) => b.reactions - a.reactions)
+      .slice(0, 3)
+      .map(({ author, content, reactions, url }) => ({ author, content: content.substring(0, 100), reactions, url, channel: channelName }));
+
+    return { authors, hours, topReacted };
+  }
+
+  /**
+   * Combine per-channel stats into server-wide stats
+   */
+  static mergeChannelStats(channelSummaries) {
+    const authors = new Map();
+    const hours = new Array(24).fill(0);
+    const reacted = [];
+    const channelActivity = new Map();
+    let messageCount = 0;
+
+    for (const { channelName, messageCount: count, stats } of channelSummaries) {
+      messageCount += count;
+      channelActivity.set(channelName, count);
+
+      for (const [authorId, { name, count: authorCount }] of Object.entries(stats?.authors || {})) {
+        const existing = authors.get(authorId) || { name, count: 0 };
+        existing.count += authorCount;
+        authors.set(authorId, existing);
+      }
+      (stats?.hours || []).forEach((hourCount, hour) => { hours[hour] += hourCount; });
+      reacted.push(...(stats?.topReacted || []));
+    }
+
+    return {
+      messageCount,
+      activeUsers: authors.size,
+      channelActivity,
+      topContributors: [...authors.values()].sort((a, b) => b.count - a.count).slice(0, 5),
+      busiestHours: hours
+        .map((count, hour) => ({ hour, count }))
+        .filter(({ count }) => count > 0)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 3),
+      mostReacted: reacted.sort((a, b) => b.reactions - a.reactions).slice(0, 3)
+    };
+  }
+
+  /**
+   * Summarize one channel's messages (map step)
+   * Small channels are passed through as a transcript; larger ones are summarized in
+   * chunks and the chunk summaries combined.
+   */
+  static async summarizeChannel(channelName, records) {
+    if (records.length === 0) return null;
+
+    const lines = records.filter(record => record.content).map(record => `${record.author}: ${record.content}`);
+    if (records.length <= DIRECT_SUMMARY_MAX_MESSAGES) {
+      return lines.join('\n');
+    }
+
+    const chunks = [];
+    let current = [];
+    let currentLength = 0;
+    for (const line of lines) {
+      if (currentLength + line.length > MAP_CHUNK_CHARS && current.length > 0) {
+        chunks.push(current.join('\n'));
+        current = [];
+        currentLength = 0;
+      }
+      current.push(line);
+      currentLength += line.length + 1;
+    }
+    if (current.length > 0) chunks.push(current.join('\n'));
+
+    const partials = [];
+    for (const chunk of chunks) {
+      const partial = await this.completeSummary(
+        `Summarize this slice of the #${channelName} Discord channel in 3-5 short bullet points. ` +
+        `Cover the main topics, notable moments and any funny or memorable quotes.\n\n${chunk}`,
+        250
+      );
+      // Keep a few raw lines if the AI call fails so the channel still counts
+      partials.push(partial || chunk.split('\n').slice(0, 5).join('\n'));
+    }
+
+    if (partials.length === 1) return partials[0];
+
+    return await this.completeSummary(
+      `Combine these partial summaries of the #${channelName} Discord channel into 4-6 short bullet points:\n\n` +
+      partials.join('\n\n'),
+      300
+    ) || partials.join('\n').substring(0, 2000);
+  }
+
+  /**
+   * Run one summarization prompt, returning null on failure
+   */
+  static async completeSummary(prompt, maxTokens) {
+    try {
+      const response = await xAI.chat.completions.create({
+        model: "grok-2-1212",
+        messages: [{ role: "user", content: prompt }],
+        max_tokens: maxTokens,
+        temperature: 0.5,
+      });
+      return response.choices[0]?.message?.content || null;
+    } catch (aiError) {
+      console.error('Digest summarization failed:', aiError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Generate AI digest from collected data (reduce step over channel summaries)
    */
   static async generateDigest(activityData, guild, timeLabel, includeStats) {
     return await safeAsync(async () => {
-      const { recentMessages, messageCount, activeUsers, channelActivity } = activityData.data;
+      const { channelSummaries = [], messageCount, activeUsers, channelActivity } = activityData.data;
       
       if (messageCount === 0) {
         return {
@@ -203,12 +457,13 @@ export class DigestManager {
         };
       }
 
-      // Prepare message sample for AI
-      const messageSample = recentMessages
-        .sort(() => 0.5 - Math.random())
-        .slice(0, 20)
-        .map(msg => `${msg.author} in #${msg.channel}: ${msg.content}`)
-        .join('\n');
+      // Busiest channels first; the quietest are dropped if everything doesn't fit
+      let channelDigest = '';
+      for (const { channelName, messageCount: count, summary } of [...channelSummaries].sort((a, b) => b.messageCount - a.messageCount)) {
+        const section = `#${channelName} (${count} messages):\n${summary}\n\n`;
+        if (channelDigest.length + section.length > REDUCE_INPUT_CHARS) break;
+        channelDigest += section;
+      }
 
       const prompt = `Analyze this Discord server activity from ${timeLabel} and create a fun, engaging digest:
 
@@ -216,8 +471,8 @@ Server: ${guild.name}
 Messages analyzed: ${messageCount}
 Active users: ${activeUsers}
 
-Sample messages:
-${messageSample}
+Per-channel summaries:
+${channelDigest}
 
 Create a digest that includes:
 1. A fun summary of the main topics/themes discussed
@@ -227,18 +482,8 @@ Create a digest that includes:
 
 Keep it conversational, positive, and under 1000 characters. Use emojis sparingly. Don't mention specific usernames unless highlighting particularly clever or funny quotes.`;
 
-      let aiSummary;
-      try {
-        const response = await xAI.chat.completions.create({
-          model: "grok-2-1212", // Updated model name
-          messages: [{ role: "user", content: prompt }],
-          max_tokens: 300,
-          temperature: 0.7,
-        });
-
-        aiSummary = response.choices[0]?.message?.content || "Unable to generate AI summary";
-      } catch (aiError) {
-        console.error('AI generation failed, using fallback:', aiError.message);
+      let aiSummary = await this.completeSummary(prompt, 300);
+      if (!aiSummary) {
         // Fallback to simple summary if AI fails
         aiSummary = `Server activity summary for ${timeLabel}:\n\n` +
           `📈 **${messageCount} messages** were posted by **${activeUsers} users**.\n\n` +
@@ -263,11 +508,114 @@ Keep it conversational, positive, and under 1000 characters. Use emojis sparingl
     }, { success: false, error: 'Failed to generate digest' }, 'digest_generate');
   }
 
+  /**
+   * Run the full digest pipeline for a guild: permissions, collection and generation
+   * Used by /digest and by scheduled digest posts. Pass `since` to start the window
+   * where the previous digest ended so no period is summarized twice.
+   */
+  static async createDigest(guild, period, includeStats, { since = null, timeZone = 'UTC' } = {}) {
+    if (!DigestUtils.isValidPeriod(period)) {
+      return { success: false, error: 'Invalid time period specified.' };
+    }
+
+    const permissionCheck = DigestUtils.validateGuildPermissions(guild);
+    if (!permissionCheck.valid) {
+      return { success: false, error: permissionCheck.error };
+    }
+
+    const endTime = new Date();
+    let { startTime, timeLabel } = this.getTimeRange(period);
+    startTime = this.bucketWindowStart(startTime);
+    if (since && since > startTime) {
+      startTime = since;
+      timeLabel = "time since the last digest";
+    }
+
+    const settings = await getDigestSettings(guild.id);
+    const activityResult = await this.collectServerActivity(guild, startTime, period, settings, { timeZone });
+    if (!activityResult.success) {
+      return activityResult;
+    }
+
+    const digestResult = await this.generateDigest(activityResult, guild, timeLabel, includeStats);
+    if (!digestResult.success) {
+      return digestResult;
+    }
+
+    // Only shown when something played in the window
+    const musicStats = await getMusicStats(guild.id, startTime, 3);
+    if (musicStats?.total_plays > 0) {
+      digestResult.digest.music = this.formatMusicStats(musicStats);
+    }
+
+    return {
+      ...digestResult,
+      window: { start: startTime, end: endTime, messageCount: activityResult.data.messageCount }
+    };
+  }
+
+  /**
+   * Build the embed used to post a digest
+   */
+  static buildDigestEmbed(digest, guild) {
+    const embed = new EmbedBuilder()
+      .setColor('#0099ff')
+      .setTitle(digest.title)
+      .setDescription(digest.summary)
+      .setThumbnail(guild.iconURL())
+      .setTimestamp()
+      .setFooter({ text: `Generated by Bepo • ${new Date().toLocaleDateString()}` });
+
+    if (digest.stats) {
+      embed.addFields({
+        name: '📊 Statistics',
+        value: digest.stats.length > 1024 ? `${digest.stats.substring(0, 1021)}...` : digest.stats,
+        inline: false
+      });
+    }
+
+    if (digest.music) {
+      embed.addFields({
+        name: '🎵 Music',
+        value: digest.music.length > 1024 ? `${digest.music.substring(0, 1021)}...` : digest.music,
+        inline: false
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Format the music played during the digest window (from getMusicStats)
+   */
+  static formatMusicStats(stats) {
+    const { total_plays, total_seconds, top_tracks, top_requesters } = stats;
+
+    let musicText = `**${total_plays}** ${total_plays === 1 ? 'song' : 'songs'} played, ${formatListeningTime(total_seconds)} of listening\n`;
+
+    if (top_tracks?.length > 0) {
+      musicText += `\n**🔁 Most Played:**\n`;
+      for (const { title, url, plays } of top_tracks) {
+        musicText += `• [${title.substring(0, 60)}](${url}) (${plays})\n`;
+      }
+    }
+
+    if (top_requesters?.length > 0) {
+      musicText += `\n**🎧 Top Requesters:** ` +
+        top_requesters.map(({ user_id, plays }) => `<@${user_id}> (${plays})`).join(', ') + `\n`;
+    }
+
+    return musicText;
+  }
+
   /**
    * Format activity statistics
    */
   static formatStats(data) {
-    const { messageCount, activeUsers, channelActivity, channelsAnalyzed, totalChannels } = data;
+    const {
+      messageCount, activeUsers, channelActivity, channelsAnalyzed, totalChannels,
+      topContributors, busiestHours, mostReacted, timeZone
+    } = data;
     
     let statsText = `**📈 Activity Statistics:**\n`;
     statsText += `• **Messages:** ${messageCount}\n`;
@@ -286,6 +634,26 @@ Keep it conversational, positive, and under 1000 characters. Use emojis sparingl
         }
       }
     }
+
+    if (topContributors?.length > 0) {
+      statsText += `\n**🏆 Top Contributors:**\n`;
+      for (const { name, count } of topContributors) {
+        statsText += `• ${name}: ${count} messages\n`;
+      }
+    }
+
+    if (busiestHours?.length > 0) {
+      const label = hour => `${String(hour).padStart(2, '0')}:00`;
+      statsText += `\n**⏰ Busiest Hours (${timeZone || 'UTC'}):** ` +
+        busiestHours.map(({ hour, count }) => `${label(hour)} (${count})`).join(', ') + `\n`;
+    }
+
+    if (mostReacted?.length > 0) {
+      statsText += `\n**⭐ Most Reacted:**\n`;
+      for (const { author, content, reactions, url } of mostReacted) {
+        statsText += `• [${content.substring(0, 50) || 'attachment'}](${url}) - ${author} (${reactions})\n`;
+      }
+    }
     
     return statsText;
   }
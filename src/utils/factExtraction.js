@@ -0,0 +1,210 @@
+/**
+ * Fact Extraction
+ * Pulls durable facts and preferences ("main is Wraith", "lives in Chicago") out of conversation batches,
+ * and decides how they merge with the facts already remembered
+ */
+import { OpenAI } from "openai";
+import dotenv from "dotenv";
+dotenv.config();
+
+const EXTRACTION_MODEL = "grok-3-mini-beta";
+const MIN_CONFIDENCE = 0.5; // Candidates the model is less sure about are dropped
+const MAX_FACTS_PER_BATCH = 5;
+const MAX_PREVIOUS_VALUES = 3; // Replaced values kept in metadata for review
+
+export const FACT_STATUS = {
+  PENDING: 'pending',
+  PINNED: 'pinned',
+  REJECTED: 'rejected'
+};
+
+const EXTRACTION_PROMPT = `You extract long-term facts about a Discord user from their conversation with a bot.
+Only include things the user states about themselves that will still be true in a month: who they are, where they live,
+what they play or do, and what they like or dislike. Skip questions, jokes, hypotheticals, one-off requests and anything the bot said.
+
+Reply with JSON only, in this shape:
+{"facts": [{"key": "apex_main", "fact": "Their Apex Legends main is Wraith", "type": "fact", "confidence": 0.9, "message": 2}]}
+
+- key: short snake_case name for what the fact is about, the same key for facts that would contradict each other
+- fact: one short sentence in the third person
+- type: "preference" for likes and dislikes, otherwise "fact"
+- confidence: 0 to 1, how sure you are the user meant it
+- message: number of the message it came from
+Reply {"facts": []} if there is nothing worth remembering.`;
+
+let extractionClient = null;
+
+/**
+ * Lazily create the xAI client so importing this module never needs the key
+ * @returns {OpenAI|null}
+ */
+function getExtractionClient() {
+  if (!extractionClient && process.env.xAI_KEY) {
+    extractionClient = new OpenAI({
+      apiKey: process.env.xAI_KEY,
+      baseURL: "https://api.x.ai/v1",
+    });
+  }
+  return extractionClient;
+}
+
+/**
+ * Normalize fact text for duplicate checks
+ * @param {string} text - Fact text
+ * @returns {string} Lowercase text without punctuation or extra spaces
+ */
+export function normalizeFact(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse and validate the model's reply
+ * @param {string} reply - Raw model output
+ * @param {Object[]} messages - Batch messages the reply refers to (1-based "message" numbers)
+ * @returns {Object[]} Candidates: { key, fact, category, confidence, sourceUrl }
+ */
+export function parseExtractedFacts(reply, messages = []) {
+  let parsed;
+  try {
+    const json = (reply || '').replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
+    parsed = JSON.parse(json);
+  } catch {
+    return [];
+  }
+
+  const facts = Array.isArray(parsed) ? parsed : parsed?.facts;
+  if (!Array.isArray(facts)) return [];
+
+  return facts
+    .filter(item => item && typeof item.fact === 'string' && item.fact.trim() && typeof item.key === 'string' && item.key.trim())
+    .map(item => ({
+      key: item.key.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 50),
+      fact: item.fact.trim().slice(0, 300),
+      category: item.type === 'preference' ? 'preference' : 'fact',
+      confidence: Math.max(0, Math.min(Number(item.confidence) || 0, 1)),
+      sourceUrl: messages[Number(item.message) - 1]?.url || null
+    }))
+    .filter(candidate => candidate.key && candidate.confidence >= MIN_CONFIDENCE)
+    .slice(0, MAX_FACTS_PER_BATCH);
+}
+
+/**
+ * Ask the model for facts in a conversation batch
+ * @param {Object[]} messages - Batch messages: { user, bot, url }
+ * @param {string} username - Display name of the user
+ * @returns {Promise<Object[]>} Candidates (empty when extraction is unavailable or fails)
+ */
+export async function extractFacts(messages, username = 'User') {
+  const client = getExtractionClient();
+  if (!client || messages.length === 0) return [];
+
+  const transcript = messages
+    .map((msg, index) => `${index + 1}. ${username}: ${msg.user}\n   Bot: ${(msg.bot || '').slice(0, 200)}`)
+    .join('\n');
+
+  try {
+    const response = await client.chat.completions.create({
+      model: EXTRACTION_MODEL,
+      messages: [
+        { role: "system", content: EXTRACTION_PROMPT },
+        { role: "user", content: `Conversation with ${username}:\n${transcript}` }
+      ],
+      max_tokens: 400,
+      temperature: 0.2,
+    });
+
+    return parseExtractedFacts(response.choices[0]?.message?.content, messages);
+  } catch (error) {
+    console.error('[Facts] Extraction failed:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Work out how extracted facts change the remembered ones
+ * - Same fact again: merged into the existing one, which becomes more certain
+ * - Same key, different fact: replaces the old one when at least as certain, otherwise makes the old one less certain
+ * - Pinned facts are never changed, and rejected facts only come back with a value they never had
+ *
+ * @param {Object[]} candidates - From extractFacts
+ * @param {Object[]} existingFacts - user_memory rows with context_type 'fact'
+ * @returns {{ inserts: Object[], updates: Object[] }} Rows to insert ({ content, metadata }) and to update ({ id, content?, metadata })
+ */
+export function planFactChanges(candidates, existingFacts = []) {
+  const inserts = [];
+  const updates = [];
+  const extractedAt = new Date().toISOString();
+  const seenKeys = new Set();
+
+  for (const candidate of candidates) {
+    // The model listed the same thing twice; the first mention wins
+    if (seenKeys.has(candidate.key)) continue;
+    seenKeys.add(candidate.key);
+
+    const normalized = normalizeFact(candidate.fact);
+    const duplicate = existingFacts.find(fact => normalizeFact(fact.memory_content) === normalized);
+    const sameKey = existingFacts.find(fact => fact.metadata?.fact_key === candidate.key);
+    const existing = duplicate || sameKey;
+
+    if (!existing) {
+      inserts.push({
+        content: candidate.fact,
+        metadata: {
+          fact_key: candidate.key,
+          category: candidate.category,
+          confidence: candidate.confidence,
+          status: FACT_STATUS.PENDING,
+          source_message_url: candidate.sourceUrl,
+          extracted_at: extractedAt
+        }
+      });
+      continue;
+    }
+
+    const metadata = existing.metadata || {};
+    if (metadata.status === FACT_STATUS.PINNED) continue;
+    if (metadata.status === FACT_STATUS.REJECTED) {
+      // Only a value that was never remembered before can bring a rejected fact back
+      const knownValues = [existing.memory_content, ...(metadata.previous_values || [])];
+      if (knownValues.some(value => normalizeFact(value) === normalized)) continue;
+    }
+
+    if (duplicate) {
+      // Hearing it again makes it more certain
+      updates.push({
+        id: existing.id,
+        metadata: {
+          ...metadata,
+          confidence: Math.round((1 - (1 - (metadata.confidence || 0)) * (1 - candidate.confidence)) * 100) / 100,
+          source_message_url: candidate.sourceUrl || metadata.source_message_url,
+          extracted_at: extractedAt
+        }
+      });
+    } else if (candidate.confidence >= (metadata.confidence || 0) || metadata.status === FACT_STATUS.REJECTED) {
+      updates.push({
+        id: existing.id,
+        content: candidate.fact,
+        metadata: {
+          ...metadata,
+          category: candidate.category,
+          confidence: candidate.confidence,
+          status: FACT_STATUS.PENDING,
+          source_message_url: candidate.sourceUrl,
+          extracted_at: extractedAt,
+          previous_values: [existing.memory_content, ...(metadata.previous_values || [])].slice(0, MAX_PREVIOUS_VALUES)
+        }
+      });
+    } else {
+      // A less certain contradiction only lowers confidence in what was remembered
+      updates.push({
+        id: existing.id,
+        metadata: {
+          ...metadata,
+          confidence: Math.round((metadata.confidence || 0) * (1 - candidate.confidence / 2) * 100) / 100
+        }
+      });
+    }
+  }
+
+  return { inserts, updates };
+}
@@ -12,6 +12,60 @@ const supabase = createClient(
     process.env.SUPABASE_KEY
 );
 
+/**
+ * Feature flags stored as boolean columns on guild_configs
+ */
+export const FEATURE_FLAGS = {
+    ai_chat_enabled: { label: 'AI Chat', description: 'Replies to mentions, prefix messages and bot threads' },
+    memory_system_enabled: { label: 'Memory System', description: 'Memory commands, memory context and memory storage' },
+    voice_features_enabled: { label: 'Voice Features', description: 'Music playback, voice chat and recording' },
+    notifications_enabled: { label: 'Notifications', description: 'Apex and CS2 patch note notification commands' },
+    role_commands_enabled: { label: 'Role Commands', description: 'Self-assignable role buttons' },
+    meme_reactions_enabled: { label: 'Meme Reactions', description: 'Automatic emoji reactions from /reactions rules' }
+};
+
+/**
+ * Features enabled for guilds that have not been configured yet
+ */
+export const DEFAULT_FEATURE_FLAGS = Object.fromEntries(
+    Object.keys(FEATURE_FLAGS).map(feature => [feature, true])
+);
+
+/**
+ * Commands gated behind a feature flag (commands not listed are always available)
+ */
+export const COMMAND_FEATURES = {
+    memory: 'memory_system_enabled',
+    updatememory: 'memory_system_enabled',
+    servermemory: 'memory_system_enabled',
+    updateservermemory: 'memory_system_enabled',
+    'debug-memory': 'memory_system_enabled',
+    'memory-backfill': 'memory_system_enabled',
+    'Why did Bepo say this?': 'memory_system_enabled',
+    play: 'voice_features_enabled',
+    queue: 'voice_features_enabled',
+    playlist: 'voice_features_enabled',
+    music: 'voice_features_enabled',
+    yap: 'voice_features_enabled',
+    stopyap: 'voice_features_enabled',
+    record: 'voice_features_enabled',
+    apexnotify: 'notifications_enabled',
+    cs2notify: 'notifications_enabled',
+    rolesupport: 'role_commands_enabled'
+};
+
+/**
+ * Button custom ID prefixes gated behind a feature flag
+ */
+export const BUTTON_FEATURES = {
+    'music_': 'voice_features_enabled',
+    'roleToggle:': 'role_commands_enabled',
+    'removeRole:': 'role_commands_enabled'
+};
+
+const CONFIG_CACHE_TTL = 5 * 60 * 1000; // 5 minutes - flags are checked on every message
+const configCache = new Map();
+
 /**
  * Guild Configuration Management
  */
@@ -41,15 +95,16 @@ export class GuildConfigManager {
                     role_commands_enabled: true,
                     notifications_enabled: true,
                     memory_system_enabled: true,
-                    voice_features_enabled: true
+                    voice_features_enabled: true,
+                    ai_chat_enabled: true,
+                    meme_reactions_enabled: true
                 }])
                 .select()
                 .single();
 
             if (error) throw error;
 
-            // Add owner as admin
-            await this.addGuildAdmin(guildId, ownerUserId, 'owner', ownerUserId);
+            configCache.delete(guildId);
 
             return { success: true, config: data };
         } catch (error) {
@@ -99,6 +154,8 @@ export class GuildConfigManager {
 
             if (error) throw error;
 
+            configCache.delete(guildId);
+
             return { success: true, config: data };
         } catch (error) {
             console.error('Error updating guild config:', error);
@@ -106,6 +163,33 @@ export class GuildConfigManager {
         }
     }
 
+    /**
+     * Get the effective feature flags for a guild (defaults for unconfigured guilds)
+     * @param {string} guildId - Discord guild ID
+     * @returns {Object} Map of feature name to boolean
+     */
+    static async getFeatureFlags(guildId) {
+        const cached = configCache.get(guildId);
+        if (cached && Date.now() - cached.timestamp < CONFIG_CACHE_TTL) {
+            return cached.flags;
+        }
+
+        const config = await this.getGuildConfig(guildId);
+        const flags = { ...DEFAULT_FEATURE_FLAGS };
+
+        if (config) {
+            for (const feature of Object.keys(FEATURE_FLAGS)) {
+                // Columns added after a guild was configured come back null - keep the default
+                if (typeof config[feature] === 'boolean') {
+                    flags[feature] = config[feature];
+                }
+            }
+        }
+
+        configCache.set(guildId, { flags, timestamp: Date.now() });
+        return flags;
+    }
+
     /**
      * Check if guild is configured and feature is enabled
      * @param {string} guildId - Discord guild ID
@@ -113,10 +197,76 @@ export class GuildConfigManager {
      * @returns {boolean} Whether feature is enabled
      */
     static async isFeatureEnabled(guildId, feature) {
-        const config = await this.getGuildConfig(guildId);
-        return config ? config[feature] === true : false;
+        // DMs have no guild configuration to restrict them
+        if (!guildId) return true;
+
+        const flags = await this.getFeatureFlags(guildId);
+        return flags[feature] !== false;
     }
 
+    /**
+     * Enable or disable a feature, creating the guild configuration if needed
+     * @param {Object} guild - Discord guild
+     * @param {string} feature - Feature name from FEATURE_FLAGS
+     * @param {boolean} enabled - New flag value
+     * @returns {Object} Update result
+     */
+    static async setFeature(guild, feature, enabled) {
+        if (!FEATURE_FLAGS[feature]) {
+            return { success: false, error: `Unknown feature: ${feature}` };
+        }
+
+        const existing = await this.getGuildConfig(guild.id);
+        if (!existing) {
+            const init = await this.initializeGuild(guild.id, guild.name, guild.ownerId);
+            if (!init.success) return init;
+        }
+
+        return await this.updateGuildConfig(guild.id, { [feature]: enabled });
+    }
+
+    /**
+     * Check whether a command is allowed by the guild's feature flags
+     * @param {string} guildId - Discord guild ID
+     * @param {string} commandName - Slash command name
+     * @returns {Object} { enabled, feature } where feature is null for ungated commands
+     */
+    static async isCommandEnabled(guildId, commandName) {
+        const feature = COMMAND_FEATURES[commandName] || null;
+        if (!feature) {
+            return { enabled: true, feature: null };
+        }
+
+        return { enabled: await this.isFeatureEnabled(guildId, feature), feature };
+    }
+
+    /**
+     * Check whether a button interaction is allowed by the guild's feature flags
+     * @param {string} guildId - Discord guild ID
+     * @param {string} customId - Button custom ID
+     * @returns {Object} { enabled, feature } where feature is null for ungated buttons
+     */
+    static async isButtonEnabled(guildId, customId) {
+        const prefix = Object.keys(BUTTON_FEATURES).find(p => customId.startsWith(p));
+        if (!prefix) {
+            return { enabled: true, feature: null };
+        }
+
+        const feature = BUTTON_FEATURES[prefix];
+        return { enabled: await this.isFeatureEnabled(guildId, feature), feature };
+    }
+
+    /**
+     * Drop cached flags for a guild (or every guild)
+     * @param {string} [guildId] - Discord guild ID
+     */
+    static clearCache(guildId = null) {
+        if (guildId) {
+            configCache.delete(guildId);
+        } else {
+            configCache.clear();
+        }
+    }
 }
 
 
@@ -1,11 +1,13 @@
 export default class MarkovChain {
   constructor(order = 2) {
     this.order = order;
-    this.chain = {};
+    this.chain = Object.create(null); // key -> { nextWord: count }
     this.sentenceStarters = new Set(); // Track sentence beginnings
     this.sentenceEnders = new Set(); // Track sentence endings
-    this.wordFrequency = {}; // Track word frequency for better selection
-    this.contextWeights = {}; // Weight certain transitions higher
+    this.wordFrequency = Object.create(null); // Track word frequency for better selection
+    this.keyLastSeen = Object.create(null); // key -> day number it was last trained, used for pruning
+    this.channelIds = new Set(); // Channels a user model learned from, so /markov forget knows where to look
+    this.reverseChain = null; // key -> { previousWord: count }, built on demand for backward generation
     // Add regex for user ID detection
     this.userIdRegex = /<@!?(\d+)>/g;
     // Store user ID to username mappings
@@ -78,6 +80,8 @@ export default class MarkovChain {
     // Preprocess the text
     const sentences = this.preprocessText(text);
     if (!sentences || sentences.length === 0) return;
+
+    const today = MarkovChain.getDayNumber();
     
     for (const sentence of sentences) {
       const words = sentence.split(/\s+/).filter(word => word.length > 0);
@@ -100,21 +104,21 @@ export default class MarkovChain {
         this.sentenceEnders.add(ender);
       }
 
-      // Build the chain with more flexible transitions
+      // Build the chain as counted transitions
       for (let i = 0; i <= words.length - this.order; i++) {
         const key = words.slice(i, i + this.order).join(" ");
         const nextWord = words[i + this.order];
         
         if (!this.chain[key]) {
-          this.chain[key] = [];
+          this.chain[key] = Object.create(null);
         }
+        this.keyLastSeen[key] = today;
         
         if (nextWord) {
-          this.chain[key].push(nextWord);
-          
-          // Weight transitions based on context
-          const transitionKey = `${key}|${nextWord}`;
-          this.contextWeights[transitionKey] = (this.contextWeights[transitionKey] || 0) + 1;
+          this.chain[key][nextWord] = (this.chain[key][nextWord] || 0) + 1;
+          if (this.reverseChain) {
+            this._addReverseTransition(words.slice(i + 1, i + 1 + this.order).join(" "), words[i], 1);
+          }
         }
       }
     }
@@ -148,14 +152,16 @@ export default class MarkovChain {
     return sentences;
   }
 
-  // Weighted selection based on frequency and context
-  selectNextWord(candidates, currentKey) {
+  // Weighted selection based on frequency and context.
+  // Temperature 0 always takes the best candidate, 1 picks among the top 3, above 1 opens up every candidate
+  // and flattens the weights. Pass transitions to select from a different table (e.g. the reverse chain).
+  selectNextWord(candidates, currentKey, temperature = 1, transitions = this.chain[currentKey]) {
     if (candidates.length === 1) return candidates[0];
     
     // Calculate weights for each candidate
     const weightedCandidates = candidates.map(word => {
       const frequency = this.wordFrequency[word] || 1;
-      const contextWeight = this.contextWeights[`${currentKey}|${word}`] || 1;
+      const contextWeight = transitions?.[word] || 1;
       
       // Favor more frequent words but not too heavily
       const frequencyScore = Math.log(frequency + 1);
@@ -170,8 +176,13 @@ export default class MarkovChain {
     // Sort by weight and add some randomness
     weightedCandidates.sort((a, b) => b.weight - a.weight);
     
+    if (temperature <= 0) return weightedCandidates[0].word;
+    
     // Select from top candidates with weighted randomness
-    const topCandidates = weightedCandidates.slice(0, Math.min(3, weightedCandidates.length));
+    const poolSize = temperature <= 1 ? 3 : weightedCandidates.length;
+    const topCandidates = weightedCandidates
+      .slice(0, Math.min(poolSize, weightedCandidates.length))
+      .map(candidate => ({ word: candidate.word, weight: Math.pow(candidate.weight, 1 / temperature) }));
     const totalWeight = topCandidates.reduce((sum, c) => sum + c.weight, 0);
     
     let random = Math.random() * totalWeight;
@@ -203,7 +214,137 @@ export default class MarkovChain {
     return false;
   }
 
-  generate(startingPhrase = null, targetLength = 50, coherent = true) {
+  // Days since the epoch; stored per key instead of full timestamps to keep the chain small
+  static getDayNumber(now = Date.now()) {
+    return Math.floor(now / (24 * 60 * 60 * 1000));
+  }
+
+  // Total number of counted transitions across all keys
+  getTransitionCount() {
+    let total = 0;
+    for (const key in this.chain) {
+      for (const word in this.chain[key]) {
+        total += this.chain[key][word];
+      }
+    }
+    return total;
+  }
+
+  // Rough in-memory size in bytes (string characters plus per-entry object overhead)
+  estimateMemoryBytes() {
+    let bytes = 0;
+    for (const key in this.chain) {
+      bytes += key.length * 2 + 64;
+      for (const word in this.chain[key]) {
+        bytes += word.length * 2 + 16;
+      }
+    }
+    for (const word in this.wordFrequency) {
+      bytes += word.length * 2 + 16;
+    }
+    return bytes + (this.sentenceStarters.size + this.sentenceEnders.size) * 16;
+  }
+
+  /**
+   * Drop stale and rarely used keys so the chain stops growing without bound
+   * @param {Object} options - Pruning options
+   * @param {number} options.maxAgeDays - Drop keys not trained on for this many days (0 to disable)
+   * @param {number} options.minCount - Drop transitions seen fewer times than this
+   * @param {number} options.maxKeys - Keep at most this many keys, least used first out (0 to disable)
+   * @param {number} options.now - Current time in ms
+   * @returns {number} Number of keys removed
+   */
+  prune({ maxAgeDays = 0, minCount = 1, maxKeys = 0, now = Date.now() } = {}) {
+    const before = Object.keys(this.chain).length;
+    const cutoff = MarkovChain.getDayNumber(now) - maxAgeDays;
+
+    for (const key of Object.keys(this.chain)) {
+      if (maxAgeDays > 0 && (this.keyLastSeen[key] ?? cutoff) < cutoff) {
+        this._removeKey(key);
+        continue;
+      }
+      if (minCount > 1) {
+        const transitions = this.chain[key];
+        for (const word of Object.keys(transitions)) {
+          if (transitions[word] < minCount) delete transitions[word];
+        }
+      }
+    }
+
+    if (maxKeys > 0 && Object.keys(this.chain).length > maxKeys) {
+      const usage = key => Object.values(this.chain[key]).reduce((sum, count) => sum + count, 0);
+      const ranked = Object.keys(this.chain)
+        .map(key => ({ key, uses: usage(key), seen: this.keyLastSeen[key] ?? 0 }))
+        .sort((a, b) => a.uses - b.uses || a.seen - b.seen);
+      ranked.slice(0, ranked.length - maxKeys).forEach(({ key }) => this._removeKey(key));
+    }
+
+    const removed = before - Object.keys(this.chain).length;
+    if (removed > 0) {
+      this._pruneWordFrequency();
+      this.reverseChain = null;
+      this._markDirty();
+    }
+    return removed;
+  }
+
+  /**
+   * Remove another chain's counted transitions from this one (used to forget a user's contributions)
+   * @param {MarkovChain} other - Chain holding the transitions to remove
+   * @returns {number} Number of transitions reduced or removed
+   */
+  subtract(other) {
+    let removed = 0;
+
+    for (const key in other.chain) {
+      const transitions = this.chain[key];
+      if (!transitions) continue;
+
+      for (const word in other.chain[key]) {
+        if (!(word in transitions)) continue;
+        transitions[word] -= other.chain[key][word];
+        if (transitions[word] <= 0) delete transitions[word];
+        removed++;
+      }
+
+      if (Object.keys(transitions).length === 0) {
+        this._removeKey(key);
+      }
+    }
+
+    for (const word in other.wordFrequency) {
+      if (!(word in this.wordFrequency)) continue;
+      this.wordFrequency[word] -= other.wordFrequency[word];
+      if (this.wordFrequency[word] <= 0) delete this.wordFrequency[word];
+    }
+
+    this.reverseChain = null;
+    this._markDirty();
+    return removed;
+  }
+
+  _removeKey(key) {
+    delete this.chain[key];
+    delete this.keyLastSeen[key];
+    this.sentenceStarters.delete(key);
+    this.sentenceEnders.delete(key);
+  }
+
+  // Forget frequencies for words that no longer appear anywhere in the chain
+  _pruneWordFrequency() {
+    const remaining = new Set();
+    for (const key in this.chain) {
+      key.split(' ').forEach(word => remaining.add(word));
+      for (const word in this.chain[key]) {
+        remaining.add(word);
+      }
+    }
+    for (const word of Object.keys(this.wordFrequency)) {
+      if (!remaining.has(word)) delete this.wordFrequency[word];
+    }
+  }
+
+  generate(startingPhrase = null, targetLength = 50, coherent = true, { temperature = null } = {}) {
     // Refresh performance caches before generation
     this._refreshCaches();
     
@@ -245,8 +386,9 @@ export default class MarkovChain {
     while (words.length < targetLength && attempts < maxAttempts) {
       attempts++;
       
-      const possibleNext = this.chain[currentKey];
-      if (!possibleNext || possibleNext.length === 0) {
+      const transitions = this.chain[currentKey];
+      const possibleNext = transitions ? Object.keys(transitions) : [];
+      if (possibleNext.length === 0) {
         // Try to find continuation with partial key match
         const partialKey = words.slice(-Math.max(1, this.order - 1)).join(' ');
         const matchingKeys = this._chainKeys.filter(key => 
@@ -268,27 +410,8 @@ export default class MarkovChain {
         }
       }
 
-      // Choose next word with some randomness
-      let nextWord;
-      if (coherent && possibleNext.length > 1) {
-        // In coherent mode, prefer more common continuations
-        const wordCounts = {};
-        possibleNext.forEach(word => {
-          wordCounts[word] = (wordCounts[word] || 0) + 1;
-        });
-        
-        // Sort by frequency and add some randomness
-        const sortedWords = Object.entries(wordCounts)
-          .sort(([,a], [,b]) => b - a)
-          .map(([word]) => word);
-        
-        // Pick from top 3 most common, or random if less options
-        const topChoices = sortedWords.slice(0, Math.min(3, sortedWords.length));
-        nextWord = topChoices[Math.floor(Math.random() * topChoices.length)];
-      } else {
-        // Random selection
-        nextWord = possibleNext[Math.floor(Math.random() * possibleNext.length)];
-      }
+      // Choose next word with some randomness (coherent mode sticks to common continuations)
+      const nextWord = this.selectNextWord(possibleNext, currentKey, temperature ?? (coherent ? 1 : 1.5), transitions);
 
       words.push(nextWord);
 
@@ -328,4 +451,180 @@ export default class MarkovChain {
 
     return result || "Unable to generate meaningful text.";
   }
-}
\ No newline at end of file
+
+  // Split a user-typed phrase into words the same way training does
+  _toWords(phrase) {
+    return (phrase || '')
+      .replace(/[^\w\s'-@]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 0);
+  }
+
+  _pickRandom(items) {
+    return items[Math.floor(Math.random() * items.length)];
+  }
+
+  _addReverseTransition(key, previousWord, count) {
+    if (!this.reverseChain[key]) {
+      this.reverseChain[key] = Object.create(null);
+    }
+    this.reverseChain[key][previousWord] = (this.reverseChain[key][previousWord] || 0) + count;
+  }
+
+  // The reverse chain is derived from the forward chain (key "a b" -> "c" means key "b c" <- "a"),
+  // so it never needs to be saved and is only built for chains that generate backward
+  _getReverseChain() {
+    if (!this.reverseChain) {
+      this.reverseChain = Object.create(null);
+      for (const key in this.chain) {
+        const keyWords = key.split(' ');
+        for (const word in this.chain[key]) {
+          this._addReverseTransition([...keyWords.slice(1), word].join(' '), keyWords[0], this.chain[key][word]);
+        }
+      }
+    }
+    return this.reverseChain;
+  }
+
+  // Extend words forward until the chain runs out, a natural ending or maxWords
+  _continueForward(words, maxWords, temperature) {
+    while (words.length < maxWords) {
+      const key = words.slice(-this.order).join(' ');
+      const transitions = this.chain[key];
+      const candidates = transitions ? Object.keys(transitions) : [];
+      if (candidates.length === 0) break;
+
+      words.push(this.selectNextWord(candidates, key, temperature, transitions));
+
+      if (this.sentenceEnders.has(words.slice(-this.order).join(' ')) && Math.random() < 0.6) break;
+    }
+    return words;
+  }
+
+  /**
+   * Finish a sentence the user started
+   * @param {string} prefix - The start of the sentence
+   * @param {Object} options - targetLength (max words) and temperature
+   * @returns {string|null} The whole sentence, or null if the chain has never seen how the prefix ends
+   */
+  complete(prefix, { targetLength = 30, temperature = 1 } = {}) {
+    const phrase = this._toWords(prefix);
+    if (phrase.length === 0) return null;
+
+    let words;
+    if (phrase.length >= this.order && this.chain[phrase.slice(-this.order).join(' ')]) {
+      words = [...phrase];
+    } else {
+      // Fall back to any key that starts with the last word typed
+      const lastWord = phrase[phrase.length - 1].toLowerCase();
+      const matches = Object.keys(this.chain).filter(key => key.split(' ')[0].toLowerCase() === lastWord);
+      if (matches.length === 0) return null;
+      words = [...phrase.slice(0, -1), ...this._pickRandom(matches).split(' ')];
+    }
+
+    const completed = this._continueForward(words, Math.max(targetLength, phrase.length + this.order), temperature);
+    return completed.length > phrase.length ? completed.join(' ') : null;
+  }
+
+  /**
+   * Generate a sentence backward so that it ends with the given phrase
+   * @param {string} endingPhrase - How the sentence should end
+   * @param {Object} options - targetLength (max words) and temperature
+   * @returns {string|null} The sentence, or null if the chain has never seen the phrase
+   */
+  generateBackward(endingPhrase, { targetLength = 30, temperature = 1 } = {}) {
+    const reverse = this._getReverseChain();
+    const phrase = this._toWords(endingPhrase);
+    if (phrase.length === 0) return null;
+
+    let words;
+    if (phrase.length >= this.order && reverse[phrase.slice(0, this.order).join(' ')]) {
+      words = [...phrase];
+    } else {
+      // Fall back to any key that ends with the first word of the phrase
+      const firstWord = phrase[0].toLowerCase();
+      const matches = Object.keys(reverse).filter(key => key.split(' ').pop().toLowerCase() === firstWord);
+      if (matches.length === 0) return null;
+      words = [...this._pickRandom(matches).split(' ').slice(0, -1), ...phrase];
+    }
+
+    const startLength = words.length;
+    while (words.length < targetLength) {
+      const key = words.slice(0, this.order).join(' ');
+      if (this.sentenceStarters.has(key) && words.length - startLength >= 3 && Math.random() < 0.6) break;
+
+      const transitions = reverse[key];
+      const candidates = transitions ? Object.keys(transitions) : [];
+      if (candidates.length === 0) break;
+
+      words.unshift(this.selectNextWord(candidates, key, temperature, transitions));
+    }
+
+    return words.length > phrase.length ? words.join(' ') : null;
+  }
+
+  /**
+   * Answer a message with chain output, seeded from the least common word it shares with the chain
+   * @param {string} text - Message being answered
+   * @param {Object} options - targetLength (max words) and temperature
+   * @returns {string} Generated reply
+   */
+  reply(text, { targetLength = 30, temperature = 1 } = {}) {
+    const seedWords = [...new Set(this._toWords(text.replace(this.userIdRegex, '')).map(word => word.toLowerCase()))]
+      .filter(word => word.length > 3);
+
+    const keysByFirstWord = new Map();
+    for (const key in this.chain) {
+      const firstWord = key.split(' ')[0].toLowerCase();
+      if (!seedWords.includes(firstWord)) continue;
+      if (!keysByFirstWord.has(firstWord)) keysByFirstWord.set(firstWord, []);
+      keysByFirstWord.get(firstWord).push(key);
+    }
+
+    // Rarer shared words are more likely to be what the message is about
+    const frequency = new Map();
+    for (const word in this.wordFrequency) {
+      const lower = word.toLowerCase();
+      if (keysByFirstWord.has(lower)) frequency.set(lower, (frequency.get(lower) || 0) + this.wordFrequency[word]);
+    }
+    const seed = [...keysByFirstWord.keys()].sort((a, b) => (frequency.get(a) || 0) - (frequency.get(b) || 0))[0];
+
+    if (!seed) {
+      return this.generate(null, targetLength, true, { temperature });
+    }
+
+    const words = this._pickRandom(keysByFirstWord.get(seed)).split(' ');
+    return this._continueForward(words, targetLength, temperature).join(' ');
+  }
+
+  /**
+   * Combine several chains into one, scaling counts so every source has the same total weight
+   * @param {MarkovChain[]} chains - Chains to mix (e.g. two user models)
+   * @returns {MarkovChain} A new chain for generation only
+   */
+  static mix(chains) {
+    const mixed = new MarkovChain(chains[0].order);
+    mixed.userMappings = chains[0].userMappings;
+
+    for (const source of chains) {
+      const total = source.getTransitionCount();
+      if (total === 0) continue;
+      const scale = 1000 / total;
+
+      for (const key in source.chain) {
+        if (!mixed.chain[key]) mixed.chain[key] = Object.create(null);
+        for (const word in source.chain[key]) {
+          mixed.chain[key][word] = (mixed.chain[key][word] || 0) + source.chain[key][word] * scale;
+        }
+      }
+      for (const word in source.wordFrequency) {
+        mixed.wordFrequency[word] = (mixed.wordFrequency[word] || 0) + source.wordFrequency[word] * scale;
+      }
+      source.sentenceStarters.forEach(key => mixed.sentenceStarters.add(key));
+      source.sentenceEnders.forEach(key => mixed.sentenceEnders.add(key));
+    }
+
+    mixed._markDirty();
+    return mixed;
+  }
+}
@@ -0,0 +1,301 @@
+import MarkovChain from './markovChaining.js';
+import { MarkovPersistence, MARKOV_MODELS_DIR, getModelFilePath } from './markovPersistence.js';
+import { getUserPreferences, setUserPreference } from '../supabase/supabase.js';
+
+export const MODEL_SCOPES = ['guild', 'channel', 'user'];
+
+// Keys untouched for half a year are dropped, and no guild or channel model grows past 250k keys
+export const DEFAULT_PRUNE_OPTIONS = { maxAgeDays: 180, minCount: 1, maxKeys: 250000 };
+
+// Channel and user models unused for this long are dropped from memory after the next save
+export const DEFAULT_IDLE_MODEL_MS = 30 * 60 * 1000;
+
+// User preference (stored with setUserPreference) that stops a member's messages being learned
+export const MARKOV_OPT_OUT_PREFERENCE = 'markov_opt_out';
+
+/**
+ * Separate Markov chains per guild, with optional per-channel models and per-user models.
+ * Models are loaded lazily from disk the first time they are needed, and every
+ * lookup is keyed by guild so text from one server never reaches another.
+ * Idle channel and user models are evicted once saved and reloaded on their next use.
+ * User models are always trained: they record exactly what each member contributed,
+ * which is what lets /markov forget take it back out of the guild and channel models.
+ */
+export class MarkovModels {
+  constructor({
+    order = 2,
+    baseDir = MARKOV_MODELS_DIR,
+    channelModels = true,
+    pruneOptions = DEFAULT_PRUNE_OPTIONS,
+    idleModelMs = DEFAULT_IDLE_MODEL_MS
+  } = {}) {
+    this.order = order;
+    this.pruneOptions = pruneOptions;
+    this.baseDir = baseDir;
+    this.channelModels = channelModels;
+    this.idleModelMs = idleModelMs;
+    this.models = new Map(); // key -> { chain, persistence, ready, lastUsed }
+    this.userMappings = new Map(); // Shared by every chain so mentions resolve the same way
+    this.optOutCache = new Map(); // userId -> boolean, so preferences are fetched once per user
+  }
+
+  static getModelKey(guildId, scope = 'guild', id = null) {
+    return scope === 'guild' ? `guild:${guildId}` : `${scope}:${guildId}:${id}`;
+  }
+
+  // Method to set user mappings from Discord client
+  setUserMappings(client) {
+    if (client && client.users) {
+      client.users.cache.forEach(user => {
+        this.userMappings.set(user.id, user.displayName || user.username);
+      });
+    }
+  }
+
+  /**
+   * Get a model, loading it from disk on first use
+   * @param {string} guildId - Guild the model belongs to
+   * @param {string} scope - 'guild', 'channel' or 'user'
+   * @param {string|null} id - Channel or user ID for channel/user models
+   * @returns {Promise<MarkovChain>} The chain (empty if nothing has been learned yet)
+   */
+  async getModel(guildId, scope = 'guild', id = null) {
+    if (!guildId || !MODEL_SCOPES.includes(scope)) {
+      throw new Error(`Invalid markov model scope: ${scope}`);
+    }
+
+    const key = MarkovModels.getModelKey(guildId, scope, id);
+    let entry = this.models.get(key);
+
+    if (!entry) {
+      const chain = new MarkovChain(this.order);
+      chain.userMappings = this.userMappings;
+      const persistence = new MarkovPersistence(getModelFilePath(guildId, scope, id, this.baseDir));
+      entry = {
+        chain,
+        persistence,
+        ready: persistence.loadChain(chain).then(loaded => {
+          if (loaded) {
+            persistence.lastSaveSize = Object.keys(chain.chain).length;
+            if (scope !== 'user' && chain.prune(this.pruneOptions) > 0) persistence.markDirty();
+          }
+        })
+      };
+      this.models.set(key, entry);
+    }
+
+    entry.lastUsed = Date.now();
+    await entry.ready;
+    return entry.chain;
+  }
+
+  /**
+   * Check whether a user has opted out of Markov training
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<boolean>} True if their messages must not be learned
+   */
+  async isOptedOut(userId) {
+    if (!this.optOutCache.has(userId)) {
+      const preferences = await getUserPreferences(userId);
+      this.optOutCache.set(userId, preferences[MARKOV_OPT_OUT_PREFERENCE] === true);
+    }
+    return this.optOutCache.get(userId);
+  }
+
+  /**
+   * Store a user's opt-out preference
+   * @param {string} userId - Discord user ID
+   * @param {boolean} optedOut - True to stop learning from them
+   * @returns {Promise<boolean>} Whether the preference was saved
+   */
+  async setOptOut(userId, optedOut) {
+    const saved = await setUserPreference(userId, MARKOV_OPT_OUT_PREFERENCE, optedOut);
+    if (!saved) return false;
+
+    this.optOutCache.set(userId, optedOut);
+    return true;
+  }
+
+  /**
+   * Train the guild model, the author's model and, when enabled, the channel model
+   * @param {Object} message - Discord message
+   * @returns {Promise<boolean>} False if the author has opted out
+   */
+  async train(message) {
+    const guildId = message.guildId;
+    if (!guildId) return false;
+    if (await this.isOptedOut(message.author.id)) return false;
+
+    const targets = [['guild', null], ['user', message.author.id]];
+    if (this.channelModels) targets.push(['channel', message.channelId]);
+
+    for (const [scope, id] of targets) {
+      const chain = await this.getModel(guildId, scope, id);
+      chain.train(message.content);
+      if (scope === 'user') chain.channelIds.add(message.channelId);
+      this.models.get(MarkovModels.getModelKey(guildId, scope, id)).persistence.markDirty();
+    }
+    return true;
+  }
+
+  /**
+   * Remove everything a user contributed from every guild's models and delete their user models
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<Object>} Guilds touched and transitions removed
+   */
+  async forgetUser(userId) {
+    const guildIds = new Set();
+    for (const guildId of await MarkovPersistence.listGuilds(this.baseDir)) {
+      const saved = await MarkovPersistence.listGuildModels(guildId, this.baseDir);
+      if (saved.some(model => model.scope === 'user' && model.id === userId)) guildIds.add(guildId);
+    }
+    for (const key of this.models.keys()) {
+      const [scope, guildId, id] = key.split(':');
+      if (scope === 'user' && id === userId) guildIds.add(guildId);
+    }
+
+    let transitions = 0;
+    for (const guildId of guildIds) {
+      const userKey = MarkovModels.getModelKey(guildId, 'user', userId);
+      const userChain = await this.getModel(guildId, 'user', userId);
+
+      // The user model holds exactly what they added to the guild model, and lists the channels they trained.
+      // Channel models get the same subtraction, which can also lower identical transitions others used there.
+      const targets = [['guild', null], ...[...userChain.channelIds].map(channelId => ['channel', channelId])];
+      for (const [scope, id] of targets) {
+        if (scope === 'channel' && !this.channelModels) continue;
+        const chain = await this.getModel(guildId, scope, id);
+        const { persistence } = this.models.get(MarkovModels.getModelKey(guildId, scope, id));
+        transitions += chain.subtract(userChain);
+        await persistence.saveChain(chain, true);
+        await persistence.deleteBackups();
+      }
+
+      await this.models.get(userKey).persistence.deleteChain();
+      this.models.delete(userKey);
+    }
+
+    return { guilds: guildIds.size, transitions };
+  }
+
+  /**
+   * Mix several members' user models into one chain for generation
+   * @param {string} guildId - Guild ID
+   * @param {string[]} userIds - Members to mix
+   * @returns {Promise<MarkovChain>} Mixed chain (not stored)
+   */
+  async getMixedModel(guildId, userIds) {
+    const chains = await Promise.all(userIds.map(userId => this.getModel(guildId, 'user', userId)));
+    return MarkovChain.mix(chains);
+  }
+
+  /**
+   * Answer a message from the guild chain, used when the AI providers are unavailable
+   * @param {string} guildId - Guild ID
+   * @param {string} text - Message being answered
+   * @param {Object} options - targetLength and temperature
+   * @returns {Promise<string|null>} Reply, or null if the guild chain has nothing useful
+   */
+  async reply(guildId, text, options = {}) {
+    const chain = await this.getModel(guildId);
+    if (Object.keys(chain.chain).length === 0) return null;
+
+    const reply = chain.reply(text, options);
+    return reply && reply.trim().split(/\s+/).length >= 3 ? reply : null;
+  }
+
+  /**
+   * Count the models this guild has on disk and in memory
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<Object>} Channel and user model counts
+   */
+  async getModelCounts(guildId) {
+    const saved = await MarkovPersistence.listGuildModels(guildId, this.baseDir);
+    const keys = new Set(saved.map(model => MarkovModels.getModelKey(guildId, model.scope, model.id)));
+
+    for (const key of this.models.keys()) {
+      if (key.startsWith(`channel:${guildId}:`) || key.startsWith(`user:${guildId}:`)) {
+        keys.add(key);
+      }
+    }
+
+    const counts = { channel: 0, user: 0 };
+    for (const key of keys) {
+      counts[key.split(':')[0]]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Prune every loaded guild and channel model
+   * User models are never pruned: forgetting a user subtracts them, so they have to keep
+   * everything that is still in the guild and channel models.
+   * @returns {Promise<number>} Number of keys removed
+   */
+  async pruneAll() {
+    let removed = 0;
+    for (const [key, { chain, persistence, ready }] of this.models.entries()) {
+      if (key.startsWith('user:')) continue;
+      await ready;
+      const count = chain.prune(this.pruneOptions);
+      if (count > 0) {
+        persistence.markDirty();
+        removed += count;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Approximate memory and disk usage of a guild's models
+   * @param {string} guildId - Guild ID
+   * @returns {Promise<Object>} memoryBytes for loaded models, diskBytes for saved files
+   */
+  async getStorageStats(guildId) {
+    let memoryBytes = 0;
+    for (const [key, { chain, ready }] of this.models.entries()) {
+      if (key === `guild:${guildId}` || key.startsWith(`channel:${guildId}:`) || key.startsWith(`user:${guildId}:`)) {
+        await ready;
+        memoryBytes += chain.estimateMemoryBytes();
+      }
+    }
+    return { memoryBytes, diskBytes: await MarkovPersistence.getGuildDiskUsage(guildId, this.baseDir) };
+  }
+
+  /**
+   * Save every loaded model that has data
+   * @param {boolean} force - Save even if the persistence throttle would skip it
+   * @returns {Promise<number>} Number of models saved
+   */
+  async saveAll(force = false) {
+    let saved = 0;
+    for (const { chain, persistence, ready } of this.models.values()) {
+      await ready;
+      if (Object.keys(chain.chain).length === 0) continue;
+      if (!force && !persistence.isDirty) continue;
+      if (await persistence.saveChain(chain, force)) saved++;
+    }
+    this.evictIdleModels();
+    return saved;
+  }
+
+  /**
+   * Drop channel and user models that haven't been used recently and have nothing left to save
+   * Guild models stay loaded since every message in the guild trains them.
+   * @param {number} now - Current timestamp
+   * @returns {number} Number of models evicted
+   */
+  evictIdleModels(now = Date.now()) {
+    let evicted = 0;
+    for (const [key, { chain, persistence, lastUsed }] of this.models.entries()) {
+      if (key.startsWith('guild:') || now - lastUsed < this.idleModelMs) continue;
+
+      const unsaved = persistence.isDirty || persistence.pendingSave;
+      if (unsaved && Object.keys(chain.chain).length > 0) continue;
+
+      this.models.delete(key);
+      evicted++;
+    }
+    return evicted;
+  }
+}
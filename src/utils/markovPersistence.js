@@ -1,13 +1,88 @@
 import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
 import path from 'path';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGzip, createGunzip } from 'zlib';
 import { fileURLToPath } from 'url';
+import MarkovChain from './markovChaining.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Per-guild models live in data/markov/<guildId>/ (guild.markov.gz, channel-<id>.markov.gz, user-<id>.markov.gz)
+export const MARKOV_MODELS_DIR = path.join(__dirname, '../../data/markov');
+
+export const MARKOV_FILE_EXTENSION = '.markov.gz';
+export const MARKOV_FORMAT_VERSION = '3.0';
+
+// Keys or words per line in the compact format, so loading never parses one huge JSON value
+const CHUNK_SIZE = 500;
+
+// Flags stored with each key in the compact format
+const STARTER_FLAG = 1;
+const ENDER_FLAG = 2;
+
+/**
+ * Build the file path for one guild, channel or user model
+ * @param {string} guildId - Guild the model belongs to
+ * @param {string} scope - 'guild', 'channel' or 'user'
+ * @param {string|null} id - Channel or user ID for channel/user models
+ * @param {string} baseDir - Models directory
+ * @returns {string} Absolute file path
+ */
+export function getModelFilePath(guildId, scope = 'guild', id = null, baseDir = MARKOV_MODELS_DIR) {
+  // IDs become file names, so only accept Discord snowflakes
+  if (!/^\d+$/.test(String(guildId)) || (scope !== 'guild' && !/^\d+$/.test(String(id)))) {
+    throw new Error(`Invalid markov model key: ${scope}:${guildId}:${id}`);
+  }
+  const fileName = scope === 'guild' ? 'guild' : `${scope}-${id}`;
+  return path.join(baseDir, String(guildId), `${fileName}${MARKOV_FILE_EXTENSION}`);
+}
+
+/**
+ * Convert version 2.1 chain data (arrays of next words plus contextWeights) to counted transitions
+ * @param {Object} parsed - Parsed 2.1 JSON
+ * @param {number} today - Day number to stamp on every key
+ * @returns {Object} Chain data in the in-memory format
+ */
+export function convertLegacyChainData(parsed, today) {
+  const chain = Object.create(null);
+  const keyLastSeen = Object.create(null);
+
+  for (const [key, nextWords] of Object.entries(parsed.chain)) {
+    const transitions = Object.create(null);
+    if (Array.isArray(nextWords)) {
+      nextWords.forEach(word => {
+        transitions[word] = (transitions[word] || 0) + 1;
+      });
+    } else {
+      Object.assign(transitions, nextWords);
+    }
+    chain[key] = transitions;
+    keyLastSeen[key] = today;
+  }
+
+  return {
+    order: parsed.order,
+    chain,
+    keyLastSeen,
+    sentenceStarters: new Set(parsed.sentenceStarters || []),
+    sentenceEnders: new Set(parsed.sentenceEnders || []),
+    wordFrequency: Object.assign(Object.create(null), parsed.wordFrequency || {}),
+    lastSaved: parsed.lastSaved,
+    version: parsed.version
+  };
+}
+
 export class MarkovPersistence {
   constructor(filePath = null) {
-    this.filePath = filePath || path.join(__dirname, '../../data/markov-chain.json');
+    this.filePath = filePath || path.join(__dirname, `../../data/markov-chain${MARKOV_FILE_EXTENSION}`);
+    // Version 2.1 JSON saved next to the compact file, migrated on first load
+    this.legacyFilePath = this.filePath.endsWith(MARKOV_FILE_EXTENSION)
+      ? this.filePath.slice(0, -MARKOV_FILE_EXTENSION.length) + '.json'
+      : null;
     this.lastSaveSize = 0; // Track size to avoid unnecessary saves
     this.lastSaveTime = 0; // Track time to avoid frequent saves
     this.isDirty = false; // Track if changes need saving
@@ -24,53 +99,47 @@ export class MarkovPersistence {
       const currentSize = Object.keys(markovChain.chain).length;
       const now = Date.now();
       const timeSinceLastSave = now - this.lastSaveTime;
-      
+
       // Only save if:
       // - Forced
-      // - Chain has grown significantly (50+ new entries)  
+      // - Chain has grown significantly (50+ new entries)
       // - At least 5 minutes have passed since last save AND chain has some growth
       // - Chain is dirty and significant time has passed
-      if (!force && 
-          (currentSize - this.lastSaveSize < 50) && 
+      if (!force &&
+          (currentSize - this.lastSaveSize < 50) &&
           (timeSinceLastSave < 5 * 60 * 1000) && // 5 minutes
           !this.isDirty) {
         return true;
       }
-      
+
       // Avoid multiple concurrent saves
       if (this.pendingSave) {
         console.log('Save already in progress, skipping...');
         return true;
       }
-      
+
       this.pendingSave = true;
-      
+
       // Ensure directory exists
       const dir = path.dirname(this.filePath);
       await fs.mkdir(dir, { recursive: true });
 
-      const data = {
-        order: markovChain.order,
-        chain: markovChain.chain,
-        sentenceStarters: Array.from(markovChain.sentenceStarters),
-        sentenceEnders: Array.from(markovChain.sentenceEnders),
-        wordFrequency: markovChain.wordFrequency,
-        contextWeights: markovChain.contextWeights,
-        lastSaved: new Date().toISOString(),
-        version: '2.1' // Increment version for performance improvements
-      };
-
-      // Use atomic write with temporary file for safety
+      // Stream gzipped chunks to a temporary file, then swap it in atomically
       const tempFilePath = this.filePath + '.tmp';
-      await fs.writeFile(tempFilePath, JSON.stringify(data, null, 2));
+      await pipeline(
+        Readable.from(this._serialize(markovChain)),
+        createGzip(),
+        createWriteStream(tempFilePath)
+      );
       await fs.rename(tempFilePath, this.filePath);
-      
+
+      const growth = currentSize - this.lastSaveSize;
       this.lastSaveSize = currentSize;
       this.lastSaveTime = now;
       this.isDirty = false;
       this.pendingSave = false;
-      
-      console.log(`Markov chain saved with ${currentSize} keys (growth: ${currentSize - this.lastSaveSize})`);
+
+      console.log(`Markov chain saved with ${currentSize} keys (growth: ${growth})`);
       return true;
     } catch (error) {
       this.pendingSave = false;
@@ -79,26 +148,74 @@ export class MarkovPersistence {
     }
   }
 
+  // Header line followed by newline-delimited JSON chunks of keys and word frequencies
+  *_serialize(markovChain) {
+    const keys = Object.keys(markovChain.chain);
+    const words = Object.keys(markovChain.wordFrequency);
+
+    yield JSON.stringify({
+      format: 'bepo-markov',
+      version: MARKOV_FORMAT_VERSION,
+      order: markovChain.order,
+      keys: keys.length,
+      sentenceStarters: markovChain.sentenceStarters.size,
+      sentenceEnders: markovChain.sentenceEnders.size,
+      uniqueWords: words.length,
+      channelIds: [...markovChain.channelIds],
+      lastSaved: new Date().toISOString()
+    }) + '\n';
+
+    for (let i = 0; i < keys.length; i += CHUNK_SIZE) {
+      const entries = keys.slice(i, i + CHUNK_SIZE).map(key => [
+        key,
+        markovChain.keyLastSeen[key] ?? null,
+        (markovChain.sentenceStarters.has(key) ? STARTER_FLAG : 0) | (markovChain.sentenceEnders.has(key) ? ENDER_FLAG : 0),
+        markovChain.chain[key]
+      ]);
+      yield JSON.stringify({ k: entries }) + '\n';
+    }
+
+    for (let i = 0; i < words.length; i += CHUNK_SIZE) {
+      const entries = words.slice(i, i + CHUNK_SIZE).map(word => [word, markovChain.wordFrequency[word]]);
+      yield JSON.stringify({ w: entries }) + '\n';
+    }
+  }
+
   async loadChain(markovChain) {
     try {
-      const data = await fs.readFile(this.filePath, 'utf8');
-      const parsed = JSON.parse(data);
+      const sourcePath = await this._findSourceFile();
+      if (!sourcePath) {
+        console.log('No existing markov chain file found, starting fresh');
+        return false;
+      }
+
+      const isLegacy = !(await this._isCompactFile(sourcePath));
+      const loaded = isLegacy
+        ? await this._readLegacy(sourcePath)
+        : await this._readCompact(sourcePath);
 
       // Validate data structure
-      if (!parsed.chain || !parsed.order) {
+      if (!loaded) {
         console.warn('Invalid markov chain data structure');
         return false;
       }
 
       // Load data into markov chain
-      markovChain.order = parsed.order;
-      markovChain.chain = parsed.chain;
-      markovChain.sentenceStarters = new Set(parsed.sentenceStarters || []);
-      markovChain.sentenceEnders = new Set(parsed.sentenceEnders || []);
-      markovChain.wordFrequency = parsed.wordFrequency || {};
-      markovChain.contextWeights = parsed.contextWeights || {};
-
-      console.log(`📖 Markov chain loaded with ${Object.keys(markovChain.chain).length} keys from ${parsed.lastSaved}`);
+      markovChain.order = loaded.order;
+      markovChain.chain = loaded.chain;
+      markovChain.keyLastSeen = loaded.keyLastSeen;
+      markovChain.sentenceStarters = loaded.sentenceStarters;
+      markovChain.sentenceEnders = loaded.sentenceEnders;
+      markovChain.wordFrequency = loaded.wordFrequency;
+      markovChain.channelIds = loaded.channelIds || new Set();
+      markovChain.reverseChain = null;
+      markovChain._markDirty();
+
+      console.log(`📖 Markov chain loaded with ${Object.keys(markovChain.chain).length} keys from ${loaded.lastSaved}`);
+
+      if (isLegacy) {
+        await this._migrateLegacyFile(sourcePath, markovChain, loaded.version);
+      }
       return true;
     } catch (error) {
       if (error.code === 'ENOENT') {
@@ -110,21 +227,185 @@ export class MarkovPersistence {
     }
   }
 
+  // Prefer the compact file, fall back to a 2.1 JSON file waiting to be migrated
+  async _findSourceFile() {
+    for (const candidate of [this.filePath, this.legacyFilePath]) {
+      if (!candidate) continue;
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+    return null;
+  }
+
+  // Compact files are gzip, which always starts with the bytes 1f 8b
+  async _isCompactFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(2), 0, 2, 0);
+      return bytesRead === 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Read a compact file line by line; destroying the returned reader's input closes the file
+  _openLines(filePath) {
+    const gunzip = createGunzip();
+    pipeline(createReadStream(filePath), gunzip).catch(() => {}); // Errors surface through the line reader
+    return readline.createInterface({ input: gunzip, crlfDelay: Infinity });
+  }
+
+  async _readCompact(filePath) {
+    const lines = this._openLines(filePath);
+    const loaded = {
+      chain: Object.create(null),
+      keyLastSeen: Object.create(null),
+      sentenceStarters: new Set(),
+      sentenceEnders: new Set(),
+      wordFrequency: Object.create(null)
+    };
+    let header = null;
+
+    for await (const line of lines) {
+      if (!line) continue;
+      const record = JSON.parse(line);
+
+      if (!header) {
+        if (record.format !== 'bepo-markov' || !record.order) return null;
+        header = record;
+        continue;
+      }
+
+      for (const [key, lastSeen, flags, transitions] of record.k || []) {
+        loaded.chain[key] = Object.assign(Object.create(null), transitions);
+        if (lastSeen !== null) loaded.keyLastSeen[key] = lastSeen;
+        if (flags & STARTER_FLAG) loaded.sentenceStarters.add(key);
+        if (flags & ENDER_FLAG) loaded.sentenceEnders.add(key);
+      }
+      for (const [word, count] of record.w || []) {
+        loaded.wordFrequency[word] = count;
+      }
+    }
+
+    return header
+      ? { ...loaded, order: header.order, channelIds: new Set(header.channelIds || []), lastSaved: header.lastSaved, version: header.version }
+      : null;
+  }
+
+  async _readLegacy(filePath) {
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (!parsed.chain || !parsed.order) return null;
+
+    return convertLegacyChainData(parsed, MarkovChain.getDayNumber());
+  }
+
+  // Rewrite a 2.1 JSON file in the compact format, keeping the original as <file>.v2.bak
+  async _migrateLegacyFile(sourcePath, markovChain, version) {
+    await fs.copyFile(sourcePath, `${sourcePath}.v2.bak`);
+    if (await this.saveChain(markovChain, true)) {
+      if (sourcePath !== this.filePath) {
+        await fs.unlink(sourcePath);
+      }
+      console.log(`Migrated markov chain from version ${version || 'unknown'} JSON (backup: ${sourcePath}.v2.bak)`);
+    }
+  }
+
+  // Delete the saved chain along with any 2.1 JSON or migration backup of it
+  async deleteChain() {
+    const files = [this.filePath, this.legacyFilePath, `${this.filePath}.v2.bak`, this.legacyFilePath && `${this.legacyFilePath}.v2.bak`];
+    await Promise.all(files.filter(Boolean).map(file => fs.unlink(file).catch(() => {})));
+    this.lastSaveSize = 0;
+    this.isDirty = false;
+  }
+
+  // Remove migration backups, which still hold data removed from the live chain
+  async deleteBackups() {
+    const files = [`${this.filePath}.v2.bak`, this.legacyFilePath && `${this.legacyFilePath}.v2.bak`];
+    await Promise.all(files.filter(Boolean).map(file => fs.unlink(file).catch(() => {})));
+  }
+
   async getStats() {
     try {
-      const data = await fs.readFile(this.filePath, 'utf8');
-      const parsed = JSON.parse(data);
-      
+      const sourcePath = await this._findSourceFile();
+      if (!sourcePath) return null;
+
+      const { size } = await fs.stat(sourcePath);
+
+      if (!(await this._isCompactFile(sourcePath))) {
+        const parsed = JSON.parse(await fs.readFile(sourcePath, 'utf8'));
+        return {
+          chainSize: Object.keys(parsed.chain || {}).length,
+          sentenceStarters: (parsed.sentenceStarters || []).length,
+          sentenceEnders: (parsed.sentenceEnders || []).length,
+          uniqueWords: Object.keys(parsed.wordFrequency || {}).length,
+          lastSaved: parsed.lastSaved,
+          version: parsed.version,
+          diskBytes: size
+        };
+      }
+
+      // Counts are in the header, so only the first line needs to be read
+      const lines = this._openLines(sourcePath);
+      let header = null;
+      for await (const line of lines) {
+        header = JSON.parse(line);
+        break;
+      }
+      lines.close();
+      lines.input.destroy();
+
       return {
-        chainSize: Object.keys(parsed.chain || {}).length,
-        sentenceStarters: (parsed.sentenceStarters || []).length,
-        sentenceEnders: (parsed.sentenceEnders || []).length,
-        uniqueWords: Object.keys(parsed.wordFrequency || {}).length,
-        lastSaved: parsed.lastSaved,
-        version: parsed.version
+        chainSize: header.keys,
+        sentenceStarters: header.sentenceStarters,
+        sentenceEnders: header.sentenceEnders,
+        uniqueWords: header.uniqueWords,
+        lastSaved: header.lastSaved,
+        version: header.version,
+        diskBytes: size
       };
     } catch (error) {
       return null;
     }
   }
+
+  // Guild IDs that have a models directory
+  static async listGuilds(baseDir = MARKOV_MODELS_DIR) {
+    try {
+      const entries = await fs.readdir(baseDir, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory() && /^\d+$/.test(entry.name)).map(entry => entry.name);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // List the channel and user models saved for a guild
+  static async listGuildModels(guildId, baseDir = MARKOV_MODELS_DIR) {
+    try {
+      const files = await fs.readdir(path.join(baseDir, String(guildId)));
+      const models = new Map();
+      files
+        .map(file => file.match(/^(channel|user)-(\d+)(?:\.markov\.gz|\.json)$/))
+        .filter(Boolean)
+        .forEach(([, scope, id]) => models.set(`${scope}:${id}`, { scope, id }));
+      return [...models.values()];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Total bytes on disk for a guild's models
+  static async getGuildDiskUsage(guildId, baseDir = MARKOV_MODELS_DIR) {
+    try {
+      const dir = path.join(baseDir, String(guildId));
+      const files = await fs.readdir(dir);
+      const sizes = await Promise.all(files.map(file => fs.stat(path.join(dir, file)).then(stat => stat.size)));
+      return sizes.reduce((sum, size) => sum + size, 0);
+    } catch (error) {
+      return 0;
+    }
+  }
 }
@@ -0,0 +1,134 @@
+/**
+ * Finds the yt-dlp and FFmpeg binaries the music player runs
+ * Set YTDLP_PATH, FFMPEG_PATH or FFPROBE_PATH to pick a binary, otherwise they are looked up on PATH
+ */
+import { accessSync, constants } from 'fs';
+import { execFile } from 'child_process';
+import path from 'path';
+
+export const MEDIA_BINARIES = {
+  'yt-dlp': { env: 'YTDLP_PATH', versionArgs: ['--version'] },
+  ffmpeg: { env: 'FFMPEG_PATH', versionArgs: ['-version'] },
+  // Only reads titles and durations from audio files, which fall back to the file name without it
+  ffprobe: { env: 'FFPROBE_PATH', versionArgs: ['-version'], optional: true }
+};
+
+// Where package managers install binaries that a service's PATH often leaves out
+const EXTRA_SEARCH_DIRS = ['/usr/local/bin', '/opt/homebrew/bin', '/usr/bin'];
+const VERSION_CHECK_TIMEOUT = 10 * 1000;
+
+const resolved = new Map(); // binary name -> { path, source }
+let lastCheck = null;
+
+const isExecutable = (file) => {
+  try {
+    accessSync(file, constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Look for an executable in the PATH directories
+ * @param {string} name - Binary name
+ * @param {string} searchPath - PATH-style list of directories
+ * @returns {string|null} Full path, or null if it isn't in any of them
+ */
+export function findOnPath(name, searchPath = process.env.PATH || '') {
+  const dirs = [...searchPath.split(path.delimiter), ...EXTRA_SEARCH_DIRS].filter(Boolean);
+  for (const dir of new Set(dirs)) {
+    const candidate = path.join(dir, name);
+    if (isExecutable(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Work out where a binary is
+ * @param {string} name - 'yt-dlp', 'ffmpeg' or 'ffprobe'
+ * @returns {Object} { path, source } where source is config, path or missing
+ */
+export function resolveBinary(name) {
+  const configured = process.env[MEDIA_BINARIES[name].env]?.trim();
+  if (configured) return { path: configured, source: 'config' };
+
+  const found = findOnPath(name);
+  if (found) return { path: found, source: 'path' };
+
+  // Spawning the bare name fails with ENOENT, which the player reports like any other stream error
+  return { path: name, source: 'missing' };
+}
+
+/**
+ * Path to run a binary with (looked up once)
+ * @param {string} name - 'yt-dlp', 'ffmpeg' or 'ffprobe'
+ * @returns {string} Binary path
+ */
+export function getBinaryPath(name) {
+  if (!resolved.has(name)) {
+    resolved.set(name, resolveBinary(name));
+  }
+  return resolved.get(name).path;
+}
+
+// @discordjs/voice only looks for FFmpeg on PATH when it converts streams itself
+const exposeFfmpegDirectory = (ffmpegPath) => {
+  const dir = path.dirname(ffmpegPath);
+  const dirs = (process.env.PATH || '').split(path.delimiter);
+  if (path.isAbsolute(ffmpegPath) && !dirs.includes(dir)) {
+    process.env.PATH = [dir, ...dirs].filter(Boolean).join(path.delimiter);
+  }
+};
+
+const getVersion = (binaryPath, args) => new Promise((resolve, reject) => {
+  execFile(binaryPath, args, { timeout: VERSION_CHECK_TIMEOUT }, (error, stdout) => {
+    if (error) {
+      reject(error);
+      return;
+    }
+    // "ffmpeg version 6.1 Copyright..." or "2024.08.06"
+    const firstLine = stdout.split('\n')[0].trim();
+    resolve(firstLine.replace(/^ff(?:mpeg|probe) version (\S+).*/, '$1'));
+  });
+});
+
+/**
+ * Find every binary again and check it runs; done at startup and shown in /health
+ * @returns {Promise<Object>} { checkedAt, ok, binaries: { name: { path, source, optional, ok, version, error } } }
+ * where ok means every binary that isn't optional works
+ */
+export async function checkMediaBinaries() {
+  const binaries = {};
+
+  for (const [name, { versionArgs, optional = false }] of Object.entries(MEDIA_BINARIES)) {
+    const { path: binaryPath, source } = resolveBinary(name);
+    resolved.set(name, { path: binaryPath, source });
+
+    try {
+      const version = await getVersion(binaryPath, versionArgs);
+      binaries[name] = { path: binaryPath, source, optional, ok: true, version };
+    } catch (error) {
+      const reason = error.code === 'ENOENT' ? 'not found' : error.message;
+      console.error(`[MEDIA] ❌ ${name} unavailable at ${binaryPath}: ${reason}`);
+      binaries[name] = { path: binaryPath, source, optional, ok: false, error: reason };
+    }
+  }
+
+  if (binaries.ffmpeg.ok) exposeFfmpegDirectory(binaries.ffmpeg.path);
+
+  lastCheck = {
+    checkedAt: Date.now(),
+    ok: Object.values(binaries).every(binary => binary.ok || binary.optional),
+    binaries
+  };
+  return lastCheck;
+}
+
+/**
+ * Result of the last checkMediaBinaries()
+ * @returns {Object|null} Check result, or null before the first check
+ */
+export function getMediaBinaryStatus() {
+  return lastCheck;
+}
@@ -0,0 +1,124 @@
+/**
+ * Ranking for the memories put into chat context
+ * Combines embedding similarity with keyword matches and recency, then keeps the memory block under a token budget
+ */
+
+// Rough size of the memory block in tokens; override with MEMORY_CONTEXT_TOKEN_BUDGET
+export const DEFAULT_MEMORY_TOKEN_BUDGET = 1500;
+
+// Similarity the vector search must reach to be considered at all; the hybrid score decides what is used
+export const SEMANTIC_MATCH_THRESHOLD = 0.3;
+
+const RECENCY_WINDOW_DAYS = 30;
+
+const WEIGHTS = {
+  semantic: 0.45,
+  keyword: 0.25,
+  phrase: 0.1,
+  recency: 0.15,
+  summary: 0.05
+};
+
+/**
+ * Token budget for the memory block
+ * @returns {number} Budget from MEMORY_CONTEXT_TOKEN_BUDGET, or the default
+ */
+export function getMemoryTokenBudget() {
+  const configured = Number.parseInt(process.env.MEMORY_CONTEXT_TOKEN_BUDGET, 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_MEMORY_TOKEN_BUDGET;
+}
+
+/**
+ * Estimate how many tokens a piece of text uses (about 4 characters per token for English)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Score how useful a memory is for the current message
+ * The semantic part uses embedding similarity; memories without one (not backfilled yet, or embeddings off)
+ * use their keyword score there instead, so they aren't pushed out just for lacking an embedding.
+ *
+ * @param {Object} memory - user_memory or server_memory row
+ * @param {Object} query - { searchTerms, currentMessage, similarity } where similarity is null when unknown
+ * @returns {number} Score from 0 to 1
+ */
+export function scoreMemory(memory, { searchTerms = [], currentMessage = '', similarity = null } = {}) {
+  const fullText = `${memory.memory_content || ''} ${memory.memory_title || ''}`.toLowerCase();
+
+  const matchedTerms = searchTerms.filter(term => fullText.includes(term.toLowerCase()));
+  const keyword = matchedTerms.length / Math.max(searchTerms.length, 1);
+
+  const phrase = currentMessage.trim() && fullText.includes(currentMessage.toLowerCase().slice(0, 50)) ? 1 : 0;
+
+  const ageInDays = (Date.now() - new Date(memory.updated_at || memory.created_at).getTime()) / (1000 * 60 * 60 * 24);
+  const recency = Number.isFinite(ageInDays) ? 1 - Math.min(Math.max(ageInDays, 0) / RECENCY_WINDOW_DAYS, 1) : 0;
+
+  const semantic = similarity === null ? keyword : Math.max(0, Math.min(similarity, 1));
+
+  return semantic * WEIGHTS.semantic +
+    keyword * WEIGHTS.keyword +
+    phrase * WEIGHTS.phrase +
+    recency * WEIGHTS.recency +
+    (memory.context_type === 'conversation_summary' ? WEIGHTS.summary : 0);
+}
+
+/**
+ * Combine keyword/recent candidates with vector search matches, and rank them
+ * @param {Object[]} memories - Rows from keyword and recency queries
+ * @param {Object[]} matches - Rows from the vector search (with a similarity field)
+ * @param {Object} query - { searchTerms, currentMessage, searchedByMeaning } where searchedByMeaning says the vector search ran
+ * @returns {Object[]} { memory, score, similarity } best first, one per memory
+ */
+export function rankMemories(memories, matches, { searchTerms = [], currentMessage = '', searchedByMeaning = false } = {}) {
+  const candidates = new Map();
+
+  for (const memory of memories) {
+    candidates.set(memory.id, { memory, similarity: null });
+  }
+  for (const match of matches) {
+    const existing = candidates.get(match.id);
+    candidates.set(match.id, { memory: existing?.memory || match, similarity: match.similarity ?? null });
+  }
+
+  return Array.from(candidates.values())
+    .map(({ memory, similarity }) => {
+      // An embedded memory the vector search didn't return wasn't similar enough
+      const knownSimilarity = similarity ?? (searchedByMeaning && memory.embedding ? 0 : null);
+      return { memory, similarity: knownSimilarity, score: scoreMemory(memory, { searchTerms, currentMessage, similarity: knownSimilarity }) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Keeps track of how much of the token budget the memory block has used
+ */
+export class MemoryTokenBudget {
+  constructor(limit = getMemoryTokenBudget()) {
+    this.limit = limit;
+    this.used = 0;
+  }
+
+  /**
+   * Reserve room for a line
+   * @param {string} line - Line to add
+   * @returns {boolean} False if the line doesn't fit (nothing is reserved then)
+   */
+  take(line) {
+    const tokens = estimateTokens(line);
+    if (this.used + tokens > this.limit) return false;
+    this.used += tokens;
+    return true;
+  }
+
+  /**
+   * Count a line that is always included, even past the limit
+   * @param {string} line - Line to add
+   */
+  reserve(line) {
+    this.used += estimateTokens(line);
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Memory Export and Import
+ * Builds the files behind /memory export and /servermemory export, and checks /servermemory import files
+ */
+import { createHash } from 'crypto';
+
+export const EXPORT_VERSION = 1;
+export const MAX_IMPORT_MEMORIES = 500;
+const MAX_CONTENT_LENGTH = 2000; // Same limit as /servermemory add
+const MAX_TITLE_LENGTH = 200;
+
+// context_type values the bot writes, so imports can't bring in types nothing reads
+export const USER_CONTEXT_TYPES = ['conversation', 'conversation_summary', 'preference', 'fact', 'temporary', 'personal_note'];
+export const SERVER_CONTEXT_TYPES = ['server', 'rules', 'faq', 'important', 'knowledge', 'announcement'];
+
+/**
+ * Hash memory content for duplicate checks (case and spacing don't count as differences)
+ * @param {string} content - Memory content
+ * @returns {string} SHA-256 hex digest
+ */
+export function contentHash(content) {
+  const normalized = (content || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * File name for an export, e.g. bepo-memories-2026-10-18.json
+ */
+export function exportFileName(prefix, format) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `${prefix}-${date}.${format === 'markdown' ? 'md' : 'json'}`;
+}
+
+/**
+ * Everything stored about a user, grouped the way /memory shows it
+ * @param {string} userId - Discord user ID
+ * @param {Object[]} memories - user_memory rows
+ * @returns {Object} Export data
+ */
+export function buildUserExport(userId, memories) {
+  const preferences = memories.filter(m => m.context_type === 'preference');
+  const summaries = memories.filter(m => m.context_type === 'conversation_summary');
+  const facts = memories.filter(m => m.context_type === 'fact');
+  const others = memories.filter(m => !['preference', 'conversation_summary', 'fact'].includes(m.context_type));
+
+  const toEntry = memory => ({
+    id: memory.id,
+    context_type: memory.context_type,
+    content: memory.memory_content,
+    metadata: memory.metadata || {},
+    guild_id: memory.guild_id || null,
+    pinned: Boolean(memory.pinned),
+    created_at: memory.created_at,
+    updated_at: memory.updated_at,
+    expires_at: memory.expires_at || null
+  });
+
+  return {
+    version: EXPORT_VERSION,
+    type: 'user',
+    user_id: userId,
+    exported_at: new Date().toISOString(),
+    preferences: preferences.map(pref => ({
+      key: pref.metadata?.preference_key,
+      value: pref.metadata?.preference_value,
+      updated_at: pref.updated_at
+    })),
+    facts: facts.map(toEntry),
+    summaries: summaries.map(toEntry),
+    memories: others.map(toEntry)
+  };
+}
+
+/**
+ * Markdown version of a user export
+ */
+export function formatUserExportMarkdown(exportData) {
+  const lines = [`# Bepo memories for user ${exportData.user_id}`, '', `Exported ${exportData.exported_at}`, ''];
+
+  const section = (title, entries, format) => {
+    lines.push(`## ${title} (${entries.length})`, '');
+    if (entries.length === 0) {
+      lines.push('_None_', '');
+      return;
+    }
+    entries.forEach(entry => lines.push(format(entry)));
+    lines.push('');
+  };
+
+  section('Preferences', exportData.preferences, pref => `- **${pref.key}**: ${JSON.stringify(pref.value)}`);
+  section('Facts', exportData.facts, fact => `- ${fact.content} _(${fact.metadata.status || 'pending'}, ${Math.round((fact.metadata.confidence ?? 0) * 100)}% sure)_`);
+  section('Conversation Summaries', exportData.summaries, summary => `- ${summary.created_at}: ${summary.content.replace(/\n+/g, ' ')}`);
+  section('Other Memories', exportData.memories, memory => `- [${memory.context_type}] ${memory.created_at}: ${memory.content.replace(/\n+/g, ' ')}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * A server's knowledge base, in the shape /servermemory import reads
+ * @param {Object} guild - { id, name }
+ * @param {Object[]} memories - server_memory rows
+ * @returns {Object} Export data
+ */
+export function buildServerExport(guild, memories) {
+  return {
+    version: EXPORT_VERSION,
+    type: 'server',
+    guild_id: guild.id,
+    guild_name: guild.name,
+    exported_at: new Date().toISOString(),
+    memories: memories.map(memory => ({
+      title: memory.memory_title || null,
+      content: memory.memory_content,
+      context_type: memory.context_type,
+      metadata: memory.metadata || {},
+      created_by: memory.user_id,
+      created_at: memory.created_at,
+      expires_at: memory.expires_at || null
+    }))
+  };
+}
+
+/**
+ * Markdown version of a server export
+ */
+export function formatServerExportMarkdown(exportData) {
+  const lines = [`# ${exportData.guild_name} knowledge base`, '', `Exported ${exportData.exported_at} • ${exportData.memories.length} memories`, ''];
+
+  for (const memory of exportData.memories) {
+    lines.push(`## ${memory.title || 'Untitled'} (${memory.context_type})`, '', memory.content, '', `_Added by <@${memory.created_by}> on ${memory.created_at}_`, '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Check an import file and work out which memories to add
+ * @param {*} data - Parsed JSON from the file
+ * @param {Object[]} existingMemories - The guild's current server_memory rows
+ * @returns {Object} { valid: false, error } or { valid: true, memories, duplicates, invalid }
+ */
+export function prepareServerImport(data, existingMemories = []) {
+  if (!data || typeof data !== 'object' || data.type !== 'server' || !Array.isArray(data.memories)) {
+    return { valid: false, error: 'This isn\'t a server memory export. Use a JSON file from `/servermemory export`.' };
+  }
+
+  if (data.version !== EXPORT_VERSION) {
+    return { valid: false, error: `Unsupported export version ${data.version}.` };
+  }
+
+  if (data.memories.length > MAX_IMPORT_MEMORIES) {
+    return { valid: false, error: `Too many memories in one file (max ${MAX_IMPORT_MEMORIES}).` };
+  }
+
+  const seenHashes = new Set(existingMemories.map(memory => contentHash(memory.memory_content)));
+  const memories = [];
+  const invalid = [];
+  let duplicates = 0;
+
+  data.memories.forEach((entry, index) => {
+    const content = typeof entry?.content === 'string' ? entry.content.trim() : '';
+    const contextType = entry?.context_type ?? 'server';
+    const title = typeof entry?.title === 'string' ? entry.title.trim().slice(0, MAX_TITLE_LENGTH) : null;
+
+    let reason = null;
+    if (!content) reason = 'no content';
+    else if (content.length > MAX_CONTENT_LENGTH) reason = `longer than ${MAX_CONTENT_LENGTH} characters`;
+    else if (!SERVER_CONTEXT_TYPES.includes(contextType)) reason = `unknown context_type "${contextType}"`;
+    else if (entry.expires_at && Number.isNaN(Date.parse(entry.expires_at))) reason = `unreadable expires_at "${entry.expires_at}"`;
+    else if (entry.expires_at && new Date(entry.expires_at) <= new Date()) reason = 'already expired';
+
+    if (reason) {
+      invalid.push({ index: index + 1, reason });
+      return;
+    }
+
+    const hash = contentHash(content);
+    if (seenHashes.has(hash)) {
+      duplicates++;
+      return;
+    }
+    seenHashes.add(hash);
+
+    memories.push({
+      content,
+      title: title || null,
+      contextType,
+      expiresAt: entry.expires_at ? new Date(entry.expires_at).toISOString() : null,
+      metadata: {
+        ...(entry.metadata && typeof entry.metadata === 'object' ? entry.metadata : {}),
+        content_hash: hash,
+        imported_from: data.guild_id || null,
+        original_author: entry.created_by || null
+      }
+    });
+  });
+
+  return { valid: true, memories, duplicates, invalid };
+}
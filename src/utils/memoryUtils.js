@@ -6,6 +6,7 @@ import {
   getUserMemories, 
   searchUserMemories, 
   deleteUserMemories, 
+  deleteMemoryById,
   setUserPreference, 
   getUserMemoryStats,
   getTimeAgo,
@@ -19,9 +20,24 @@ import {
   updateServerMemory,
   getUserMemoryById,
   getServerMemoryById,
-  getServerMemoryByPartialId
+  getServerMemoryByPartialId,
+  getAllUserMemories,
+  getAllServerMemories,
+  insertServerMemories
 } from '../supabase/supabase.js';
 import { safeAsync } from './errorHandler.js';
+import { FACT_STATUS } from './factExtraction.js';
+import {
+  buildUserExport,
+  formatUserExportMarkdown,
+  buildServerExport,
+  formatServerExportMarkdown,
+  prepareServerImport,
+  exportFileName
+} from './memoryTransfer.js';
+
+const MIN_EXPIRY_MS = 5 * 60 * 1000;
+const MAX_EXPIRY_MS = 365 * 24 * 60 * 60 * 1000;
 
 /**
  * User Memory Operations
@@ -55,6 +71,9 @@ export class UserMemoryManager {
           type: memory.context_type,
           timeAgo,
           content: memory.memory_content,
+          metadata: memory.metadata || {},
+          pinned: Boolean(memory.pinned),
+          expiresAt: memory.expires_at || null,
           preview: memory.memory_content.substring(0, 100) + 
                   (memory.memory_content.length > 100 ? '...' : '')
         };
@@ -135,6 +154,9 @@ export class UserMemoryManager {
           type: memory.context_type,
           timeAgo,
           content: memory.memory_content,
+          metadata: memory.metadata || {},
+          pinned: Boolean(memory.pinned),
+          expiresAt: memory.expires_at || null,
           preview: memory.memory_content.substring(0, 100) + 
                   (memory.memory_content.length > 100 ? '...' : '')
         };
@@ -149,6 +171,113 @@ export class UserMemoryManager {
     }, { success: false, error: 'Failed to search memories' }, 'user_memory_search');
   }
 
+  /**
+   * Pin a memory so the automatic cleanup never removes it (any expiry is cleared)
+   */
+  static async pinMemory(memoryId, userId) {
+    return await safeAsync(async () => {
+      const existing = await getUserMemoryById(memoryId, userId);
+      if (!existing) {
+        return { success: false, error: 'Memory not found or you don\'t have permission to pin it.' };
+      }
+
+      const updated = await updateUserMemory(memoryId, { pinned: true, expires_at: null });
+      if (!updated) {
+        return { success: false, error: 'Failed to pin memory' };
+      }
+
+      return {
+        success: true,
+        message: `📌 Pinned memory \`${memoryId}\`. It won't be cleaned up automatically.`
+      };
+    }, { success: false, error: 'Failed to pin memory' }, 'user_memory_pin');
+  }
+
+  /**
+   * Make a memory expire after a duration, or keep it with duration "never" (unpins it either way)
+   */
+  static async setExpiry(memoryId, userId, duration) {
+    return await safeAsync(async () => {
+      const parsed = MemoryUtils.parseDuration(duration);
+      if (!parsed.valid) {
+        return { success: false, error: parsed.error };
+      }
+
+      const existing = await getUserMemoryById(memoryId, userId);
+      if (!existing) {
+        return { success: false, error: 'Memory not found or you don\'t have permission to change it.' };
+      }
+
+      const expiresAt = parsed.ms === null ? null : new Date(Date.now() + parsed.ms).toISOString();
+      const updated = await updateUserMemory(memoryId, { expires_at: expiresAt, pinned: false });
+      if (!updated) {
+        return { success: false, error: 'Failed to set memory expiry' };
+      }
+
+      return {
+        success: true,
+        expiresAt,
+        message: expiresAt
+          ? `⏳ Memory \`${memoryId}\` will be forgotten <t:${Math.floor(new Date(expiresAt).getTime() / 1000)}:R>.`
+          : `♾️ Memory \`${memoryId}\` no longer expires.`
+      };
+    }, { success: false, error: 'Failed to set memory expiry' }, 'user_memory_expire');
+  }
+
+  /**
+   * Build a file with everything stored about the user
+   * @param {string} format - 'json' or 'markdown'
+   */
+  static async exportMemories(userId, format = 'json') {
+    return await safeAsync(async () => {
+      const memories = await getAllUserMemories(userId);
+      if (!memories) {
+        return { success: false, error: 'Failed to read your memories.' };
+      }
+
+      const exportData = buildUserExport(userId, memories);
+
+      return {
+        success: true,
+        total: memories.length,
+        fileName: exportFileName('bepo-memories', format),
+        content: format === 'markdown' ? formatUserExportMarkdown(exportData) : JSON.stringify(exportData, null, 2)
+      };
+    }, { success: false, error: 'Failed to export memories' }, 'user_memory_export');
+  }
+
+  /**
+   * Pin or reject facts Bepo extracted from conversations
+   * Pinned facts are never changed by later extraction; rejected ones stay out of replies and only come back with a new value
+   */
+  static async reviewFacts(userId, factIds, action) {
+    return await safeAsync(async () => {
+      const status = action === 'pin' ? FACT_STATUS.PINNED : FACT_STATUS.REJECTED;
+      let reviewed = 0;
+
+      for (const factId of factIds) {
+        const fact = await getUserMemoryById(factId, userId);
+        if (!fact || fact.context_type !== 'fact') continue;
+
+        const updated = await updateUserMemory(factId, { metadata: { ...fact.metadata, status, reviewed_at: new Date().toISOString() } });
+        if (updated) reviewed++;
+      }
+
+      if (reviewed === 0) {
+        return {
+          success: false,
+          error: 'None of those facts were found.'
+        };
+      }
+
+      return {
+        success: true,
+        reviewed,
+        message: `${action === 'pin' ? '📌 Pinned' : '🚫 Rejected'} ${reviewed} fact${reviewed === 1 ? '' : 's'}.`
+      };
+    }, { success: false, error: 'Failed to review facts' }, 'user_fact_review');
+  }
+
   /**
    * Update user memory
    */
@@ -175,7 +304,10 @@ export class UserMemoryManager {
         };
       }
 
-      await updateUserMemory(memoryId, updates);
+      const updated = await updateUserMemory(memoryId, updates);
+      if (!updated) {
+        return { success: false, error: 'Failed to update memory' };
+      }
       
       return {
         success: true,
@@ -186,6 +318,35 @@ export class UserMemoryManager {
       };
     }, { success: false, error: 'Failed to update memory' }, 'user_memory_update');
   }
+
+  /**
+   * Delete a single user memory (userId null for admin deletes)
+   */
+  static async deleteMemory(memoryId, userId = null) {
+    return await safeAsync(async () => {
+      const existing = userId === null
+        ? await getUserMemoryById(memoryId)
+        : await getUserMemoryById(memoryId, userId);
+
+      if (!existing) {
+        return {
+          success: false,
+          error: 'Memory not found or you don\'t have permission to delete it.'
+        };
+      }
+
+      const deleted = await deleteMemoryById(memoryId);
+      if (!deleted) {
+        return { success: false, error: 'Failed to delete memory.' };
+      }
+
+      return {
+        success: true,
+        message: 'Memory deleted successfully.',
+        memoryId
+      };
+    }, { success: false, error: 'Failed to delete memory' }, 'user_memory_delete');
+  }
 }
 
 /**
@@ -247,7 +408,8 @@ export class ServerMemoryManager {
           content: memory.memory_content,
           preview: memory.memory_content.substring(0, 100) + 
                   (memory.memory_content.length > 100 ? '...' : ''),
-          userId: memory.user_id
+          userId: memory.user_id,
+          expiresAt: memory.expires_at || null
         };
       });
 
@@ -286,7 +448,8 @@ export class ServerMemoryManager {
           content: memory.memory_content,
           preview: memory.memory_content.substring(0, 100) + 
                   (memory.memory_content.length > 100 ? '...' : ''),
-          userId: memory.user_id
+          userId: memory.user_id,
+          expiresAt: memory.expires_at || null
         };
       });
 
@@ -394,6 +557,66 @@ export class ServerMemoryManager {
     }, { success: false, error: 'Failed to update server memory' }, 'server_memory_update');
   }
 
+  /**
+   * Build a file with the server's knowledge base
+   * @param {Object} guild - { id, name }
+   * @param {string} format - 'json' (importable) or 'markdown'
+   */
+  static async exportMemories(guild, format = 'json') {
+    return await safeAsync(async () => {
+      const memories = await getAllServerMemories(guild.id);
+      if (!memories) {
+        return { success: false, error: 'Failed to read server memories.' };
+      }
+
+      const exportData = buildServerExport(guild, memories);
+
+      return {
+        success: true,
+        total: memories.length,
+        fileName: exportFileName(`bepo-server-memories-${guild.id}`, format),
+        content: format === 'markdown' ? formatServerExportMarkdown(exportData) : JSON.stringify(exportData, null, 2)
+      };
+    }, { success: false, error: 'Failed to export server memories' }, 'server_memory_export');
+  }
+
+  /**
+   * Add the memories from a /servermemory export file, skipping ones the server already has
+   * @param {string} fileText - Contents of the uploaded JSON file
+   */
+  static async importMemories(serverId, userId, fileText) {
+    return await safeAsync(async () => {
+      let data;
+      try {
+        data = JSON.parse(fileText);
+      } catch {
+        return { success: false, error: 'That file isn\'t valid JSON.' };
+      }
+
+      const existing = await getAllServerMemories(serverId);
+      if (!existing) {
+        return { success: false, error: 'Failed to read the current server memories.' };
+      }
+
+      const prepared = prepareServerImport(data, existing);
+      if (!prepared.valid) {
+        return { success: false, error: prepared.error };
+      }
+
+      const inserted = await insertServerMemories(serverId, userId, prepared.memories);
+      if (!inserted) {
+        return { success: false, error: 'Failed to save the imported memories.' };
+      }
+
+      return {
+        success: true,
+        imported: inserted.length,
+        duplicates: prepared.duplicates,
+        invalid: prepared.invalid
+      };
+    }, { success: false, error: 'Failed to import server memories' }, 'server_memory_import');
+  }
+
   /**
    * Get memory by partial ID (for admin use)
    */
@@ -458,7 +681,8 @@ export const MemoryUtils = {
     }
 
     const formatted = memories.map(memory => {
-      return `${memory.index}. **${memory.type}** (${memory.timeAgo}) \`ID: ${memory.id}\`\n   ${memory.preview}`;
+      const lifetime = MemoryUtils.formatLifetime(memory);
+      return `${memory.index}. **${memory.type}** (${memory.timeAgo}${lifetime ? ` • ${lifetime}` : ''}) \`ID: ${memory.id}\`\n   ${memory.preview}`;
     }).join('\n\n');
 
     if (showMore && memories.length >= 10) {
@@ -468,6 +692,79 @@ export const MemoryUtils = {
     return formatted;
   },
 
+  /**
+   * Format extracted facts with their review status, confidence and source message
+   */
+  formatFactList(facts) {
+    if (!facts || facts.length === 0) {
+      return 'No facts found.';
+    }
+
+    const statusIcons = { [FACT_STATUS.PINNED]: '📌', [FACT_STATUS.REJECTED]: '🚫', [FACT_STATUS.PENDING]: '❔' };
+
+    return facts.map(fact => {
+      const { status = FACT_STATUS.PENDING, confidence, source_message_url: sourceUrl } = fact.metadata || {};
+      const details = [
+        `${Math.round((confidence ?? 0) * 100)}% sure`,
+        fact.timeAgo,
+        sourceUrl ? `[source](${sourceUrl})` : null
+      ].filter(Boolean).join(' • ');
+
+      return `${fact.index}. ${statusIcons[status] || '❔'} ${fact.preview}\n   ${details} \`ID: ${fact.id}\``;
+    }).join('\n\n');
+  },
+
+  /**
+   * Parse a duration such as "30m", "12h", "3d", "1w" or "1d12h"; "never" means no expiry
+   * @returns {Object} { valid: true, ms } (ms is null for "never") or { valid: false, error }
+   */
+  parseDuration(input) {
+    const text = (input || '').toLowerCase().replace(/\s+/g, '');
+    if (['never', 'none', 'forever'].includes(text)) {
+      return { valid: true, ms: null };
+    }
+
+    const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+    const parts = [...text.matchAll(/(\d+)([mhdw])/g)];
+    if (!text || parts.length === 0 || parts.map(part => part[0]).join('') !== text) {
+      return { valid: false, error: 'Use a duration like `30m`, `12h`, `3d`, `1w` or `never`.' };
+    }
+
+    const ms = parts.reduce((total, [, amount, unit]) => total + Number(amount) * unitMs[unit], 0);
+    if (ms < MIN_EXPIRY_MS || ms > MAX_EXPIRY_MS) {
+      return { valid: false, error: 'Durations must be between 5 minutes and 365 days.' };
+    }
+
+    return { valid: true, ms };
+  },
+
+  /**
+   * Time left before a memory expires, e.g. "2d 5h" (or "expired")
+   */
+  formatTimeLeft(expiresAt, now = Date.now()) {
+    const msLeft = new Date(expiresAt).getTime() - now;
+    if (msLeft <= 0) return 'expired';
+
+    const minutes = Math.floor(msLeft / (60 * 1000));
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor((minutes % (24 * 60)) / 60);
+
+    if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${Math.max(minutes, 1)}m`;
+  },
+
+  /**
+   * Pinned / time-left label for memory lists, or null for memories that are kept until cleaned up
+   */
+  formatLifetime(memory) {
+    if (memory.pinned) return '📌 pinned';
+    if (!memory.expiresAt) return null;
+
+    const timeLeft = MemoryUtils.formatTimeLeft(memory.expiresAt);
+    return timeLeft === 'expired' ? '⏳ expired' : `⏳ ${timeLeft} left`;
+  },
+
   /**
    * Parse memory ID from user input
    */
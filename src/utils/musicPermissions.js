@@ -0,0 +1,57 @@
+/**
+ * Who may control shared music sessions
+ * DJs, vote-skip thresholds and per-user queue limits
+ */
+import { PermissionManager } from './guildConfig.js';
+
+export const DEFAULT_VOTE_SKIP_RATIO = 0.5;
+
+/**
+ * Whether a member is a DJ: they have the server's DJ role or can manage the server
+ * @param {Object} member - Discord guild member
+ * @param {Object} settings - Guild music settings
+ * @returns {Promise<boolean>} Whether the member is a DJ
+ */
+export async function isDJ(member, settings) {
+  if (!member) return false;
+  if (settings?.dj_role_id && member.roles?.cache?.has(settings.dj_role_id)) {
+    return true;
+  }
+  return PermissionManager.hasPermission(member, member.guild?.id, 'moderate');
+}
+
+/**
+ * People (not bots) in a voice channel
+ * @param {Object|null} channel - Discord voice channel
+ * @returns {string[]} User IDs
+ */
+export function getListenerIds(channel) {
+  if (!channel?.members) return [];
+  return [...channel.members.values()]
+    .filter(member => !member.user?.bot)
+    .map(member => member.id);
+}
+
+/**
+ * Votes needed to skip a song
+ * @param {number} listenerCount - People in the voice channel
+ * @param {number} ratio - Share of listeners needed (0-1)
+ * @returns {number} Votes needed (at least 1)
+ */
+export function getRequiredVotes(listenerCount, ratio = DEFAULT_VOTE_SKIP_RATIO) {
+  return Math.max(1, Math.ceil(listenerCount * ratio));
+}
+
+/**
+ * Songs a user has in the queue that haven't finished playing (the current one included)
+ * @param {Object|null} queueData - Queue data
+ * @param {string} userId - Discord user ID
+ * @returns {number} Song count
+ */
+export function countQueuedSongs(queueData, userId) {
+  if (!queueData || queueData.isFinished) return 0;
+  return queueData.songs
+    .slice(Math.max(queueData.currentIndex, 0))
+    .filter(song => song.requestedBy === userId)
+    .length;
+}
@@ -0,0 +1,109 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// One file for every guild's queue, rewritten whenever a queue changes
+export const MUSIC_QUEUES_FILE = path.join(__dirname, '../../data/music-queues.json');
+
+// ask: post a Resume button after a restart, auto: rejoin and play straight away, off: forget saved queues
+export const RESUME_MODES = ['ask', 'auto', 'off'];
+
+const SAVE_DELAY = 1000; // Coalesce bursts of changes (e.g. adding a playlist) into one write
+
+/**
+ * Read the resume mode from MUSIC_RESUME, falling back to 'ask'
+ * @returns {string} One of RESUME_MODES
+ */
+export function getResumeMode() {
+  const mode = (process.env.MUSIC_RESUME || 'ask').toLowerCase();
+  return RESUME_MODES.includes(mode) ? mode : 'ask';
+}
+
+/**
+ * Saves music queue snapshots to disk so they survive restarts and crashes.
+ * The snapshot callback is read when the write happens, so a burst of changes
+ * is written once with the latest state.
+ */
+export class MusicQueueStore {
+  /**
+   * @param {Function} getSnapshot - Returns { [guildId]: savedQueue } for every queue worth keeping
+   * @param {Object} options - filePath and saveDelay (ms)
+   */
+  constructor(getSnapshot, { filePath = MUSIC_QUEUES_FILE, saveDelay = SAVE_DELAY } = {}) {
+    this.getSnapshot = getSnapshot;
+    this.filePath = filePath;
+    this.saveDelay = saveDelay;
+    this.saveTimer = null;
+    this.writing = Promise.resolve(); // Writes run one at a time
+    this.closed = false;
+  }
+
+  // Save soon, after any other changes in the same burst
+  scheduleSave() {
+    if (this.closed || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.saveDelay);
+  }
+
+  /**
+   * Write the current snapshot now
+   * @returns {Promise<boolean>} Whether the write succeeded
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const write = this.writing.then(() => this._write(this.getSnapshot()));
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  async _write(queues) {
+    try {
+      const data = { version: 1, savedAt: new Date().toISOString(), queues };
+      const tempFilePath = this.filePath + '.tmp';
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempFilePath, JSON.stringify(data, null, 2));
+      await fs.rename(tempFilePath, this.filePath);
+      return true;
+    } catch (error) {
+      console.error('[MUSIC_QUEUE] Failed to save music queues:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Read the saved queues
+   * @returns {Promise<Object>} { [guildId]: savedQueue }, empty if nothing was saved
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return data.queues && typeof data.queues === 'object' ? data.queues : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[MUSIC_QUEUE] Failed to read saved music queues:', error.message);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Write the final snapshot and ignore every change after it (used on shutdown,
+   * so stopping the players doesn't overwrite the queues that should resume)
+   * @returns {Promise<boolean>} Whether the final write succeeded
+   */
+  async close() {
+    this.closed = true;
+    return this.flush();
+  }
+}
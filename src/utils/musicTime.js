@@ -0,0 +1,71 @@
+/**
+ * Time helpers for the music player
+ * Song durations come from yt-dlp and Spotify as "m:ss" or "h:mm:ss" text
+ */
+
+/**
+ * Parse a timestamp such as "1:23", "01:02:03" or "83"
+ * @param {string|number} value - Timestamp or number of seconds
+ * @returns {number|null} Seconds, or null if it isn't a timestamp (e.g. "Unknown")
+ */
+export function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}$/.test(value.trim())) {
+    return null;
+  }
+
+  const parts = value.trim().split(':').map(Number);
+  if (parts.slice(1).some(part => part >= 60)) return null;
+
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Format seconds as "m:ss", or "h:mm:ss" from an hour up
+ * @param {number} seconds - Seconds
+ * @returns {string} Timestamp
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Text progress bar for the now playing message
+ * @param {number} position - Seconds played
+ * @param {number|null} duration - Song length in seconds (null if unknown)
+ * @param {number} size - Bar length in characters
+ * @returns {string} Bar followed by "elapsed / total"
+ */
+export function createProgressBar(position, duration, size = 15) {
+  if (!duration) {
+    return `🔘${'▬'.repeat(size - 1)} ${formatTimestamp(position)}`;
+  }
+
+  const elapsed = Math.min(position, duration);
+  const marker = Math.min(size - 1, Math.floor((elapsed / duration) * size));
+  const bar = '▬'.repeat(marker) + '🔘' + '▬'.repeat(size - marker - 1);
+
+  return `${bar} ${formatTimestamp(elapsed)} / ${formatTimestamp(duration)}`;
+}
+
+/**
+ * Describe a total listening time, like "45 min" or "12.5 hours"
+ * @param {number} seconds - Seconds listened
+ * @returns {string} Readable total
+ */
+export function formatListeningTime(seconds) {
+  const minutes = Math.round(Math.max(0, seconds) / 60);
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.round(minutes / 6) / 10; // One decimal place
+  return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+}
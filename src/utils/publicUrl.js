@@ -0,0 +1,80 @@
+/**
+ * Public URL checks
+ * Links users hand the bot (like /play URLs) must not reach the bot host itself, its cloud metadata service or the LAN
+ */
+import { lookup } from 'dns/promises';
+import { BlockList } from 'net';
+
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const privateRanges = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => privateRanges.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @param {number} family - 4 or 6
+ * @returns {boolean} Whether it's public
+ */
+export function isPublicAddress(address, family) {
+  // BlockList matches IPv4 addresses against ::ffff:0:0/96 too, so IPv4-mapped IPv6 addresses are refused here instead
+  if (family === 6 && /^::ffff:/i.test(address)) return false;
+  return !privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether a link is http(s) and every address its host resolves to is public
+ * @param {string} url - Link to check
+ * @returns {Promise<boolean>} Whether the bot may fetch it
+ */
+export async function isPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return false;
+
+  // IPv6 literals keep their brackets in hostname
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  try {
+    const addresses = await lookup(hostname, { all: true, verbatim: true });
+    return addresses.length > 0 && addresses.every(({ address, family }) => isPublicAddress(address, family));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * fetch() for links from users: each hop, including redirects, has to be a public address
+ * @param {string} url - Link to fetch
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>} Response from the final hop
+ */
+export async function fetchPublicUrl(url, init = {}) {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    if (!await isPublicUrl(current)) {
+      throw new Error(`Refusing to fetch ${current}: it isn't a public address`);
+    }
+
+    const response = await fetch(current, { ...init, redirect: 'manual' });
+    const location = response.headers?.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      current = new URL(location, current).href;
+      continue;
+    }
+    return response;
+  }
+
+  throw new Error(`Too many redirects fetching ${url}`);
+}
@@ -0,0 +1,279 @@
+/**
+ * Per-guild meme reaction rules
+ * Decides which emoji reactions memeFilter() adds, based on rules managed with /reactions
+ */
+
+import { getReactionRules, incrementReactionRuleHits } from '../supabase/supabase.js';
+import { matchesRuleRegex, validateRegexPattern } from './safeRegex.js';
+
+export const REACTION_MATCH_TYPES = ['keyword', 'regex'];
+export const MAX_REACTION_PATTERN_LENGTH = 200;
+export const MAX_EMOJI_POOL_SIZE = 20;
+
+const RULE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes - rules are checked on every message
+
+const ruleCache = new Map(); // guildId -> { rules, timestamp }
+const sessionHits = new Map(); // rule key -> hits since startup (covers built-in rules too)
+
+/**
+ * Built-in rules used by guilds that have no rules of their own, including guilds that removed all of theirs.
+ * Only the meme_reactions_enabled flag turns reactions off.
+ * `/reactions defaults` copies these into the guild so they can be edited.
+ */
+export const DEFAULT_REACTION_RULES = [
+  {
+    name: 'pex love',
+    pattern: 'pex',
+    match_type: 'keyword',
+    emojis: ['🥰', '😍', '😘', '❤', '💖', '💕', '😻'],
+    probability: 0.18,
+    min_delay_ms: 2500,
+    max_delay_ms: 2500,
+    channel_ids: []
+  },
+  {
+    name: 'prayge',
+    pattern: 'allah, jesus, prayge',
+    match_type: 'keyword',
+    emojis: ['🙏', '🛐', '✝️', '☪️', '📿'],
+    probability: 0.18,
+    min_delay_ms: 2500,
+    max_delay_ms: 2500,
+    channel_ids: []
+  },
+  {
+    name: 'hero shooters',
+    pattern: '\\bOW\\b|overwatch|valorant',
+    match_type: 'regex',
+    emojis: ['😒', '🙄', '😕', '😠', '👎', '😡', '😤', '😣'],
+    probability: 0.18,
+    min_delay_ms: 2500,
+    max_delay_ms: 2500,
+    channel_ids: []
+  },
+  {
+    name: 'lickinglips',
+    pattern: '.',
+    match_type: 'regex',
+    emojis: [':lickinglips:'],
+    fallback_emoji: '😋',
+    probability: 0.001,
+    min_delay_ms: 1000,
+    max_delay_ms: 4000,
+    channel_ids: []
+  }
+];
+
+/**
+ * Stable key for hit counting (built-in rules have no database ID)
+ * @param {Object} rule - Reaction rule
+ * @returns {string} Rule key
+ */
+export function getRuleKey(rule) {
+  return rule.id || `default:${rule.name}`;
+}
+
+/**
+ * Check whether message content matches a rule
+ * Keyword rules take a comma-separated list and match any of them case-insensitively.
+ * @param {Object} rule - Reaction rule
+ * @param {string} content - Raw message content
+ * @returns {boolean} Whether the rule matches
+ */
+export function matchesReactionRule(rule, content) {
+  if (!content) return false;
+
+  if (rule.match_type === 'regex') {
+    return matchesRuleRegex(rule, content);
+  }
+
+  const lowered = content.toLowerCase();
+  return parseKeywords(rule.pattern).some(keyword => lowered.includes(keyword));
+}
+
+/**
+ * Split a keyword pattern into lowercase keywords
+ * @param {string} pattern - Comma-separated keywords
+ * @returns {Array<string>} Keywords
+ */
+export function parseKeywords(pattern) {
+  return (pattern || '')
+    .split(',')
+    .map(keyword => keyword.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Check the rule's channel allowlist (empty list means every channel)
+ * @param {Object} rule - Reaction rule
+ * @param {Message} message - Discord message object
+ * @returns {boolean} Whether the rule may fire in this channel
+ */
+export function isReactionRuleInChannel(rule, message) {
+  if (!rule.channel_ids || rule.channel_ids.length === 0) return true;
+
+  // Threads inherit their parent channel's allowlist entry
+  const parentId = message.channel?.isThread?.() ? message.channel.parentId : null;
+  return rule.channel_ids.includes(message.channelId) || (!!parentId && rule.channel_ids.includes(parentId));
+}
+
+/**
+ * Parse an emoji list typed into a slash command
+ * Accepts unicode emoji, custom emoji (<:name:id>) and custom emoji names (:name:)
+ * @param {string} input - Space or comma separated emoji
+ * @returns {Array<string>} Emoji pool entries
+ */
+export function parseEmojiPool(input) {
+  return (input || '')
+    .split(/[\s,]+/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .slice(0, MAX_EMOJI_POOL_SIZE);
+}
+
+/**
+ * Check that a pool entry looks like something Discord can react with
+ * @param {string} entry - Pool entry
+ * @returns {boolean} Whether the entry is a unicode or custom emoji
+ */
+export function isValidPoolEntry(entry) {
+  return /^<a?:\w+:\d+>$/.test(entry)
+    || /^:\w+:$/.test(entry)
+    || (/^[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Modifier}\u200d\ufe0f\u20e3#*0-9]+$/u.test(entry)
+      && /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u.test(entry));
+}
+
+/**
+ * Resolve a pool entry to something message.react() accepts
+ * Custom emoji names are looked up in the guild first, then anywhere the bot can see.
+ * @param {string} entry - Pool entry
+ * @param {Message} message - Discord message object
+ * @returns {string|Object|null} Reactable emoji or null if a custom emoji can't be found
+ */
+export function resolvePoolEmoji(entry, message) {
+  const nameMatch = entry.match(/^:(\w+):$/);
+  if (!nameMatch) return entry;
+
+  const name = nameMatch[1];
+  return message.guild?.emojis.cache.find(emoji => emoji.name === name)
+    || message.client?.emojis.cache.find(emoji => emoji.name === name)
+    || null;
+}
+
+/**
+ * Pick a random emoji from the rule's pool, skipping custom emoji this guild can't use
+ * @param {Object} rule - Reaction rule
+ * @param {Message} message - Discord message object
+ * @returns {string|Object|null} Emoji to react with, or the rule's fallback if none can be used
+ */
+export function pickReactionEmoji(rule, message) {
+  const available = (rule.emojis || [])
+    .map(entry => resolvePoolEmoji(entry, message))
+    .filter(Boolean);
+
+  if (available.length === 0) return rule.fallback_emoji || null;
+  return available[Math.floor(Math.random() * available.length)];
+}
+
+/**
+ * Random delay within the rule's range
+ * @param {Object} rule - Reaction rule
+ * @returns {number} Delay in milliseconds
+ */
+export function getReactionDelay(rule) {
+  const min = rule.min_delay_ms ?? 2500;
+  const max = Math.max(min, rule.max_delay_ms ?? min);
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Validate a reaction rule before it is stored
+ * @param {Object} rule - Reaction rule
+ * @returns {Object} { valid, error }
+ */
+export function validateReactionRule(rule) {
+  if (!rule.pattern || !rule.pattern.trim()) {
+    return { valid: false, error: 'Pattern cannot be empty.' };
+  }
+  if (rule.pattern.length > MAX_REACTION_PATTERN_LENGTH) {
+    return { valid: false, error: `Pattern is too long (max ${MAX_REACTION_PATTERN_LENGTH} characters).` };
+  }
+  if (!REACTION_MATCH_TYPES.includes(rule.match_type)) {
+    return { valid: false, error: `Match type must be one of: ${REACTION_MATCH_TYPES.join(', ')}.` };
+  }
+  if (rule.match_type === 'regex') {
+    const regexCheck = validateRegexPattern(rule.pattern);
+    if (!regexCheck.valid) return regexCheck;
+  }
+  if (!rule.emojis || rule.emojis.length === 0) {
+    return { valid: false, error: 'Add at least one emoji to the pool.' };
+  }
+  const invalidEntry = rule.emojis.find(entry => !isValidPoolEntry(entry));
+  if (invalidEntry) {
+    return { valid: false, error: `"${invalidEntry}" is not an emoji. Use unicode emoji, custom emoji or :name:.` };
+  }
+  // The fallback is used when custom emoji are missing, so it has to be one that always works
+  if (rule.fallback_emoji && (!isValidPoolEntry(rule.fallback_emoji) || /:\w+:/.test(rule.fallback_emoji))) {
+    return { valid: false, error: 'The fallback must be a unicode emoji.' };
+  }
+  if (rule.probability <= 0 || rule.probability > 1) {
+    return { valid: false, error: 'Chance must be between 0.1 and 100 percent.' };
+  }
+  if (rule.min_delay_ms < 0 || rule.max_delay_ms < rule.min_delay_ms) {
+    return { valid: false, error: 'Delay range must be non-negative with max delay at least the min delay.' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Get the reaction rules that apply to a guild (cached)
+ * Guilds without rules of their own (and DMs) use DEFAULT_REACTION_RULES, even after removing every rule.
+ * @param {string|null} guildId - Discord guild ID
+ * @returns {Promise<Array>} Reaction rules
+ */
+export async function getGuildReactionRules(guildId) {
+  if (!guildId) return DEFAULT_REACTION_RULES;
+
+  const cached = ruleCache.get(guildId);
+  if (cached && Date.now() - cached.timestamp < RULE_CACHE_TTL) {
+    return cached.rules;
+  }
+
+  const stored = await getReactionRules(guildId);
+  const rules = stored.length > 0 ? stored : DEFAULT_REACTION_RULES;
+  ruleCache.set(guildId, { rules, timestamp: Date.now() });
+  return rules;
+}
+
+/**
+ * Drop cached rules after /reactions changes
+ * @param {string} guildId - Discord guild ID
+ */
+export function invalidateReactionCache(guildId) {
+  ruleCache.delete(guildId);
+}
+
+/**
+ * Hits recorded since the bot started
+ * @param {Object} rule - Reaction rule
+ * @returns {number} Session hit count
+ */
+export function getSessionHits(rule) {
+  return sessionHits.get(getRuleKey(rule)) || 0;
+}
+
+/**
+ * Count a rule firing - stored rules also bump their persistent counter
+ * @param {Object} rule - Reaction rule
+ */
+export function recordReactionHit(rule) {
+  const key = getRuleKey(rule);
+  sessionHits.set(key, (sessionHits.get(key) || 0) + 1);
+
+  if (rule.id) {
+    // Fire-and-forget: a lost hit count is not worth delaying the reaction
+    incrementReactionRuleHits(rule.id).catch(error => {
+      console.error('Failed to record reaction rule hit:', error);
+    });
+  }
+}
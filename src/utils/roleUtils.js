@@ -5,6 +5,7 @@
 import { ButtonBuilder, ButtonStyle, ActionRowBuilder } from 'discord.js';
 import { safeAsync } from './errorHandler.js';
 import { getBZBannedRoles } from '../supabase/supabase.js';
+import { GuildConfigManager } from './guildConfig.js';
 
 /**
  * Role Management Operations
@@ -218,9 +219,7 @@ export class RoleManager {
    * Check if server allows role commands
    */
   static async isRoleCommandAllowed(guildId) {
-    // For now, allow role commands in all servers
-    // This can be expanded later with a proper guild config system
-    return true;
+    return await GuildConfigManager.isFeatureEnabled(guildId, 'role_commands_enabled');
   }
 
   /**
@@ -0,0 +1,140 @@
+/**
+ * Safe regex matching for moderator-supplied patterns
+ * Trigger and reaction rules run their patterns against every message on the event loop,
+ * so patterns that can backtrack catastrophically are refused and compiled patterns are cached.
+ */
+
+// Only the start of long messages is tested - keeps even slow (polynomial) patterns cheap
+export const MAX_MATCHED_CONTENT_LENGTH = 1000;
+
+const compiledRules = new WeakMap(); // rule -> RegExp, or null when the pattern is unusable
+
+/**
+ * Read a quantifier starting at `index`
+ * @param {string} pattern - Regex source
+ * @param {number} index - Position right after an atom or group
+ * @returns {Object|null} { end, variable, repeats } or null if there is no quantifier
+ */
+function readQuantifier(pattern, index) {
+  let end;
+  let min;
+  let max;
+
+  const char = pattern[index];
+  if (char === '*' || char === '+' || char === '?') {
+    end = index + 1;
+    min = char === '+' ? 1 : 0;
+    max = char === '?' ? 1 : Infinity;
+  } else if (char === '{') {
+    const braces = pattern.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!braces) return null;
+    end = index + braces[0].length;
+    min = Number(braces[1]);
+    max = !braces[2] ? min : braces[3] === '' ? Infinity : Number(braces[3]);
+  } else {
+    return null;
+  }
+
+  // Lazy modifier
+  if (pattern[end] === '?') end++;
+
+  return { end, variable: max > min, repeats: max > 1 };
+}
+
+/**
+ * Find a repeated group that can match the same text in more than one way: one that contains
+ * a variable-length quantifier, like (a+)+ or (\w*)*, or an alternation, like (a|aa)+ or (.|\s)*
+ * Those are the patterns that backtrack exponentially on input that almost matches.
+ * Alternations are refused even when their branches look distinct, since overlap is hard to rule out.
+ * @param {string} pattern - Regex source
+ * @returns {string|null} The offending group, or null if none was found
+ */
+export function findUnsafeRepetition(pattern) {
+  const groups = [{ start: 0, variable: false, alternation: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Character classes can't nest quantifiers - skip to the closing bracket
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ start: i, variable: false, alternation: false });
+      // (?: (?= (?! (?<name> - the ? is part of the group, not a quantifier
+      if (pattern[i + 1] === '?') i++;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const quantifier = readQuantifier(pattern, i + 1);
+      if (quantifier?.repeats && (group.variable || group.alternation)) {
+        return pattern.slice(group.start, quantifier.end);
+      }
+      const parent = groups[groups.length - 1];
+      parent.variable ||= group.variable || !!quantifier?.variable;
+      parent.alternation ||= group.alternation;
+      if (quantifier) i = quantifier.end - 1;
+    } else {
+      const quantifier = readQuantifier(pattern, i);
+      if (quantifier) {
+        groups[groups.length - 1].variable ||= quantifier.variable;
+        i = quantifier.end - 1;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a regex pattern before a rule is stored
+ * @param {string} pattern - Regex source
+ * @returns {Object} { valid, error }
+ */
+export function validateRegexPattern(pattern) {
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return { valid: false, error: `Invalid regex: ${error.message}` };
+  }
+
+  const unsafe = findUnsafeRepetition(pattern);
+  if (unsafe) {
+    return {
+      valid: false,
+      error: `Regex is too slow to run on every message: \`${unsafe}\` repeats a group that contains a quantifier or \`|\`. ` +
+        'Use a character class like `[ab]+` or remove the outer quantifier.'
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Compiled regex for a rule, built once per rule object
+ * Patterns that are invalid or unsafe (stored before the check existed) never match.
+ * @param {Object} rule - Rule with a regex `pattern`
+ * @returns {RegExp|null} Case-insensitive regex
+ */
+export function getRuleRegex(rule) {
+  if (compiledRules.has(rule)) return compiledRules.get(rule);
+
+  const regex = validateRegexPattern(rule.pattern).valid ? new RegExp(rule.pattern, 'i') : null;
+  compiledRules.set(rule, regex);
+  return regex;
+}
+
+/**
+ * Test a rule's regex against message content
+ * @param {Object} rule - Rule with a regex `pattern`
+ * @param {string} content - Raw message content
+ * @returns {boolean} Whether the pattern matches
+ */
+export function matchesRuleRegex(rule, content) {
+  const regex = getRuleRegex(rule);
+  return !!regex && regex.test((content || '').slice(0, MAX_MATCHED_CONTENT_LENGTH));
+}
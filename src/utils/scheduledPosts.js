@@ -0,0 +1,511 @@
+/**
+ * Scheduled posts
+ * Cron/weekday schedules with timezones, persisted in Supabase and managed with /schedule.
+ * Replaces the old hardcoded Sunday image and game time checks.
+ */
+
+import { AttachmentBuilder } from 'discord.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  getScheduledPosts,
+  getDueScheduledPosts,
+  insertScheduledPost,
+  claimScheduledPostRun,
+  getLastDigestRun,
+  insertDigestRun
+} from '../supabase/supabase.js';
+import { DigestManager } from './digestUtils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUNDLED_IMAGE_DIR = path.join(__dirname, '..', 'images');
+const BUNDLED_IMAGE_PREFIX = 'bundled:';
+
+export const POST_TYPES = ['text', 'image', 'role_ping', 'digest'];
+export const MISSED_RUN_POLICIES = ['catch_up', 'skip'];
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+// Runs that are at most this late are posted even with the skip policy (covers a slow tick)
+export const MISSED_RUN_GRACE_MS = 5 * 60 * 1000;
+
+// Give up looking for the next run after this long (e.g. "0 0 30 2 *" never happens)
+const MAX_LOOKAHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DAY_PRESETS = {
+  daily: '*',
+  everyday: '*',
+  weekdays: '1-5',
+  weekends: '0,6'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+const formatterCache = new Map(); // timezone -> Intl.DateTimeFormat
+
+/**
+ * Check whether a string is an IANA timezone the runtime understands
+ * @param {string} timeZone - e.g. "America/New_York"
+ * @returns {boolean} Whether the timezone is valid
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of a date in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { month, day, hour, minute, weekday } (month 1-12, weekday 0 = Sunday)
+ */
+export function getZonedParts(date, timeZone) {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * Parse a single cron value, accepting day/month names where the field allows them
+ */
+function parseCronValue(value, field) {
+  const lowered = value.toLowerCase();
+  if (field.names && field.names.includes(lowered)) {
+    return field.names.indexOf(lowered) + field.nameOffset;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`"${value}" is not a valid ${field.name} value`);
+  }
+
+  const number = Number(value);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return number;
+}
+
+/**
+ * Expand one cron field (lists, ranges and steps) into the set of allowed values
+ */
+function parseCronField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`"${part}" has an invalid step`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseCronValue(from, field);
+      end = parseCronValue(to, field);
+      if (end < start) {
+        throw new Error(`"${rangePart}" is a backwards range`);
+      }
+    } else {
+      start = parseCronValue(rangePart, field);
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - e.g. "0 17 * * sun"
+ * @returns {Object} Parsed fields as Sets, plus whether day fields were restricted
+ * @throws {Error} When the expression is invalid
+ */
+export function parseCron(expression) {
+  const fields = (expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseCronField(fields[index], field);
+  });
+
+  // 7 is Sunday too
+  if (parsed.dayOfWeek.delete(7)) {
+    parsed.dayOfWeek.add(0);
+  }
+
+  parsed.dayOfMonthRestricted = fields[2] !== '*';
+  parsed.dayOfWeekRestricted = fields[4] !== '*';
+  return parsed;
+}
+
+/**
+ * Check a day against the cron's day fields.
+ * Like standard cron, when both day-of-month and day-of-week are set either one may match.
+ */
+function matchesCronDay(cron, parts) {
+  if (!cron.month.has(parts.month)) return false;
+
+  const dayOfMonth = cron.dayOfMonth.has(parts.day);
+  const dayOfWeek = cron.dayOfWeek.has(parts.weekday);
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the next time a cron expression fires after a given instant
+ * @param {string} expression - 5-field cron expression
+ * @param {string} timeZone - IANA timezone the expression is written in
+ * @param {Date} after - Exclusive lower bound
+ * @returns {Date|null} Next run, or null if it never fires within a year
+ */
+export function getNextRun(expression, timeZone, after = new Date()) {
+  const cron = parseCron(expression);
+
+  // Start at the next whole minute
+  let candidate = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  const limit = candidate + MAX_LOOKAHEAD_MS;
+
+  while (candidate <= limit) {
+    const parts = getZonedParts(new Date(candidate), timeZone);
+
+    // Skip whole hours when the day or hour can't match; hour steps stay correct across DST shifts
+    if (!matchesCronDay(cron, parts) || !cron.hour.has(parts.hour)) {
+      candidate += (60 - parts.minute) * 60000;
+      continue;
+    }
+
+    if (cron.minute.has(parts.minute)) {
+      return new Date(candidate);
+    }
+    candidate += 60000;
+  }
+
+  return null;
+}
+
+/**
+ * Turn a weekday/time rule into a cron expression
+ * @param {string} days - "daily", "weekdays", "weekends" or a list like "mon,wed,fri"
+ * @param {string} time - 24-hour "HH:MM" (a trailing am/pm is accepted)
+ * @returns {string} Cron expression
+ * @throws {Error} When the days or time can't be parsed
+ */
+export function buildCronFromWeekly(days, time) {
+  const timeMatch = (time || '').trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!timeMatch) {
+    throw new Error('Time must look like 17:00 or 5pm');
+  }
+
+  let hour = Number(timeMatch[1]);
+  const minute = Number(timeMatch[2] || 0);
+  const meridiem = timeMatch[3];
+  if (meridiem) {
+    if (hour < 1 || hour > 12) throw new Error('Hour must be 1-12 with am/pm');
+    hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59) {
+    throw new Error('Time must be a valid 24-hour time');
+  }
+
+  const normalizedDays = (days || 'daily').trim().toLowerCase().replace(/\s+/g, '');
+  let dayField = DAY_PRESETS[normalizedDays];
+  if (!dayField) {
+    const dayList = normalizedDays.split(',').map(day => day.substring(0, 3));
+    const invalid = dayList.find(day => !DAY_NAMES.includes(day));
+    if (invalid !== undefined) {
+      throw new Error(`"${invalid}" is not a day. Use names like mon,wed,fri or daily/weekdays/weekends`);
+    }
+    dayField = [...new Set(dayList.map(day => DAY_NAMES.indexOf(day)))].sort().join(',');
+  }
+
+  return `${minute} ${hour} * * ${dayField}`;
+}
+
+/**
+ * Describe a cron expression in plain words when it is a simple weekly rule
+ * @param {string} expression - Cron expression
+ * @returns {string} Readable description (falls back to the raw expression)
+ */
+export function describeCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+
+  if (fields.length !== 5 || !/^\d+$/.test(minute) || !/^\d+$/.test(hour) || dayOfMonth !== '*' || month !== '*') {
+    return `cron \`${expression}\``;
+  }
+
+  const time = `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
+  const presetName = Object.entries(DAY_PRESETS).find(([name, value]) => value === dayOfWeek && name !== 'everyday');
+  if (presetName) {
+    return `${presetName[0]} at ${time}`;
+  }
+
+  try {
+    const days = [...parseCronField(dayOfWeek, CRON_FIELDS[4])]
+      .map(day => DAY_NAMES[day % 7])
+      .map(day => day[0].toUpperCase() + day.slice(1));
+    return `${days.join(', ')} at ${time}`;
+  } catch {
+    return `cron \`${expression}\``;
+  }
+}
+
+/**
+ * Validate a scheduled post before it is stored
+ * @param {Object} post - Scheduled post
+ * @returns {Object} { valid, error }
+ */
+export function validateScheduledPost(post) {
+  if (!POST_TYPES.includes(post.post_type)) {
+    return { valid: false, error: `Post type must be one of: ${POST_TYPES.join(', ')}.` };
+  }
+  if (!MISSED_RUN_POLICIES.includes(post.missed_policy)) {
+    return { valid: false, error: `Missed run policy must be one of: ${MISSED_RUN_POLICIES.join(', ')}.` };
+  }
+  if (!isValidTimeZone(post.timezone)) {
+    return { valid: false, error: `"${post.timezone}" is not a timezone. Use an IANA name like America/New_York.` };
+  }
+
+  try {
+    if (!getNextRun(post.cron_expression, post.timezone)) {
+      return { valid: false, error: 'That schedule never fires within the next year.' };
+    }
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+
+  if (post.post_type === 'text' && !post.content?.trim()) {
+    return { valid: false, error: 'Text posts need a message.' };
+  }
+  if (post.post_type === 'image' && !post.image_url) {
+    return { valid: false, error: 'Image posts need an image attachment.' };
+  }
+  if (post.post_type === 'role_ping' && !post.role_id) {
+    return { valid: false, error: 'Role ping posts need a role.' };
+  }
+  if (post.post_type === 'digest' && !post.digest_period) {
+    return { valid: false, error: 'Digest posts need a digest period.' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Generate the digest for a scheduled digest post
+ * The window starts where the last automatic digest for this period ended.
+ * @param {Object} post - Scheduled digest post
+ * @param {Channel} channel - Channel the post goes to
+ * @returns {Promise<Object|null>} { embed, window } or null if generation failed
+ */
+export async function createScheduledDigest(post, channel) {
+  const lastRun = await getLastDigestRun(post.guild_id, post.digest_period);
+  const digestResult = await DigestManager.createDigest(channel.guild, post.digest_period, false, {
+    since: lastRun ? new Date(lastRun.window_end) : null,
+    timeZone: post.timezone
+  });
+
+  if (!digestResult.success) {
+    console.error(`Scheduled digest "${post.name}" failed: ${digestResult.error}`);
+    return null;
+  }
+
+  return {
+    embed: DigestManager.buildDigestEmbed(digestResult.digest, channel.guild),
+    window: digestResult.window
+  };
+}
+
+/**
+ * Build the message payload for a scheduled post
+ * @param {Object} post - Scheduled post
+ * @param {EmbedBuilder|null} digestEmbed - Generated digest for digest posts
+ * @returns {Object} Payload for channel.send()
+ */
+export function buildScheduledPostPayload(post, digestEmbed = null) {
+  const contentParts = [];
+  if (post.role_id) contentParts.push(`<@&${post.role_id}>`);
+  if (post.content) contentParts.push(post.content);
+
+  const payload = {
+    allowedMentions: { roles: post.role_id ? [post.role_id] : [] }
+  };
+  if (contentParts.length > 0) {
+    payload.content = contentParts.join(' ');
+  }
+
+  if (post.post_type === 'image') {
+    const source = post.image_url.startsWith(BUNDLED_IMAGE_PREFIX)
+      ? path.join(BUNDLED_IMAGE_DIR, path.basename(post.image_url.slice(BUNDLED_IMAGE_PREFIX.length)))
+      : post.image_url;
+    payload.files = [new AttachmentBuilder(source)];
+  }
+
+  if (digestEmbed) {
+    payload.embeds = [digestEmbed];
+  }
+
+  return payload;
+}
+
+/**
+ * Send a scheduled post to its channel
+ * @param {Client} client - Discord client
+ * @param {Object} post - Scheduled post
+ * @returns {Promise<boolean>} Whether the post was sent
+ */
+export async function sendScheduledPost(client, post) {
+  const channel = await client.channels.fetch(post.channel_id).catch(() => null);
+  if (!channel || channel.guildId !== post.guild_id || !channel.isTextBased()) {
+    console.error(`Scheduled post "${post.name}" (${post.id}): channel ${post.channel_id} not found`);
+    return false;
+  }
+
+  let digest = null;
+  if (post.post_type === 'digest') {
+    digest = await createScheduledDigest(post, channel);
+    if (!digest) return false;
+  }
+
+  await channel.send(buildScheduledPostPayload(post, digest?.embed));
+  console.log(`[${new Date().toISOString()}] Sent scheduled post "${post.name}" to #${channel.name}`);
+
+  if (digest) {
+    await insertDigestRun({
+      guild_id: post.guild_id,
+      period: post.digest_period,
+      channel_id: post.channel_id,
+      schedule_id: post.id,
+      window_start: digest.window.start.toISOString(),
+      window_end: digest.window.end.toISOString(),
+      message_count: digest.window.messageCount
+    });
+  }
+  return true;
+}
+
+/**
+ * Post every schedule that is due. Called once a minute.
+ * Each run is claimed in the database (next_run_at moved forward) before posting,
+ * so restarts and overlapping ticks never double-post. Runs missed while the bot
+ * was offline are posted once for catch_up schedules and dropped for skip schedules.
+ * @param {Client} client - Discord client
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of posts sent
+ */
+export async function processDueScheduledPosts(client, now = new Date()) {
+  const duePosts = await getDueScheduledPosts(now.toISOString());
+  let sent = 0;
+
+  for (const post of duePosts) {
+    let nextRun = null;
+    try {
+      nextRun = getNextRun(post.cron_expression, post.timezone, now);
+    } catch (error) {
+      console.error(`Scheduled post "${post.name}" (${post.id}) has an invalid schedule:`, error.message);
+    }
+
+    const lateBy = now.getTime() - new Date(post.next_run_at).getTime();
+    const shouldPost = post.missed_policy === 'catch_up' || lateBy <= MISSED_RUN_GRACE_MS;
+
+    const claimed = await claimScheduledPostRun(post.id, post.next_run_at, {
+      next_run_at: nextRun ? nextRun.toISOString() : null,
+      ...(shouldPost && { last_fired_at: now.toISOString() })
+    });
+    if (!claimed) continue;
+
+    if (!shouldPost) {
+      console.log(`Skipped missed run of scheduled post "${post.name}" (due ${post.next_run_at})`);
+      continue;
+    }
+
+    try {
+      if (await sendScheduledPost(client, post)) sent++;
+    } catch (error) {
+      console.error(`Error sending scheduled post "${post.name}" (${post.id}):`, error);
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Move the old CHILLIN_CHANNEL Sunday image onto the scheduler.
+ * Creates the schedule once per guild; pause it with /schedule pause to stop it.
+ * @param {Client} client - Discord client
+ */
+export async function ensureLegacySundaySchedule(client) {
+  const channelId = process.env.CHILLIN_CHANNEL;
+  if (!channelId) return;
+
+  const channel = await client.channels.fetch(channelId).catch(() => null);
+  if (!channel?.guildId) {
+    console.error(`CHILLIN_CHANNEL ${channelId} not found - skipping the Sunday image schedule`);
+    return;
+  }
+
+  const existing = await getScheduledPosts(channel.guildId);
+  if (existing.some(post => post.image_url === `${BUNDLED_IMAGE_PREFIX}sunday.jpeg`)) return;
+
+  const cronExpression = '0 17 * * 0';
+  await insertScheduledPost({
+    guild_id: channel.guildId,
+    channel_id: channel.id,
+    name: 'Sunday image',
+    cron_expression: cronExpression,
+    timezone: DEFAULT_TIMEZONE,
+    post_type: 'image',
+    image_url: `${BUNDLED_IMAGE_PREFIX}sunday.jpeg`,
+    missed_policy: 'skip',
+    next_run_at: getNextRun(cronExpression, DEFAULT_TIMEZONE).toISOString()
+  });
+  console.log(`Created the Sunday image schedule for #${channel.name}`);
+}
@@ -1,67 +1,297 @@
 /**
- * User-specific automated triggers
- * Handles automated responses for specific users and phrases
+ * Admin-defined automated triggers
+ * Evaluates per-guild trigger rules (managed with /trigger) against incoming messages
  */
 
-import { AttachmentBuilder } from 'discord.js';
+import { AttachmentBuilder, EmbedBuilder } from 'discord.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getTriggerRules, insertTriggerRule, hasMigrationRun, recordMigration } from '../supabase/supabase.js';
+import otakuGifService from './otakuGifService.js';
+import { matchesRuleRegex, validateRegexPattern } from './safeRegex.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUNDLED_FILE_DIR = path.join(__dirname, '..', 'images');
+const BUNDLED_FILE_PREFIX = 'bundled:';
 
-// User-specific trigger configurations
-const USER_TRIGGERS = [
+export const MATCH_TYPES = ['exact', 'contains', 'regex'];
+export const SCOPE_TYPES = ['guild', 'user', 'role', 'channel'];
+export const RESPONSE_TYPES = ['text', 'attachment', 'reaction', 'gif'];
+
+export const MAX_PATTERN_LENGTH = 200;
+const RULE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes - rules are checked on every message
+
+// The trigger that used to be hardcoded, seeded once as a rule in every guild its user was in
+const LEGACY_TRIGGER_SEED_ID = 'seed-006-legacy-triggers';
+export const LEGACY_TRIGGER_RULES = [
   {
-    userId: '524089994462101534',
-    phrases: ['what the deuce'],
-    videoPath: path.join(__dirname, '../images', 'whatthedeuce.mp4'),
-    videoName: 'whatthedeuce.mp4'
+    name: 'What the deuce',
+    pattern: 'what the deuce',
+    match_type: 'exact',
+    scope_type: 'user',
+    scope_id: '524089994462101534',
+    response_type: 'attachment',
+    response_content: `${BUNDLED_FILE_PREFIX}whatthedeuce.mp4`,
+    attachment_name: 'whatthedeuce.mp4',
+    cooldown_seconds: 0,
+    probability: 1
   }
 ];
 
+const ruleCache = new Map(); // guildId -> { rules, timestamp }
+const lastFired = new Map(); // ruleId -> timestamp of last response
+
+/**
+ * Lowercase and strip punctuation so "What the deuce!?" matches "what the deuce"
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+export function normalizeTriggerText(text) {
+  return (text || '').toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check whether message content matches a rule's pattern
+ * @param {Object} rule - Trigger rule
+ * @param {string} content - Raw message content
+ * @returns {boolean} Whether the pattern matches
+ */
+export function matchesTrigger(rule, content) {
+  switch (rule.match_type) {
+    case 'exact':
+      return normalizeTriggerText(content) === normalizeTriggerText(rule.pattern);
+    case 'contains': {
+      const pattern = normalizeTriggerText(rule.pattern);
+      return pattern.length > 0 && normalizeTriggerText(content).includes(pattern);
+    }
+    case 'regex':
+      return matchesRuleRegex(rule, content);
+    default:
+      return false;
+  }
+}
+
 /**
- * Check and respond to user-specific triggers
+ * Check whether a rule's scope covers the message author and channel
+ * @param {Object} rule - Trigger rule
  * @param {Message} message - Discord message object
- * @returns {Promise<boolean>} - Returns true if a trigger was activated
+ * @returns {boolean} Whether the rule applies
  */
-export async function checkUserTriggers(message) {
-  // Skip bots
-  if (message.author.bot) return false;
-
-  const userId = message.author.id;
-  const messageContent = message.content.toLowerCase().trim();
-
-  // Find matching trigger for this user
-  const trigger = USER_TRIGGERS.find(t => t.userId === userId);
-  
-  if (!trigger) return false;
-
-  // Check if any of the trigger phrases match (case-insensitive, punctuation-agnostic)
-  const normalizedMessage = messageContent.replace(/[^\w\s]/g, '');
-  const matchedPhrase = trigger.phrases.find(phrase => {
-    const normalizedPhrase = phrase.toLowerCase().replace(/[^\w\s]/g, '');
-    return normalizedMessage === normalizedPhrase;
-  });
-
-  if (!matchedPhrase) return false;
-
-  // Trigger matched - send the video
-  try {
-    const attachment = new AttachmentBuilder(trigger.videoPath, { 
-      name: trigger.videoName 
-    });
-
-    await message.reply({
-      files: [attachment]
-    });
-
-    console.log(`[USER TRIGGER] Activated for user ${userId}: "${matchedPhrase}"`);
-    return true;
-  } catch (error) {
-    console.error(`[USER TRIGGER] Error sending video for user ${userId}:`, error);
+export function isRuleInScope(rule, message) {
+  switch (rule.scope_type) {
+    case 'guild':
+      return true;
+    case 'user':
+      return message.author.id === rule.scope_id;
+    case 'role':
+      return !!message.member?.roles.cache.has(rule.scope_id);
+    case 'channel': {
+      // Threads count as part of their parent channel
+      const parentId = message.channel.isThread?.() ? message.channel.parentId : null;
+      return message.channelId === rule.scope_id || parentId === rule.scope_id;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validate a trigger rule before it is stored
+ * @param {Object} rule - Trigger rule
+ * @returns {Object} { valid, error }
+ */
+export function validateTriggerRule(rule) {
+  if (!rule.pattern || !rule.pattern.trim()) {
+    return { valid: false, error: 'Pattern cannot be empty.' };
+  }
+  if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+    return { valid: false, error: `Pattern is too long (max ${MAX_PATTERN_LENGTH} characters).` };
+  }
+  if (!MATCH_TYPES.includes(rule.match_type)) {
+    return { valid: false, error: `Match type must be one of: ${MATCH_TYPES.join(', ')}.` };
+  }
+  if (rule.match_type === 'regex') {
+    const regexCheck = validateRegexPattern(rule.pattern);
+    if (!regexCheck.valid) return regexCheck;
+  }
+  if (!SCOPE_TYPES.includes(rule.scope_type)) {
+    return { valid: false, error: `Scope must be one of: ${SCOPE_TYPES.join(', ')}.` };
+  }
+  if (rule.scope_type !== 'guild' && !rule.scope_id) {
+    return { valid: false, error: `A ${rule.scope_type} must be selected for a ${rule.scope_type}-scoped trigger.` };
+  }
+  if (!RESPONSE_TYPES.includes(rule.response_type)) {
+    return { valid: false, error: `Response type must be one of: ${RESPONSE_TYPES.join(', ')}.` };
+  }
+  if (['text', 'reaction'].includes(rule.response_type) && !rule.response_content) {
+    return { valid: false, error: `A ${rule.response_type} response needs response content.` };
+  }
+  if (rule.response_type === 'attachment' && !rule.response_content) {
+    return { valid: false, error: 'An attachment response needs an uploaded file.' };
+  }
+  if (rule.probability <= 0 || rule.probability > 1) {
+    return { valid: false, error: 'Chance must be between 1 and 100 percent.' };
+  }
+  if (rule.cooldown_seconds < 0) {
+    return { valid: false, error: 'Cooldown cannot be negative.' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Get trigger rules for a guild (cached)
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Array>} Trigger rules
+ */
+export async function getGuildTriggerRules(guildId) {
+  const cached = ruleCache.get(guildId);
+  if (cached && Date.now() - cached.timestamp < RULE_CACHE_TTL) {
+    return cached.rules;
+  }
+
+  const rules = await getTriggerRules(guildId);
+  ruleCache.set(guildId, { rules, timestamp: Date.now() });
+  return rules;
+}
+
+/**
+ * Drop cached rules after /trigger add or remove
+ * @param {string} guildId - Discord guild ID
+ */
+export function invalidateTriggerCache(guildId) {
+  ruleCache.delete(guildId);
+}
+
+/**
+ * Find the rules whose pattern and scope match a message (ignores cooldown and chance)
+ * @param {Array} rules - Trigger rules
+ * @param {Message} message - Discord message object
+ * @returns {Array} Matching rules in evaluation order
+ */
+export function findMatchingRules(rules, message) {
+  return rules.filter(rule => isRuleInScope(rule, message) && matchesTrigger(rule, message.content));
+}
+
+/**
+ * Whether a rule is still cooling down from its last response
+ * @param {Object} rule - Trigger rule
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True while on cooldown
+ */
+function isOnCooldown(rule, now = Date.now()) {
+  const last = lastFired.get(rule.id);
+  return !!last && now - last < (rule.cooldown_seconds || 0) * 1000;
+}
+
+/**
+ * Build the message payload for a text, attachment or gif response
+ * @param {Object} rule - Trigger rule
+ * @returns {Promise<Object>} Discord message payload
+ */
+export async function buildTriggerPayload(rule) {
+  switch (rule.response_type) {
+    case 'text':
+      return { content: rule.response_content };
+    case 'attachment': {
+      const source = rule.response_content.startsWith(BUNDLED_FILE_PREFIX)
+        ? path.join(BUNDLED_FILE_DIR, path.basename(rule.response_content.slice(BUNDLED_FILE_PREFIX.length)))
+        : rule.response_content;
+      return {
+        files: [new AttachmentBuilder(source, { name: rule.attachment_name || undefined })]
+      };
+    }
+    case 'gif': {
+      const reaction = rule.response_content;
+      const gifData = !reaction || reaction === 'random'
+        ? await otakuGifService.getRandomGif()
+        : await otakuGifService.getReactionGif(reaction);
+      return {
+        embeds: [new EmbedBuilder().setImage(gifData.url).setColor('#ff69b4')]
+      };
+    }
+    default:
+      throw new Error(`Unsupported trigger response type: ${rule.response_type}`);
+  }
+}
+
+/**
+ * Respond to a message with a rule's configured response
+ * @param {Object} rule - Trigger rule
+ * @param {Message} message - Discord message object
+ * @returns {Promise<boolean>} True if the message was answered (reactions don't count)
+ */
+async function executeTrigger(rule, message) {
+  if (rule.response_type === 'reaction') {
+    await message.react(rule.response_content);
     return false;
   }
+
+  await message.reply(await buildTriggerPayload(rule));
+  return true;
+}
+
+/**
+ * Check and respond to the guild's trigger rules
+ * Rules are evaluated in creation order; the first rule that matches, is off cooldown
+ * and passes its chance roll fires.
+ * @param {Message} message - Discord message object
+ * @returns {Promise<boolean>} - Returns true if a trigger replied to the message
+ */
+export async function checkUserTriggers(message) {
+  // Skip bots and DMs - rules are configured per guild
+  if (message.author.bot || !message.guild) return false;
+
+  const rules = await getGuildTriggerRules(message.guild.id);
+  if (rules.length === 0) return false;
+
+  const now = Date.now();
+  for (const rule of findMatchingRules(rules, message)) {
+    if (isOnCooldown(rule, now)) continue;
+    if (Math.random() >= (rule.probability ?? 1)) continue;
+
+    lastFired.set(rule.id, now);
+
+    try {
+      const replied = await executeTrigger(rule, message);
+      console.log(`[USER TRIGGER] Activated "${rule.name}" (${rule.id}) for user ${message.author.id}`);
+      return replied;
+    } catch (error) {
+      console.error(`[USER TRIGGER] Error responding with "${rule.name}" (${rule.id}):`, error);
+      return false;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Move the old hardcoded triggers onto /trigger rules.
+ * Runs once: each rule is created in the guilds its user is in, and the seed is recorded in
+ * migration_history so rules removed with /trigger remove don't come back on the next start.
+ * @param {Client} client - Discord client
+ * @returns {Promise<number>} Rules created
+ */
+export async function ensureLegacyTriggerRules(client) {
+  if (await hasMigrationRun(LEGACY_TRIGGER_SEED_ID) !== false) return 0;
+
+  let created = 0;
+  for (const guild of client.guilds.cache.values()) {
+    const existing = await getTriggerRules(guild.id);
+
+    for (const rule of LEGACY_TRIGGER_RULES) {
+      if (existing.some(stored => stored.response_content === rule.response_content && stored.scope_id === rule.scope_id)) continue;
+      if (!(await guild.members.fetch(rule.scope_id).catch(() => null))) continue;
+
+      // Leave the seed unrecorded so the next start tries again
+      if (!(await insertTriggerRule({ ...rule, guild_id: guild.id }))) return created;
+      invalidateTriggerCache(guild.id);
+      created++;
+    }
+  }
+
+  await recordMigration(LEGACY_TRIGGER_SEED_ID, 'Hardcoded user triggers moved onto /trigger rules');
+  if (created > 0) console.log(`Created ${created} trigger rule${created === 1 ? '' : 's'} from the old hardcoded triggers`);
+  return created;
 }
 
 export default { checkUserTriggers };
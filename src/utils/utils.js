@@ -2,9 +2,13 @@ import cp from "child_process";
 import fs from "fs";
 import path from "path";
 import url from "url";
-import { AttachmentBuilder } from "discord.js";
 import { randomizeReaction } from "../../scripts/create-context.js";
 import { getAllImagesFromMessage, analyzeImageWithVision } from "./imageUtils.js";
+import { GuildConfigManager } from "./guildConfig.js";
+import {
+  getGuildReactionRules, isReactionRuleInChannel, matchesReactionRule,
+  pickReactionEmoji, getReactionDelay, recordReactionHit
+} from "./reactionRules.js";
 import dotenv from "dotenv";
 dotenv.config();
 
@@ -16,18 +20,11 @@ export const DALLE_DIR_PATH = path.join(__dirname, "..", "dalle");
 
 export const IMAGE_PATH = path.join(__dirname, "images/image.png")
 
-const CHILLIN_CHANNEL = process.env.CHILLIN_CHANNEL;
-const JIGGLING_CAT_GIF_PATH = path.join(__dirname, "..", "images", "jigglingCat.gif");
-const loveEmojis = ["🥰", "😍", "😘", "❤", "💖", "💕", "😻"];
-const dislikeEmojis = ["😒", "🙄", "😕", "😠", "👎", "😡", "😤", "😣"];
-const prayEmojis = ["🙏", "🛐", "✝️", "☪️", "📿"];
-const probability = 0.18;
-const sillyProbability = 0.001; // 1/1000 chance
-
 // Initialize Supabase and get the bot token and prefix, and emojis
 const BOT_PREFIX = process.env.PREFIX;
 
 export const convoStore = new Map();
+const EMPTY_MEMORY_SOURCES = Object.freeze({ userMemoryIds: [], serverMemoryIds: [] });
 export const botThreadStore = new Map(); // Store for tracking bot-created threads
 export const memoryContextCache = new Map(); // Cache for memory contexts to reduce DB queries
 export const threadContextCache = new Map(); // Cache for thread contexts to avoid DB queries
@@ -234,25 +231,28 @@ export function generateThreadId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
-export async function buildStreamlinedConversationContext(message) {
+export async function buildStreamlinedConversationContext(message, { includeMemory = true } = {}) {
   // Use thread parent channel for conversation key if in a thread
   const channelId = message.channel.isThread() ? message.channel.parentId : message.channelId;
   const key = `${channelId}:${message.author.id}`;
 
   // Import OPTIMIZED buildMemoryContext to avoid circular imports
-  const { buildMemoryContextOptimized } = await import('../supabase/supabase.js');
+  const { buildMemoryContextWithSources } = await import('../supabase/supabase.js');
 
   const serverId = message.guild?.id;
 
   if (!convoStore.has(key)) {
     // Use optimized memory context builder (has built-in caching)
     // No need for manual caching anymore - optimization handles it
-    const memoryContext = await buildMemoryContextOptimized(
-      message.author.id,
-      message.content,
-      serverId,
-      message.client
-    );
+    // Guilds with the memory system disabled get no memory context at all
+    const { context: memoryContext, sources: memorySources } = includeMemory
+      ? await buildMemoryContextWithSources(
+        message.author.id,
+        message.content,
+        serverId,
+        message.client
+      )
+      : { context: '', sources: EMPTY_MEMORY_SOURCES };
 
     console.log(`Built memory context for ${key} (${memoryContext.length} chars)`);
 
@@ -292,6 +292,7 @@ export async function buildStreamlinedConversationContext(message) {
       isInThread: message.channel.isThread(),
       actualThreadId: message.channel.isThread() ? message.channel.id : null,
       lastMemoryRefresh: new Date(),
+      memorySources, // Memories in the system message, recorded with each reply
     });
   } else {
     // reset the timer on activity
@@ -308,17 +309,14 @@ export async function buildStreamlinedConversationContext(message) {
     // Refresh memory context less frequently to reduce DB load (every 10 minutes or every 15 messages)
     const now = new Date();
     const timeSinceRefresh = now - (entry.lastMemoryRefresh || entry.startTime);
-    const shouldRefresh = timeSinceRefresh > 10 * 60 * 1000 || // 10 minutes (increased from 2)
-      entry.messageCount % 15 === 0; // every 15 messages (increased from 5)
+    const shouldRefresh = includeMemory && (timeSinceRefresh > 10 * 60 * 1000 || // 10 minutes (increased from 2)
+      entry.messageCount % 15 === 0); // every 15 messages (increased from 5)
 
     if (shouldRefresh) {
       console.log(`Refreshing memory context for ${key} (time: ${Math.floor(timeSinceRefresh / 1000)}s, messages: ${entry.messageCount})`);
 
-      // Import OPTIMIZED buildMemoryContext
-      const { buildMemoryContextOptimized } = await import('../supabase/supabase.js');
-      let memoryContext = '';
       // Use optimized memory context builder (has built-in caching)
-      memoryContext = await buildMemoryContextOptimized(
+      const { context: memoryContext, sources: memorySources } = await buildMemoryContextWithSources(
         message.author.id,
         message.content,
         serverId,
@@ -337,6 +335,7 @@ export async function buildStreamlinedConversationContext(message) {
       // Update the system message in the conversation history
       entry.history[0] = { role: "system", content: finalSystemMessage };
       entry.lastMemoryRefresh = now;
+      entry.memorySources = memorySources;
 
       console.log(`Updated system message with memory context (${memoryContext.length} chars)`);
     }
@@ -347,6 +346,15 @@ export async function buildStreamlinedConversationContext(message) {
   return convoStore.get(key).history;
 }
 
+/**
+ * IDs of the memories in the system message of the author's conversation, as of the last memory refresh
+ * @returns {Object} { userMemoryIds, serverMemoryIds }
+ */
+export function getConversationMemorySources(message) {
+  const channelId = message.channel.isThread() ? message.channel.parentId : message.channelId;
+  return convoStore.get(`${channelId}:${message.author.id}`)?.memorySources || EMPTY_MEMORY_SOURCES;
+}
+
 export async function processMessageWithImages(message) {
   // Check if message has images
   const imageData = await getAllImagesFromMessage(message);
@@ -433,148 +441,42 @@ export function looksLikeAsciiArt(content) {
 }
 
 export async function memeFilter(message) {
-  // Skip reactions for ASCII art
-  if (looksLikeAsciiArt(message.content)) {
+  // Skip reactions for bots and ASCII art (global filters, applied before any rule)
+  if (message.author.bot || looksLikeAsciiArt(message.content)) {
     return;
   }
 
-  const randomLoveEmoji = loveEmojis[Math.floor(Math.random() * loveEmojis.length)];
-  const randomDislikeEmoji = dislikeEmojis[Math.floor(Math.random() * loveEmojis.length)];
-  const randomPrayerEmoji = prayEmojis[Math.floor(Math.random() * prayEmojis.length)];
-
-  // Silly reaction - 1/250 chance on any message (using custom lickinglips emoji)
-  if (!message.author.bot && Math.random() < sillyProbability) {
-    setTimeout(async () => {
-      try {
-        // Try to find the custom lickinglips emoji
-        const lickingLipsEmoji = message.client.emojis.cache.find(emoji => emoji.name === 'lickinglips');
-
-        if (lickingLipsEmoji) {
-          // Use the custom emoji
-          await message.react(lickingLipsEmoji);
-        } else {
-          // Fallback to Unicode emoji
-          await message.react("😋");
-        }
-      } catch (error) {
-        // Final fallback
-        try {
-          await message.react("😋");
-        } catch (fallbackError) {
-          // Silent failure - emoji reactions are not critical
-        }
-      }
-    }, Math.random() * 3000 + 1000); // Random delay between 1-4 seconds
-  }
-
-  if (message.content.toLowerCase().includes("pex") && !message.author.bot) {
-    setTimeout(async () => {
-      if (await randomizeReaction(probability)) {
-        message.react(randomLoveEmoji);
-      }
-    }, 2500);
-  }
-
-  if (
-    (message.content.toLowerCase().includes("allah") ||
-      message.content.toLowerCase().includes("jesus") ||
-      message.content.toLowerCase().includes("prayge")) &&
-    !message.author.bot
-  ) {
-    setTimeout(async () => {
-      if (await randomizeReaction(probability)) {
-        message.react(randomPrayerEmoji);
-      }
-    }, 2500);
-  }
-
-  if (
-    (/\bOW\b/i.test(message.content) ||
-      message.content.toLowerCase().includes("overwatch") ||
-      message.content.toLowerCase().includes("valorant")) &&
-    !message.author.bot
-  ) {
-    setTimeout(async () => {
-      if (await randomizeReaction(probability)) {
-        message.react(randomDislikeEmoji);
-      }
-    }, 2500);
+  if (!(await GuildConfigManager.isFeatureEnabled(message.guild?.id, 'meme_reactions_enabled'))) {
+    return;
   }
-}
-// Scheduled messaging configuration
-export const lastSentMessages = {
-  gameTime: null,
-  sundayImage: null
-};
-
-// Function to check if it's time for game time message (8:30 PM EST, Monday-Friday)
-export function isGameTime() {
-  const now = new Date();
-  const easternTime = new Date(now.toLocaleString("en-US", { timeZone: "America/New_York" }));
-  const day = easternTime.getDay(); // 0 = Sunday, 1 = Monday, ... 6 = Saturday
-  const hour = easternTime.getHours();
-  const minute = easternTime.getMinutes();
 
-  // Monday-Friday (1-5), 8:30 PM (20:30) - check for minute 30
-  return day >= 1 && day <= 5 && hour === 20 && minute === 30;
-}
-
-// Function to check if it's time for Sunday image (5:00 PM EST, Sunday)
-export function isSundayImageTime() {
-  const now = new Date();
-  const easternTime = new Date(now.toLocaleString("en-US", { timeZone: "America/New_York" }));
-  const day = easternTime.getDay(); // 0 = Sunday
-  const hour = easternTime.getHours();
-  const minute = easternTime.getMinutes();
-
-  // Sunday (0), 5:00-5:04 PM (17:00-17:04) - 5 minute window for reliability
-  return day === 0 && hour === 17 && minute >= 0 && minute <= 4;
-}
+  const rules = await getGuildReactionRules(message.guild?.id);
 
-// Function to get current date string for tracking
-export function getCurrentDateString() {
-  const now = new Date();
-  const easternTime = new Date(now.toLocaleString("en-US", { timeZone: "America/New_York" }));
-  return easternTime.toDateString();
-}
+  for (const rule of rules) {
+    if (!isReactionRuleInChannel(rule, message) || !matchesReactionRule(rule, message.content)) {
+      continue;
+    }
 
-// Function to send game time message
-export async function sendGameTimeMessage(client) {
-  try {
-    const channel = await client.channels.fetch(CHILLIN_CHANNEL);
-    if (channel) {
-      const attachment = new AttachmentBuilder(JIGGLING_CAT_GIF_PATH);
-      await channel.send({
-        content: "It's game time!!! 🚂🚂🚂",
-        files: [attachment]
-      });
-      console.log("Sent game time message with jiggling cat gif");
-    } else {
-      console.error(`Channel not found: ${CHILLIN_CHANNEL}`);
+    if (!(await randomizeReaction(rule.probability))) {
+      continue;
     }
-  } catch (error) {
-    console.error("Error sending game time message:", error);
-  }
-}
 
-// Function to send Sunday image
-export async function sendSundayImage(client) {
-  try {
-    console.log(`[${new Date().toISOString()}] Attempting to send Sunday image`);
-    const channel = await client.channels.fetch(CHILLIN_CHANNEL);
-    if (channel) {
-      const imagePath = path.join(__dirname, "..", "images", "sunday.jpeg");
-      const attachment = new AttachmentBuilder(imagePath);
-      await channel.send({ files: [attachment] });
-      console.log(`[${new Date().toISOString()}] Successfully sent Sunday image`);
-    } else {
-      console.error(`[${new Date().toISOString()}] Channel not found: ${CHILLIN_CHANNEL}`);
+    const emoji = pickReactionEmoji(rule, message);
+    if (!emoji) {
+      continue;
     }
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error sending Sunday image:`, error);
+
+    recordReactionHit(rule);
+
+    setTimeout(async () => {
+      try {
+        await message.react(emoji);
+      } catch (error) {
+        // Silent failure - emoji reactions are not critical
+      }
+    }, getReactionDelay(rule));
   }
 }
-
 // Function to mark a thread as bot-managed (responds without @)
 export function markThreadAsBotManaged(threadId, userId, channelId) {
   botThreadStore.set(threadId, {
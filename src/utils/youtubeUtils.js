@@ -0,0 +1,168 @@
+/**
+ * YouTube lookups through yt-dlp: video details, search and playlists
+ */
+import youtubedlExec from 'youtube-dl-exec';
+import { getBinaryPath } from './mediaBinaries.js';
+
+let youtubedlClient = null;
+
+// youtube-dl-exec bound to the configured yt-dlp (created on first use, after the binary is resolved)
+const youtubedl = (url, flags) => {
+    if (!youtubedlClient) {
+        youtubedlClient = youtubedlExec.create(getBinaryPath('yt-dlp'));
+    }
+    return youtubedlClient(url, flags);
+};
+
+// Helper function to get video info using yt-dlp
+export const getVideoInfo = async (url) => {
+    console.log(`[VIDEO_INFO] Getting video info for: ${url}`);
+    try {
+        const info = await youtubedl(url, {
+            dumpSingleJson: true,
+            noWarnings: true,
+            noCheckCertificates: true,
+            skipDownload: true
+        });
+        console.log(`[VIDEO_INFO] Got video info: ${info.title}`);
+        return {
+            title: info.title,
+            channel: info.uploader || info.channel || 'Unknown',
+            duration: info.duration_string || 'Unknown',
+            thumbnail: info.thumbnail || null,
+            isLive: info.is_live || false,
+            url: info.webpage_url || url
+        };
+    } catch (error) {
+        console.error('[VIDEO_INFO] Error getting video info:', error);
+        throw error;
+    }
+};
+
+// Helper function to search YouTube using yt-dlp
+export const searchYouTube = async (query, limit = 1) => {
+    console.log(`[YOUTUBE_SEARCH] Searching for: "${query}"`);
+    try {
+        const results = await youtubedl(`ytsearch${limit}:${query}`, {
+            dumpSingleJson: true,
+            noWarnings: true,
+            skipDownload: true,
+            flatPlaylist: true
+        });
+
+        // yt-dlp returns single object for one result, or an object with entries for multiple
+        const entries = results.entries || [results];
+        const videos = entries.map(entry => ({
+            title: entry.title,
+            url: entry.webpage_url || `https://www.youtube.com/watch?v=${entry.id}`,
+            duration: entry.duration_string || 'Unknown',
+            thumbnail: entry.thumbnail,
+            channel: entry.uploader || entry.channel
+        }));
+
+        console.log(`[YOUTUBE_SEARCH] Found ${videos.length} result(s)`);
+        return videos;
+    } catch (error) {
+        console.error('[YOUTUBE_SEARCH] Error searching YouTube:', error);
+        return [];
+    }
+};
+
+// Helper function to get YouTube playlist information and videos
+export const getYouTubePlaylistInfo = async (playlistUrl) => {
+    console.log(`[YOUTUBE_PLAYLIST] Getting playlist info for: ${playlistUrl}`);
+    try {
+        const playlistData = await youtubedl(playlistUrl, {
+            dumpSingleJson: true,
+            noWarnings: true,
+            flatPlaylist: true,
+            skipDownload: true,
+            noCheckCertificates: true
+        });
+
+        if (!playlistData.entries || playlistData.entries.length === 0) {
+            console.log('[YOUTUBE_PLAYLIST] No entries found in playlist');
+            return null;
+        }
+
+        const videos = playlistData.entries
+            .filter(entry => entry && entry.id) // Filter out null/invalid entries
+            .map(entry => ({
+                url: entry.webpage_url || `https://www.youtube.com/watch?v=${entry.id}`,
+                title: entry.title || 'Unknown Title',
+                channel: entry.uploader || entry.channel || 'Unknown Channel',
+                duration: entry.duration_string || 'Unknown',
+                thumbnail: entry.thumbnail || null
+            }));
+
+        console.log(`[YOUTUBE_PLAYLIST] Found ${videos.length} videos in playlist`);
+
+        return {
+            name: playlistData.title || 'YouTube Playlist',
+            description: playlistData.description || '',
+            videos: videos,
+            thumbnail: videos[0]?.thumbnail || null,
+            uploader: playlistData.uploader || playlistData.channel || 'Unknown'
+        };
+    } catch (error) {
+        console.error('[YOUTUBE_PLAYLIST] Error getting playlist info:', error);
+        return null;
+    }
+};
+
+// Helper function to detect YouTube URL types
+export const analyzeYouTubeUrl = (url) => {
+    const result = {
+        isLivestream: false,
+        isPlaylist: false,
+        isValid: false,
+        type: 'unknown'
+    };
+
+    try {
+        const urlObj = new URL(url);
+        const hostname = urlObj.hostname.toLowerCase();
+        const pathname = urlObj.pathname;
+        const searchParams = urlObj.searchParams;
+
+        // Check if it's a YouTube URL
+        if (!hostname.includes('youtube.com') && !hostname.includes('youtu.be')) {
+            return result;
+        }
+
+        result.isValid = true;
+
+        // Check for playlist indicators
+        if (pathname.includes('/playlist') || searchParams.has('list')) {
+            result.isPlaylist = true;
+            result.type = 'playlist';
+            return result;
+        }
+
+        // Check for livestream indicators
+        if (pathname.includes('/live/') ||
+            searchParams.get('live') === '1' ||
+            searchParams.has('live')) {
+            result.isLivestream = true;
+            result.type = 'livestream';
+            return result;
+        }
+
+        // If it's a regular video
+        if (pathname.includes('/watch') || hostname.includes('youtu.be')) {
+            result.type = 'video';
+        }
+
+        return result;
+    } catch (error) {
+        console.error('Error analyzing YouTube URL:', error);
+        return result;
+    }
+};
+
+// Direct media URL for a video, used when streaming through yt-dlp fails
+export const getDirectAudioUrl = (url) => youtubedl(url, {
+    format: 'bestaudio[ext=webm]/bestaudio[ext=m4a]/bestaudio',
+    getUrl: true,
+    quiet: true
+});
@@ -0,0 +1,44 @@
+-- Migration 005: Per-Guild Feature Flags
+-- Purpose: Back GuildConfigManager so /config can toggle features per guild
+-- Unconfigured guilds default to every feature enabled in the bot
+
+CREATE TABLE IF NOT EXISTS guild_configs (
+    guild_id TEXT PRIMARY KEY,
+    guild_name TEXT,
+    owner_user_id TEXT,
+    role_commands_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    notifications_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    memory_system_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    voice_features_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- New flag: gates AI replies to mentions, prefix messages and bot threads
+ALTER TABLE guild_configs ADD COLUMN IF NOT EXISTS ai_chat_enabled BOOLEAN NOT NULL DEFAULT TRUE;
+
+CREATE OR REPLACE FUNCTION update_guild_configs_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS guild_configs_updated_at_trigger ON guild_configs;
+CREATE TRIGGER guild_configs_updated_at_trigger
+    BEFORE UPDATE ON guild_configs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_guild_configs_updated_at();
+
+ALTER TABLE guild_configs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_guild_configs" ON guild_configs
+    FOR ALL USING ("auth"."role"() = 'service_role');
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('005', 'Per-guild feature flags for /config', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON TABLE guild_configs IS 'Per-guild feature flags managed with /config';
+COMMENT ON COLUMN guild_configs.ai_chat_enabled IS 'Whether Bepo replies to mentions and prefix messages with AI chat';
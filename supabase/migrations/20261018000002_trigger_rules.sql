@@ -0,0 +1,47 @@
+-- Migration 006: Admin-Defined Trigger Rules
+-- Purpose: Replace the hardcoded USER_TRIGGERS array with per-guild rules managed via /trigger
+
+CREATE TABLE IF NOT EXISTS trigger_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    guild_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    pattern TEXT NOT NULL,
+    match_type TEXT NOT NULL DEFAULT 'contains',
+    scope_type TEXT NOT NULL DEFAULT 'guild',
+    scope_id TEXT,                      -- User, role or channel ID for scoped rules
+    response_type TEXT NOT NULL,
+    response_content TEXT,              -- Text, emoji, GIF reaction name or stored attachment URL
+    attachment_name TEXT,
+    cooldown_seconds INTEGER NOT NULL DEFAULT 0,
+    probability REAL NOT NULL DEFAULT 1,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT valid_match_type CHECK (match_type IN ('exact', 'contains', 'regex')),
+    CONSTRAINT valid_scope_type CHECK (scope_type IN ('guild', 'user', 'role', 'channel')),
+    CONSTRAINT valid_scope_id CHECK (scope_type = 'guild' OR scope_id IS NOT NULL),
+    CONSTRAINT valid_response_type CHECK (response_type IN ('text', 'attachment', 'reaction', 'gif')),
+    CONSTRAINT valid_probability CHECK (probability > 0 AND probability <= 1),
+    CONSTRAINT valid_cooldown CHECK (cooldown_seconds >= 0),
+    CONSTRAINT valid_pattern_length CHECK (length(pattern) BETWEEN 1 AND 200)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trigger_rules_guild ON trigger_rules(guild_id, created_at) WHERE enabled = TRUE;
+
+ALTER TABLE trigger_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_trigger_rules" ON trigger_rules
+    FOR ALL USING ("auth"."role"() = 'service_role');
+
+-- Public bucket for attachment responses (Discord CDN links expire)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('trigger-attachments', 'trigger-attachments', TRUE)
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('006', 'Admin-defined trigger rules for /trigger', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON TABLE trigger_rules IS 'Per-guild automatic trigger responses managed with /trigger';
+COMMENT ON COLUMN trigger_rules.probability IS 'Chance (0-1] that a matching message fires the rule';
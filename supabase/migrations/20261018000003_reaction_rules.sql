@@ -0,0 +1,49 @@
+-- Migration 007: Per-Guild Meme Reaction Rules
+-- Purpose: Replace memeFilter's hardcoded keywords and emoji pools with rules managed via /reactions
+
+CREATE TABLE IF NOT EXISTS reaction_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    guild_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    pattern TEXT NOT NULL,              -- Comma-separated keywords or a regex
+    match_type TEXT NOT NULL DEFAULT 'keyword',
+    emojis TEXT[] NOT NULL,             -- Unicode emoji, <:name:id> or :name: entries
+    probability REAL NOT NULL DEFAULT 0.18,
+    min_delay_ms INTEGER NOT NULL DEFAULT 2500,
+    max_delay_ms INTEGER NOT NULL DEFAULT 2500,
+    channel_ids TEXT[] NOT NULL DEFAULT '{}',  -- Empty means every channel
+    hit_count BIGINT NOT NULL DEFAULT 0,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT valid_reaction_match_type CHECK (match_type IN ('keyword', 'regex')),
+    CONSTRAINT valid_reaction_probability CHECK (probability > 0 AND probability <= 1),
+    CONSTRAINT valid_reaction_delay CHECK (min_delay_ms >= 0 AND max_delay_ms >= min_delay_ms),
+    CONSTRAINT valid_reaction_emojis CHECK (cardinality(emojis) BETWEEN 1 AND 20)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reaction_rules_guild ON reaction_rules(guild_id, created_at) WHERE enabled = TRUE;
+
+-- Atomic hit counter so concurrent reactions don't lose counts
+CREATE OR REPLACE FUNCTION increment_reaction_rule_hits(p_rule_id UUID, p_amount INTEGER DEFAULT 1)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE reaction_rules SET hit_count = hit_count + p_amount WHERE id = p_rule_id;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE reaction_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_reaction_rules" ON reaction_rules
+    FOR ALL USING ("auth"."role"() = 'service_role');
+
+-- Feature flag so a guild can switch reactions off entirely (the built-in rules apply otherwise)
+ALTER TABLE guild_configs ADD COLUMN IF NOT EXISTS meme_reactions_enabled BOOLEAN NOT NULL DEFAULT TRUE;
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('007', 'Per-guild meme reaction rules for /reactions', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON TABLE reaction_rules IS 'Per-guild automatic emoji reaction rules managed with /reactions';
+COMMENT ON COLUMN reaction_rules.hit_count IS 'How many times the rule has reacted to a message';
@@ -0,0 +1,47 @@
+-- Migration 008: Scheduled Posts
+-- Purpose: Replace the hardcoded Sunday image / game time checks with per-guild schedules managed via /schedule
+
+CREATE TABLE IF NOT EXISTS scheduled_posts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    guild_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    cron_expression TEXT NOT NULL,      -- 5-field cron; weekday/time rules are stored as cron too
+    timezone TEXT NOT NULL DEFAULT 'America/New_York',
+    post_type TEXT NOT NULL,
+    content TEXT,                       -- Message text (optional for image/digest posts)
+    image_url TEXT,                     -- Storage URL, or bundled:<file> for images shipped with the bot
+    role_id TEXT,                       -- Role to ping with the post
+    digest_period TEXT,
+    missed_policy TEXT NOT NULL DEFAULT 'skip',
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    last_fired_at TIMESTAMP WITH TIME ZONE,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT valid_scheduled_post_type CHECK (post_type IN ('text', 'image', 'role_ping', 'digest')),
+    CONSTRAINT valid_scheduled_missed_policy CHECK (missed_policy IN ('catch_up', 'skip')),
+    CONSTRAINT valid_scheduled_digest_period CHECK (digest_period IS NULL OR digest_period IN ('daily', 'weekly', '12h', '1h'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_guild ON scheduled_posts(guild_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_due ON scheduled_posts(next_run_at) WHERE enabled = TRUE;
+
+ALTER TABLE scheduled_posts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_scheduled_posts" ON scheduled_posts
+    FOR ALL USING ("auth"."role"() = 'service_role');
+
+-- Public bucket for images uploaded with /schedule add
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('scheduled-posts', 'scheduled-posts', TRUE)
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('008', 'Per-guild scheduled posts for /schedule', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON TABLE scheduled_posts IS 'Recurring per-guild posts managed with /schedule';
+COMMENT ON COLUMN scheduled_posts.next_run_at IS 'When the schedule is next due; claimed atomically before posting so restarts never double-post';
+COMMENT ON COLUMN scheduled_posts.missed_policy IS 'catch_up posts once for runs missed while offline, skip drops them';
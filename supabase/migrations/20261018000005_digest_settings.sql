@@ -0,0 +1,46 @@
+-- Migration 009: Automatic Digests
+-- Purpose: Per-guild digest channel filters, the /digest auto schedule link and a log of digested windows
+
+CREATE TABLE IF NOT EXISTS digest_settings (
+    guild_id TEXT PRIMARY KEY,
+    include_channel_ids TEXT[] NOT NULL DEFAULT '{}',  -- Empty means every readable channel
+    exclude_channel_ids TEXT[] NOT NULL DEFAULT '{}',
+    auto_schedule_id UUID REFERENCES scheduled_posts(id) ON DELETE SET NULL,
+    updated_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per automatic digest so the next one starts where the last ended
+CREATE TABLE IF NOT EXISTS digest_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    guild_id TEXT NOT NULL,
+    period TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    schedule_id UUID REFERENCES scheduled_posts(id) ON DELETE SET NULL,
+    window_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    window_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT valid_digest_run_period CHECK (period IN ('daily', 'weekly', '12h', '1h')),
+    CONSTRAINT valid_digest_run_window CHECK (window_end > window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_runs_latest ON digest_runs(guild_id, period, window_end DESC);
+
+ALTER TABLE digest_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE digest_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_digest_settings" ON digest_settings
+    FOR ALL USING ("auth"."role"() = 'service_role');
+
+CREATE POLICY "service_role_all_digest_runs" ON digest_runs
+    FOR ALL USING ("auth"."role"() = 'service_role');
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('009', 'Automatic digests: channel filters and digested windows', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON TABLE digest_settings IS 'Per-guild digest configuration managed with /digest';
+COMMENT ON TABLE digest_runs IS 'Windows covered by automatic digests so none is summarized twice';
@@ -0,0 +1,31 @@
+-- Migration 010: Digest Channel Summaries
+-- Purpose: Store per-channel summaries as the full-history digest collector produces them (the map step),
+-- so the final digest can reduce over them and a retried digest can reuse channels that haven't changed
+
+CREATE TABLE IF NOT EXISTS digest_channel_summaries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    guild_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    channel_name TEXT,
+    window_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    window_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    summary TEXT,
+    stats JSONB NOT NULL DEFAULT '{}',  -- Contributors, messages per hour and most-reacted messages
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT unique_digest_channel_window UNIQUE (guild_id, channel_id, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_channel_summaries_window_end ON digest_channel_summaries(window_end);
+
+ALTER TABLE digest_channel_summaries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_digest_channel_summaries" ON digest_channel_summaries
+    FOR ALL USING ("auth"."role"() = 'service_role');
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('010', 'Per-channel summaries for map-reduce digests', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON TABLE digest_channel_summaries IS 'Per-channel digest summaries, cleaned up after 14 days';
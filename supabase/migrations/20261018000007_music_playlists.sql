@@ -0,0 +1,36 @@
+-- Migration 011: Music Playlists
+-- Purpose: Saved playlists for /playlist (personal or shared with the guild) and per-user favorites from the ❤️ button
+
+CREATE TABLE IF NOT EXISTS music_playlists (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    guild_id TEXT,                      -- NULL for favorites, which follow the user across servers
+    owner_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    is_shared BOOLEAN NOT NULL DEFAULT FALSE,
+    is_favorites BOOLEAN NOT NULL DEFAULT FALSE,
+    tracks JSONB NOT NULL DEFAULT '[]', -- Ordered songs: { url, title, channel, duration, thumbnail, isSpotifyTrack, originalSpotifyUrl }
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT valid_music_playlist_scope CHECK (is_favorites OR guild_id IS NOT NULL)
+);
+
+-- One playlist per name for each owner, one shared playlist per name in a guild, and one favorites list per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_music_playlists_owner_name
+    ON music_playlists(guild_id, owner_id, LOWER(name)) WHERE NOT is_favorites;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_music_playlists_shared_name
+    ON music_playlists(guild_id, LOWER(name)) WHERE is_shared;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_music_playlists_favorites
+    ON music_playlists(owner_id) WHERE is_favorites;
+
+ALTER TABLE music_playlists ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_music_playlists" ON music_playlists
+    FOR ALL USING ("auth"."role"() = 'service_role');
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('011', 'Saved music playlists and favorites for /playlist', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON TABLE music_playlists IS 'Saved /playlist playlists and each user''s favorites';
+COMMENT ON COLUMN music_playlists.is_shared IS 'Shared playlists can be loaded and edited by anyone in the guild; only the owner or a moderator can delete them';
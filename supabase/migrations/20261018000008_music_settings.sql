@@ -0,0 +1,23 @@
+-- Migration 012: Music Settings
+-- Purpose: Per-guild music player settings, starting with the volume new queues play at
+
+CREATE TABLE IF NOT EXISTS music_settings (
+    guild_id TEXT PRIMARY KEY,
+    default_volume INTEGER NOT NULL DEFAULT 100,  -- Percent; set by /music volume
+    updated_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT valid_music_default_volume CHECK (default_volume BETWEEN 0 AND 200)
+);
+
+ALTER TABLE music_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_music_settings" ON music_settings
+    FOR ALL USING ("auth"."role"() = 'service_role');
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('012', 'Per-guild music settings: default volume', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON TABLE music_settings IS 'Per-guild music player settings managed with /music';
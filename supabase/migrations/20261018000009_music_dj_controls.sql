@@ -0,0 +1,16 @@
+-- Migration 013: Music DJ Controls
+-- Purpose: DJ role, vote-skip threshold and per-user queue limit for shared music sessions
+
+ALTER TABLE music_settings ADD COLUMN IF NOT EXISTS dj_role_id TEXT;  -- NULL means only members who can manage the server are DJs
+ALTER TABLE music_settings ADD COLUMN IF NOT EXISTS vote_skip_ratio NUMERIC(3, 2) NOT NULL DEFAULT 0.5;
+ALTER TABLE music_settings ADD COLUMN IF NOT EXISTS max_songs_per_user INTEGER NOT NULL DEFAULT 0;  -- 0 means no limit
+
+ALTER TABLE music_settings ADD CONSTRAINT valid_music_vote_skip_ratio CHECK (vote_skip_ratio > 0 AND vote_skip_ratio <= 1);
+ALTER TABLE music_settings ADD CONSTRAINT valid_music_max_songs_per_user CHECK (max_songs_per_user >= 0);
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('013', 'Music DJ role, vote-skip threshold and per-user queue limit', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON COLUMN music_settings.vote_skip_ratio IS 'Share of listeners in the voice channel that must vote before a non-DJ skip goes through';
+COMMENT ON COLUMN music_settings.max_songs_per_user IS 'Most songs one non-DJ can have waiting in the queue';
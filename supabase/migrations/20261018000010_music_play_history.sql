@@ -0,0 +1,67 @@
+-- Migration 014: Music Play History
+-- Purpose: Log of every track played in a guild for /music history, /music stats and the music section of /digest
+
+CREATE TABLE IF NOT EXISTS music_plays (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    guild_id TEXT NOT NULL,
+    requested_by TEXT,                  -- User who queued the track (NULL if unknown)
+    url TEXT NOT NULL,
+    title TEXT NOT NULL,
+    track JSONB NOT NULL DEFAULT '{}',  -- Saved song fields, so the track can be queued again: { url, title, channel, duration, ... }
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    listened_seconds INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT valid_music_play_listened_seconds CHECK (listened_seconds >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_music_plays_guild_started
+    ON music_plays(guild_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_music_plays_guild_requester
+    ON music_plays(guild_id, requested_by, started_at DESC);
+
+-- Totals, top tracks and top requesters for a guild since a point in time (NULL for all time)
+CREATE OR REPLACE FUNCTION get_music_stats(p_guild_id TEXT, p_since TIMESTAMP WITH TIME ZONE DEFAULT NULL, p_limit INTEGER DEFAULT 5)
+RETURNS JSONB AS $$
+    WITH plays AS (
+        SELECT * FROM music_plays
+        WHERE guild_id = p_guild_id AND (p_since IS NULL OR started_at >= p_since)
+    )
+    SELECT jsonb_build_object(
+        'total_plays', (SELECT COUNT(*) FROM plays),
+        'total_seconds', (SELECT COALESCE(SUM(listened_seconds), 0) FROM plays),
+        'requesters', (SELECT COUNT(DISTINCT requested_by) FROM plays),
+        'top_tracks', COALESCE((
+            SELECT jsonb_agg(t ORDER BY t.plays DESC, t.seconds DESC)
+            FROM (
+                SELECT url, MAX(title) AS title, COUNT(*) AS plays, SUM(listened_seconds) AS seconds
+                FROM plays
+                GROUP BY url
+                ORDER BY COUNT(*) DESC, SUM(listened_seconds) DESC
+                LIMIT p_limit
+            ) t
+        ), '[]'::jsonb),
+        'top_requesters', COALESCE((
+            SELECT jsonb_agg(r ORDER BY r.plays DESC, r.seconds DESC)
+            FROM (
+                SELECT requested_by AS user_id, COUNT(*) AS plays, SUM(listened_seconds) AS seconds
+                FROM plays
+                WHERE requested_by IS NOT NULL
+                GROUP BY requested_by
+                ORDER BY COUNT(*) DESC, SUM(listened_seconds) DESC
+                LIMIT p_limit
+            ) r
+        ), '[]'::jsonb)
+    );
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE music_plays ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_music_plays" ON music_plays
+    FOR ALL USING ("auth"."role"() = 'service_role');
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('014', 'Music play history for /music history and /music stats', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON TABLE music_plays IS 'One row per track played by the music player, written when the track stops';
+COMMENT ON COLUMN music_plays.listened_seconds IS 'How long the track was actually heard (pauses excluded), which is less than its length when skipped';
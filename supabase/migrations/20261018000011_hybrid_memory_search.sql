@@ -0,0 +1,54 @@
+-- Migration 015: Hybrid Memory Search
+-- Purpose: Let chat context search a user's memories by meaning within one guild, alongside keyword and recency ranking
+
+-- The return type changes (guild_id is added), so the old function has to be dropped first
+DROP FUNCTION IF EXISTS match_user_memories(vector, text, float, int);
+
+CREATE OR REPLACE FUNCTION match_user_memories(
+    query_embedding vector(1536),
+    match_user_id text,
+    match_threshold float DEFAULT 0.7,
+    match_count int DEFAULT 10,
+    match_guild_id text DEFAULT NULL
+)
+RETURNS TABLE (
+    id uuid,
+    user_id text,
+    guild_id text,
+    memory_content text,
+    context_type text,
+    metadata jsonb,
+    created_at timestamp,
+    updated_at timestamp,
+    similarity float
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        um.id,
+        um.user_id,
+        um.guild_id,
+        um.memory_content,
+        um.context_type,
+        um.metadata,
+        um.created_at,
+        um.updated_at,
+        1 - (um.embedding <=> query_embedding) as similarity
+    FROM user_memory um
+    WHERE um.user_id = match_user_id
+        AND (match_guild_id IS NULL OR um.guild_id = match_guild_id)
+        AND um.embedding IS NOT NULL
+        AND (um.expires_at IS NULL OR um.expires_at > NOW())
+        AND 1 - (um.embedding <=> query_embedding) > match_threshold
+    ORDER BY um.embedding <=> query_embedding
+    LIMIT match_count;
+END;
+$$;
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('015', 'Guild filter for semantic user memory search', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON FUNCTION match_user_memories IS 'Semantic search for user memories using cosine similarity, optionally limited to one guild';
@@ -0,0 +1,15 @@
+-- Migration 016: Memory Pinning
+-- Purpose: Let users keep a memory out of the automatic cleanup with /memory pin
+
+ALTER TABLE user_memory ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- cleanupOldMemories only looks at unpinned conversations
+CREATE INDEX IF NOT EXISTS idx_user_memory_unpinned_created
+    ON user_memory(context_type, created_at)
+    WHERE pinned = FALSE;
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('016', 'Pinned user memories for /memory pin', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON COLUMN user_memory.pinned IS 'Pinned memories are never removed by the age-based or expiry cleanup';
@@ -0,0 +1,27 @@
+-- Migration 017: Reply Memory Sources
+-- Purpose: Remember which memories were in Bepo's context for each AI reply, for the "Why did Bepo say this?" context menu
+
+CREATE TABLE IF NOT EXISTS reply_memory_sources (
+    message_id TEXT PRIMARY KEY,        -- Bepo's reply (one row per message when a reply is split into chunks)
+    guild_id TEXT,
+    channel_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,              -- User Bepo was replying to (owner of the user memories)
+    user_memory_ids UUID[] NOT NULL DEFAULT '{}',
+    server_memory_ids UUID[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reply_memory_sources_created
+    ON reply_memory_sources(created_at);
+
+ALTER TABLE reply_memory_sources ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "service_role_all_reply_memory_sources" ON reply_memory_sources
+    FOR ALL USING ("auth"."role"() = 'service_role');
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('017', 'Memories used for each AI reply, for the "Why did Bepo say this?" context menu', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON TABLE reply_memory_sources IS 'Memory IDs injected into the context of each AI reply; rows are removed after 30 days';
+COMMENT ON COLUMN reply_memory_sources.user_memory_ids IS 'May point at memories deleted since the reply';
@@ -0,0 +1,10 @@
+-- Migration 018: Reaction Fallback Emoji
+-- Purpose: Let a reaction rule fall back to a unicode emoji when none of its custom emoji can be used in a server
+
+ALTER TABLE reaction_rules ADD COLUMN IF NOT EXISTS fallback_emoji TEXT;
+
+INSERT INTO migration_history (migration_id, description, applied_at)
+VALUES ('018', 'Fallback emoji for reaction rules whose custom emoji are missing', NOW())
+ON CONFLICT (migration_id) DO NOTHING;
+
+COMMENT ON COLUMN reaction_rules.fallback_emoji IS 'Unicode emoji used when no pool entry resolves in the guild; NULL skips the reaction';
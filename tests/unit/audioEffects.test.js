@@ -0,0 +1,58 @@
+// Unit tests for music audio effects
+import { describe, it, expect } from 'vitest';
+import {
+  AUDIO_FILTERS,
+  toggleFilter,
+  buildFilterChain,
+  getPlaybackSpeed,
+  buildFfmpegArgs,
+  clampVolume
+} from '../../src/utils/audioEffects.js';
+
+describe('Audio Effects', () => {
+  it('should toggle filters and keep them in chain order', () => {
+    const filters = toggleFilter(toggleFilter([], 'loudnorm'), 'bassboost');
+    expect(filters).toEqual(['bassboost', 'loudnorm']);
+    expect(toggleFilter(filters, 'bassboost')).toEqual(['loudnorm']);
+  });
+
+  it('should let nightcore and vaporwave replace each other', () => {
+    expect(toggleFilter(['nightcore', 'bassboost'], 'vaporwave')).toEqual(['vaporwave', 'bassboost']);
+  });
+
+  it('should reject unknown filters', () => {
+    expect(() => toggleFilter([], 'chipmunk')).toThrow('Unknown audio filter');
+  });
+
+  it('should build an ffmpeg filter chain', () => {
+    expect(buildFilterChain([])).toBeNull();
+    expect(buildFilterChain(['8d', 'bassboost'])).toBe(`${AUDIO_FILTERS.bassboost.filter},${AUDIO_FILTERS['8d'].filter}`);
+  });
+
+  it('should work out the playback speed of the filters', () => {
+    expect(getPlaybackSpeed([])).toBe(1);
+    expect(getPlaybackSpeed(['nightcore', 'loudnorm'])).toBe(1.25);
+  });
+
+  it('should seek before the input and filter before the output format', () => {
+    const args = buildFfmpegArgs({ filters: ['loudnorm'], seekSeconds: 42.5 });
+
+    expect(args.slice(0, 4)).toEqual(['-ss', '42.500', '-i', 'pipe:0']);
+    expect(args[args.indexOf('-af') + 1]).toBe(AUDIO_FILTERS.loudnorm.filter);
+    expect(args.indexOf('-af')).toBeLessThan(args.indexOf('-f'));
+    expect(args.at(-1)).toBe('pipe:1');
+  });
+
+  it('should keep the plain arguments when there are no effects', () => {
+    expect(buildFfmpegArgs()).toEqual([
+      '-i', 'pipe:0', '-analyzeduration', '0', '-loglevel', '0',
+      '-f', 's16le', '-ar', '48000', '-ac', '2', 'pipe:1'
+    ]);
+  });
+
+  it('should clamp volumes', () => {
+    expect(clampVolume(250)).toBe(200);
+    expect(clampVolume(-5)).toBe(0);
+    expect(clampVolume(NaN)).toBe(100);
+  });
+});
@@ -0,0 +1,283 @@
+// Unit tests for audio sources and media binary lookup
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+// fs is partly mocked in tests/setup.js, fs/promises isn't
+import { mkdtemp, writeFile, chmod, mkdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const { spawnCalls } = vi.hoisted(() => ({ spawnCalls: [] }));
+
+// FFmpeg sends one chunk so the stream counts as started; a yt-dlp URL containing "broken" exits with an error.
+// ffprobe only finds tags in files whose name (or piped content) contains "tagged"
+vi.mock('child_process', async () => {
+  const { PassThrough } = await import('stream');
+  const { EventEmitter } = await import('events');
+
+  return {
+    spawn: vi.fn((command, args) => {
+      const child = new EventEmitter();
+      child.stdin = new PassThrough();
+      child.stdout = new PassThrough();
+      child.stderr = new PassThrough();
+      child.killed = false;
+      child.kill = vi.fn(() => { child.killed = true; });
+      spawnCalls.push({ command, args, child });
+
+      if (command.endsWith('ffmpeg')) {
+        setImmediate(() => child.stdout.write(Buffer.alloc(16)));
+      } else if (args[0].includes('broken')) {
+        child.stderr.write('ERROR: Video unavailable');
+        // Queued before FFmpeg's first chunk (FFmpeg is spawned after yt-dlp), so the exit always comes first
+        setImmediate(() => child.emit('exit', 1));
+      }
+      return child;
+    }),
+    execFile: vi.fn((command, args, options, callback) => {
+      const child = new EventEmitter();
+      child.stdin = new PassThrough();
+
+      const probe = (location) => {
+        if (!location.includes('tagged')) {
+          callback(new Error('Invalid data found when processing input'));
+          return;
+        }
+        const format = { duration: '185.4', tags: { TITLE: 'Tagged Title', ARTIST: 'Tagged Artist' } };
+        callback(null, JSON.stringify({ format }));
+      };
+
+      const location = args[args.length - 1];
+      if (location === 'pipe:0') {
+        let piped = '';
+        child.stdin.on('data', chunk => { piped += chunk; });
+        child.stdin.on('end', () => probe(piped));
+      } else {
+        setImmediate(() => probe(location));
+      }
+      return child;
+    })
+  };
+});
+
+vi.mock('../../src/utils/youtubeUtils.js', () => ({
+  getVideoInfo: vi.fn(async (url) => ({ title: 'Video', channel: 'Channel', duration: '3:00', thumbnail: null, isLive: false, url })),
+  getYouTubePlaylistInfo: vi.fn(),
+  analyzeYouTubeUrl: vi.fn(() => ({ isLivestream: false, isPlaylist: false })),
+  getDirectAudioUrl: vi.fn(async () => 'https://media.example.com/direct.webm')
+}));
+
+vi.mock('../../src/utils/spotifyUtils.js', () => ({
+  getSpotifyTrackInfo: vi.fn()
+}));
+
+// No real DNS in tests: IP literals resolve to themselves, a few names to private addresses, the rest to a public one
+vi.mock('dns/promises', async () => {
+  const { isIP } = await import('net');
+  const privateHosts = { localhost: '127.0.0.1', 'nas.lan.example.com': '192.168.1.20' };
+
+  return {
+    lookup: vi.fn(async (hostname) => {
+      const address = isIP(hostname) ? hostname : privateHosts[hostname] || '93.184.216.34';
+      return [{ address, family: isIP(address) || 4 }];
+    })
+  };
+});
+
+import {
+  findAudioSource,
+  detectAudioSource,
+  isAudioAttachment,
+  createSongStream,
+  registerAudioSource,
+  getLocalFilePath
+} from '../../src/utils/audioSources.js';
+import { findOnPath, resolveBinary } from '../../src/utils/mediaBinaries.js';
+import { isPublicUrl, fetchPublicUrl } from '../../src/utils/publicUrl.js';
+
+describe('Audio Sources', () => {
+  const originalLocalDir = process.env.MUSIC_LOCAL_DIR;
+
+  beforeEach(() => {
+    spawnCalls.length = 0;
+  });
+
+  afterEach(() => {
+    process.env.MUSIC_LOCAL_DIR = originalLocalDir ?? '';
+    vi.unstubAllGlobals();
+  });
+
+  it('should pick the source for each kind of link', () => {
+    const sourceFor = (url) => findAudioSource(url)?.name ?? null;
+
+    expect(sourceFor('https://www.youtube.com/watch?v=abc')).toBe('youtube');
+    expect(sourceFor('https://youtu.be/abc')).toBe('youtube');
+    expect(sourceFor('https://open.spotify.com/track/123')).toBe('spotify');
+    expect(sourceFor('https://cdn.discordapp.com/attachments/1/2/song.mp3?ex=1')).toBe('attachment');
+    expect(sourceFor('https://example.com/music/Track_01.ogg')).toBe('http');
+    expect(sourceFor('file:albums/song.mp3')).toBe('local');
+    expect(sourceFor('https://example.com/page.html')).toBeNull();
+  });
+
+  it('should name direct audio links after the file', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('no tags here')));
+    const { songs, collection } = await findAudioSource('https://example.com/music/My_Song%20(Live).mp3')
+      .resolve('https://example.com/music/My_Song%20(Live).mp3');
+
+    expect(collection).toBeNull();
+    expect(songs[0]).toMatchObject({ title: 'My Song (Live)', channel: 'example.com', duration: 'Unknown' });
+  });
+
+  it('should use the title, artist and length from the file tags', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('tagged audio')));
+    const url = 'https://cdn.discordapp.com/attachments/1/2/tagged.flac?ex=1';
+    const { songs } = await findAudioSource(url).resolve(url);
+
+    // ffprobe reads what the bot downloaded instead of opening the link itself
+    const probeArgs = (await import('child_process')).execFile.mock.calls.at(-1)[1];
+    expect(probeArgs.slice(-3)).toEqual(['-protocol_whitelist', 'pipe', 'pipe:0']);
+
+    expect(songs[0]).toMatchObject({
+      source: 'attachment',
+      title: 'Tagged Title',
+      channel: 'Tagged Artist',
+      duration: '3:05'
+    });
+  });
+
+  it('should accept attachments by extension or content type', () => {
+    expect(isAudioAttachment({ name: 'Song.MP3', contentType: null })).toBe(true);
+    expect(isAudioAttachment({ name: 'voice-message', contentType: 'audio/ogg' })).toBe(true);
+    expect(isAudioAttachment({ name: 'notes.pdf', contentType: 'application/pdf' })).toBe(false);
+  });
+
+  it('should recognize audio links without an extension by their content type', async () => {
+    const fetchMock = vi.fn(async (url) => ({
+      ok: true,
+      headers: new Headers({ 'content-type': url.includes('stream') ? 'audio/mpeg' : 'text/html' })
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const source = await detectAudioSource('https://radio.example.com/stream/42');
+    expect(source.name).toBe('http');
+    expect((await source.resolve('https://radio.example.com/stream/42')).songs[0].title)
+      .toBe('Audio from radio.example.com');
+    expect(await detectAudioSource('https://example.com/about')).toBeNull();
+    expect(fetchMock).toHaveBeenCalledWith('https://example.com/about', expect.objectContaining({ method: 'HEAD' }));
+  });
+
+  it('should refuse links to loopback, private and link-local addresses', async () => {
+    const fetchMock = vi.fn(async () => new Response(new Uint8Array(16)));
+    vi.stubGlobal('fetch', fetchMock);
+
+    for (const url of [
+      'http://127.0.0.1:8080/song.mp3',
+      'http://localhost/song.mp3',
+      'http://169.254.169.254/latest/meta-data/song.mp3',
+      'http://10.0.0.5/song.mp3',
+      'http://nas.lan.example.com/music/song.flac',
+      'http://[::1]/song.mp3',
+      'http://[::ffff:127.0.0.1]/song.mp3'
+    ]) {
+      expect((await findAudioSource(url).resolve(url)).error).toContain('private or local address');
+    }
+
+    expect(await detectAudioSource('http://169.254.169.254/latest/meta-data')).toBeNull();
+    await expect(createSongStream({ url: 'http://192.168.1.20/stream', source: 'http' })).rejects.toThrow('isn\'t a public address');
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should check every redirect before following it', async () => {
+    const fetchMock = vi.fn(async (url) => url === 'https://example.com/song'
+      ? new Response(null, { status: 302, headers: { location: 'http://127.0.0.1/admin' } })
+      : new Response('audio'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    expect(await isPublicUrl('ftp://example.com/song.mp3')).toBe(false);
+    expect(await isPublicUrl('https://example.com/song.mp3')).toBe(true);
+    await expect(fetchPublicUrl('https://example.com/song')).rejects.toThrow('http://127.0.0.1/admin');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep local files inside the music folder', async () => {
+    process.env.MUSIC_LOCAL_DIR = '';
+    const local = findAudioSource('file:song.mp3');
+    expect((await local.resolve('file:song.mp3')).error).toContain('isn\'t enabled');
+
+    const musicDir = await mkdtemp(path.join(tmpdir(), 'bepo-music-'));
+    await mkdir(path.join(musicDir, 'albums'));
+    await writeFile(path.join(musicDir, 'albums', 'song.mp3'), '');
+    process.env.MUSIC_LOCAL_DIR = musicDir;
+
+    expect(getLocalFilePath('file:../secret.mp3')).toBeNull();
+    expect((await local.resolve('file:missing.mp3')).error).toContain('isn\'t in the music folder');
+    expect((await local.resolve('file:albums/song.mp3')).songs[0].title).toBe('song');
+  });
+
+  it('should stream YouTube songs through yt-dlp and FFmpeg', async () => {
+    const stream = await createSongStream({ url: 'https://youtu.be/abc' }, { filters: [], seekSeconds: 12 });
+
+    const ytdlp = spawnCalls.find(call => call.command.endsWith('yt-dlp'));
+    const ffmpeg = spawnCalls.find(call => call.command.endsWith('ffmpeg'));
+    expect(ytdlp.args[0]).toBe('https://youtu.be/abc');
+    expect(ffmpeg.args.slice(0, 2)).toEqual(['-ss', '12.000']);
+    expect(stream.process).toEqual({ input: ytdlp.child, ffmpeg: ffmpeg.child });
+  });
+
+  it('should stop FFmpeg and fail when yt-dlp exits early without a fallback', async () => {
+    await expect(createSongStream({ url: 'https://youtu.be/broken' }, { fallback: false }))
+      .rejects.toThrow('Video unavailable');
+
+    const ffmpeg = spawnCalls.find(call => call.command.endsWith('ffmpeg'));
+    expect(ffmpeg.child.kill).toHaveBeenCalled();
+  });
+
+  it('should check added sources before the built-in ones', async () => {
+    const stream = { stream: null, type: 'raw' };
+    registerAudioSource({
+      name: 'test-radio',
+      matches: (url) => url.startsWith('https://example.com/radio'),
+      resolve: async (url) => ({ songs: [{ url, title: 'Radio' }], collection: null }),
+      createStream: vi.fn(async () => stream)
+    });
+
+    expect(findAudioSource('https://example.com/radio/live.mp3').name).toBe('test-radio');
+    expect(await createSongStream({ url: 'https://example.com/radio/live.mp3' })).toBe(stream);
+    expect(() => registerAudioSource({ name: 'test-radio', matches: () => false })).toThrow('already registered');
+  });
+
+  it('should stream saved songs from the source that found them', async () => {
+    const fetchMock = vi.fn(async () => new Response(new Uint8Array(16)));
+    vi.stubGlobal('fetch', fetchMock);
+
+    // An extension-less link only matches a source through song.source
+    const stream = await createSongStream({ url: 'https://radio.example.com/stream/42', source: 'http' });
+
+    expect(fetchMock).toHaveBeenCalledWith('https://radio.example.com/stream/42', expect.objectContaining({ redirect: 'manual' }));
+    expect(spawnCalls.some(call => call.command.endsWith('yt-dlp'))).toBe(false);
+    expect(stream.process.ffmpeg).toBe(spawnCalls.find(call => call.command.endsWith('ffmpeg')).child);
+  });
+});
+
+describe('Media Binaries', () => {
+  const originalYtdlpPath = process.env.YTDLP_PATH;
+
+  afterEach(() => {
+    process.env.YTDLP_PATH = originalYtdlpPath ?? '';
+  });
+
+  it('should prefer the configured path', () => {
+    process.env.YTDLP_PATH = '/srv/tools/yt-dlp';
+    expect(resolveBinary('yt-dlp')).toEqual({ path: '/srv/tools/yt-dlp', source: 'config' });
+  });
+
+  it('should find executables on PATH and skip files that are not executable', async () => {
+    const binDir = await mkdtemp(path.join(tmpdir(), 'bepo-bin-'));
+    const otherDir = await mkdtemp(path.join(tmpdir(), 'bepo-bin-'));
+    await writeFile(path.join(otherDir, 'bepo-test-tool'), '');
+    await writeFile(path.join(binDir, 'bepo-test-tool'), '#!/bin/sh\n');
+    await chmod(path.join(binDir, 'bepo-test-tool'), 0o755);
+
+    expect(findOnPath('bepo-test-tool', [otherDir, binDir].join(path.delimiter)))
+      .toBe(path.join(binDir, 'bepo-test-tool'));
+    expect(findOnPath('bepo-missing-tool', binDir)).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+// Unit tests for /digest auto
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { MessageFlags } from 'discord.js';
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  getDigestSettings: vi.fn(),
+  upsertDigestSettings: vi.fn(),
+  getLastDigestRun: vi.fn(),
+  insertDigestRun: vi.fn(),
+  getScheduledPosts: vi.fn(),
+  getDueScheduledPosts: vi.fn(),
+  insertScheduledPost: vi.fn(),
+  claimScheduledPostRun: vi.fn(),
+  deleteScheduledPost: vi.fn()
+}));
+
+vi.mock('../../src/utils/digestUtils.js', () => ({
+  DigestManager: {
+    createDigest: vi.fn(),
+    buildDigestEmbed: vi.fn()
+  }
+}));
+
+vi.mock('../../src/utils/guildConfig.js', () => ({
+  PermissionManager: { hasPermission: vi.fn(async () => true) }
+}));
+
+import digestCommand from '../../src/commands/fun/digest.js';
+import {
+  getDigestSettings,
+  upsertDigestSettings,
+  insertScheduledPost,
+  deleteScheduledPost
+} from '../../src/supabase/supabase.js';
+
+const createInteraction = () => {
+  const options = { period: 'daily', time: '9am', timezone: 'Europe/London' };
+  return {
+    guild: { id: 'guild-1' },
+    user: { id: 'user-1' },
+    member: {},
+    options: {
+      getSubcommand: () => 'auto',
+      getString: (name) => options[name] ?? null,
+      getChannel: () => ({ id: 'channel-1' })
+    },
+    reply: vi.fn(),
+    deferReply: vi.fn(),
+    editReply: vi.fn()
+  };
+};
+
+describe('/digest auto', () => {
+  beforeEach(() => {
+    getDigestSettings.mockResolvedValue({ auto_schedule_id: 'old-post' });
+    insertScheduledPost.mockImplementation(async (post) => ({ ...post, id: 'new-post' }));
+    upsertDigestSettings.mockResolvedValue({ guild_id: 'guild-1' });
+  });
+
+  it('should replace the old automatic digest only after the new one is saved', async () => {
+    const interaction = createInteraction();
+
+    await digestCommand.execute(interaction);
+
+    expect(upsertDigestSettings).toHaveBeenCalledWith('guild-1', expect.objectContaining({ auto_schedule_id: 'new-post' }));
+    expect(deleteScheduledPost).toHaveBeenCalledWith('guild-1', 'old-post');
+    expect(insertScheduledPost.mock.invocationCallOrder[0]).toBeLessThan(deleteScheduledPost.mock.invocationCallOrder[0]);
+    expect(interaction.deferReply).toHaveBeenCalledWith({ flags: MessageFlags.Ephemeral });
+    expect(interaction.deferReply.mock.invocationCallOrder[0]).toBeLessThan(getDigestSettings.mock.invocationCallOrder[0]);
+    expect(interaction.editReply.mock.calls[0][0]).toContain('Daily digests will post in <#channel-1>');
+  });
+
+  it('should keep the old automatic digest when the new one fails to save', async () => {
+    insertScheduledPost.mockResolvedValue(null);
+    const interaction = createInteraction();
+
+    await digestCommand.execute(interaction);
+
+    expect(deleteScheduledPost).not.toHaveBeenCalled();
+    expect(upsertDigestSettings).not.toHaveBeenCalled();
+    expect(interaction.editReply.mock.calls[0][0]).toContain('Failed to save');
+  });
+
+  it('should remove the new post again when the digest settings fail to update', async () => {
+    upsertDigestSettings.mockResolvedValue(null);
+    const interaction = createInteraction();
+
+    await digestCommand.execute(interaction);
+
+    expect(deleteScheduledPost).toHaveBeenCalledTimes(1);
+    expect(deleteScheduledPost).toHaveBeenCalledWith('guild-1', 'new-post');
+  });
+});
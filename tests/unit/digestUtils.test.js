@@ -1,6 +1,15 @@
 // Unit tests for digestUtils
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { SnowflakeUtil, Collection } from 'discord.js';
 import { DigestManager, DigestUtils } from '../../src/utils/digestUtils.js';
+import { getDigestSettings, getDigestChannelSummaries, upsertDigestChannelSummary, getMusicStats } from '../../src/supabase/supabase.js';
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  getDigestSettings: vi.fn(),
+  getDigestChannelSummaries: vi.fn(),
+  upsertDigestChannelSummary: vi.fn(),
+  getMusicStats: vi.fn()
+}));
 
 // Mock Discord.js types
 const mockGuild = {
@@ -94,6 +103,10 @@ describe('DigestManager', () => {
   });
 
   describe('readable channels filtering', () => {
+    afterEach(() => {
+      DigestManager.getReadableChannels.mockRestore();
+    });
+
     it('should filter to text-based channels only', () => {
       // Mock DigestManager.getReadableChannels directly to avoid complex Discord.js mocking
       const mockChannels = {
@@ -124,6 +137,252 @@ describe('DigestManager', () => {
     });
   });
 
+  describe('digest channel selection', () => {
+    const since = new Date('2024-01-14T12:00:00Z');
+    const channelAt = (id, isoTime, parentId = null) => ({
+      id,
+      parentId,
+      lastMessageId: isoTime ? SnowflakeUtil.generate({ timestamp: new Date(isoTime) }).toString() : null
+    });
+    const toCollection = (channels) => new Map(channels.map(channel => [channel.id, channel]));
+
+    it('should skip inactive channels and order by recent activity', () => {
+      const channels = toCollection([
+        channelAt('quiet', '2024-01-10T00:00:00Z'),
+        channelAt('older', '2024-01-14T18:00:00Z'),
+        channelAt('newer', '2024-01-15T11:00:00Z'),
+        channelAt('empty', null)
+      ]);
+
+      const selected = DigestManager.selectDigestChannels(channels, since);
+      expect(selected.map(channel => channel.id)).toEqual(['newer', 'older']);
+    });
+
+    it('should apply include and exclude lists, matching threads by parent', () => {
+      const channels = toCollection([
+        channelAt('general', '2024-01-15T10:00:00Z'),
+        channelAt('thread', '2024-01-15T11:00:00Z', 'general'),
+        channelAt('memes', '2024-01-15T09:00:00Z'),
+        channelAt('mod-log', '2024-01-15T08:00:00Z')
+      ]);
+
+      const included = DigestManager.selectDigestChannels(channels, since, { include_channel_ids: ['general'] });
+      expect(included.map(channel => channel.id)).toEqual(['thread', 'general']);
+
+      const excluded = DigestManager.selectDigestChannels(channels, since, { exclude_channel_ids: ['mod-log', 'general'] });
+      expect(excluded.map(channel => channel.id)).toEqual(['memes']);
+    });
+
+    it('should not cap busy servers to a handful of channels', () => {
+      const channels = toCollection(Array.from({ length: 40 }, (_, index) =>
+        channelAt(`channel-${index}`, '2024-01-15T10:00:00Z')));
+
+      expect(DigestManager.selectDigestChannels(channels, since)).toHaveLength(40);
+    });
+  });
+
+  describe('full history collection', () => {
+    const startTime = new Date('2024-01-14T12:00:00Z');
+    const createMessage = (id, isoTime, overrides = {}) => ({
+      id,
+      createdTimestamp: new Date(isoTime).getTime(),
+      content: `message ${id}`,
+      author: { id: `user-${id % 3}`, username: `user${id % 3}`, bot: false },
+      attachments: new Map(),
+      reactions: { cache: new Collection() },
+      url: `https://discord.com/channels/1/2/${id}`,
+      ...overrides
+    });
+    const toPage = (messages) => new Collection(messages.map(message => [message.id, message]));
+
+    beforeEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should page back through history until the window starts', async () => {
+      const firstPage = toPage(Array.from({ length: 100 }, (_, index) =>
+        createMessage(300 - index, '2024-01-15T10:00:00Z')));
+      const secondPage = toPage([
+        createMessage(150, '2024-01-14T13:00:00Z'),
+        createMessage(149, '2024-01-14T11:00:00Z')
+      ]);
+      const fetch = vi.fn().mockResolvedValueOnce(firstPage).mockResolvedValueOnce(secondPage);
+
+      const records = await DigestManager.collectChannelMessages({ name: 'general', messages: { fetch } }, startTime);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(fetch.mock.calls[1][0]).toEqual({ limit: 100, before: 201 });
+      expect(records).toHaveLength(101);
+      expect(records[0].content).toBe('message 150');
+    });
+
+    it('should keep short messages and skip bots', async () => {
+      const page = toPage([
+        createMessage(2, '2024-01-15T10:00:00Z', { content: 'lol' }),
+        createMessage(1, '2024-01-15T09:00:00Z', { author: { id: 'bot', username: 'bepo', bot: true } })
+      ]);
+      const fetch = vi.fn().mockResolvedValue(page);
+
+      const records = await DigestManager.collectChannelMessages({ name: 'general', messages: { fetch } }, startTime);
+      expect(records.map(record => record.content)).toEqual(['lol']);
+    });
+
+    it('should build contributor, hour and reaction stats', () => {
+      const records = [
+        { authorId: 'a', author: 'Ana', content: 'gm', timestamp: Date.parse('2024-01-15T20:05:00Z'), reactions: 0, url: 'u1' },
+        { authorId: 'a', author: 'Ana', content: 'ranked?', timestamp: Date.parse('2024-01-15T20:30:00Z'), reactions: 7, url: 'u2' },
+        { authorId: 'b', author: 'Ben', content: 'sure', timestamp: Date.parse('2024-01-15T21:00:00Z'), reactions: 2, url: 'u3' }
+      ];
+
+      const stats = DigestManager.buildChannelStats(records, 'general', 'America/New_York');
+      expect(stats.authors).toEqual({ a: { name: 'Ana', count: 2 }, b: { name: 'Ben', count: 1 } });
+      expect(stats.hours[15]).toBe(2);
+      expect(stats.topReacted.map(message => message.url)).toEqual(['u2', 'u3']);
+
+      const merged = DigestManager.mergeChannelStats([
+        { channelName: 'general', messageCount: 3, stats },
+        { channelName: 'memes', messageCount: 1, stats: { authors: { b: { name: 'Ben', count: 1 } }, hours: [], topReacted: [] } }
+      ]);
+      expect(merged.messageCount).toBe(4);
+      expect(merged.activeUsers).toBe(2);
+      expect(merged.topContributors).toEqual([{ name: 'Ana', count: 2 }, { name: 'Ben', count: 2 }]);
+      expect(merged.busiestHours[0]).toEqual({ hour: 15, count: 2 });
+      expect(merged.mostReacted[0].reactions).toBe(7);
+    });
+
+    it('should pass small channels straight through and summarize larger ones', async () => {
+      const small = [{ author: 'Ana', content: 'gm' }];
+      expect(await DigestManager.summarizeChannel('general', small)).toBe('Ana: gm');
+
+      const large = Array.from({ length: 40 }, (_, index) => ({ author: 'Ana', content: `line ${index}` }));
+      expect(await DigestManager.summarizeChannel('general', large)).toBe('Test AI response');
+    });
+
+    it('should store channel summaries and reuse unchanged ones for the same window', async () => {
+      const unchanged = {
+        id: 'unchanged', name: 'memes', type: 0, parentId: null,
+        lastMessageId: SnowflakeUtil.generate({ timestamp: new Date('2024-01-15T08:00:00Z') }).toString(),
+        permissionsFor: () => ({ has: () => true }),
+        messages: { fetch: vi.fn() }
+      };
+      const active = {
+        ...unchanged, id: 'active', name: 'general',
+        lastMessageId: SnowflakeUtil.generate({ timestamp: new Date('2024-01-15T10:00:00Z') }).toString(),
+        messages: { fetch: vi.fn().mockResolvedValue(toPage([createMessage(5, '2024-01-15T10:00:00Z')])) }
+      };
+      const guild = {
+        id: 'guild-1',
+        members: { me: {} },
+        channels: { cache: new Collection([['unchanged', unchanged], ['active', active]]), fetchActiveThreads: vi.fn() }
+      };
+      getDigestChannelSummaries.mockResolvedValue([{
+        channel_id: 'unchanged', channel_name: 'memes', window_end: '2024-01-15T09:00:00Z',
+        message_count: 4, summary: 'memes happened', stats: { authors: { x: { name: 'Xu', count: 4 } }, hours: [], topReacted: [] }
+      }]);
+
+      const result = await DigestManager.collectServerActivity(guild, startTime, 'daily');
+
+      expect(unchanged.messages.fetch).not.toHaveBeenCalled();
+      expect(upsertDigestChannelSummary).toHaveBeenCalledTimes(1);
+      expect(upsertDigestChannelSummary.mock.calls[0][0]).toMatchObject({ channel_id: 'active', message_count: 1 });
+      expect(result.data.messageCount).toBe(5);
+      expect(result.data.channelSummaries.map(summary => summary.channelName)).toEqual(['general', 'memes']);
+    });
+
+    it('should extend a stored summary with only the messages after its window end', async () => {
+      const channel = {
+        id: 'general', name: 'general', type: 0, parentId: null,
+        lastMessageId: SnowflakeUtil.generate({ timestamp: new Date('2024-01-15T10:00:00Z') }).toString(),
+        permissionsFor: () => ({ has: () => true }),
+        messages: {
+          fetch: vi.fn().mockResolvedValue(toPage([
+            createMessage(7, '2024-01-15T10:00:00Z', { author: { id: 'b', username: 'Ben', bot: false } }),
+            createMessage(6, '2024-01-15T08:30:00Z')
+          ]))
+        }
+      };
+      const guild = {
+        id: 'guild-1',
+        members: { me: {} },
+        channels: { cache: new Collection([['general', channel]]), fetchActiveThreads: vi.fn() }
+      };
+      getDigestChannelSummaries.mockResolvedValue([{
+        channel_id: 'general', channel_name: 'general', window_end: '2024-01-15T09:00:00Z',
+        message_count: 4, summary: 'Ana: gm', stats: { authors: { a: { name: 'Ana', count: 4 } }, hours: [], topReacted: [] }
+      }]);
+
+      const result = await DigestManager.collectServerActivity(guild, startTime, 'daily');
+
+      // The 08:30 message is already in the stored summary
+      expect(result.data.messageCount).toBe(5);
+      expect(result.data.activeUsers).toBe(2);
+      expect(upsertDigestChannelSummary.mock.calls[0][0]).toMatchObject({
+        window_start: startTime.toISOString(),
+        message_count: 5,
+        summary: 'Ana: gm\nBen: message 7'
+      });
+    });
+  });
+
+  describe('createDigest', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2024-01-15T12:00:00Z'));
+      getDigestSettings.mockResolvedValue({ include_channel_ids: ['general'], exclude_channel_ids: [] });
+      vi.spyOn(DigestManager, 'collectServerActivity').mockResolvedValue({ success: true, data: { messageCount: 3 } });
+      vi.spyOn(DigestManager, 'generateDigest').mockResolvedValue({ success: true, digest: { title: 'Digest' } });
+    });
+
+    it('should start the window where the last digest ended', async () => {
+      const since = new Date('2024-01-15T00:00:00Z');
+      const result = await DigestManager.createDigest({ id: 'guild-1', ...mockGuild }, 'daily', false, { since });
+
+      expect(DigestManager.collectServerActivity).toHaveBeenCalledWith(
+        expect.anything(), since, 'daily', { include_channel_ids: ['general'], exclude_channel_ids: [] }, { timeZone: 'UTC' }
+      );
+      expect(result.window).toEqual({ start: since, end: new Date('2024-01-15T12:00:00Z'), messageCount: 3 });
+    });
+
+    it('should start rolling windows on a 15 minute boundary so repeat digests reuse stored summaries', async () => {
+      vi.setSystemTime(new Date('2024-01-15T12:07:30Z'));
+      await DigestManager.createDigest({ id: 'guild-1', ...mockGuild }, 'daily', false);
+
+      expect(DigestManager.collectServerActivity.mock.calls[0][1]).toEqual(new Date('2024-01-14T12:00:00Z'));
+    });
+
+    it('should never reach back further than the period', async () => {
+      await DigestManager.createDigest({ id: 'guild-1', ...mockGuild }, 'daily', false, { since: new Date('2024-01-01T00:00:00Z') });
+
+      const startTime = DigestManager.collectServerActivity.mock.calls[0][1];
+      expect(startTime).toEqual(new Date('2024-01-14T12:00:00Z'));
+    });
+
+    it('should add a music section only when something was played', async () => {
+      getMusicStats.mockResolvedValueOnce({ total_plays: 0, total_seconds: 0, top_tracks: [], top_requesters: [] });
+      const quiet = await DigestManager.createDigest({ id: 'guild-1', ...mockGuild }, 'daily', false);
+      expect(quiet.digest.music).toBeUndefined();
+
+      getMusicStats.mockResolvedValueOnce({
+        total_plays: 12,
+        total_seconds: 2 * 3600,
+        top_tracks: [{ title: 'Song A', url: 'https://youtu.be/a', plays: 4 }],
+        top_requesters: [{ user_id: 'user-1', plays: 9 }]
+      });
+      const result = await DigestManager.createDigest({ id: 'guild-1', ...mockGuild }, 'daily', false);
+
+      expect(getMusicStats).toHaveBeenLastCalledWith('guild-1', new Date('2024-01-14T12:00:00Z'), 3);
+      expect(result.digest.music).toContain('**12** songs played, 2 hours of listening');
+      expect(result.digest.music).toContain('[Song A](https://youtu.be/a) (4)');
+      expect(result.digest.music).toContain('<@user-1> (9)');
+    });
+
+    it('should reject invalid periods before collecting anything', async () => {
+      const result = await DigestManager.createDigest({ id: 'guild-1', ...mockGuild }, '2h', false);
+      expect(result.success).toBe(false);
+      expect(DigestManager.collectServerActivity).not.toHaveBeenCalled();
+    });
+  });
+
   describe('statistics formatting', () => {
     it('should format statistics correctly', () => {
       const mockData = {
@@ -147,6 +406,24 @@ describe('DigestManager', () => {
       expect(stats).toContain('• #general: 20 messages');
     });
 
+    it('should include contributors, busiest hours and most-reacted messages when collected', () => {
+      const stats = DigestManager.formatStats({
+        messageCount: 10,
+        activeUsers: 2,
+        channelActivity: new Map([['general', 10]]),
+        channelsAnalyzed: 1,
+        totalChannels: 1,
+        topContributors: [{ name: 'Ana', count: 7 }],
+        busiestHours: [{ hour: 21, count: 6 }],
+        mostReacted: [{ author: 'Ana', content: 'ranked?', reactions: 7, url: 'https://discord.com/channels/1/2/3' }],
+        timeZone: 'America/New_York'
+      });
+
+      expect(stats).toContain('• Ana: 7 messages');
+      expect(stats).toContain('**⏰ Busiest Hours (America/New_York):** 21:00 (6)');
+      expect(stats).toContain('[ranked?](https://discord.com/channels/1/2/3) - Ana (7)');
+    });
+
     it('should handle empty channel activity', () => {
       const mockData = {
         messageCount: 0,
@@ -0,0 +1,119 @@
+// Unit tests for picking facts out of conversations and merging them with remembered ones
+import { describe, it, expect } from 'vitest';
+import { parseExtractedFacts, planFactChanges, normalizeFact, FACT_STATUS } from '../../src/utils/factExtraction.js';
+
+const messages = [
+  { user: 'hey', bot: 'hi!', url: 'https://discord.com/channels/1/2/101' },
+  { user: 'I main Wraith btw', bot: 'Nice pick', url: 'https://discord.com/channels/1/2/102' }
+];
+
+const createFact = (overrides = {}) => ({
+  id: 'fact-1',
+  context_type: 'fact',
+  memory_content: 'Their Apex Legends main is Wraith',
+  ...overrides,
+  metadata: { fact_key: 'apex_main', confidence: 0.8, status: FACT_STATUS.PENDING, ...overrides.metadata }
+});
+
+const candidate = (overrides = {}) => ({
+  key: 'apex_main',
+  fact: 'Their Apex Legends main is Wraith',
+  category: 'fact',
+  confidence: 0.9,
+  sourceUrl: 'https://discord.com/channels/1/2/102',
+  ...overrides
+});
+
+describe('Fact Parsing', () => {
+  it('should read facts with their source message', () => {
+    const reply = '```json\n{"facts": [{"key": "Apex Main", "fact": "Their Apex Legends main is Wraith", "type": "fact", "confidence": 0.9, "message": 2}]}\n```';
+
+    expect(parseExtractedFacts(reply, messages)).toEqual([candidate()]);
+  });
+
+  it('should drop unsure, incomplete or unreadable facts', () => {
+    const reply = JSON.stringify({
+      facts: [
+        { key: 'city', fact: 'Lives in Chicago', confidence: 0.3, message: 1 },
+        { key: 'game', confidence: 0.9 },
+        { key: 'overwatch', fact: 'Hates Overwatch', type: 'preference', confidence: 2, message: 9 }
+      ]
+    });
+
+    expect(parseExtractedFacts(reply, messages)).toEqual([
+      { key: 'overwatch', fact: 'Hates Overwatch', category: 'preference', confidence: 1, sourceUrl: null }
+    ]);
+    expect(parseExtractedFacts('Sorry, no facts here', messages)).toEqual([]);
+  });
+
+  it('should ignore case and punctuation when comparing facts', () => {
+    expect(normalizeFact('Their main is  Wraith!')).toBe(normalizeFact('their main is wraith'));
+  });
+});
+
+describe('Fact Merging', () => {
+  it('should add facts that are new', () => {
+    const { inserts, updates } = planFactChanges([candidate()], []);
+
+    expect(updates).toEqual([]);
+    expect(inserts).toHaveLength(1);
+    expect(inserts[0]).toMatchObject({
+      content: 'Their Apex Legends main is Wraith',
+      metadata: { fact_key: 'apex_main', confidence: 0.9, status: 'pending', source_message_url: 'https://discord.com/channels/1/2/102' }
+    });
+  });
+
+  it('should make a repeated fact more certain instead of storing it twice', () => {
+    const { inserts, updates } = planFactChanges([candidate({ fact: 'their apex legends main is wraith.', confidence: 0.5 })], [createFact()]);
+
+    expect(inserts).toEqual([]);
+    expect(updates).toHaveLength(1);
+    expect(updates[0].id).toBe('fact-1');
+    expect(updates[0].content).toBeUndefined();
+    expect(updates[0].metadata.confidence).toBe(0.9);
+  });
+
+  it('should replace a contradicted fact and keep the old value', () => {
+    const { updates } = planFactChanges([candidate({ fact: 'Their Apex Legends main is Pathfinder' })], [createFact()]);
+
+    expect(updates[0]).toMatchObject({
+      id: 'fact-1',
+      content: 'Their Apex Legends main is Pathfinder',
+      metadata: { confidence: 0.9, status: 'pending', previous_values: ['Their Apex Legends main is Wraith'] }
+    });
+  });
+
+  it('should only lower confidence when the contradiction is less certain', () => {
+    const { updates } = planFactChanges([candidate({ fact: 'Their Apex Legends main is Pathfinder', confidence: 0.6 })], [createFact()]);
+
+    expect(updates[0].content).toBeUndefined();
+    expect(updates[0].metadata.confidence).toBe(0.56);
+  });
+
+  it('should leave pinned facts alone and not bring back rejected ones', () => {
+    const pinned = createFact({ metadata: { status: FACT_STATUS.PINNED } });
+    const rejected = createFact({ id: 'fact-2', memory_content: 'Lives in Chicago', metadata: { fact_key: 'city', status: FACT_STATUS.REJECTED } });
+
+    const { inserts, updates } = planFactChanges([
+      candidate({ fact: 'Their Apex Legends main is Pathfinder' }),
+      candidate({ key: 'city', fact: 'Lives in Chicago' })
+    ], [pinned, rejected]);
+
+    expect(inserts).toEqual([]);
+    expect(updates).toEqual([]);
+  });
+
+  it('should only bring back a rejected fact for a value it never had', () => {
+    const rejected = createFact({
+      memory_content: 'Their Apex Legends main is Wraith',
+      metadata: { status: FACT_STATUS.REJECTED, previous_values: ['Their Apex Legends main is Bloodhound'] }
+    });
+
+    expect(planFactChanges([candidate({ fact: 'their apex legends main is WRAITH!' })], [rejected]).updates).toEqual([]);
+    expect(planFactChanges([candidate({ fact: 'Their Apex Legends main is Bloodhound.' })], [rejected]).updates).toEqual([]);
+
+    const { updates } = planFactChanges([candidate({ fact: 'Their Apex Legends main is Pathfinder' })], [rejected]);
+    expect(updates[0].content).toBe('Their Apex Legends main is Pathfinder');
+    expect(updates[0].metadata.status).toBe(FACT_STATUS.PENDING);
+  });
+});
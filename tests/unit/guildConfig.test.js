@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Controllable Supabase query result for guild_configs lookups
+const mockQuery = vi.hoisted(() => ({ result: { data: null, error: null } }));
+
+vi.mock('@supabase/supabase-js', () => {
+  const builder = {
+    select: vi.fn(() => builder),
+    insert: vi.fn(() => builder),
+    update: vi.fn(() => builder),
+    eq: vi.fn(() => builder),
+    single: vi.fn(() => Promise.resolve(mockQuery.result))
+  };
+  return {
+    createClient: vi.fn(() => ({ from: vi.fn(() => builder) }))
+  };
+});
+
+import {
+  GuildConfigManager,
+  DEFAULT_FEATURE_FLAGS,
+  FEATURE_FLAGS
+} from '../../src/utils/guildConfig.js';
+
+describe('GuildConfigManager feature flags', () => {
+  beforeEach(() => {
+    GuildConfigManager.clearCache();
+    mockQuery.result = { data: null, error: null };
+  });
+
+  it('should enable every feature for unconfigured guilds', async () => {
+    mockQuery.result = { data: null, error: { code: 'PGRST116' } };
+
+    const flags = await GuildConfigManager.getFeatureFlags('guild-1');
+
+    expect(flags).toEqual(DEFAULT_FEATURE_FLAGS);
+    expect(Object.keys(flags)).toEqual(Object.keys(FEATURE_FLAGS));
+  });
+
+  it('should apply stored flags and keep defaults for missing columns', async () => {
+    mockQuery.result = {
+      data: { guild_id: 'guild-2', memory_system_enabled: false, voice_features_enabled: false, ai_chat_enabled: null },
+      error: null
+    };
+
+    const flags = await GuildConfigManager.getFeatureFlags('guild-2');
+
+    expect(flags.memory_system_enabled).toBe(false);
+    expect(flags.voice_features_enabled).toBe(false);
+    expect(flags.ai_chat_enabled).toBe(true);
+    expect(flags.role_commands_enabled).toBe(true);
+  });
+
+  it('should cache flags until cleared', async () => {
+    mockQuery.result = { data: { guild_id: 'guild-3', memory_system_enabled: false }, error: null };
+    await GuildConfigManager.getFeatureFlags('guild-3');
+
+    mockQuery.result = { data: { guild_id: 'guild-3', memory_system_enabled: true }, error: null };
+    expect(await GuildConfigManager.isFeatureEnabled('guild-3', 'memory_system_enabled')).toBe(false);
+
+    GuildConfigManager.clearCache('guild-3');
+    expect(await GuildConfigManager.isFeatureEnabled('guild-3', 'memory_system_enabled')).toBe(true);
+  });
+
+  it('should treat DMs as having every feature enabled', async () => {
+    expect(await GuildConfigManager.isFeatureEnabled(null, 'voice_features_enabled')).toBe(true);
+  });
+
+  it('should gate mapped commands and leave others alone', async () => {
+    mockQuery.result = { data: { guild_id: 'guild-4', voice_features_enabled: false }, error: null };
+
+    expect(await GuildConfigManager.isCommandEnabled('guild-4', 'play'))
+      .toEqual({ enabled: false, feature: 'voice_features_enabled' });
+    expect(await GuildConfigManager.isCommandEnabled('guild-4', 'ping'))
+      .toEqual({ enabled: true, feature: null });
+  });
+
+  it('should gate buttons by custom ID prefix', async () => {
+    mockQuery.result = { data: { guild_id: 'guild-5', role_commands_enabled: false }, error: null };
+
+    expect(await GuildConfigManager.isButtonEnabled('guild-5', 'roleToggle:123'))
+      .toEqual({ enabled: false, feature: 'role_commands_enabled' });
+    expect(await GuildConfigManager.isButtonEnabled('guild-5', 'music_skip'))
+      .toEqual({ enabled: true, feature: 'voice_features_enabled' });
+  });
+
+  it('should reject unknown features', async () => {
+    const result = await GuildConfigManager.setFeature({ id: 'guild-6', name: 'Test', ownerId: '1' }, 'not_a_flag', true);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Unknown feature');
+  });
+});
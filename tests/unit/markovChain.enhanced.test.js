@@ -42,7 +42,7 @@ describe('MarkovChain Enhanced Features', () => {
       expect(markov.sentenceStarters).toBeInstanceOf(Set);
       expect(markov.sentenceEnders).toBeInstanceOf(Set);
       expect(markov.wordFrequency).toEqual({});
-      expect(markov.contextWeights).toEqual({});
+      expect(markov.keyLastSeen).toEqual({});
       expect(markov.userIdRegex).toBeInstanceOf(RegExp);
       expect(markov.userMappings).toBeInstanceOf(Map);
     });
@@ -144,15 +144,13 @@ describe('MarkovChain Enhanced Features', () => {
       expect(markov.wordFrequency['the']).toBeGreaterThan(markov.wordFrequency['dog']);
     });
 
-    it('should build context weights', () => {
-      const text = "Hello my dear world. Hello my dear universe. Hello my dear everyone.";
+    it('should count transitions instead of storing duplicates', () => {
+      const text = "Hello my dear world. Hello my dear universe. Hello my dear world.";
       markov.train(text);
       
-      expect(Object.keys(markov.contextWeights).length).toBeGreaterThan(0);
-      
-      // Should have higher weight for "Hello my dear" transitions
-      const helloTransitions = Object.keys(markov.contextWeights).filter(key => key.includes('Hello my dear'));
-      expect(helloTransitions.length).toBeGreaterThan(0);
+      expect(markov.chain['Hello my dear']).toEqual({ world: 2, universe: 1 });
+      expect(markov.getTransitionCount()).toBe(3);
+      expect(markov.keyLastSeen['Hello my dear']).toBe(MarkovChain.getDayNumber());
     });
 
     it('should skip sentences shorter than order + 1', () => {
@@ -163,6 +161,45 @@ describe('MarkovChain Enhanced Features', () => {
     });
   });
 
+  describe('prune', () => {
+    const day = 24 * 60 * 60 * 1000;
+
+    it('should drop keys that have not been trained recently', () => {
+      markov.train("Old words that nobody says anymore.");
+      const later = Date.now() + 200 * day;
+      markov.train("Fresh words everyone says today.");
+      Object.keys(markov.chain)
+        .filter(key => key.startsWith('Fresh') || key.includes('everyone') || key.includes('says today'))
+        .forEach(key => { markov.keyLastSeen[key] = MarkovChain.getDayNumber(later); });
+      
+      const removed = markov.prune({ maxAgeDays: 180, now: later });
+      
+      expect(removed).toBeGreaterThan(0);
+      expect(Object.keys(markov.chain).some(key => key.startsWith('Old'))).toBe(false);
+      expect(markov.chain['Fresh words everyone']).toEqual({ says: 1 });
+      expect(markov.wordFrequency).not.toHaveProperty('nobody');
+      expect(markov.wordFrequency).toHaveProperty('Fresh');
+    });
+
+    it('should keep the most used keys when over the size cap', () => {
+      markov.train("The cat sat down. The cat sat down. The cat sat down. A dog ran far away.");
+      
+      markov.prune({ maxKeys: 2 });
+      
+      expect(Object.keys(markov.chain)).toHaveLength(2);
+      expect(markov.chain['The cat sat']).toEqual({ down: 3 });
+      expect(markov.sentenceStarters.has('A dog ran')).toBe(false);
+    });
+
+    it('should drop rare transitions below the minimum count', () => {
+      markov.train("The cat sat down. The cat sat down. The cat sat up.");
+      
+      markov.prune({ minCount: 2 });
+      
+      expect(markov.chain['The cat sat']).toEqual({ down: 2 });
+    });
+  });
+
   describe('selectNextWord', () => {
     beforeEach(() => {
       // Train with data that has clear frequency patterns
@@ -309,6 +346,59 @@ describe('MarkovChain Enhanced Features', () => {
     });
   });
 
+  describe('generation modes', () => {
+    let chain;
+
+    beforeEach(() => {
+      chain = new MarkovChain(2);
+      chain.train("I really love pineapple pizza on fridays. We always order pineapple pizza after the match.");
+    });
+
+    it('should let temperature 0 always pick the strongest candidate', () => {
+      chain.train("The cat sat down. The cat sat down. The cat ran off.");
+      const picks = new Set(Array.from({ length: 10 }, () => chain.selectNextWord(['sat', 'ran'], 'The cat', 0)));
+      expect([...picks]).toEqual(['sat']);
+    });
+
+    it('should finish a sentence the user started', () => {
+      expect(chain.complete("honestly I really love", { temperature: 0 })).toBe("honestly I really love pineapple pizza on fridays");
+    });
+
+    it('should fall back to the last word when the exact key is unknown', () => {
+      expect(chain.complete("we should order", { temperature: 0 })).toMatch(/^we should order pineapple pizza (after the match|on fridays)$/);
+      expect(chain.complete("nothing matches zzz")).toBeNull();
+    });
+
+    it('should generate backward from an ending phrase', () => {
+      const result = chain.generateBackward("after the match", { temperature: 0 });
+      expect(result).toMatch(/^(We always order|I really love) pineapple pizza after the match$/);
+    });
+
+    it('should keep the reverse chain in step with training', () => {
+      chain.generateBackward("on fridays");
+      chain.train("Nobody else wants pineapple pizza today.");
+      expect(chain.reverseChain['pineapple pizza']).toEqual({ love: 1, order: 1, wants: 1 });
+    });
+
+    it('should reply using a word from the message', () => {
+      const reply = chain.reply("<@123> what should we get on fridays?", { temperature: 0 });
+      expect(reply.startsWith('fridays') || reply.toLowerCase().includes('pizza')).toBe(true);
+    });
+
+    it('should mix two chains with equal weight', () => {
+      const loud = new MarkovChain(2);
+      for (let i = 0; i < 20; i++) loud.train("The cat sat on the mat today.");
+      const quiet = new MarkovChain(2);
+      quiet.train("The cat ran into the garden today.");
+
+      const mixed = MarkovChain.mix([loud, quiet]);
+
+      expect(mixed.chain['The cat'].sat).toBeCloseTo(mixed.chain['The cat'].ran);
+      expect(mixed.sentenceStarters.has('The cat')).toBe(true);
+      expect(loud.chain['The cat']).toEqual({ sat: 20 });
+    });
+  });
+
   describe('integration with realistic data', () => {
     it('should handle chat-like messages effectively', () => {
       const chatMessages = [
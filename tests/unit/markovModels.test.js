@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MarkovModels } from '../../src/utils/markovModels.js';
+import { getModelFilePath } from '../../src/utils/markovPersistence.js';
+import { getUserPreferences, setUserPreference } from '../../src/supabase/supabase.js';
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  getUserPreferences: vi.fn(),
+  setUserPreference: vi.fn()
+}));
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const createMessage = (guildId, channelId, authorId, content) => ({
+  guildId,
+  channelId,
+  author: { id: authorId },
+  content
+});
+
+describe('MarkovModels', () => {
+  let baseDir;
+  let models;
+
+  beforeEach(() => {
+    baseDir = path.join(__dirname, '../../temp', `test-markov-models-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`);
+    models = new MarkovModels({ baseDir });
+    getUserPreferences.mockResolvedValue({});
+    setUserPreference.mockResolvedValue({ id: 'pref-1' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  });
+
+  it('should keep each guild in its own chain', async () => {
+    await models.train(createMessage('111', '10', '1', 'Pineapple pizza is the best topping ever made.'));
+    await models.train(createMessage('222', '20', '2', 'Counter strike matches run late every night.'));
+
+    const first = await models.getModel('111');
+    const second = await models.getModel('222');
+
+    expect(Object.keys(first.chain).some(key => key.includes('Pineapple'))).toBe(true);
+    expect(Object.keys(first.chain).some(key => key.includes('Counter'))).toBe(false);
+    expect(Object.keys(second.chain).some(key => key.includes('Pineapple'))).toBe(false);
+  });
+
+  it('should train channel and user models alongside the guild model', async () => {
+    await models.train(createMessage('111', '10', '1', 'The quick brown fox jumps over the lazy dog.'));
+    await models.train(createMessage('111', '11', '2', 'Programming is fun and challenging every day.'));
+
+    const channel = await models.getModel('111', 'channel', '10');
+    const user = await models.getModel('111', 'user', '2');
+    const guild = await models.getModel('111');
+
+    expect(Object.keys(channel.chain)).toContain('The quick');
+    expect(Object.keys(channel.chain)).not.toContain('Programming is');
+    expect(Object.keys(user.chain)).toContain('Programming is');
+    expect(Object.keys(guild.chain)).toEqual(expect.arrayContaining(['The quick', 'Programming is']));
+  });
+
+  it('should skip channel models when they are turned off', async () => {
+    models = new MarkovModels({ baseDir, channelModels: false });
+    await models.train(createMessage('111', '10', '1', 'The quick brown fox jumps over the lazy dog.'));
+
+    expect(models.models.size).toBe(2);
+    expect(await models.getModelCounts('111')).toEqual({ channel: 0, user: 1 });
+  });
+
+  it('should not learn from users who opted out', async () => {
+    getUserPreferences.mockResolvedValue({ markov_opt_out: true });
+
+    expect(await models.train(createMessage('111', '10', '1', 'The quick brown fox jumps over the lazy dog.'))).toBe(false);
+    expect(Object.keys((await models.getModel('111')).chain)).toHaveLength(0);
+  });
+
+  it('should store opt-outs as a user preference and cache them', async () => {
+    expect(await models.setOptOut('1', true)).toBe(true);
+    expect(setUserPreference).toHaveBeenCalledWith('1', 'markov_opt_out', true);
+
+    await models.train(createMessage('111', '10', '1', 'The quick brown fox jumps over the lazy dog.'));
+    expect(getUserPreferences).not.toHaveBeenCalled();
+    expect(models.models.size).toBe(0);
+  });
+
+  it('should forget a user across guilds without touching other members', async () => {
+    await models.train(createMessage('111', '10', '1', 'Pineapple pizza is the best topping ever made.'));
+    await models.train(createMessage('111', '10', '2', 'Pineapple pizza is the worst topping ever made.'));
+    await models.train(createMessage('222', '20', '1', 'Counter strike matches run late every night.'));
+    await models.saveAll(true);
+
+    const result = await models.forgetUser('1');
+    expect(result.guilds).toBe(2);
+    expect(result.transitions).toBeGreaterThan(0);
+
+    // Reload from disk to check the persisted chains
+    const reloaded = new MarkovModels({ baseDir });
+    const guild = await reloaded.getModel('111');
+    const channel = await reloaded.getModel('111', 'channel', '10');
+    expect(guild.chain['Pineapple pizza']).toEqual({ is: 1 });
+    expect(guild.chain['is the']).toEqual({ worst: 1 });
+    expect(channel.chain['is the']).toEqual({ worst: 1 });
+    expect(Object.keys((await reloaded.getModel('222')).chain)).toHaveLength(0);
+    expect(await reloaded.getModelCounts('111')).toEqual({ channel: 1, user: 1 });
+    expect(await reloaded.getModelCounts('222')).toEqual({ channel: 1, user: 0 });
+  });
+
+  it('should still forget a user after pruning', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      vi.setSystemTime(new Date('2026-01-01'));
+      await models.train(createMessage('111', '10', '1', 'Pineapple pizza is the best topping ever made.'));
+
+      // Everyone else kept using the same words, so only the user's own model looks stale
+      vi.setSystemTime(new Date('2026-10-01'));
+      await models.train(createMessage('111', '10', '2', 'Pineapple pizza is the best topping ever made.'));
+      expect(await models.pruneAll()).toBe(0);
+      await models.saveAll(true);
+
+      const reloaded = new MarkovModels({ baseDir });
+      await reloaded.forgetUser('1');
+      expect((await reloaded.getModel('111')).chain['is the']).toEqual({ best: 1 });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should save models per guild and load them back lazily', async () => {
+    await models.train(createMessage('111', '10', '1', 'The quick brown fox jumps over the lazy dog.'));
+    expect(await models.saveAll(true)).toBe(3);
+
+    const reloaded = new MarkovModels({ baseDir });
+    expect(await reloaded.getModelCounts('111')).toEqual({ channel: 1, user: 1 });
+    expect(Object.keys((await reloaded.getModel('111', 'user', '1')).chain)).toContain('The quick');
+    expect(Object.keys((await reloaded.getModel('222')).chain)).toHaveLength(0);
+  });
+
+  it('should evict idle channel and user models once saved and reload them on next use', async () => {
+    models = new MarkovModels({ baseDir, idleModelMs: 1000 });
+    await models.train(createMessage('111', '10', '1', 'The quick brown fox jumps over the lazy dog.'));
+
+    // Unsaved changes keep a model in memory however long it has been idle
+    expect(models.evictIdleModels(Date.now() + 5000)).toBe(0);
+
+    await models.saveAll(true);
+    expect(models.evictIdleModels(Date.now() + 5000)).toBe(2);
+    expect([...models.models.keys()]).toEqual(['guild:111']);
+
+    expect(Object.keys((await models.getModel('111', 'user', '1')).chain)).toContain('The quick');
+  });
+
+  it('should reject model keys that are not Discord IDs', () => {
+    expect(() => getModelFilePath('../111', 'guild', null, baseDir)).toThrow();
+    expect(() => getModelFilePath('111', 'user', '../../etc', baseDir)).toThrow();
+    expect(getModelFilePath('111', 'channel', '10', baseDir)).toBe(path.join(baseDir, '111', 'channel-10.markov.gz'));
+  });
+});
@@ -2,11 +2,22 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { gunzipSync, gzipSync } from 'zlib';
 
 // Use dynamic imports to avoid potential circular dependency issues
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Read a compact markov file back as its header and chunk records
+const readCompactFile = async (filePath) => {
+  const [header, ...records] = gunzipSync(await fs.readFile(filePath))
+    .toString('utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+  return { header, records };
+};
+
 describe('MarkovPersistence', () => {
   let testFilePath;
   let persistence;
@@ -23,7 +34,7 @@ describe('MarkovPersistence', () => {
     MarkovChain = chainModule.default;
     
     // Create a unique test file path for each test
-    testFilePath = path.join(__dirname, '../../temp', `test-markov-${Date.now()}-${Math.random().toString(36).substr(2, 9)}.json`);
+    testFilePath = path.join(__dirname, '../../temp', `test-markov-${Date.now()}-${Math.random().toString(36).substr(2, 9)}.markov.gz`);
     persistence = new MarkovPersistence(testFilePath);
     markovChain = new MarkovChain(2); // Use order 2 to match new default
   });
@@ -32,7 +43,8 @@ describe('MarkovPersistence', () => {
     // Clean up test files with timeout protection
     try {
       await Promise.race([
-        fs.unlink(testFilePath),
+        Promise.all([testFilePath, persistence.legacyFilePath, `${persistence.legacyFilePath}.v2.bak`]
+          .map(file => fs.unlink(file).catch(() => {}))),
         new Promise((_, reject) => setTimeout(() => reject(new Error('Cleanup timeout')), 1000))
       ]);
     } catch (error) {
@@ -68,24 +80,34 @@ describe('MarkovPersistence', () => {
       await persistence.saveChain(markovChain);
       
       // Read and verify the saved data
-      const savedData = JSON.parse(await fs.readFile(testFilePath, 'utf8'));
-      
-      expect(savedData).toHaveProperty('order', 2);
-      expect(savedData).toHaveProperty('chain');
-      expect(savedData).toHaveProperty('sentenceStarters');
-      expect(savedData).toHaveProperty('sentenceEnders');
-      expect(savedData).toHaveProperty('wordFrequency');
-      expect(savedData).toHaveProperty('contextWeights');
-      expect(savedData).toHaveProperty('lastSaved');
-      expect(savedData).toHaveProperty('version', '2.1');
-      
-      // Verify data types
-      expect(typeof savedData.order).toBe('number');
-      expect(typeof savedData.chain).toBe('object');
-      expect(Array.isArray(savedData.sentenceStarters)).toBe(true);
-      expect(Array.isArray(savedData.sentenceEnders)).toBe(true);
-      expect(typeof savedData.wordFrequency).toBe('object');
-      expect(typeof savedData.contextWeights).toBe('object');
+      const { header, records } = await readCompactFile(testFilePath);
+      
+      expect(header).toHaveProperty('format', 'bepo-markov');
+      expect(header).toHaveProperty('order', 2);
+      expect(header).toHaveProperty('keys', Object.keys(markovChain.chain).length);
+      expect(header).toHaveProperty('sentenceStarters', markovChain.sentenceStarters.size);
+      expect(header).toHaveProperty('sentenceEnders', markovChain.sentenceEnders.size);
+      expect(header).toHaveProperty('uniqueWords', Object.keys(markovChain.wordFrequency).length);
+      expect(header).toHaveProperty('lastSaved');
+      expect(header).toHaveProperty('version', '3.0');
+      
+      // Keys are stored as [key, lastSeenDay, flags, { nextWord: count }] chunks
+      const keyRecords = records.flatMap(record => record.k || []);
+      const wordRecords = records.flatMap(record => record.w || []);
+      expect(keyRecords).toHaveLength(header.keys);
+      expect(wordRecords).toHaveLength(header.uniqueWords);
+      expect(keyRecords.find(([key]) => key === 'quick brown')).toEqual(['quick brown', expect.any(Number), 0, { fox: 1 }]);
+    });
+
+    it('should split large chains into chunks', async () => {
+      for (let i = 0; i < 600; i++) {
+        markovChain.train(`Message number ${i} has words in it.`);
+      }
+      
+      await persistence.saveChain(markovChain);
+      
+      const { records } = await readCompactFile(testFilePath);
+      expect(records.filter(record => record.k).length).toBeGreaterThan(1);
     });
 
     it('should create directory if it does not exist', async () => {
@@ -206,6 +228,20 @@ describe('MarkovPersistence', () => {
       consoleSpy.mockRestore();
     });
 
+    it('should handle a corrupted compact file gracefully', async () => {
+      await fs.mkdir(path.dirname(testFilePath), { recursive: true });
+      await fs.writeFile(testFilePath, Buffer.concat([gzipSync('{"format":"bepo-markov","order":2}\n{"k":[['), Buffer.from('truncated')]));
+      
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      
+      const result = await persistence.loadChain(markovChain);
+      
+      expect(result).toBe(false);
+      expect(Object.keys(markovChain.chain)).toHaveLength(0);
+      
+      consoleSpy.mockRestore();
+    });
+
     it('should handle invalid data structure gracefully', async () => {
       // Create a file with invalid structure
       const invalidData = { invalid: 'structure', missing: 'required fields' };
@@ -231,17 +267,47 @@ describe('MarkovPersistence', () => {
       };
       
       await fs.mkdir(path.dirname(testFilePath), { recursive: true });
-      await fs.writeFile(testFilePath, JSON.stringify(basicData));
+      await fs.writeFile(persistence.legacyFilePath, JSON.stringify(basicData));
       
       const result = await persistence.loadChain(markovChain);
       
       expect(result).toBe(true);
       expect(markovChain.order).toBe(2);
-      expect(markovChain.chain).toEqual(basicData.chain);
+      expect(markovChain.chain).toEqual({ "hello world": { test: 1 } });
       expect(markovChain.sentenceStarters.size).toBe(0); // Should default to empty
       expect(markovChain.sentenceEnders.size).toBe(0);
       expect(Object.keys(markovChain.wordFrequency).length).toBe(0);
     });
+
+    it('should migrate version 2.1 JSON to the compact format', async () => {
+      const legacyData = {
+        order: 2,
+        chain: { "the cat": ["sat", "sat", "ran"], "cat sat": [] },
+        sentenceStarters: ["the cat"],
+        sentenceEnders: ["cat sat"],
+        wordFrequency: { the: 1, cat: 3, sat: 2, ran: 1 },
+        contextWeights: { "the cat|sat": 2, "the cat|ran": 1 },
+        lastSaved: new Date().toISOString(),
+        version: '2.1'
+      };
+      
+      await fs.mkdir(path.dirname(testFilePath), { recursive: true });
+      await fs.writeFile(persistence.legacyFilePath, JSON.stringify(legacyData));
+      
+      expect(await persistence.loadChain(markovChain)).toBe(true);
+      expect(markovChain.chain["the cat"]).toEqual({ sat: 2, ran: 1 });
+      
+      // The JSON file is replaced by the compact file, with a backup kept
+      await expect(fs.access(persistence.legacyFilePath)).rejects.toThrow();
+      await expect(fs.access(`${persistence.legacyFilePath}.v2.bak`)).resolves.toBeUndefined();
+      
+      const reloaded = new MarkovChain(2);
+      expect(await new MarkovPersistence(testFilePath).loadChain(reloaded)).toBe(true);
+      expect(reloaded.chain["the cat"]).toEqual({ sat: 2, ran: 1 });
+      expect(reloaded.sentenceStarters.has("the cat")).toBe(true);
+      expect(reloaded.sentenceEnders.has("cat sat")).toBe(true);
+      expect(reloaded.wordFrequency.cat).toBe(3);
+    });
   });
 
   describe('getStats', () => {
@@ -268,7 +334,9 @@ describe('MarkovPersistence', () => {
       if (stats.uniqueWords !== undefined) {
         expect(stats.uniqueWords).toBeGreaterThanOrEqual(0);
       }
-      expect(stats.version).toBe('2.1');
+      expect(stats.version).toBe('3.0');
+      expect(stats.chainSize).toBe(Object.keys(markovChain.chain).length);
+      expect(stats.diskBytes).toBeGreaterThan(0);
     });
 
     it('should return null for non-existent file', async () => {
@@ -294,7 +362,8 @@ describe('MarkovPersistence', () => {
     it('should use default path when none provided', () => {
       const defaultPersistence = new MarkovPersistence();
       
-      expect(defaultPersistence.filePath).toContain('markov-chain.json');
+      expect(defaultPersistence.filePath).toContain('markov-chain.markov.gz');
+      expect(defaultPersistence.legacyFilePath).toContain('markov-chain.json');
       expect(defaultPersistence.filePath).toContain('data');
     });
 
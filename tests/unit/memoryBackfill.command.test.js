@@ -0,0 +1,83 @@
+// Unit tests for /memory-backfill
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  backfillEmbeddings: vi.fn(),
+  getEmbeddingStats: vi.fn(async () => [
+    { table_name: 'user_memory', total_rows: 10, rows_with_embeddings: 4, percentage: 40 },
+    { table_name: 'server_memory', total_rows: 5, rows_with_embeddings: 5, percentage: 100 }
+  ])
+}));
+
+import memoryBackfillCommand from '../../src/commands/fun/memoryBackfill.js';
+import { backfillEmbeddings } from '../../src/supabase/supabase.js';
+
+const createInteraction = (userId = 'test_user_id', batchSize = null) => ({
+  user: { id: userId },
+  options: { getInteger: () => batchSize },
+  reply: vi.fn(),
+  deferReply: vi.fn(),
+  editReply: vi.fn()
+});
+
+const batch = (user, server, errors = 0) => ({
+  userMemoriesProcessed: user,
+  serverMemoriesProcessed: server,
+  errors,
+  totalCost: 0.0001
+});
+
+describe('Memory Backfill Command', () => {
+  it('should only let the bot owner run it', async () => {
+    const interaction = createInteraction('someone_else');
+
+    await memoryBackfillCommand.execute(interaction);
+
+    expect(interaction.reply.mock.calls[0][0].content).toContain('Only the bot owner');
+    expect(backfillEmbeddings).not.toHaveBeenCalled();
+  });
+
+  it('should run batches until nothing is left and report progress after each', async () => {
+    backfillEmbeddings
+      .mockResolvedValueOnce(batch(20, 5))
+      .mockResolvedValueOnce(batch(3, 0, 1))
+      .mockResolvedValueOnce(batch(0, 0));
+    const interaction = createInteraction('test_user_id', 20);
+
+    await memoryBackfillCommand.execute(interaction);
+
+    expect(backfillEmbeddings).toHaveBeenCalledTimes(3);
+    expect(backfillEmbeddings).toHaveBeenCalledWith(20);
+
+    const replies = interaction.editReply.mock.calls.map(([content]) => content);
+    expect(replies[1]).toContain('(batch 1)');
+    expect(replies[1]).toContain('User memories embedded: **20**');
+    expect(replies[2]).toContain('(batch 2)');
+
+    const last = replies.at(-1);
+    expect(last).toContain('✅ Backfill complete.');
+    expect(last).toContain('User memories embedded: **23**');
+    expect(last).toContain('Server memories embedded: **5**');
+    expect(last).toContain('Failed: **1**');
+    expect(last).toContain('`user_memory`: 4/10 (40%)');
+  });
+
+  it('should say when no embeddings could be generated', async () => {
+    backfillEmbeddings.mockResolvedValueOnce(batch(0, 0, 12));
+    const interaction = createInteraction();
+
+    await memoryBackfillCommand.execute(interaction);
+
+    expect(interaction.editReply.mock.calls.at(-1)[0]).toContain('Check that OPENAI_KEY is set');
+  });
+
+  it('should stop when a batch fails', async () => {
+    backfillEmbeddings.mockResolvedValueOnce({ error: 'connection lost' });
+    const interaction = createInteraction();
+
+    await memoryBackfillCommand.execute(interaction);
+
+    expect(backfillEmbeddings).toHaveBeenCalledTimes(1);
+    expect(interaction.editReply.mock.calls.at(-1)[0]).toContain('❌ Backfill stopped: connection lost');
+  });
+});
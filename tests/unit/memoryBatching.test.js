@@ -0,0 +1,61 @@
+// Unit tests for batching conversations into summary memories
+import { describe, it, expect, vi } from 'vitest';
+
+const { inserted } = vi.hoisted(() => ({ inserted: [] }));
+
+// Query builder that records inserted user_memory rows and reads them back
+vi.mock('@supabase/supabase-js', () => {
+  const from = () => {
+    let rows = null;
+    const builder = {
+      insert: (newRows) => {
+        rows = newRows.map((row, index) => ({ id: `memory-${inserted.length + index + 1}`, ...row }));
+        inserted.push(...rows);
+        return builder;
+      },
+      then: (resolve, reject) => Promise.resolve({ data: rows ?? [...inserted], error: null }).then(resolve, reject)
+    };
+    for (const method of ['select', 'eq', 'or', 'order', 'limit']) {
+      builder[method] = () => builder;
+    }
+    return builder;
+  };
+
+  return { createClient: vi.fn(() => ({ from })) };
+});
+
+vi.mock('../../src/services/embeddingService.js', () => ({
+  default: { generateEmbedding: vi.fn(async () => null) }
+}));
+
+// Every message the user sends is read as a fact
+vi.mock('../../src/utils/factExtraction.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  extractFacts: vi.fn(async (messages) => messages.map((message, index) => ({
+    key: `fact_${message.guild}_${index}`,
+    fact: message.user,
+    category: 'fact',
+    confidence: 0.9,
+    sourceUrl: message.url || null
+  })))
+}));
+
+import { storeUserMemoryOptimized, flushConversationBatch } from '../../src/supabase/supabase.js';
+
+describe('storeUserMemoryOptimized', () => {
+  it('should keep a conversation that moves between servers in separate batches', async () => {
+    await storeUserMemoryOptimized('user-1', 'I live in Chicago', 'Nice!', { guild_id: 'guild-a', channel_id: 'a1' });
+    await storeUserMemoryOptimized('user-1', 'I main Wraith', 'Cool', { guild_id: 'guild-b', channel_id: 'b1' });
+    await flushConversationBatch('user-1');
+
+    await vi.waitFor(() => expect(inserted.filter(row => row.context_type === 'fact')).toHaveLength(2));
+
+    const summaries = inserted.filter(row => row.context_type === 'conversation_summary');
+    expect(summaries.map(row => row.guild_id)).toEqual(['guild-a', 'guild-b']);
+    expect(summaries[0].metadata.guilds).toEqual(['guild-a']);
+
+    const facts = inserted.filter(row => row.context_type === 'fact');
+    expect(facts.find(row => row.memory_content === 'I live in Chicago').guild_id).toBe('guild-a');
+    expect(facts.find(row => row.memory_content === 'I main Wraith').guild_id).toBe('guild-b');
+  });
+});
@@ -0,0 +1,67 @@
+// Unit tests for which memories go into a reply's context
+import { describe, it, expect, vi } from 'vitest';
+
+const { tables } = vi.hoisted(() => ({ tables: {} }));
+
+// Query builder that applies eq() filters to the rows in `tables`
+vi.mock('@supabase/supabase-js', () => {
+  const from = (table) => {
+    const filters = [];
+    const builder = {
+      then: (resolve, reject) => Promise.resolve({
+        data: (tables[table] || []).filter(row => filters.every(([column, value]) => row[column] === value)),
+        error: null
+      }).then(resolve, reject)
+    };
+    for (const method of ['select', 'or', 'order', 'limit', 'in', 'is', 'not', 'gt', 'lt', 'ilike']) {
+      builder[method] = () => builder;
+    }
+    builder.eq = (column, value) => {
+      filters.push([column, value]);
+      return builder;
+    };
+    return builder;
+  };
+
+  return {
+    createClient: vi.fn(() => ({ from, rpc: vi.fn(() => Promise.resolve({ data: [], error: null })) }))
+  };
+});
+
+vi.mock('../../src/services/embeddingService.js', () => ({
+  default: { generateEmbedding: vi.fn(async () => null) }
+}));
+
+import { buildMemoryContextWithSources } from '../../src/supabase/supabase.js';
+
+const fact = (id, guildId, content) => ({
+  id,
+  user_id: 'user-1',
+  guild_id: guildId,
+  context_type: 'fact',
+  memory_content: content,
+  metadata: { status: 'pending', confidence: 0.9 },
+  updated_at: new Date().toISOString()
+});
+
+describe('buildMemoryContextWithSources', () => {
+  it('should only use facts learned in the server being replied in', async () => {
+    tables.user_memory = [
+      fact('fact-a', 'guild-a', 'Lives in Chicago'),
+      fact('fact-b', 'guild-b', 'Mains Wraith in Apex')
+    ];
+
+    const { context, sources } = await buildMemoryContextWithSources('user-1', 'hey', 'guild-a');
+
+    expect(context).toContain('Lives in Chicago');
+    expect(context).not.toContain('Mains Wraith');
+    expect(sources.userMemoryIds).toEqual(['fact-a']);
+  });
+
+  it('should let DMs use all of the user\'s own facts', async () => {
+    const { context } = await buildMemoryContextWithSources('user-1', 'hey there', null);
+
+    expect(context).toContain('Lives in Chicago');
+    expect(context).toContain('Mains Wraith');
+  });
+});
@@ -0,0 +1,109 @@
+// Unit tests for ranking memories put into chat context
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  scoreMemory,
+  rankMemories,
+  estimateTokens,
+  getMemoryTokenBudget,
+  MemoryTokenBudget,
+  DEFAULT_MEMORY_TOKEN_BUDGET
+} from '../../src/utils/memoryRetrieval.js';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const createMemory = (overrides = {}) => ({
+  id: 'memory-1',
+  memory_content: 'Alex plays the drums in a band',
+  context_type: 'conversation',
+  updated_at: daysAgo(60),
+  ...overrides
+});
+
+describe('Memory Scoring', () => {
+  it('should rank a memory with the same meaning above an unrelated one without shared words', () => {
+    const query = { searchTerms: ['music', 'instrument'], currentMessage: 'what instrument does alex like?' };
+
+    const similar = scoreMemory(createMemory(), { ...query, similarity: 0.82 });
+    const unrelated = scoreMemory(createMemory({ memory_content: 'Pizza night is on Friday' }), { ...query, similarity: 0.1 });
+
+    expect(similar).toBeGreaterThan(unrelated);
+  });
+
+  it('should use the keyword score when a memory has no similarity', () => {
+    const memory = createMemory();
+    const query = { searchTerms: ['drums'], currentMessage: 'drums?' };
+
+    expect(scoreMemory(memory, query)).toBeCloseTo(scoreMemory(memory, { ...query, similarity: 1 }));
+  });
+
+  it('should favor recent memories', () => {
+    const query = { searchTerms: ['drums'], similarity: 0.5 };
+
+    expect(scoreMemory(createMemory({ updated_at: daysAgo(1) }), query))
+      .toBeGreaterThan(scoreMemory(createMemory({ updated_at: daysAgo(29) }), query));
+  });
+});
+
+describe('Memory Ranking', () => {
+  it('should merge keyword results with vector search matches', () => {
+    const recent = createMemory({ id: 'recent', memory_content: 'Talked about lunch', updated_at: daysAgo(0) });
+    const older = createMemory({ id: 'older', memory_content: 'Alex is learning guitar', updated_at: daysAgo(200) });
+
+    const ranked = rankMemories(
+      [recent, older],
+      [{ ...older, similarity: 0.9 }],
+      { searchTerms: ['instrument'], currentMessage: 'any instrument tips?', searchedByMeaning: true }
+    );
+
+    expect(ranked.map(({ memory }) => memory.id)).toEqual(['older', 'recent']);
+    expect(ranked[0].similarity).toBe(0.9);
+  });
+
+  it('should treat embedded memories the vector search left out as not similar', () => {
+    const embedded = createMemory({ id: 'embedded', embedding: '[0.1]' });
+    const notEmbedded = createMemory({ id: 'plain' });
+
+    const ranked = rankMemories([embedded, notEmbedded], [], { searchTerms: ['drums'], searchedByMeaning: true });
+
+    expect(ranked.find(({ memory }) => memory.id === 'embedded').similarity).toBe(0);
+    expect(ranked.find(({ memory }) => memory.id === 'plain').similarity).toBeNull();
+    expect(ranked[0].memory.id).toBe('plain');
+  });
+});
+
+describe('Memory Token Budget', () => {
+  afterEach(() => {
+    delete process.env.MEMORY_CONTEXT_TOKEN_BUDGET;
+  });
+
+  it('should estimate about four characters per token', () => {
+    expect(estimateTokens('a'.repeat(40))).toBe(10);
+    expect(estimateTokens('')).toBe(0);
+  });
+
+  it('should read the budget from the environment', () => {
+    expect(getMemoryTokenBudget()).toBe(DEFAULT_MEMORY_TOKEN_BUDGET);
+    process.env.MEMORY_CONTEXT_TOKEN_BUDGET = '600';
+    expect(getMemoryTokenBudget()).toBe(600);
+    process.env.MEMORY_CONTEXT_TOKEN_BUDGET = 'lots';
+    expect(getMemoryTokenBudget()).toBe(DEFAULT_MEMORY_TOKEN_BUDGET);
+  });
+
+  it('should turn down lines past the limit but still fit smaller ones', () => {
+    const budget = new MemoryTokenBudget(10);
+
+    expect(budget.take('a'.repeat(24))).toBe(true);
+    expect(budget.take('a'.repeat(24))).toBe(false);
+    expect(budget.take('a'.repeat(16))).toBe(true);
+    expect(budget.used).toBe(10);
+  });
+
+  it('should count reserved lines even past the limit', () => {
+    const budget = new MemoryTokenBudget(2);
+
+    budget.reserve('a'.repeat(12));
+
+    expect(budget.used).toBe(3);
+    expect(budget.take('a')).toBe(false);
+  });
+});
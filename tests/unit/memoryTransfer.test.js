@@ -0,0 +1,99 @@
+// Unit tests for memory export files and server memory imports
+import { describe, it, expect } from 'vitest';
+import {
+  buildUserExport,
+  formatUserExportMarkdown,
+  buildServerExport,
+  prepareServerImport,
+  contentHash,
+  exportFileName,
+  EXPORT_VERSION
+} from '../../src/utils/memoryTransfer.js';
+
+const userMemories = [
+  { id: 'm1', context_type: 'preference', memory_content: 'User preference: timezone = "EST"', metadata: { preference_key: 'timezone', preference_value: 'EST' }, updated_at: '2026-10-01T00:00:00Z' },
+  { id: 'm2', context_type: 'conversation_summary', memory_content: 'Conversation with Alex about raids', metadata: { message_count: 5 }, guild_id: 'g1', created_at: '2026-10-02T00:00:00Z' },
+  { id: 'm3', context_type: 'fact', memory_content: 'Their Apex Legends main is Wraith', metadata: { confidence: 0.9, status: 'pinned' }, created_at: '2026-10-03T00:00:00Z' },
+  { id: 'm4', context_type: 'conversation', memory_content: 'User said: "hi"', metadata: {}, created_at: '2026-10-04T00:00:00Z' }
+];
+
+const serverExport = (memories) => ({ version: EXPORT_VERSION, type: 'server', guild_id: 'old-guild', memories });
+
+describe('User Memory Export', () => {
+  it('should group preferences, facts, summaries and other memories', () => {
+    const exported = buildUserExport('user123', userMemories);
+
+    expect(exported).toMatchObject({ version: EXPORT_VERSION, type: 'user', user_id: 'user123' });
+    expect(exported.preferences).toEqual([{ key: 'timezone', value: 'EST', updated_at: '2026-10-01T00:00:00Z' }]);
+    expect(exported.facts.map(fact => fact.id)).toEqual(['m3']);
+    expect(exported.summaries[0]).toMatchObject({ id: 'm2', content: 'Conversation with Alex about raids', guild_id: 'g1' });
+    expect(exported.memories.map(memory => memory.id)).toEqual(['m4']);
+  });
+
+  it('should write a readable Markdown file', () => {
+    const markdown = formatUserExportMarkdown(buildUserExport('user123', userMemories));
+
+    expect(markdown).toContain('## Preferences (1)\n\n- **timezone**: "EST"');
+    expect(markdown).toContain('- Their Apex Legends main is Wraith _(pinned, 90% sure)_');
+    expect(markdown).toContain('## Other Memories (1)');
+  });
+
+  it('should name files by date and format', () => {
+    expect(exportFileName('bepo-memories', 'markdown')).toMatch(/^bepo-memories-\d{4}-\d{2}-\d{2}\.md$/);
+    expect(exportFileName('bepo-memories', 'json')).toMatch(/\.json$/);
+  });
+});
+
+describe('Server Memory Import', () => {
+  it('should read back a server export', () => {
+    const exported = buildServerExport({ id: 'old-guild', name: 'Old' }, [
+      { memory_title: 'Rules', memory_content: 'Be nice', context_type: 'rules', metadata: {}, user_id: 'admin', created_at: '2026-10-01T00:00:00Z' }
+    ]);
+
+    const prepared = prepareServerImport(JSON.parse(JSON.stringify(exported)), []);
+
+    expect(prepared.valid).toBe(true);
+    expect(prepared.memories).toEqual([{
+      content: 'Be nice',
+      title: 'Rules',
+      contextType: 'rules',
+      expiresAt: null,
+      metadata: { content_hash: contentHash('Be nice'), imported_from: 'old-guild', original_author: 'admin' }
+    }]);
+  });
+
+  it('should skip memories the server already has and repeats within the file', () => {
+    const prepared = prepareServerImport(serverExport([
+      { content: 'Raid night is  Thursday', context_type: 'server' },
+      { content: 'Movie night is Sunday', context_type: 'important' },
+      { content: 'movie night is sunday', context_type: 'faq' }
+    ]), [{ memory_content: 'raid night is thursday' }]);
+
+    expect(prepared.memories.map(memory => memory.content)).toEqual(['Movie night is Sunday']);
+    expect(prepared.duplicates).toBe(2);
+  });
+
+  it('should skip entries with unknown types, no content or a past or unreadable expiry', () => {
+    const prepared = prepareServerImport(serverExport([
+      { content: 'Secret', context_type: 'conversation' },
+      { content: '   ' },
+      { content: 'Old event', context_type: 'important', expires_at: '2020-01-01T00:00:00Z' },
+      { content: 'No type given' },
+      { content: 'Someday event', context_type: 'important', expires_at: 'next friday' }
+    ]));
+
+    expect(prepared.memories.map(memory => memory.contextType)).toEqual(['server']);
+    expect(prepared.invalid).toEqual([
+      { index: 1, reason: 'unknown context_type "conversation"' },
+      { index: 2, reason: 'no content' },
+      { index: 3, reason: 'already expired' },
+      { index: 5, reason: 'unreadable expires_at "next friday"' }
+    ]);
+  });
+
+  it('should turn down files that aren\'t server exports', () => {
+    expect(prepareServerImport({ type: 'user', memories: [] }).valid).toBe(false);
+    expect(prepareServerImport({ ...serverExport([]), version: 99 }).error).toContain('version 99');
+    expect(prepareServerImport(null).valid).toBe(false);
+  });
+});
@@ -1,14 +1,17 @@
 // Unit tests for memory utils updates
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { UserMemoryManager, ServerMemoryManager } from '../../src/utils/memoryUtils.js';
+import { UserMemoryManager, ServerMemoryManager, MemoryUtils } from '../../src/utils/memoryUtils.js';
 
 // Mock the supabase functions
 vi.mock('../../src/supabase/supabase.js', () => ({
   getUserMemoryById: vi.fn(),
   updateUserMemory: vi.fn(),
+  deleteMemoryById: vi.fn(),
   getServerMemoryById: vi.fn(),
   getServerMemoryByPartialId: vi.fn(),
-  updateServerMemory: vi.fn()
+  updateServerMemory: vi.fn(),
+  getAllServerMemories: vi.fn(),
+  insertServerMemories: vi.fn()
 }));
 
 describe('UserMemoryManager', () => {
@@ -68,6 +71,151 @@ describe('UserMemoryManager', () => {
       expect(result.error).toContain('permission');
     });
   });
+
+  describe('reviewFacts', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('should pin the user\'s own facts and skip other memories', async () => {
+      const { getUserMemoryById, updateUserMemory } = await import('../../src/supabase/supabase.js');
+      updateUserMemory.mockResolvedValue({ id: 'fact-1' });
+      getUserMemoryById.mockImplementation(async (id) => ({
+        'fact-1': { id: 'fact-1', context_type: 'fact', metadata: { fact_key: 'apex_main', confidence: 0.8, status: 'pending' } },
+        'memory-2': { id: 'memory-2', context_type: 'conversation', metadata: {} }
+      })[id] || null);
+
+      const result = await UserMemoryManager.reviewFacts('user123', ['fact-1', 'memory-2', 'missing'], 'pin');
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('📌 Pinned 1 fact.');
+      expect(getUserMemoryById).toHaveBeenCalledWith('fact-1', 'user123');
+      expect(updateUserMemory).toHaveBeenCalledTimes(1);
+      expect(updateUserMemory.mock.calls[0][1].metadata).toMatchObject({ fact_key: 'apex_main', confidence: 0.8, status: 'pinned' });
+    });
+
+    it('should fail when none of the facts are found', async () => {
+      const { getUserMemoryById, updateUserMemory } = await import('../../src/supabase/supabase.js');
+      getUserMemoryById.mockResolvedValue(null);
+
+      const result = await UserMemoryManager.reviewFacts('user123', ['fact-1'], 'reject');
+
+      expect(result.success).toBe(false);
+      expect(updateUserMemory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pinMemory and setExpiry', () => {
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      const { updateUserMemory } = await import('../../src/supabase/supabase.js');
+      updateUserMemory.mockResolvedValue({ id: 'test-id' });
+    });
+
+    it('should pin the user\'s memory and clear its expiry', async () => {
+      const { getUserMemoryById, updateUserMemory } = await import('../../src/supabase/supabase.js');
+      getUserMemoryById.mockResolvedValue({ id: 'test-id', user_id: 'user123' });
+
+      const result = await UserMemoryManager.pinMemory('test-id', 'user123');
+
+      expect(result.success).toBe(true);
+      expect(getUserMemoryById).toHaveBeenCalledWith('test-id', 'user123');
+      expect(updateUserMemory).toHaveBeenCalledWith('test-id', { pinned: true, expires_at: null });
+    });
+
+    it('should not pin another user\'s memory', async () => {
+      const { getUserMemoryById, updateUserMemory } = await import('../../src/supabase/supabase.js');
+      getUserMemoryById.mockResolvedValue(null);
+
+      const result = await UserMemoryManager.pinMemory('test-id', 'user456');
+
+      expect(result.success).toBe(false);
+      expect(updateUserMemory).not.toHaveBeenCalled();
+    });
+
+    it('should set an expiry and unpin the memory', async () => {
+      const { getUserMemoryById, updateUserMemory } = await import('../../src/supabase/supabase.js');
+      getUserMemoryById.mockResolvedValue({ id: 'test-id', user_id: 'user123', pinned: true });
+
+      const before = Date.now();
+      const result = await UserMemoryManager.setExpiry('test-id', 'user123', '3d');
+
+      expect(result.success).toBe(true);
+      const update = updateUserMemory.mock.calls[0][1];
+      expect(update.pinned).toBe(false);
+      expect(new Date(update.expires_at).getTime() - before).toBeGreaterThanOrEqual(3 * 24 * 60 * 60 * 1000);
+      expect(result.message).toContain('will be forgotten');
+    });
+
+    it('should remove the expiry for "never" and reject bad durations', async () => {
+      const { getUserMemoryById, updateUserMemory } = await import('../../src/supabase/supabase.js');
+      getUserMemoryById.mockResolvedValue({ id: 'test-id', user_id: 'user123' });
+
+      const kept = await UserMemoryManager.setExpiry('test-id', 'user123', 'never');
+      expect(kept.success).toBe(true);
+      expect(updateUserMemory).toHaveBeenCalledWith('test-id', { expires_at: null, pinned: false });
+
+      const invalid = await UserMemoryManager.setExpiry('test-id', 'user123', 'soon');
+      expect(invalid.success).toBe(false);
+      expect(updateUserMemory).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report a failed database update instead of success', async () => {
+      const { getUserMemoryById, updateUserMemory } = await import('../../src/supabase/supabase.js');
+      getUserMemoryById.mockResolvedValue({ id: 'test-id', user_id: 'user123' });
+      updateUserMemory.mockResolvedValue(null);
+
+      expect(await UserMemoryManager.pinMemory('test-id', 'user123')).toEqual({ success: false, error: 'Failed to pin memory' });
+      expect(await UserMemoryManager.setExpiry('test-id', 'user123', '3d')).toEqual({ success: false, error: 'Failed to set memory expiry' });
+      expect((await UserMemoryManager.updateMemory('test-id', { memory_content: 'x' }, 'user123')).success).toBe(false);
+    });
+  });
+});
+
+describe('UserMemoryManager.deleteMemory', () => {
+  it('should delete the user\'s own memory', async () => {
+    const { getUserMemoryById, deleteMemoryById } = await import('../../src/supabase/supabase.js');
+    getUserMemoryById.mockResolvedValue({ id: 'test-id', user_id: 'user123' });
+    deleteMemoryById.mockResolvedValue({ id: 'test-id' });
+
+    const result = await UserMemoryManager.deleteMemory('test-id', 'user123');
+
+    expect(result.success).toBe(true);
+    expect(getUserMemoryById).toHaveBeenCalledWith('test-id', 'user123');
+    expect(deleteMemoryById).toHaveBeenCalledWith('test-id');
+  });
+
+  it('should not delete another user\'s memory', async () => {
+    const { getUserMemoryById, deleteMemoryById } = await import('../../src/supabase/supabase.js');
+    getUserMemoryById.mockResolvedValue(null);
+
+    const result = await UserMemoryManager.deleteMemory('test-id', 'user456');
+
+    expect(result.success).toBe(false);
+    expect(deleteMemoryById).not.toHaveBeenCalled();
+  });
+});
+
+describe('MemoryUtils lifetime helpers', () => {
+  it('should parse durations and reject ones out of range', () => {
+    expect(MemoryUtils.parseDuration('12h')).toEqual({ valid: true, ms: 12 * 60 * 60 * 1000 });
+    expect(MemoryUtils.parseDuration('1d 12h')).toEqual({ valid: true, ms: 36 * 60 * 60 * 1000 });
+    expect(MemoryUtils.parseDuration('Never')).toEqual({ valid: true, ms: null });
+    expect(MemoryUtils.parseDuration('2m').valid).toBe(false);
+    expect(MemoryUtils.parseDuration('60w').valid).toBe(false);
+    expect(MemoryUtils.parseDuration('3 days').valid).toBe(false);
+  });
+
+  it('should format the time left and the list label', () => {
+    const now = Date.now();
+    expect(MemoryUtils.formatTimeLeft(new Date(now + (2 * 24 + 5) * 60 * 60 * 1000 + 1000), now)).toBe('2d 5h');
+    expect(MemoryUtils.formatTimeLeft(new Date(now + 70 * 60 * 1000 + 1000), now)).toBe('1h 10m');
+    expect(MemoryUtils.formatTimeLeft(new Date(now - 1000), now)).toBe('expired');
+
+    expect(MemoryUtils.formatLifetime({ pinned: true })).toBe('📌 pinned');
+    expect(MemoryUtils.formatLifetime({ expiresAt: null })).toBeNull();
+    expect(MemoryUtils.formatLifetime({ expiresAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000 + 60000).toISOString() })).toBe('⏳ 3d left');
+  });
 });
 
 describe('ServerMemoryManager', () => {
@@ -167,4 +315,36 @@ describe('ServerMemoryManager', () => {
       expect(result.error).toContain('Server memory not found');
     });
   });
+
+  describe('importMemories', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('should add new memories from an export file', async () => {
+      const { getAllServerMemories, insertServerMemories } = await import('../../src/supabase/supabase.js');
+      getAllServerMemories.mockResolvedValue([{ memory_content: 'Raid night is Thursday' }]);
+      insertServerMemories.mockImplementation(async (serverId, userId, memories) => memories.map((m, i) => ({ id: `new-${i}` })));
+
+      const file = JSON.stringify({
+        version: 1,
+        type: 'server',
+        memories: [{ content: 'Raid night is Thursday' }, { content: 'Be nice', context_type: 'rules' }]
+      });
+      const result = await ServerMemoryManager.importMemories('server123', 'admin1', file);
+
+      expect(result).toMatchObject({ success: true, imported: 1, duplicates: 1, invalid: [] });
+      expect(insertServerMemories).toHaveBeenCalledWith('server123', 'admin1', [expect.objectContaining({ content: 'Be nice', contextType: 'rules' })]);
+    });
+
+    it('should turn down files that aren\'t JSON', async () => {
+      const { insertServerMemories } = await import('../../src/supabase/supabase.js');
+
+      const result = await ServerMemoryManager.importMemories('server123', 'admin1', 'not json');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('valid JSON');
+      expect(insertServerMemories).not.toHaveBeenCalled();
+    });
+  });
 });
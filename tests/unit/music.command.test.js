@@ -0,0 +1,238 @@
+// Unit tests for /music volume, filters and seeking
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { spawnCalls } = vi.hoisted(() => ({ spawnCalls: [] }));
+
+// Fake yt-dlp and FFmpeg processes; FFmpeg sends one chunk so the stream counts as started
+vi.mock('child_process', async () => {
+  const { PassThrough } = await import('stream');
+  const { EventEmitter } = await import('events');
+
+  return {
+    spawn: vi.fn((command, args) => {
+      const child = new EventEmitter();
+      child.stdin = new PassThrough();
+      child.stdout = new PassThrough();
+      child.stderr = new PassThrough();
+      child.killed = false;
+      child.kill = vi.fn(() => { child.killed = true; });
+      spawnCalls.push({ command, args, child });
+
+      if (command.endsWith('ffmpeg')) {
+        setImmediate(() => child.stdout.write(Buffer.alloc(16)));
+      }
+      return child;
+    })
+  };
+});
+
+vi.mock('@discordjs/voice', async (importOriginal) => ({
+  ...(await importOriginal()),
+  createAudioResource: vi.fn((stream, options) => ({
+    metadata: options.metadata,
+    playbackDuration: 0,
+    volume: { setVolume: vi.fn() }
+  }))
+}));
+
+vi.mock('../../src/utils/voiceActivityManager.js', () => ({
+  default: {
+    updateActivity: vi.fn(),
+    stopActivity: vi.fn(),
+    startActivity: vi.fn(),
+    canStartActivity: vi.fn(() => ({ canStart: true }))
+  }
+}));
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  addMusicFavorite: vi.fn(),
+  getMusicSettings: vi.fn(async () => ({ default_volume: 60 })),
+  upsertMusicSettings: vi.fn(async (guildId, updates) => ({ guild_id: guildId, ...updates })),
+  recordMusicPlay: vi.fn(async () => true)
+}));
+
+const { queueStore } = vi.hoisted(() => ({
+  queueStore: { scheduleSave: vi.fn(), flush: vi.fn(), load: vi.fn(async () => ({})), close: vi.fn() }
+}));
+
+vi.mock('../../src/utils/musicQueueStore.js', () => ({
+  MusicQueueStore: vi.fn(function () { return queueStore; }),
+  getResumeMode: vi.fn(() => 'ask')
+}));
+
+import musicCommand from '../../src/commands/fun/music.js';
+import { musicQueues, getQueueTimeRemaining, refreshNowPlaying } from '../../src/commands/fun/play.js';
+import { upsertMusicSettings } from '../../src/supabase/supabase.js';
+
+const GUILD_ID = 'guild-1';
+
+const createResource = (overrides = {}) => ({
+  metadata: { offset: 0, speed: 1 },
+  playbackDuration: 0,
+  volume: { setVolume: vi.fn() },
+  ...overrides
+});
+
+const createQueue = (resource = createResource()) => ({
+  songs: [
+    { title: 'Song 1', url: 'https://youtu.be/1', duration: '3:00' },
+    { title: 'Song 2', url: 'https://youtu.be/2', duration: '2:30' }
+  ],
+  currentIndex: 0,
+  player: { state: { status: 'playing', resource }, play: vi.fn(), stop: vi.fn() },
+  isPaused: false,
+  isFinished: false,
+  lastMessage: null,
+  currentProcesses: null,
+  volume: 100,
+  filters: []
+});
+
+const createInteraction = (subcommand, options = {}) => ({
+  guildId: GUILD_ID,
+  user: { id: 'user-1' },
+  options: {
+    getSubcommand: () => subcommand,
+    getInteger: (name) => options[name] ?? null,
+    getString: (name) => options[name] ?? null
+  },
+  reply: vi.fn(),
+  deferReply: vi.fn(),
+  editReply: vi.fn()
+});
+
+describe('Music Command', () => {
+  beforeEach(() => {
+    musicQueues.clear();
+    spawnCalls.length = 0;
+  });
+
+  it('should offer every filter plus off', () => {
+    const filter = musicCommand.data.toJSON().options.find(option => option.name === 'filter');
+    expect(filter.options[0].choices.map(choice => choice.value))
+      .toEqual(['nightcore', 'vaporwave', 'bassboost', '8d', 'loudnorm', 'off']);
+  });
+
+  it('should show the server default volume when nothing is playing', async () => {
+    const interaction = createInteraction('volume');
+    await musicCommand.execute(interaction);
+
+    expect(interaction.reply.mock.calls[0][0].content).toContain('60%');
+  });
+
+  it('should change the volume live and remember it for the server', async () => {
+    const resource = createResource();
+    const queueData = createQueue(resource);
+    musicQueues.set(GUILD_ID, queueData);
+
+    const interaction = createInteraction('volume', { level: 150 });
+    await musicCommand.execute(interaction);
+
+    expect(queueData.volume).toBe(150);
+    expect(resource.volume.setVolume).toHaveBeenCalledWith(1.5);
+    expect(upsertMusicSettings).toHaveBeenCalledWith(GUILD_ID, { default_volume: 150, updated_by: 'user-1' });
+    expect(interaction.reply).toHaveBeenCalledWith('🔊 Volume set to 150%.');
+  });
+
+  it('should restart the song at the same point with the new filter', async () => {
+    const previousProcesses = { ffmpeg: { killed: false, kill: vi.fn() } };
+    const queueData = createQueue(createResource({ playbackDuration: 30000 }));
+    queueData.currentProcesses = previousProcesses;
+    musicQueues.set(GUILD_ID, queueData);
+
+    const interaction = createInteraction('filter', { effect: 'nightcore' });
+    await musicCommand.execute(interaction);
+
+    const ffmpeg = spawnCalls.find(call => call.command.endsWith('ffmpeg'));
+    expect(ffmpeg.args.slice(0, 2)).toEqual(['-ss', '30.000']);
+    expect(ffmpeg.args).toContain('-af');
+
+    const resource = queueData.player.play.mock.calls[0][0];
+    expect(resource.metadata).toEqual({ offset: 30, speed: 1.25 });
+    expect(previousProcesses.ffmpeg.kill).toHaveBeenCalled();
+    expect(queueData.filters).toEqual(['nightcore']);
+    expect(interaction.editReply).toHaveBeenCalledWith('🎛️ Nightcore is on. Effects: Nightcore.');
+  });
+
+  it('should count sped-up playback when working out the position', async () => {
+    const queueData = createQueue(createResource({ metadata: { offset: 10, speed: 1.25 }, playbackDuration: 8000 }));
+    queueData.filters = ['nightcore'];
+    musicQueues.set(GUILD_ID, queueData);
+
+    await musicCommand.execute(createInteraction('filter', { effect: 'off' }));
+
+    const ffmpeg = spawnCalls.find(call => call.command.endsWith('ffmpeg'));
+    expect(ffmpeg.args.slice(0, 2)).toEqual(['-ss', '20.000']);
+    expect(ffmpeg.args).not.toContain('-af');
+    expect(queueData.filters).toEqual([]);
+  });
+
+  it('should keep the filter for the next song when nothing is streaming', async () => {
+    const queueData = createQueue(null);
+    musicQueues.set(GUILD_ID, queueData);
+
+    const interaction = createInteraction('filter', { effect: 'bassboost' });
+    await musicCommand.execute(interaction);
+
+    expect(spawnCalls).toHaveLength(0);
+    expect(queueData.filters).toEqual(['bassboost']);
+    expect(interaction.editReply.mock.calls[0][0]).toContain('apply from the next song');
+  });
+
+  it('should seek to a timestamp in the current song', async () => {
+    const queueData = createQueue(createResource({ playbackDuration: 5000 }));
+    musicQueues.set(GUILD_ID, queueData);
+
+    const interaction = createInteraction('seek', { time: '1:30' });
+    await musicCommand.execute(interaction);
+
+    const ffmpeg = spawnCalls.find(call => call.command.endsWith('ffmpeg'));
+    expect(ffmpeg.args.slice(0, 2)).toEqual(['-ss', '90.000']);
+    expect(queueData.player.play.mock.calls[0][0].metadata.offset).toBe(90);
+    expect(interaction.editReply).toHaveBeenCalledWith('⏩ Jumped to 1:30 in **Song 1**.');
+  });
+
+  it('should refuse to seek past the end or to a bad time', async () => {
+    musicQueues.set(GUILD_ID, createQueue());
+
+    const tooFar = createInteraction('seek', { time: '3:00' });
+    await musicCommand.execute(tooFar);
+    expect(tooFar.reply.mock.calls[0][0].content).toContain('only 3:00 long');
+
+    const invalid = createInteraction('seek', { time: 'soon' });
+    await musicCommand.execute(invalid);
+    expect(invalid.reply.mock.calls[0][0].content).toContain('minutes:seconds');
+    expect(spawnCalls).toHaveLength(0);
+  });
+
+  it('should replay the current song from the start', async () => {
+    const queueData = createQueue(createResource({ playbackDuration: 60000 }));
+    musicQueues.set(GUILD_ID, queueData);
+
+    const interaction = createInteraction('replay');
+    await musicCommand.execute(interaction);
+
+    const ffmpeg = spawnCalls.find(call => call.command.endsWith('ffmpeg'));
+    expect(ffmpeg.args).not.toContain('-ss');
+    expect(interaction.editReply).toHaveBeenCalledWith('🔁 Replaying **Song 1** from the start.');
+  });
+
+  it('should add up the time left in the queue from the current position', () => {
+    const queueData = createQueue(createResource({ playbackDuration: 60000 }));
+    queueData.songs.push({ title: 'Song 3', url: 'https://youtu.be/3', duration: 'Unknown' });
+
+    expect(getQueueTimeRemaining(queueData)).toEqual({ seconds: 120 + 150, unknown: 1 });
+  });
+
+  it('should show progress and time left on the now playing message', async () => {
+    const queueData = createQueue(createResource({ playbackDuration: 90000 }));
+    queueData.lastMessage = { edit: vi.fn() };
+    musicQueues.set(GUILD_ID, queueData);
+
+    await refreshNowPlaying(GUILD_ID);
+
+    const fields = queueData.lastMessage.edit.mock.calls[0][0].embeds[0].data.fields;
+    expect(fields.find(field => field.name === '📋 Queue').value).toBe('1/2 • 4:00 left');
+    expect(fields.find(field => field.name === '▶️ Progress').value).toContain('1:30 / 3:00');
+  });
+});
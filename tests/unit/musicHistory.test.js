@@ -0,0 +1,274 @@
+// Unit tests for the listening history: play logging, /music history and /music stats
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('child_process', async () => {
+  const { PassThrough } = await import('stream');
+  const { EventEmitter } = await import('events');
+
+  return {
+    spawn: vi.fn((command) => {
+      const child = new EventEmitter();
+      child.stdin = new PassThrough();
+      child.stdout = new PassThrough();
+      child.stderr = new PassThrough();
+      child.kill = vi.fn();
+      if (command.endsWith('ffmpeg')) {
+        setImmediate(() => child.stdout.write(Buffer.alloc(16)));
+      }
+      return child;
+    })
+  };
+});
+
+vi.mock('@discordjs/voice', async (importOriginal) => {
+  const { EventEmitter } = await import('events');
+
+  return {
+    ...(await importOriginal()),
+    joinVoiceChannel: vi.fn(({ channelId }) => ({ joinConfig: { channelId }, subscribe: vi.fn(), destroy: vi.fn() })),
+    createAudioPlayer: vi.fn(() => {
+      const player = new EventEmitter();
+      player.state = { status: 'idle' };
+      player.play = vi.fn((resource) => { player.state = { status: 'playing', resource }; });
+      player.stop = vi.fn();
+      player.pause = vi.fn();
+      return player;
+    }),
+    createAudioResource: vi.fn((stream, options) => ({
+      metadata: options.metadata,
+      playbackDuration: 0,
+      volume: { setVolume: vi.fn() }
+    }))
+  };
+});
+
+vi.mock('../../src/utils/voiceActivityManager.js', () => ({
+  default: {
+    updateActivity: vi.fn(),
+    stopActivity: vi.fn(),
+    startActivity: vi.fn(),
+    canStartActivity: vi.fn(() => ({ canStart: true })),
+    getBlockedMessage: vi.fn(() => 'Voice is busy')
+  }
+}));
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  addMusicFavorite: vi.fn(),
+  getMusicSettings: vi.fn(async () => null),
+  upsertMusicSettings: vi.fn(),
+  recordMusicPlay: vi.fn(async () => true),
+  getMusicHistory: vi.fn(async () => []),
+  getMusicStats: vi.fn()
+}));
+
+const { queueStore } = vi.hoisted(() => ({
+  queueStore: { scheduleSave: vi.fn(), flush: vi.fn(), load: vi.fn(async () => ({})), close: vi.fn() }
+}));
+
+vi.mock('../../src/utils/musicQueueStore.js', () => ({
+  MusicQueueStore: vi.fn(function () { return queueStore; }),
+  getResumeMode: vi.fn(() => 'ask')
+}));
+
+import musicCommand from '../../src/commands/fun/music.js';
+import { musicQueues, startSavedQueue, shutdownMusic, seekTo } from '../../src/commands/fun/play.js';
+import { recordMusicPlay, getMusicHistory, getMusicStats } from '../../src/supabase/supabase.js';
+
+const GUILD_ID = 'guild-history';
+
+const voiceChannel = {
+  id: 'voice-1',
+  type: 2,
+  members: new Map(),
+  guild: { voiceAdapterCreator: vi.fn() }
+};
+
+const guild = {
+  id: GUILD_ID,
+  name: 'Test Guild',
+  channels: { fetch: vi.fn(async () => voiceChannel), cache: new Map([['voice-1', voiceChannel]]) }
+};
+
+const client = { guilds: { cache: new Map([[GUILD_ID, guild]]) } };
+
+const startQueue = async () => {
+  await startSavedQueue(client, GUILD_ID, {
+    songs: [
+      { title: 'Song A', url: 'https://youtu.be/a', duration: '3:00', requestedBy: 'alice' },
+      { title: 'Song B', url: 'https://youtu.be/b', duration: '2:00', requestedBy: 'bob' }
+    ],
+    currentIndex: 0,
+    voiceChannelId: 'voice-1',
+    textChannelId: 'text-1'
+  });
+  return musicQueues.get(GUILD_ID);
+};
+
+const createPlay = (overrides = {}) => ({
+  id: 'play-1',
+  guild_id: GUILD_ID,
+  requested_by: 'alice',
+  url: 'https://youtu.be/a',
+  title: 'Song A',
+  track: { url: 'https://youtu.be/a', title: 'Song A', channel: 'Artist', duration: '3:00' },
+  started_at: '2026-10-18T12:00:00Z',
+  listened_seconds: 95,
+  ...overrides
+});
+
+const createInteraction = (subcommand, options = {}, overrides = {}) => ({
+  guild,
+  guildId: GUILD_ID,
+  channelId: 'text-1',
+  client,
+  user: { id: 'carol', username: 'carol' },
+  member: { id: 'carol', roles: { cache: new Set() }, permissions: { has: () => false }, voice: { channel: voiceChannel } },
+  options: {
+    getSubcommand: () => subcommand,
+    getString: (name) => options[name] ?? null,
+    getUser: (name) => options[name] ?? null
+  },
+  deferReply: vi.fn(),
+  editReply: vi.fn(),
+  reply: vi.fn(),
+  ...overrides
+});
+
+describe('Play Logging', () => {
+  beforeEach(() => {
+    recordMusicPlay.mockClear();
+  });
+
+  afterEach(async () => {
+    await shutdownMusic();
+  });
+
+  it('should record how long a song was heard once the queue moves on', async () => {
+    const queueData = await startQueue();
+    queueData.player.state.resource.playbackDuration = 95000;
+
+    // The song ended or was skipped
+    queueData.player.state = { status: 'idle' };
+    queueData.player.emit('idle');
+    await vi.waitFor(() => expect(recordMusicPlay).toHaveBeenCalledTimes(1));
+
+    expect(recordMusicPlay.mock.calls[0][0]).toMatchObject({
+      guild_id: GUILD_ID,
+      requested_by: 'alice',
+      url: 'https://youtu.be/a',
+      title: 'Song A',
+      track: { url: 'https://youtu.be/a', title: 'Song A', duration: '3:00' },
+      listened_seconds: 95
+    });
+  });
+
+  it('should add up the time heard across seeks', async () => {
+    const queueData = await startQueue();
+    queueData.player.state.resource.playbackDuration = 20000;
+
+    expect(await seekTo(GUILD_ID, 120)).toBe(true);
+    queueData.player.state.resource.playbackDuration = 15000;
+    expect(recordMusicPlay).not.toHaveBeenCalled();
+
+    // Shutting down logs the song playing so far
+    await shutdownMusic();
+    expect(recordMusicPlay).toHaveBeenCalledTimes(1);
+    expect(recordMusicPlay.mock.calls[0][0].listened_seconds).toBe(35);
+  });
+
+  it('should leave songs that never played out of the history', async () => {
+    await startQueue();
+    await shutdownMusic();
+    expect(recordMusicPlay).not.toHaveBeenCalled();
+  });
+});
+
+describe('Music History Command', () => {
+  beforeEach(() => {
+    musicQueues.clear();
+  });
+
+  afterEach(async () => {
+    await shutdownMusic();
+  });
+
+  it('should list recent plays for one person', async () => {
+    getMusicHistory.mockResolvedValueOnce([createPlay()]);
+    const alice = { id: 'alice', username: 'alice' };
+    const interaction = createInteraction('history', { user: alice });
+    interaction.editReply.mockResolvedValue({ awaitMessageComponent: vi.fn(() => Promise.reject(new Error('time'))) });
+
+    await musicCommand.execute(interaction);
+
+    expect(getMusicHistory).toHaveBeenCalledWith(GUILD_ID, { userId: 'alice', limit: 10 });
+    const { embeds, components } = interaction.editReply.mock.calls[0][0];
+    expect(embeds[0].data.title).toBe('🕘 Recently Played from alice');
+    expect(embeds[0].data.description).toContain('[Song A](https://youtu.be/a) • <@alice> • <t:1792324800:R> • 1:35/3:00');
+    expect(components[0].components[0].data.custom_id).toBe('music_history_select');
+
+    // Nobody picked anything, so the menu goes away
+    expect(interaction.editReply).toHaveBeenLastCalledWith({ components: [] });
+  });
+
+  it('should start a queue in the voice channel with the picked songs', async () => {
+    getMusicHistory.mockResolvedValueOnce([createPlay(), createPlay({ title: 'Song B', url: 'https://youtu.be/b', track: { url: 'https://youtu.be/b', title: 'Song B' } })]);
+    const message = { edit: vi.fn() };
+    const selection = { values: ['1'], message, update: vi.fn() };
+    const interaction = createInteraction('history');
+    interaction.editReply.mockResolvedValueOnce({ awaitMessageComponent: vi.fn(async () => selection) });
+
+    await musicCommand.execute(interaction);
+
+    const queueData = musicQueues.get(GUILD_ID);
+    expect(queueData.songs).toEqual([{ url: 'https://youtu.be/b', title: 'Song B', requestedBy: 'carol' }]);
+    expect(queueData.lastMessage).toBe(message);
+    expect(selection.update.mock.calls[0][0].content).toContain('Queuing 1 song');
+  });
+
+  it('should add picked songs to the queue that is playing', async () => {
+    await startQueue();
+    getMusicHistory.mockResolvedValueOnce([createPlay()]);
+    const selection = { values: ['0'], message: {}, update: vi.fn() };
+    const interaction = createInteraction('history');
+    interaction.editReply.mockResolvedValueOnce({ awaitMessageComponent: vi.fn(async () => selection) });
+
+    await musicCommand.execute(interaction);
+
+    expect(musicQueues.get(GUILD_ID).songs.map(song => song.title)).toEqual(['Song A', 'Song B', 'Song A']);
+    expect(interaction.editReply).toHaveBeenLastCalledWith({ content: '🕘 Added 1 song from the history to the queue.' });
+  });
+
+  it('should show top songs, requesters and listening time', async () => {
+    getMusicStats.mockResolvedValueOnce({
+      total_plays: 42,
+      total_seconds: 5 * 3600,
+      requesters: 3,
+      top_tracks: [{ title: 'Song A', url: 'https://youtu.be/a', plays: 7, seconds: 1200 }],
+      top_requesters: [{ user_id: 'alice', plays: 30, seconds: 3 * 3600 }]
+    });
+    const interaction = createInteraction('stats', { period: 'week' });
+
+    await musicCommand.execute(interaction);
+
+    const since = getMusicStats.mock.calls[0][1];
+    expect(Date.now() - since.getTime()).toBeCloseTo(7 * 24 * 60 * 60 * 1000, -4);
+    const fields = interaction.editReply.mock.calls[0][0].embeds[0].data.fields;
+    expect(fields.map(field => field.value)).toEqual([
+      '5 hours',
+      '42',
+      '3',
+      '**1.** [Song A](https://youtu.be/a) • 7 plays',
+      '**1.** <@alice> • 30 songs (3 hours)'
+    ]);
+  });
+
+  it('should say when nothing was played', async () => {
+    getMusicStats.mockResolvedValueOnce({ total_plays: 0, total_seconds: 0, requesters: 0, top_tracks: [], top_requesters: [] });
+    const interaction = createInteraction('stats');
+
+    await musicCommand.execute(interaction);
+
+    expect(getMusicStats.mock.calls.at(-1)[1]).toBeInstanceOf(Date);
+    expect(interaction.editReply).toHaveBeenCalledWith('📊 No music was played here in the past 30 days.');
+  });
+});
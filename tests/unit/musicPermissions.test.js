@@ -0,0 +1,283 @@
+// Unit tests for music DJ controls: vote-skip, DJ role and per-user queue limits
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('child_process', async () => {
+  const { PassThrough } = await import('stream');
+  const { EventEmitter } = await import('events');
+
+  return {
+    spawn: vi.fn((command) => {
+      const child = new EventEmitter();
+      child.stdin = new PassThrough();
+      child.stdout = new PassThrough();
+      child.stderr = new PassThrough();
+      child.kill = vi.fn();
+      if (command.endsWith('ffmpeg')) {
+        setImmediate(() => child.stdout.write(Buffer.alloc(16)));
+      }
+      return child;
+    })
+  };
+});
+
+vi.mock('@discordjs/voice', async (importOriginal) => {
+  const { EventEmitter } = await import('events');
+
+  return {
+    ...(await importOriginal()),
+    joinVoiceChannel: vi.fn(({ channelId }) => ({ joinConfig: { channelId }, subscribe: vi.fn(), destroy: vi.fn() })),
+    createAudioPlayer: vi.fn(() => {
+      const player = new EventEmitter();
+      player.state = { status: 'idle' };
+      player.play = vi.fn((resource) => { player.state = { status: 'playing', resource }; });
+      player.stop = vi.fn();
+      player.pause = vi.fn();
+      return player;
+    }),
+    createAudioResource: vi.fn((stream, options) => ({
+      metadata: options.metadata,
+      playbackDuration: 0,
+      volume: { setVolume: vi.fn() }
+    }))
+  };
+});
+
+vi.mock('../../src/utils/voiceActivityManager.js', () => ({
+  default: {
+    updateActivity: vi.fn(),
+    stopActivity: vi.fn(),
+    startActivity: vi.fn(),
+    canStartActivity: vi.fn(() => ({ canStart: true }))
+  }
+}));
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  addMusicFavorite: vi.fn(),
+  getMusicSettings: vi.fn(async () => null),
+  upsertMusicSettings: vi.fn(async (guildId, updates) => ({ guild_id: guildId, ...updates })),
+  recordMusicPlay: vi.fn(async () => true)
+}));
+
+const { queueStore } = vi.hoisted(() => ({
+  queueStore: { scheduleSave: vi.fn(), flush: vi.fn(), load: vi.fn(async () => ({})), close: vi.fn() }
+}));
+
+vi.mock('../../src/utils/musicQueueStore.js', () => ({
+  MusicQueueStore: vi.fn(function () { return queueStore; }),
+  getResumeMode: vi.fn(() => 'ask')
+}));
+
+import {
+  musicQueues,
+  startSavedQueue,
+  shutdownMusic,
+  handleMusicInteraction,
+  updateGuildMusicSettings,
+  getQueueAllowance
+} from '../../src/commands/fun/play.js';
+import queueCommand from '../../src/commands/fun/queue.js';
+import { getRequiredVotes, countQueuedSongs, isDJ } from '../../src/utils/musicPermissions.js';
+
+const GUILD_ID = 'guild-dj';
+
+const createMember = (id, roles = []) => ({
+  id,
+  user: { id, bot: false },
+  roles: { cache: new Set(roles) },
+  permissions: { has: () => false },
+  guild: { id: GUILD_ID, ownerId: 'owner' }
+});
+
+const voiceChannel = {
+  id: 'voice-1',
+  type: 2,
+  members: new Map(),
+  guild: { voiceAdapterCreator: vi.fn() }
+};
+
+const guild = {
+  id: GUILD_ID,
+  channels: { fetch: vi.fn(async () => voiceChannel), cache: new Map([['voice-1', voiceChannel]]) }
+};
+
+const client = { guilds: { cache: new Map([[GUILD_ID, guild]]) } };
+
+const setListeners = (...members) => {
+  voiceChannel.members = new Map(members.map(member => [member.id, member]));
+};
+
+const pressButton = (customId, member) => ({
+  guild,
+  customId,
+  user: member.user,
+  member,
+  reply: vi.fn(),
+  update: vi.fn(),
+  deferUpdate: vi.fn()
+});
+
+const startQueue = async () => {
+  await startSavedQueue(client, GUILD_ID, {
+    songs: [
+      { title: 'Song A', url: 'https://youtu.be/a', requestedBy: 'alice' },
+      { title: 'Song B', url: 'https://youtu.be/b', requestedBy: 'bob' }
+    ],
+    currentIndex: 0,
+    voiceChannelId: 'voice-1',
+    textChannelId: 'text-1'
+  });
+  return musicQueues.get(GUILD_ID);
+};
+
+const alice = createMember('alice');
+const bob = createMember('bob');
+const carol = createMember('carol');
+const dave = createMember('dave', ['dj-role']);
+
+describe('Music Permissions', () => {
+  it('should need at least one vote and round up', () => {
+    expect(getRequiredVotes(0, 0.5)).toBe(1);
+    expect(getRequiredVotes(3, 0.5)).toBe(2);
+    expect(getRequiredVotes(4, 0.75)).toBe(3);
+  });
+
+  it('should count only songs that have not finished playing', () => {
+    const queueData = {
+      songs: [{ requestedBy: 'alice' }, { requestedBy: 'alice' }, { requestedBy: 'bob' }, { requestedBy: 'alice' }],
+      currentIndex: 1,
+      isFinished: false
+    };
+    expect(countQueuedSongs(queueData, 'alice')).toBe(2);
+    expect(countQueuedSongs({ ...queueData, isFinished: true }, 'alice')).toBe(0);
+  });
+
+  it('should treat the DJ role as a DJ', async () => {
+    expect(await isDJ(dave, { dj_role_id: 'dj-role' })).toBe(true);
+    expect(await isDJ(carol, { dj_role_id: 'dj-role' })).toBe(false);
+  });
+});
+
+describe('Music Controls', () => {
+  beforeEach(async () => {
+    await updateGuildMusicSettings(GUILD_ID, { dj_role_id: 'dj-role', vote_skip_ratio: 0.5, max_songs_per_user: 0 });
+  });
+
+  afterEach(async () => {
+    await shutdownMusic();
+  });
+
+  it('should only let people in the voice channel press playback buttons', async () => {
+    setListeners(alice, bob);
+    const queueData = await startQueue();
+
+    const button = pressButton('music_skip', carol);
+    await handleMusicInteraction(button);
+
+    expect(button.reply.mock.calls[0][0].content).toContain('Join <#voice-1>');
+    expect(queueData.player.stop).not.toHaveBeenCalled();
+  });
+
+  it('should let the requester skip straight away', async () => {
+    setListeners(alice, bob, carol);
+    const queueData = await startQueue();
+
+    const button = pressButton('music_skip', alice);
+    await handleMusicInteraction(button);
+
+    expect(button.deferUpdate).toHaveBeenCalled();
+    expect(queueData.player.stop).toHaveBeenCalled();
+  });
+
+  it('should skip once enough listeners vote', async () => {
+    setListeners(alice, bob, carol);
+    const queueData = await startQueue();
+
+    const first = pressButton('music_skip', bob);
+    await handleMusicInteraction(first);
+    expect(first.reply.mock.calls[0][0].content).toContain('(1/2)');
+    expect(queueData.player.stop).not.toHaveBeenCalled();
+
+    // Voting twice doesn't count twice
+    await handleMusicInteraction(pressButton('music_skip', bob));
+    expect(queueData.player.stop).not.toHaveBeenCalled();
+
+    const second = pressButton('music_skip', carol);
+    await handleMusicInteraction(second);
+    expect(second.reply.mock.calls[0][0].content).toContain('Vote passed (2/2)');
+    expect(queueData.player.stop).toHaveBeenCalled();
+  });
+
+  it('should take a vote to go back to the previous song', async () => {
+    setListeners(alice, bob, carol);
+    const queueData = await startQueue();
+    queueData.currentIndex = 1; // Song B, queued by bob
+
+    const first = pressButton('music_previous', carol);
+    await handleMusicInteraction(first);
+    expect(first.reply.mock.calls[0][0].content).toContain('voted to go back');
+    expect(queueData.player.stop).not.toHaveBeenCalled();
+
+    const second = pressButton('music_previous', alice);
+    await handleMusicInteraction(second);
+    expect(second.reply.mock.calls[0][0].content).toContain('Vote passed (2/2)');
+    expect(queueData.player.stop).toHaveBeenCalled();
+    expect(queueData.currentIndex).toBe(-1);
+  });
+
+  it('should let DJs skip and stop without a vote', async () => {
+    setListeners(alice, bob, dave);
+    const queueData = await startQueue();
+
+    await handleMusicInteraction(pressButton('music_skip', dave));
+    expect(queueData.player.stop).toHaveBeenCalled();
+
+    const stop = pressButton('music_stop', dave);
+    await handleMusicInteraction(stop);
+    expect(stop.update).toHaveBeenCalled();
+    expect(musicQueues.has(GUILD_ID)).toBe(false);
+  });
+
+  it('should not let listeners stop the music for everyone', async () => {
+    setListeners(alice, bob);
+    await startQueue();
+
+    const stop = pressButton('music_stop', bob);
+    await handleMusicInteraction(stop);
+
+    expect(stop.reply.mock.calls[0][0].content).toContain('Only DJs can stop');
+    expect(musicQueues.has(GUILD_ID)).toBe(true);
+  });
+
+  it('should not let listeners reorder the queue for everyone', async () => {
+    setListeners(alice, bob);
+    const queueData = await startQueue();
+    queueData.songs.push({ title: 'Song C', url: 'https://youtu.be/c', requestedBy: 'alice' });
+
+    const runQueue = async (subcommand, options = {}) => {
+      const interaction = {
+        guild,
+        guildId: GUILD_ID,
+        user: bob.user,
+        member: bob,
+        options: { getSubcommand: () => subcommand, getInteger: (name) => options[name] ?? null },
+        reply: vi.fn()
+      };
+      await queueCommand.execute(interaction);
+      return interaction.reply.mock.calls[0][0].content;
+    };
+
+    expect(await runQueue('move', { from: 3, to: 2 })).toContain('Only DJs');
+    expect(await runQueue('shuffle')).toContain('Only DJs');
+    expect(queueData.songs.map(song => song.title)).toEqual(['Song A', 'Song B', 'Song C']);
+  });
+
+  it('should limit how many songs each person can queue', async () => {
+    setListeners(alice, bob);
+    await startQueue();
+    await updateGuildMusicSettings(GUILD_ID, { max_songs_per_user: 3 });
+
+    const interaction = { guild, user: alice.user, member: alice };
+    expect(await getQueueAllowance(interaction)).toBe(2);
+    expect(await getQueueAllowance({ guild, user: dave.user, member: dave })).toBe(Infinity);
+  });
+});
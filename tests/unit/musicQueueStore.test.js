@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MusicQueueStore, getResumeMode } from '../../src/utils/musicQueueStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const savedQueue = {
+  songs: [{ url: 'https://youtu.be/a', title: 'Song A' }, { url: 'https://youtu.be/b', title: 'Song B' }],
+  currentIndex: 1,
+  loopMode: 'queue',
+  voiceChannelId: '20',
+  textChannelId: '10'
+};
+
+describe('MusicQueueStore', () => {
+  let filePath;
+  let snapshot;
+  let store;
+
+  beforeEach(() => {
+    filePath = path.join(__dirname, '../../temp', `test-music-queues-${Date.now()}-${Math.random().toString(36).slice(2, 9)}.json`);
+    snapshot = { '111': savedQueue };
+    store = new MusicQueueStore(() => snapshot, { filePath, saveDelay: 20 });
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await fs.rm(filePath, { force: true });
+  });
+
+  it('should save and load queues', async () => {
+    expect(await store.flush()).toBe(true);
+    expect(await store.load()).toEqual({ '111': savedQueue });
+  });
+
+  it('should return no queues when nothing was saved or the file is corrupt', async () => {
+    expect(await store.load()).toEqual({});
+
+    await fs.writeFile(filePath, '{not json');
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(await store.load()).toEqual({});
+    consoleSpy.mockRestore();
+  });
+
+  it('should write a burst of changes once with the latest state', async () => {
+    vi.useFakeTimers();
+    const writeSpy = vi.spyOn(store, '_write');
+
+    store.scheduleSave();
+    snapshot = {};
+    store.scheduleSave();
+    await vi.advanceTimersByTimeAsync(50);
+    await store.writing;
+
+    expect(writeSpy).toHaveBeenCalledTimes(1);
+    expect(writeSpy).toHaveBeenCalledWith({});
+  });
+
+  it('should ignore changes after close so shutdown keeps the saved queues', async () => {
+    await store.close();
+    snapshot = {};
+    store.scheduleSave();
+
+    expect(store.saveTimer).toBeNull();
+    expect(await store.load()).toEqual({ '111': savedQueue });
+  });
+
+  it('should read the resume mode from MUSIC_RESUME', () => {
+    const original = process.env.MUSIC_RESUME;
+
+    delete process.env.MUSIC_RESUME;
+    expect(getResumeMode()).toBe('ask');
+    process.env.MUSIC_RESUME = 'AUTO';
+    expect(getResumeMode()).toBe('auto');
+    process.env.MUSIC_RESUME = 'sometimes';
+    expect(getResumeMode()).toBe('ask');
+
+    if (original === undefined) delete process.env.MUSIC_RESUME;
+    else process.env.MUSIC_RESUME = original;
+  });
+});
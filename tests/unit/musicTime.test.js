@@ -0,0 +1,42 @@
+// Unit tests for music time helpers
+import { describe, it, expect } from 'vitest';
+import { parseTimestamp, formatTimestamp, createProgressBar, formatListeningTime } from '../../src/utils/musicTime.js';
+
+describe('Music Time', () => {
+  it('should parse timestamps and plain seconds', () => {
+    expect(parseTimestamp('1:30')).toBe(90);
+    expect(parseTimestamp('1:02:03')).toBe(3723);
+    expect(parseTimestamp(' 90 ')).toBe(90);
+    expect(parseTimestamp(42)).toBe(42);
+  });
+
+  it('should reject durations that are not timestamps', () => {
+    expect(parseTimestamp('Unknown')).toBeNull();
+    expect(parseTimestamp('1:75')).toBeNull();
+    expect(parseTimestamp('1:2:3:4')).toBeNull();
+    expect(parseTimestamp(undefined)).toBeNull();
+  });
+
+  it('should format seconds with hours only when needed', () => {
+    expect(formatTimestamp(5)).toBe('0:05');
+    expect(formatTimestamp(213.9)).toBe('3:33');
+    expect(formatTimestamp(3723)).toBe('1:02:03');
+  });
+
+  it('should describe listening time in minutes, then hours', () => {
+    expect(formatListeningTime(20)).toBe('0 min');
+    expect(formatListeningTime(45 * 60)).toBe('45 min');
+    expect(formatListeningTime(3600)).toBe('1 hour');
+    expect(formatListeningTime(12.5 * 3600)).toBe('12.5 hours');
+  });
+
+  it('should place the progress marker along the bar', () => {
+    expect(createProgressBar(0, 100, 10)).toBe('🔘▬▬▬▬▬▬▬▬▬ 0:00 / 1:40');
+    expect(createProgressBar(50, 100, 10)).toBe('▬▬▬▬▬🔘▬▬▬▬ 0:50 / 1:40');
+    expect(createProgressBar(120, 100, 10)).toBe('▬▬▬▬▬▬▬▬▬🔘 1:40 / 1:40');
+  });
+
+  it('should show only the elapsed time when the length is unknown', () => {
+    expect(createProgressBar(65, null, 5)).toBe('🔘▬▬▬▬ 1:05');
+  });
+});
@@ -0,0 +1,179 @@
+// Unit tests for /play text search
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { ytdlp } = vi.hoisted(() => ({ ytdlp: vi.fn() }));
+
+vi.mock('youtube-dl-exec', () => ({
+  default: { create: vi.fn(() => ytdlp) }
+}));
+
+vi.mock('../../src/utils/voiceActivityManager.js', () => ({
+  default: {
+    updateActivity: vi.fn(),
+    stopActivity: vi.fn(),
+    startActivity: vi.fn(),
+    canStartActivity: vi.fn(() => ({ canStart: true }))
+  }
+}));
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  addMusicFavorite: vi.fn(),
+  getMusicSettings: vi.fn(async () => null),
+  upsertMusicSettings: vi.fn(),
+  recordMusicPlay: vi.fn(async () => true)
+}));
+
+const { queueStore } = vi.hoisted(() => ({
+  queueStore: { scheduleSave: vi.fn(), flush: vi.fn(), load: vi.fn(async () => ({})), close: vi.fn() }
+}));
+
+vi.mock('../../src/utils/musicQueueStore.js', () => ({
+  MusicQueueStore: vi.fn(function (getSnapshot) {
+    queueStore.getSnapshot = getSnapshot;
+    return queueStore;
+  }),
+  getResumeMode: vi.fn(() => 'ask')
+}));
+
+import playCommand, { restoreMusicQueues, handleMusicInteraction } from '../../src/commands/fun/play.js';
+
+const searchResponse = {
+  entries: [
+    { id: 'abc123', title: 'Never Gonna Give You Up', uploader: 'Rick Astley', duration_string: '3:33' },
+    { id: 'def456', title: 'Never Gonna Give You Up (Live)', uploader: 'Rick Astley', duration_string: '3:50' }
+  ]
+};
+
+const createAutocomplete = (value, name = 'query') => ({
+  options: { getFocused: () => ({ name, value }) },
+  respond: vi.fn()
+});
+
+describe('Play Command', () => {
+  beforeEach(() => {
+    ytdlp.mockResolvedValue(searchResponse);
+  });
+
+  it('should take a link or an autocompleted query', () => {
+    const json = playCommand.data.toJSON();
+    const options = Object.fromEntries(json.options.map(option => [option.name, option]));
+
+    expect(json.options[0].name).toBe('channel');
+    expect(options.link.required).toBe(false);
+    expect(options.query.autocomplete).toBe(true);
+  });
+
+  it('should suggest the top YouTube results with their URLs as values', async () => {
+    const interaction = createAutocomplete('never gonna');
+    await playCommand.autocomplete(interaction);
+
+    expect(ytdlp).toHaveBeenCalledWith('ytsearch5:never gonna', expect.objectContaining({ flatPlaylist: true }));
+    expect(interaction.respond).toHaveBeenCalledWith([
+      { name: 'Never Gonna Give You Up • Rick Astley (3:33)', value: 'https://www.youtube.com/watch?v=abc123' },
+      { name: 'Never Gonna Give You Up (Live) • Rick Astley (3:50)', value: 'https://www.youtube.com/watch?v=def456' }
+    ]);
+  });
+
+  it('should reuse cached results for the same query', async () => {
+    await playCommand.autocomplete(createAutocomplete('cached song'));
+    await playCommand.autocomplete(createAutocomplete('  Cached Song '));
+
+    expect(ytdlp).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not search for short queries or URLs', async () => {
+    const short = createAutocomplete('ab');
+    const url = createAutocomplete('https://youtu.be/abc123');
+    await playCommand.autocomplete(short);
+    await playCommand.autocomplete(url);
+
+    expect(ytdlp).not.toHaveBeenCalled();
+    expect(short.respond).toHaveBeenCalledWith([]);
+    expect(url.respond).toHaveBeenCalledWith([]);
+  });
+
+  it('should truncate long suggestions to the Discord limit', async () => {
+    ytdlp.mockResolvedValue({ entries: [{ id: 'long1', title: 'x'.repeat(150), uploader: 'Someone' }] });
+    const interaction = createAutocomplete('a very long title');
+    await playCommand.autocomplete(interaction);
+
+    const [choice] = interaction.respond.mock.calls[0][0];
+    expect(choice.name).toHaveLength(100);
+    expect(choice.name.endsWith('…')).toBe(true);
+  });
+
+  it('should ask for a link or query when neither is given', async () => {
+    const interaction = {
+      guild: { id: 'guild-1' },
+      options: {
+        getString: () => null,
+        getAttachment: () => null,
+        getChannel: () => ({ type: 2 })
+      },
+      reply: vi.fn()
+    };
+    await playCommand.execute(interaction);
+
+    expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({
+      content: 'Please provide a link, a search query or an audio file.'
+    }));
+  });
+
+  it('should turn down attachments that are not audio', async () => {
+    const interaction = {
+      guild: { id: 'guild-1' },
+      options: {
+        getString: () => null,
+        getAttachment: () => ({ name: 'notes.pdf', contentType: 'application/pdf', url: 'https://cdn.discordapp.com/attachments/1/2/notes.pdf' }),
+        getChannel: () => ({ type: 2 })
+      },
+      reply: vi.fn(),
+      deferReply: vi.fn()
+    };
+    await playCommand.execute(interaction);
+
+    expect(interaction.reply.mock.calls[0][0].content).toContain('isn\'t an audio file');
+    expect(interaction.deferReply).not.toHaveBeenCalled();
+  });
+});
+
+describe('Music queue restore', () => {
+  const saved = {
+    songs: [{ url: 'https://youtu.be/a', title: 'Song A' }, { url: 'https://youtu.be/b', title: 'Song B' }],
+    currentIndex: 1,
+    loopMode: 'off',
+    voiceChannelId: '20',
+    textChannelId: '10'
+  };
+
+  const createClient = (textChannel) => ({
+    guilds: { cache: { has: (guildId) => guildId === '111' } },
+    channels: { fetch: vi.fn(async () => textChannel) }
+  });
+
+  beforeEach(() => {
+    queueStore.load.mockResolvedValue({ '111': saved, '999': saved });
+  });
+
+  it('should offer to resume saved queues and keep them saved until answered', async () => {
+    const textChannel = { send: vi.fn() };
+    expect(await restoreMusicQueues(createClient(textChannel))).toBe(1);
+
+    const { embeds, components } = textChannel.send.mock.calls[0][0];
+    expect(embeds[0].data.fields[0].value).toContain('Song B');
+    expect(components[0].components.map(button => button.data.custom_id)).toEqual(['music_resume', 'music_discard']);
+    expect(queueStore.flush).toHaveBeenCalled();
+    expect(Object.keys(queueStore.getSnapshot())).toEqual(['111']);
+
+    const button = { guild: { id: '111' }, customId: 'music_discard', update: vi.fn() };
+    await handleMusicInteraction(button);
+
+    expect(button.update).toHaveBeenCalledWith(expect.objectContaining({ content: expect.stringContaining('discarded') }));
+    expect(queueStore.getSnapshot()).toEqual({});
+  });
+
+  it('should drop saved queues when the text channel is gone', async () => {
+    expect(await restoreMusicQueues(createClient(null))).toBe(0);
+    expect(queueStore.getSnapshot()).toEqual({});
+  });
+});
@@ -0,0 +1,219 @@
+// Unit tests for the /playlist command and the favorites button
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/utils/voiceActivityManager.js', () => ({
+  default: {
+    updateActivity: vi.fn(),
+    stopActivity: vi.fn(),
+    startActivity: vi.fn(),
+    canStartActivity: vi.fn(() => ({ canStart: true }))
+  }
+}));
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  getMusicPlaylists: vi.fn(async () => []),
+  insertMusicPlaylist: vi.fn(async (playlist) => ({ id: 'new', ...playlist })),
+  updateMusicPlaylist: vi.fn(async (id, updates) => ({ id, name: 'Road Trip', ...updates })),
+  deleteMusicPlaylist: vi.fn(async () => true),
+  getMusicFavorites: vi.fn(async () => null),
+  addMusicFavorite: vi.fn(),
+  getMusicSettings: vi.fn(async () => null),
+  upsertMusicSettings: vi.fn(),
+  recordMusicPlay: vi.fn(async () => true)
+}));
+
+vi.mock('../../src/utils/guildConfig.js', () => ({
+  PermissionManager: { hasPermission: vi.fn(async () => false) }
+}));
+
+const { queueStore } = vi.hoisted(() => ({
+  queueStore: { scheduleSave: vi.fn(), flush: vi.fn(), load: vi.fn(async () => ({})), close: vi.fn() }
+}));
+
+vi.mock('../../src/utils/musicQueueStore.js', () => ({
+  MusicQueueStore: vi.fn(function () { return queueStore; }),
+  getResumeMode: vi.fn(() => 'ask')
+}));
+
+import playlistCommand from '../../src/commands/fun/playlist.js';
+import { musicQueues, handleMusicInteraction } from '../../src/commands/fun/play.js';
+import {
+  getMusicPlaylists,
+  insertMusicPlaylist,
+  updateMusicPlaylist,
+  deleteMusicPlaylist,
+  getMusicFavorites,
+  addMusicFavorite
+} from '../../src/supabase/supabase.js';
+import { PermissionManager } from '../../src/utils/guildConfig.js';
+
+const GUILD_ID = 'guild-1';
+const USER_ID = 'user-1';
+
+const createSongs = (count) => Array.from({ length: count }, (_, i) => ({
+  title: `Song ${i + 1}`,
+  url: `https://youtu.be/${i + 1}`,
+  duration: '3:00',
+  requestedBy: 'someone',
+  isSpotifyTrack: false
+}));
+
+const createPlaylist = (overrides = {}) => ({
+  id: 'pl-1',
+  guild_id: GUILD_ID,
+  owner_id: USER_ID,
+  name: 'Road Trip',
+  is_shared: false,
+  is_favorites: false,
+  tracks: createSongs(2).map(({ requestedBy, ...track }) => track),
+  ...overrides
+});
+
+const createInteraction = (subcommand, options = {}) => ({
+  guild: { id: GUILD_ID, name: 'Test Guild' },
+  user: { id: USER_ID },
+  member: { voice: { channel: null } },
+  channelId: 'text-1',
+  options: {
+    getSubcommand: () => subcommand,
+    getString: (name) => options[name] ?? null,
+    getInteger: (name) => options[name] ?? null,
+    getBoolean: (name) => options[name] ?? null,
+    getChannel: (name) => options[name] ?? null
+  },
+  reply: vi.fn(),
+  deferReply: vi.fn(),
+  editReply: vi.fn()
+});
+
+describe('Playlist Command', () => {
+  beforeEach(() => {
+    musicQueues.clear();
+  });
+
+  it('should have the playlist subcommands', () => {
+    const json = playlistCommand.data.toJSON();
+    expect(json.name).toBe('playlist');
+    expect(json.options.map(option => option.name))
+      .toEqual(['save', 'load', 'list', 'delete', 'add', 'remove']);
+  });
+
+  it('should save the current queue without who requested each song', async () => {
+    musicQueues.set(GUILD_ID, { songs: createSongs(3), currentIndex: 1 });
+
+    const interaction = createInteraction('save', { name: 'Road Trip', shared: true });
+    await playlistCommand.execute(interaction);
+
+    const saved = insertMusicPlaylist.mock.calls[0][0];
+    expect(saved).toMatchObject({ guild_id: GUILD_ID, owner_id: USER_ID, name: 'Road Trip', is_shared: true });
+    expect(saved.tracks).toHaveLength(3);
+    expect(saved.tracks[0]).not.toHaveProperty('requestedBy');
+    expect(interaction.reply.mock.calls[0][0].content).toContain('Saved **Road Trip** with 3 songs');
+  });
+
+  it('should overwrite the user\'s playlist with the same name', async () => {
+    musicQueues.set(GUILD_ID, { songs: createSongs(1), currentIndex: 0 });
+    getMusicPlaylists.mockResolvedValueOnce([createPlaylist({ name: 'road trip' })]);
+
+    await playlistCommand.execute(createInteraction('save', { name: 'Road Trip' }));
+
+    expect(insertMusicPlaylist).not.toHaveBeenCalled();
+    expect(updateMusicPlaylist).toHaveBeenCalledWith('pl-1', expect.objectContaining({ is_shared: false }));
+  });
+
+  it('should reserve the favorites name', async () => {
+    musicQueues.set(GUILD_ID, { songs: createSongs(1), currentIndex: 0 });
+
+    const interaction = createInteraction('save', { name: 'Favorites' });
+    await playlistCommand.execute(interaction);
+
+    expect(insertMusicPlaylist).not.toHaveBeenCalled();
+    expect(interaction.reply.mock.calls[0][0].content).toContain('reserved');
+  });
+
+  it('should append a loaded playlist to a queue that is playing', async () => {
+    const queueData = { songs: createSongs(1), currentIndex: 0, isFinished: false };
+    musicQueues.set(GUILD_ID, queueData);
+    getMusicPlaylists.mockResolvedValueOnce([createPlaylist()]);
+
+    const interaction = createInteraction('load', { name: 'road trip' });
+    await playlistCommand.execute(interaction);
+
+    expect(queueData.songs.map(song => song.title)).toEqual(['Song 1', 'Song 1', 'Song 2']);
+    expect(interaction.reply).toHaveBeenCalledWith(expect.stringContaining('Added 2 songs'));
+  });
+
+  it('should load favorites when no playlist is called that', async () => {
+    musicQueues.set(GUILD_ID, { songs: createSongs(1), currentIndex: 0, isFinished: false });
+    getMusicFavorites.mockResolvedValueOnce(createPlaylist({ guild_id: null, name: 'Favorites', is_favorites: true }));
+
+    const interaction = createInteraction('load', { name: 'favorites' });
+    await playlistCommand.execute(interaction);
+
+    expect(getMusicFavorites).toHaveBeenCalledWith(USER_ID);
+    expect(interaction.reply).toHaveBeenCalledWith(expect.stringContaining('**Favorites**'));
+  });
+
+  it('should ask for a voice channel when nothing is playing', async () => {
+    getMusicPlaylists.mockResolvedValueOnce([createPlaylist()]);
+
+    const interaction = createInteraction('load', { name: 'Road Trip' });
+    await playlistCommand.execute(interaction);
+
+    expect(interaction.reply.mock.calls[0][0].content).toContain('Join a voice channel');
+  });
+
+  it('should only let the owner edit a playlist that is not shared', async () => {
+    getMusicPlaylists.mockResolvedValueOnce([createPlaylist({ owner_id: 'someone-else' })]);
+
+    const interaction = createInteraction('remove', { name: 'Road Trip', position: 1 });
+    await playlistCommand.execute(interaction);
+
+    expect(updateMusicPlaylist).not.toHaveBeenCalled();
+    expect(interaction.reply.mock.calls[0][0].content).toContain('only its owner');
+  });
+
+  it('should remove a song by position', async () => {
+    getMusicPlaylists.mockResolvedValueOnce([createPlaylist({ owner_id: 'someone-else', is_shared: true })]);
+
+    const interaction = createInteraction('remove', { name: 'Road Trip', position: 1 });
+    await playlistCommand.execute(interaction);
+
+    const [, updates] = updateMusicPlaylist.mock.calls[0];
+    expect(updates.tracks.map(track => track.title)).toEqual(['Song 2']);
+    expect(interaction.reply.mock.calls[0][0].content).toContain('Removed **Song 1**');
+  });
+
+  it('should let only the owner or a moderator delete a shared playlist', async () => {
+    getMusicPlaylists.mockResolvedValue([createPlaylist({ owner_id: 'someone-else', is_shared: true })]);
+
+    const denied = createInteraction('delete', { name: 'Road Trip' });
+    await playlistCommand.execute(denied);
+    expect(deleteMusicPlaylist).not.toHaveBeenCalled();
+    expect(denied.reply.mock.calls[0][0].content).toContain('or a moderator');
+
+    PermissionManager.hasPermission.mockResolvedValueOnce(true);
+    await playlistCommand.execute(createInteraction('delete', { name: 'Road Trip' }));
+    expect(deleteMusicPlaylist).toHaveBeenCalledWith('pl-1');
+
+    getMusicPlaylists.mockResolvedValue([]);
+  });
+});
+
+describe('Favorite button', () => {
+  beforeEach(() => {
+    musicQueues.clear();
+  });
+
+  it('should save the song that is playing to the user\'s favorites', async () => {
+    musicQueues.set(GUILD_ID, { songs: createSongs(2), currentIndex: 1 });
+    addMusicFavorite.mockResolvedValueOnce({ playlist: createPlaylist({ is_favorites: true }), added: true });
+
+    const button = { guild: { id: GUILD_ID }, user: { id: USER_ID }, customId: 'music_favorite', reply: vi.fn() };
+    await handleMusicInteraction(button);
+
+    expect(addMusicFavorite).toHaveBeenCalledWith(USER_ID, expect.objectContaining({ title: 'Song 2' }));
+    expect(addMusicFavorite.mock.calls[0][1]).not.toHaveProperty('requestedBy');
+    expect(button.reply.mock.calls[0][0].content).toContain('Song 2');
+  });
+});
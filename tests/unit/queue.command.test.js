@@ -0,0 +1,179 @@
+// Unit tests for the /queue command
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../src/utils/voiceActivityManager.js', () => ({
+  default: {
+    updateActivity: vi.fn(),
+    stopActivity: vi.fn(),
+    startActivity: vi.fn(),
+    canStartActivity: vi.fn(() => ({ canStart: true }))
+  }
+}));
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  addMusicFavorite: vi.fn(),
+  getMusicSettings: vi.fn(async () => null),
+  upsertMusicSettings: vi.fn(),
+  recordMusicPlay: vi.fn(async () => true)
+}));
+
+const { queueStore } = vi.hoisted(() => ({
+  queueStore: { scheduleSave: vi.fn(), flush: vi.fn(), load: vi.fn(async () => ({})), close: vi.fn() }
+}));
+
+vi.mock('../../src/utils/musicQueueStore.js', () => ({
+  MusicQueueStore: vi.fn(function () { return queueStore; }),
+  getResumeMode: vi.fn(() => 'ask')
+}));
+
+import queueCommand from '../../src/commands/fun/queue.js';
+import { musicQueues, handleMusicInteraction } from '../../src/commands/fun/play.js';
+
+const GUILD_ID = 'guild-1';
+
+const createQueue = (count, currentIndex = 0) => ({
+  songs: Array.from({ length: count }, (_, i) => ({ title: `Song ${i + 1}`, url: `https://youtu.be/${i + 1}` })),
+  currentIndex,
+  player: { state: { status: 'playing' }, stop: vi.fn() },
+  isPaused: false,
+  isFinished: false,
+  lastMessage: null
+});
+
+const createInteraction = (subcommand, options = {}) => ({
+  guildId: GUILD_ID,
+  user: { id: 'user-1' },
+  options: {
+    getSubcommand: () => subcommand,
+    getInteger: (name) => options[name] ?? null,
+    getString: (name) => options[name] ?? null
+  },
+  reply: vi.fn(),
+  deferReply: vi.fn(),
+  editReply: vi.fn()
+});
+
+const titles = (queueData) => queueData.songs.map(song => song.title);
+
+describe('Queue Command', () => {
+  beforeEach(() => {
+    musicQueues.clear();
+  });
+
+  it('should have the queue subcommands', () => {
+    const json = queueCommand.data.toJSON();
+    expect(json.name).toBe('queue');
+    expect(json.options.map(option => option.name))
+      .toEqual(['view', 'remove', 'move', 'clear', 'shuffle', 'jump', 'loop']);
+  });
+
+  it('should reply ephemerally when nothing is playing', async () => {
+    const interaction = createInteraction('view');
+    await queueCommand.execute(interaction);
+
+    expect(interaction.reply).toHaveBeenCalledWith(expect.objectContaining({
+      content: expect.stringContaining('No music is currently playing')
+    }));
+  });
+
+  it('should remove an upcoming song by its queue position', async () => {
+    const queueData = createQueue(4, 1);
+    musicQueues.set(GUILD_ID, queueData);
+
+    const interaction = createInteraction('remove', { position: 3 });
+    await queueCommand.execute(interaction);
+
+    expect(titles(queueData)).toEqual(['Song 1', 'Song 2', 'Song 4']);
+    expect(interaction.reply).toHaveBeenCalledWith(expect.stringContaining('Song 3'));
+    expect(queueStore.scheduleSave).toHaveBeenCalled();
+  });
+
+  it('should refuse to remove the song that is playing', async () => {
+    const queueData = createQueue(3, 1);
+    musicQueues.set(GUILD_ID, queueData);
+
+    const interaction = createInteraction('remove', { position: 2 });
+    await queueCommand.execute(interaction);
+
+    expect(queueData.songs).toHaveLength(3);
+    expect(interaction.reply.mock.calls[0][0].content).toContain('playing now');
+  });
+
+  it('should move songs and reject positions past the end', async () => {
+    const queueData = createQueue(4, 0);
+    musicQueues.set(GUILD_ID, queueData);
+
+    await queueCommand.execute(createInteraction('move', { from: 4, to: 2 }));
+    expect(titles(queueData)).toEqual(['Song 1', 'Song 4', 'Song 2', 'Song 3']);
+
+    const interaction = createInteraction('move', { from: 2, to: 9 });
+    await queueCommand.execute(interaction);
+    expect(interaction.reply.mock.calls[0][0].content).toContain('no song at position 9');
+  });
+
+  it('should shuffle only the songs after the current one', async () => {
+    const queueData = createQueue(10, 2);
+    musicQueues.set(GUILD_ID, queueData);
+
+    await queueCommand.execute(createInteraction('shuffle'));
+
+    expect(titles(queueData).slice(0, 3)).toEqual(['Song 1', 'Song 2', 'Song 3']);
+    expect(titles(queueData).slice(3).sort()).toEqual(['Song 10', 'Song 4', 'Song 5', 'Song 6', 'Song 7', 'Song 8', 'Song 9']);
+  });
+
+  it('should clear the upcoming songs', async () => {
+    const queueData = createQueue(5, 1);
+    musicQueues.set(GUILD_ID, queueData);
+
+    const interaction = createInteraction('clear');
+    await queueCommand.execute(interaction);
+
+    expect(titles(queueData)).toEqual(['Song 1', 'Song 2']);
+    expect(interaction.reply).toHaveBeenCalledWith(expect.stringContaining('Cleared 3 upcoming songs'));
+  });
+
+  it('should jump by stopping the player so the chosen song plays next', async () => {
+    const queueData = createQueue(5, 3);
+    musicQueues.set(GUILD_ID, queueData);
+
+    const interaction = createInteraction('jump', { position: 1 });
+    await queueCommand.execute(interaction);
+
+    expect(queueData.player.stop).toHaveBeenCalled();
+    expect(queueData.currentIndex).toBe(-1);
+    expect(queueData.skipLoop).toBe(true);
+    expect(interaction.editReply).toHaveBeenCalledWith(expect.stringContaining('Song 1'));
+  });
+
+  it('should set the loop mode', async () => {
+    const queueData = createQueue(2);
+    musicQueues.set(GUILD_ID, queueData);
+
+    await queueCommand.execute(createInteraction('loop', { mode: 'track' }));
+    expect(queueData.loopMode).toBe('track');
+  });
+
+  it('should page through the queue view with buttons', async () => {
+    const queueData = createQueue(25, 12);
+    musicQueues.set(GUILD_ID, queueData);
+
+    const interaction = createInteraction('view');
+    await queueCommand.execute(interaction);
+
+    const { embeds, components } = interaction.reply.mock.calls[0][0];
+    expect(embeds[0].data.description).toContain('**▶️ 13. Song 13**');
+    expect(embeds[0].data.footer.text).toContain('Page 2/3');
+
+    const [previous, next] = components[0].components.map(button => button.data);
+    expect(previous.custom_id).toBe('music_queue_page:0');
+    expect(next.custom_id).toBe('music_queue_page:2');
+
+    const button = { guild: { id: GUILD_ID }, customId: next.custom_id, update: vi.fn() };
+    await handleMusicInteraction(button);
+
+    const page = button.update.mock.calls[0][0];
+    expect(page.embeds[0].data.description).toContain('21. Song 21');
+    expect(page.embeds[0].data.footer.text).toContain('Page 3/3');
+    expect(page.components[0].components[1].data.disabled).toBe(true);
+  });
+});
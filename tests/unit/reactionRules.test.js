@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  DEFAULT_REACTION_RULES,
+  matchesReactionRule,
+  isReactionRuleInChannel,
+  parseEmojiPool,
+  pickReactionEmoji,
+  getReactionDelay,
+  validateReactionRule,
+  getGuildReactionRules,
+  invalidateReactionCache,
+  recordReactionHit,
+  getSessionHits
+} from '../../src/utils/reactionRules.js';
+import { getReactionRules, incrementReactionRuleHits } from '../../src/supabase/supabase.js';
+import { Collection } from 'discord.js';
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  getReactionRules: vi.fn(),
+  incrementReactionRuleHits: vi.fn()
+}));
+
+const baseRule = {
+  id: 'rule-1',
+  name: 'pex love',
+  pattern: 'pex, apex',
+  match_type: 'keyword',
+  emojis: ['🥰', '😍'],
+  probability: 0.5,
+  min_delay_ms: 1000,
+  max_delay_ms: 3000,
+  channel_ids: []
+};
+
+const createMessage = (overrides = {}) => ({
+  content: 'pex tonight?',
+  channelId: 'channel-1',
+  channel: { isThread: () => false, parentId: null },
+  guild: { emojis: { cache: new Collection() } },
+  client: { emojis: { cache: new Collection() } },
+  ...overrides
+});
+
+describe('Reaction Rules', () => {
+  beforeEach(() => {
+    invalidateReactionCache('guild-1');
+    getReactionRules.mockResolvedValue([]);
+    incrementReactionRuleHits.mockResolvedValue(true);
+  });
+
+  describe('matchesReactionRule', () => {
+    it('should match any comma-separated keyword case-insensitively', () => {
+      expect(matchesReactionRule(baseRule, 'APEX later')).toBe(true);
+      expect(matchesReactionRule(baseRule, 'valorant later')).toBe(false);
+    });
+
+    it('should keep the built-in word-boundary regex for OW', () => {
+      const heroShooters = DEFAULT_REACTION_RULES.find(rule => rule.name === 'hero shooters');
+      expect(matchesReactionRule(heroShooters, 'ow time')).toBe(true);
+      expect(matchesReactionRule(heroShooters, 'bowling')).toBe(false);
+    });
+  });
+
+  describe('isReactionRuleInChannel', () => {
+    it('should allow every channel when the allowlist is empty', () => {
+      expect(isReactionRuleInChannel(baseRule, createMessage())).toBe(true);
+    });
+
+    it('should honor the allowlist including thread parents', () => {
+      const rule = { ...baseRule, channel_ids: ['channel-2'] };
+      expect(isReactionRuleInChannel(rule, createMessage())).toBe(false);
+      expect(isReactionRuleInChannel(rule, createMessage({
+        channelId: 'thread-1',
+        channel: { isThread: () => true, parentId: 'channel-2' }
+      }))).toBe(true);
+    });
+  });
+
+  describe('emoji pools', () => {
+    it('should parse space and comma separated pools', () => {
+      expect(parseEmojiPool('🥰, 😍 <:pog:123>  :lickinglips:')).toEqual(['🥰', '😍', '<:pog:123>', ':lickinglips:']);
+    });
+
+    it('should resolve guild custom emoji names and skip missing ones', () => {
+      const customEmoji = { name: 'lickinglips', id: '42' };
+      const withEmoji = createMessage({ guild: { emojis: { cache: new Collection([['42', customEmoji]]) } } });
+      const rule = { ...baseRule, emojis: [':lickinglips:'] };
+
+      expect(pickReactionEmoji(rule, withEmoji)).toBe(customEmoji);
+      expect(pickReactionEmoji(rule, createMessage())).toBeNull();
+    });
+
+    it('should fall back to 😋 when the built-in :lickinglips: emoji is missing', () => {
+      const lickingLips = DEFAULT_REACTION_RULES.find(rule => rule.name === 'lickinglips');
+      expect(pickReactionEmoji(lickingLips, createMessage())).toBe('😋');
+    });
+  });
+
+  it('should pick delays within the configured range', () => {
+    const randomSpy = vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    expect(getReactionDelay(baseRule)).toBe(2000);
+    randomSpy.mockRestore();
+  });
+
+  describe('validateReactionRule', () => {
+    it('should accept a complete rule', () => {
+      expect(validateReactionRule(baseRule).valid).toBe(true);
+    });
+
+    it('should reject non-emoji pool entries, bad regexes and inverted delays', () => {
+      expect(validateReactionRule({ ...baseRule, emojis: ['hello'] }).valid).toBe(false);
+      expect(validateReactionRule({ ...baseRule, match_type: 'regex', pattern: '([' }).valid).toBe(false);
+      expect(validateReactionRule({ ...baseRule, match_type: 'regex', pattern: '(a+)+$' }).valid).toBe(false);
+      expect(validateReactionRule({ ...baseRule, min_delay_ms: 5000, max_delay_ms: 1000 }).valid).toBe(false);
+    });
+
+    it('should only accept unicode emoji as the fallback', () => {
+      expect(validateReactionRule({ ...baseRule, fallback_emoji: '😋' }).valid).toBe(true);
+      expect(validateReactionRule({ ...baseRule, fallback_emoji: ':lickinglips:' }).valid).toBe(false);
+      expect(validateReactionRule({ ...baseRule, fallback_emoji: '<:pog:123>' }).valid).toBe(false);
+    });
+  });
+
+  describe('getGuildReactionRules', () => {
+    it('should fall back to the built-in rules for unconfigured guilds and DMs', async () => {
+      expect(await getGuildReactionRules('guild-1')).toBe(DEFAULT_REACTION_RULES);
+      expect(await getGuildReactionRules(null)).toBe(DEFAULT_REACTION_RULES);
+    });
+
+    it('should use stored rules once a guild has any', async () => {
+      getReactionRules.mockResolvedValue([baseRule]);
+      expect(await getGuildReactionRules('guild-1')).toEqual([baseRule]);
+    });
+  });
+
+  describe('recordReactionHit', () => {
+    it('should count session hits and persist hits for stored rules', () => {
+      const before = getSessionHits(baseRule);
+      recordReactionHit(baseRule);
+
+      expect(getSessionHits(baseRule)).toBe(before + 1);
+      expect(incrementReactionRuleHits).toHaveBeenCalledWith('rule-1');
+    });
+
+    it('should only count session hits for built-in rules', () => {
+      recordReactionHit(DEFAULT_REACTION_RULES[0]);
+      expect(incrementReactionRuleHits).not.toHaveBeenCalled();
+      expect(getSessionHits(DEFAULT_REACTION_RULES[0])).toBeGreaterThan(0);
+    });
+  });
+});
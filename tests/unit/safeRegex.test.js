@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findUnsafeRepetition,
+  validateRegexPattern,
+  getRuleRegex,
+  matchesRuleRegex
+} from '../../src/utils/safeRegex.js';
+
+describe('Safe Regex', () => {
+  describe('findUnsafeRepetition', () => {
+    it('should find repeated groups that already repeat', () => {
+      expect(findUnsafeRepetition('(a+)+$')).toBe('(a+)+');
+      expect(findUnsafeRepetition('^(\\w*)*x')).toBe('(\\w*)*');
+      expect(findUnsafeRepetition('(?:hi|ho+){2,}')).toBe('(?:hi|ho+){2,}');
+      expect(findUnsafeRepetition('((ab)?c)*')).toBe('((ab)?c)*');
+    });
+
+    it('should find repeated groups with alternations that can overlap', () => {
+      expect(findUnsafeRepetition('(a|a)+$')).toBe('(a|a)+');
+      expect(findUnsafeRepetition('(a|aa)+$')).toBe('(a|aa)+');
+      expect(findUnsafeRepetition('(\\w|\\d)+$')).toBe('(\\w|\\d)+');
+      expect(findUnsafeRepetition('(.|\\s)*x')).toBe('(.|\\s)*');
+      expect(findUnsafeRepetition('((a|b)c)+')).toBe('((a|b)c)+');
+    });
+
+    it('should allow ordinary patterns', () => {
+      expect(findUnsafeRepetition('\\bOW\\b|overwatch|valorant')).toBeNull();
+      expect(findUnsafeRepetition('^gg+$')).toBeNull();
+      expect(findUnsafeRepetition('(ab)+|(cd+)?')).toBeNull();
+      expect(findUnsafeRepetition('(pog|gg)?!')).toBeNull();
+      expect(findUnsafeRepetition('(a+){1}')).toBeNull();
+    });
+
+    it('should ignore quantifiers that are escaped or inside character classes', () => {
+      expect(findUnsafeRepetition('\\(a+\\)+')).toBeNull();
+      expect(findUnsafeRepetition('([+*])+')).toBeNull();
+    });
+  });
+
+  describe('validateRegexPattern', () => {
+    it('should reject invalid and catastrophic patterns', () => {
+      expect(validateRegexPattern('([').valid).toBe(false);
+      expect(validateRegexPattern('(a+)+$').valid).toBe(false);
+      expect(validateRegexPattern('(a|a)+$').valid).toBe(false);
+      expect(validateRegexPattern('pog(gers)?').valid).toBe(true);
+    });
+  });
+
+  describe('matchesRuleRegex', () => {
+    it('should compile each rule once', () => {
+      const rule = { pattern: '^gg+$' };
+      expect(matchesRuleRegex(rule, 'GGG')).toBe(true);
+      expect(getRuleRegex(rule)).toBe(getRuleRegex(rule));
+    });
+
+    it('should never match unsafe or missing content', () => {
+      expect(matchesRuleRegex({ pattern: '(a+)+$' }, 'aaaa')).toBe(false);
+      expect(matchesRuleRegex({ pattern: '(a|a)+$' }, 'a'.repeat(26) + '!')).toBe(false);
+      expect(matchesRuleRegex({ pattern: 'a' }, null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  parseCron,
+  getNextRun,
+  buildCronFromWeekly,
+  describeCron,
+  validateScheduledPost,
+  buildScheduledPostPayload,
+  processDueScheduledPosts
+} from '../../src/utils/scheduledPosts.js';
+import { getDueScheduledPosts, claimScheduledPostRun } from '../../src/supabase/supabase.js';
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  getScheduledPosts: vi.fn(),
+  getDueScheduledPosts: vi.fn(),
+  insertScheduledPost: vi.fn(),
+  claimScheduledPostRun: vi.fn()
+}));
+
+vi.mock('../../src/utils/digestUtils.js', () => ({
+  DigestManager: {
+    createDigest: vi.fn(),
+    buildDigestEmbed: vi.fn()
+  }
+}));
+
+const basePost = {
+  id: 'post-1',
+  guild_id: 'guild-1',
+  channel_id: 'channel-1',
+  name: 'game time',
+  cron_expression: '30 20 * * 1-5',
+  timezone: 'America/New_York',
+  post_type: 'text',
+  content: "It's game time!!! 🚂🚂🚂",
+  image_url: null,
+  role_id: null,
+  digest_period: null,
+  missed_policy: 'skip',
+  next_run_at: '2026-10-20T00:30:00.000Z'
+};
+
+const createClient = () => {
+  const channel = {
+    guildId: 'guild-1',
+    name: 'chillin',
+    isTextBased: () => true,
+    send: vi.fn().mockResolvedValue(true)
+  };
+  return { channel, channels: { fetch: vi.fn().mockResolvedValue(channel) } };
+};
+
+describe('Scheduled Posts', () => {
+  beforeEach(() => {
+    getDueScheduledPosts.mockResolvedValue([]);
+    claimScheduledPostRun.mockResolvedValue(true);
+  });
+
+  describe('parseCron', () => {
+    it('should expand lists, ranges, steps and day names', () => {
+      const cron = parseCron('*/15 9-11 * * mon,fri');
+      expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+      expect([...cron.hour]).toEqual([9, 10, 11]);
+      expect([...cron.dayOfWeek]).toEqual([1, 5]);
+    });
+
+    it('should treat 7 as Sunday', () => {
+      expect([...parseCron('0 17 * * 7').dayOfWeek]).toEqual([0]);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => parseCron('0 17 * *')).toThrow();
+      expect(() => parseCron('61 17 * * *')).toThrow();
+      expect(() => parseCron('0 17 * * funday')).toThrow();
+    });
+  });
+
+  describe('getNextRun', () => {
+    it('should find the next run in the schedule timezone', () => {
+      // Sunday 5pm Eastern (EDT, UTC-4) after Saturday noon UTC
+      const next = getNextRun('0 17 * * sun', 'America/New_York', new Date('2026-10-17T12:00:00Z'));
+      expect(next.toISOString()).toBe('2026-10-18T21:00:00.000Z');
+    });
+
+    it('should follow daylight saving changes', () => {
+      // First Sunday after the November switch to EST (UTC-5)
+      const next = getNextRun('0 17 * * sun', 'America/New_York', new Date('2026-11-02T00:00:00Z'));
+      expect(next.toISOString()).toBe('2026-11-08T22:00:00.000Z');
+    });
+
+    it('should never return the current minute', () => {
+      const now = new Date('2026-10-18T21:00:00Z');
+      expect(getNextRun('0 17 * * sun', 'America/New_York', now).getTime()).toBeGreaterThan(now.getTime());
+    });
+
+    it('should return null for schedules that never fire', () => {
+      expect(getNextRun('0 0 30 2 *', 'UTC', new Date('2026-01-01T00:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('buildCronFromWeekly', () => {
+    it('should convert days and times to cron', () => {
+      expect(buildCronFromWeekly('weekdays', '20:30')).toBe('30 20 * * 1-5');
+      expect(buildCronFromWeekly('Fri, mon', '5pm')).toBe('0 17 * * 1,5');
+      expect(buildCronFromWeekly(null, '12am')).toBe('0 0 * * *');
+    });
+
+    it('should reject unknown days and times', () => {
+      expect(() => buildCronFromWeekly('someday', '17:00')).toThrow();
+      expect(() => buildCronFromWeekly('daily', '25:00')).toThrow();
+    });
+  });
+
+  it('should describe simple weekly rules in words', () => {
+    expect(describeCron('30 20 * * 1-5')).toBe('weekdays at 20:30');
+    expect(describeCron('0 17 * * 0')).toBe('Sun at 17:00');
+    expect(describeCron('*/15 * * * *')).toBe('cron `*/15 * * * *`');
+  });
+
+  describe('validateScheduledPost', () => {
+    it('should accept a complete post', () => {
+      expect(validateScheduledPost(basePost).valid).toBe(true);
+    });
+
+    it('should reject bad timezones, bad cron and missing type-specific fields', () => {
+      expect(validateScheduledPost({ ...basePost, timezone: 'Mars/Olympus' }).valid).toBe(false);
+      expect(validateScheduledPost({ ...basePost, cron_expression: 'every day' }).valid).toBe(false);
+      expect(validateScheduledPost({ ...basePost, post_type: 'role_ping' }).valid).toBe(false);
+      expect(validateScheduledPost({ ...basePost, post_type: 'image' }).valid).toBe(false);
+    });
+  });
+
+  it('should only allow the scheduled role to be pinged', () => {
+    const payload = buildScheduledPostPayload({ ...basePost, post_type: 'role_ping', role_id: 'role-1' });
+    expect(payload.content).toBe("<@&role-1> It's game time!!! 🚂🚂🚂");
+    expect(payload.allowedMentions).toEqual({ roles: ['role-1'] });
+  });
+
+  describe('processDueScheduledPosts', () => {
+    it('should claim the run before posting and move next_run_at forward', async () => {
+      getDueScheduledPosts.mockResolvedValue([basePost]);
+      const client = createClient();
+      const now = new Date('2026-10-20T00:31:00Z');
+
+      expect(await processDueScheduledPosts(client, now)).toBe(1);
+      expect(claimScheduledPostRun).toHaveBeenCalledWith('post-1', basePost.next_run_at, {
+        next_run_at: '2026-10-21T00:30:00.000Z',
+        last_fired_at: now.toISOString()
+      });
+      expect(client.channel.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not post runs another tick already claimed', async () => {
+      getDueScheduledPosts.mockResolvedValue([basePost]);
+      claimScheduledPostRun.mockResolvedValue(false);
+      const client = createClient();
+
+      expect(await processDueScheduledPosts(client, new Date('2026-10-20T00:31:00Z'))).toBe(0);
+      expect(client.channel.send).not.toHaveBeenCalled();
+    });
+
+    it('should skip long-missed runs unless the post catches up', async () => {
+      const client = createClient();
+      const muchLater = new Date('2026-10-20T06:00:00Z');
+
+      getDueScheduledPosts.mockResolvedValue([basePost]);
+      expect(await processDueScheduledPosts(client, muchLater)).toBe(0);
+      expect(claimScheduledPostRun.mock.calls[0][2]).not.toHaveProperty('last_fired_at');
+
+      getDueScheduledPosts.mockResolvedValue([{ ...basePost, missed_policy: 'catch_up' }]);
+      expect(await processDueScheduledPosts(client, muchLater)).toBe(1);
+      expect(client.channel.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not post into channels outside the schedule guild', async () => {
+      getDueScheduledPosts.mockResolvedValue([basePost]);
+      const client = createClient();
+      client.channel.guildId = 'guild-2';
+
+      expect(await processDueScheduledPosts(client, new Date('2026-10-20T00:31:00Z'))).toBe(0);
+      expect(client.channel.send).not.toHaveBeenCalled();
+    });
+  });
+});
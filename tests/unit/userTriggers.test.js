@@ -0,0 +1,238 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  checkUserTriggers,
+  matchesTrigger,
+  isRuleInScope,
+  validateTriggerRule,
+  invalidateTriggerCache,
+  buildTriggerPayload,
+  ensureLegacyTriggerRules,
+  LEGACY_TRIGGER_RULES
+} from '../../src/utils/userTriggers.js';
+import { getTriggerRules, insertTriggerRule, hasMigrationRun, recordMigration } from '../../src/supabase/supabase.js';
+import otakuGifService from '../../src/utils/otakuGifService.js';
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  getTriggerRules: vi.fn(),
+  insertTriggerRule: vi.fn(),
+  hasMigrationRun: vi.fn(),
+  recordMigration: vi.fn()
+}));
+
+vi.mock('../../src/utils/otakuGifService.js', () => ({
+  default: {
+    getRandomGif: vi.fn(),
+    getReactionGif: vi.fn()
+  }
+}));
+
+const baseRule = {
+  id: 'rule-1',
+  name: 'deuce',
+  pattern: 'what the deuce',
+  match_type: 'exact',
+  scope_type: 'guild',
+  scope_id: null,
+  response_type: 'text',
+  response_content: 'deuce detected',
+  cooldown_seconds: 0,
+  probability: 1
+};
+
+const createMessage = (overrides = {}) => ({
+  content: 'What the deuce!?',
+  author: { id: 'user-1', bot: false },
+  member: { roles: { cache: new Map([['role-1', {}]]) } },
+  guild: { id: 'guild-1' },
+  channelId: 'channel-1',
+  channel: { isThread: () => false, parentId: null },
+  reply: vi.fn().mockResolvedValue(true),
+  react: vi.fn().mockResolvedValue(true),
+  ...overrides
+});
+
+describe('User Triggers', () => {
+  beforeEach(() => {
+    invalidateTriggerCache('guild-1');
+    getTriggerRules.mockResolvedValue([]);
+  });
+
+  describe('matchesTrigger', () => {
+    it('should match exact phrases ignoring case and punctuation', () => {
+      expect(matchesTrigger(baseRule, 'WHAT the deuce!!')).toBe(true);
+      expect(matchesTrigger(baseRule, 'well what the deuce')).toBe(false);
+    });
+
+    it('should match phrases contained in the message', () => {
+      const rule = { ...baseRule, match_type: 'contains', pattern: 'overwatch' };
+      expect(matchesTrigger(rule, 'anyone up for Overwatch tonight?')).toBe(true);
+      expect(matchesTrigger(rule, 'apex tonight?')).toBe(false);
+    });
+
+    it('should match case-insensitive regexes against the raw content', () => {
+      const rule = { ...baseRule, match_type: 'regex', pattern: '^gg+$' };
+      expect(matchesTrigger(rule, 'GGGG')).toBe(true);
+      expect(matchesTrigger(rule, 'gg wp')).toBe(false);
+    });
+
+    it('should not throw on invalid stored regexes', () => {
+      const rule = { ...baseRule, match_type: 'regex', pattern: '([' };
+      expect(matchesTrigger(rule, 'anything')).toBe(false);
+    });
+
+    it('should never run catastrophic regexes stored before they were refused', () => {
+      const rule = { ...baseRule, match_type: 'regex', pattern: '(a+)+$' };
+      expect(matchesTrigger(rule, 'a'.repeat(40) + '!')).toBe(false);
+    });
+
+    it('should only test the start of very long messages', () => {
+      const rule = { ...baseRule, match_type: 'regex', pattern: 'needle' };
+      expect(matchesTrigger(rule, 'needle' + 'x'.repeat(5000))).toBe(true);
+      expect(matchesTrigger(rule, 'x'.repeat(5000) + 'needle')).toBe(false);
+    });
+  });
+
+  describe('isRuleInScope', () => {
+    it('should scope rules to users, roles and channels', () => {
+      const message = createMessage();
+      expect(isRuleInScope({ ...baseRule, scope_type: 'user', scope_id: 'user-1' }, message)).toBe(true);
+      expect(isRuleInScope({ ...baseRule, scope_type: 'user', scope_id: 'user-2' }, message)).toBe(false);
+      expect(isRuleInScope({ ...baseRule, scope_type: 'role', scope_id: 'role-1' }, message)).toBe(true);
+      expect(isRuleInScope({ ...baseRule, scope_type: 'channel', scope_id: 'channel-2' }, message)).toBe(false);
+    });
+
+    it('should treat threads as part of their parent channel', () => {
+      const message = createMessage({
+        channelId: 'thread-1',
+        channel: { isThread: () => true, parentId: 'channel-1' }
+      });
+      expect(isRuleInScope({ ...baseRule, scope_type: 'channel', scope_id: 'channel-1' }, message)).toBe(true);
+    });
+  });
+
+  describe('validateTriggerRule', () => {
+    it('should accept a complete rule', () => {
+      expect(validateTriggerRule(baseRule).valid).toBe(true);
+    });
+
+    it('should reject invalid regexes and missing scope targets', () => {
+      expect(validateTriggerRule({ ...baseRule, match_type: 'regex', pattern: '([' }).valid).toBe(false);
+      expect(validateTriggerRule({ ...baseRule, scope_type: 'role', scope_id: null }).valid).toBe(false);
+    });
+
+    it('should reject regexes that backtrack catastrophically', () => {
+      const result = validateTriggerRule({ ...baseRule, match_type: 'regex', pattern: '(a+)+$' });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('(a+)+');
+    });
+
+    it('should require content for text and reaction responses', () => {
+      expect(validateTriggerRule({ ...baseRule, response_content: null }).valid).toBe(false);
+      expect(validateTriggerRule({ ...baseRule, response_type: 'gif', response_content: null }).valid).toBe(true);
+    });
+  });
+
+  describe('checkUserTriggers', () => {
+    it('should reply with the first matching rule', async () => {
+      getTriggerRules.mockResolvedValue([baseRule]);
+      const message = createMessage();
+
+      const result = await checkUserTriggers(message);
+
+      expect(result).toBe(true);
+      expect(message.reply).toHaveBeenCalledWith({ content: 'deuce detected' });
+    });
+
+    it('should ignore bots and DMs', async () => {
+      getTriggerRules.mockResolvedValue([baseRule]);
+
+      expect(await checkUserTriggers(createMessage({ author: { id: 'bot', bot: true } }))).toBe(false);
+      expect(await checkUserTriggers(createMessage({ guild: null }))).toBe(false);
+    });
+
+    it('should react without consuming the message', async () => {
+      getTriggerRules.mockResolvedValue([{ ...baseRule, id: 'rule-react', response_type: 'reaction', response_content: '🔥' }]);
+      const message = createMessage();
+
+      const result = await checkUserTriggers(message);
+
+      expect(result).toBe(false);
+      expect(message.react).toHaveBeenCalledWith('🔥');
+      expect(message.reply).not.toHaveBeenCalled();
+    });
+
+    it('should respect per-rule cooldowns', async () => {
+      getTriggerRules.mockResolvedValue([{ ...baseRule, id: 'rule-cooldown', cooldown_seconds: 60 }]);
+
+      expect(await checkUserTriggers(createMessage())).toBe(true);
+      expect(await checkUserTriggers(createMessage())).toBe(false);
+    });
+
+    it('should skip rules that lose their chance roll', async () => {
+      getTriggerRules.mockResolvedValue([{ ...baseRule, id: 'rule-chance', probability: 0.5 }]);
+      const randomSpy = vi.spyOn(Math, 'random').mockReturnValue(0.9);
+
+      expect(await checkUserTriggers(createMessage())).toBe(false);
+
+      randomSpy.mockRestore();
+    });
+
+    it('should send gif responses from otakuGifService', async () => {
+      getTriggerRules.mockResolvedValue([{ ...baseRule, id: 'rule-gif', response_type: 'gif', response_content: 'hug' }]);
+      otakuGifService.getReactionGif.mockResolvedValue({ url: 'https://cdn.otakugifs.xyz/hug.gif' });
+      const message = createMessage();
+
+      expect(await checkUserTriggers(message)).toBe(true);
+      expect(otakuGifService.getReactionGif).toHaveBeenCalledWith('hug');
+      expect(message.reply.mock.calls[0][0].embeds).toHaveLength(1);
+    });
+  });
+
+  describe('ensureLegacyTriggerRules', () => {
+    const [legacyRule] = LEGACY_TRIGGER_RULES;
+    const createGuild = (id, memberIds) => ({
+      id,
+      members: { fetch: vi.fn(async (userId) => (memberIds.includes(userId) ? { id: userId } : Promise.reject(new Error('Unknown Member')))) }
+    });
+    const client = {
+      guilds: {
+        cache: new Map([
+          ['guild-1', createGuild('guild-1', [legacyRule.scope_id])],
+          ['guild-2', createGuild('guild-2', [])]
+        ])
+      }
+    };
+
+    beforeEach(() => {
+      hasMigrationRun.mockResolvedValue(false);
+      insertTriggerRule.mockImplementation(async (rule) => ({ id: 'rule-legacy', ...rule }));
+      recordMigration.mockResolvedValue(true);
+      insertTriggerRule.mockClear();
+      recordMigration.mockClear();
+    });
+
+    it('should create the old trigger once in the guilds its user is in', async () => {
+      expect(await ensureLegacyTriggerRules(client)).toBe(1);
+      expect(insertTriggerRule).toHaveBeenCalledWith(expect.objectContaining({ guild_id: 'guild-1', pattern: 'what the deuce' }));
+      expect(recordMigration).toHaveBeenCalled();
+
+      hasMigrationRun.mockResolvedValue(true);
+      expect(await ensureLegacyTriggerRules(client)).toBe(0);
+      expect(insertTriggerRule).toHaveBeenCalledTimes(1);
+    });
+
+    it('should try again next time when a rule fails to save', async () => {
+      insertTriggerRule.mockResolvedValue(null);
+
+      expect(await ensureLegacyTriggerRules(client)).toBe(0);
+      expect(recordMigration).not.toHaveBeenCalled();
+    });
+
+    it('should send the bundled video', async () => {
+      const { files } = await buildTriggerPayload(legacyRule);
+
+      expect(files[0].attachment).toMatch(/src[\\/]images[\\/]whatthedeuce\.mp4$/);
+      expect(files[0].name).toBe('whatthedeuce.mp4');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+// Unit tests for the "Why did Bepo say this?" context menu
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/supabase/supabase.js', () => ({
+  getReplyMemorySources: vi.fn(),
+  getUserMemoriesByIds: vi.fn(async () => []),
+  getServerMemoriesByIds: vi.fn(async () => []),
+  getTimeAgo: vi.fn(() => '2 days ago')
+}));
+
+vi.mock('../../src/utils/memoryUtils.js', () => ({
+  UserMemoryManager: { deleteMemory: vi.fn(), updateMemory: vi.fn() },
+  ServerMemoryManager: { deleteMemory: vi.fn(), updateMemory: vi.fn() },
+  MemoryUtils: { validateContent: vi.fn() }
+}));
+
+import whyBepoCommand from '../../src/commands/fun/whyBepo.js';
+import { getReplyMemorySources, getUserMemoriesByIds, getServerMemoriesByIds } from '../../src/supabase/supabase.js';
+
+const BOT_ID = 'bot123';
+
+const createInteraction = ({ userId = 'user1', authorId = BOT_ID } = {}) => ({
+  user: { id: userId },
+  member: { user: { id: userId }, permissions: { has: () => false } },
+  guildId: 'guild1',
+  client: { user: { id: BOT_ID } },
+  targetMessage: { id: 'reply1', author: { id: authorId } },
+  reply: vi.fn(),
+  deferReply: vi.fn(),
+  editReply: vi.fn(async () => ({ createMessageComponentCollector: vi.fn(() => ({ on: vi.fn() })) }))
+});
+
+const sources = {
+  message_id: 'reply1',
+  user_id: 'user1',
+  user_memory_ids: ['aaaaaaaa-0000-4000-8000-000000000001', 'aaaaaaaa-0000-4000-8000-000000000002'],
+  server_memory_ids: ['bbbbbbbb-0000-4000-8000-000000000001']
+};
+
+const serverMemory = {
+  id: 'bbbbbbbb-0000-4000-8000-000000000001',
+  user_id: 'someone_else',
+  memory_title: 'Raid night',
+  memory_content: 'Raid night is Thursday',
+  updated_at: '2026-10-16T00:00:00Z'
+};
+
+describe('Why did Bepo say this? command', () => {
+  it('should only work on Bepo\'s own messages', async () => {
+    const interaction = createInteraction({ authorId: 'someone' });
+
+    await whyBepoCommand.execute(interaction);
+
+    expect(interaction.reply.mock.calls[0][0].content).toContain('isn\'t one of my replies');
+    expect(getReplyMemorySources).not.toHaveBeenCalled();
+  });
+
+  it('should say so when nothing was recorded for the reply', async () => {
+    getReplyMemorySources.mockResolvedValue(null);
+    const interaction = createInteraction();
+
+    await whyBepoCommand.execute(interaction);
+
+    expect(interaction.editReply.mock.calls[0][0]).toContain('No memories were recorded');
+  });
+
+  it('should show the memories in recorded order with edit and delete controls for the user Bepo replied to', async () => {
+    getReplyMemorySources.mockResolvedValue(sources);
+    getServerMemoriesByIds.mockResolvedValue([serverMemory]);
+    // The second memory has been deleted since the reply
+    getUserMemoriesByIds.mockResolvedValue([{
+      id: sources.user_memory_ids[0],
+      user_id: 'user1',
+      context_type: 'fact',
+      memory_content: 'Mains Wraith in Apex',
+      updated_at: '2026-10-17T00:00:00Z'
+    }]);
+    const interaction = createInteraction();
+
+    await whyBepoCommand.execute(interaction);
+
+    const view = interaction.editReply.mock.calls[0][0];
+    const embed = view.embeds[0].toJSON();
+    expect(embed.fields.map(field => field.name)).toEqual(['1. 📚 Raid night', '2. 🧩 Fact']);
+    expect(embed.footer.text).toContain('1 deleted since');
+
+    // Only the user's own fact can be changed, not another member's server memory
+    const picker = view.components[0].toJSON().components[0];
+    expect(picker.options.map(option => option.value)).toEqual([`user:${sources.user_memory_ids[0]}`]);
+    expect(view.components[1].toJSON().components.every(button => button.disabled)).toBe(true);
+  });
+
+  it('should keep personal memories hidden from other members', async () => {
+    getReplyMemorySources.mockResolvedValue(sources);
+    getServerMemoriesByIds.mockResolvedValue([serverMemory]);
+    const interaction = createInteraction({ userId: 'user2' });
+
+    await whyBepoCommand.execute(interaction);
+
+    expect(getUserMemoriesByIds).not.toHaveBeenCalled();
+    const view = interaction.editReply.mock.calls[0][0];
+    expect(view.embeds[0].toJSON().footer.text).toContain('2 personal memories only they can see');
+    expect(view.components).toEqual([]);
+  });
+});